@@ -0,0 +1,422 @@
+import { encodeInt } from "@helios-lang/cbor"
+import { bytesToHex } from "@helios-lang/codec-utils"
+import { blake2b } from "@helios-lang/crypto"
+import { PubKeyHash } from "../hashes/index.js"
+import { DEFAULT_NETWORK_PARAMS } from "../params/index.js"
+import {
+    encodeAddress,
+    StakingAddress,
+    TxId,
+    TxInput,
+    TxOutputId
+} from "../tx/index.js"
+
+/**
+ * @typedef {import("@helios-lang/codec-utils").IntLike} IntLike
+ * @typedef {import("../params/index.js").NetworkParams} NetworkParams
+ * @typedef {import("../tx/ShelleyAddress.js").Address} Address
+ * @typedef {import("../tx/index.js").DCert} DCert
+ * @typedef {import("../tx/index.js").Tx} Tx
+ * @typedef {import("../tx/index.js").TxOutput} TxOutput
+ * @typedef {import("../tx/TxOutputId.js").TxOutputIdLike} TxOutputIdLike
+ */
+
+/**
+ * @typedef {{
+ *   rewards: bigint
+ *   poolId?: PubKeyHash
+ * }} StakeAccount
+ */
+
+/**
+ * In-memory ledger state, for running integration tests without a node.
+ *
+ * Holds the UTxO set, the current slot, the registered stake credentials (with their rewards) and the registered stake pools.
+ * Can be used as the network when recovering a tx (see `Tx.recover()`).
+ */
+export class Emulator {
+    /**
+     * @readonly
+     * @type {NetworkParams}
+     */
+    params
+
+    /**
+     * @type {number}
+     */
+    slot
+
+    /**
+     * Sum of the fees of all the submitted txs, including the collateral lost by txs that failed phase-2 validation
+     * @type {bigint}
+     */
+    fees
+
+    /**
+     * Lovelace locked as deposits by the certificates and governance proposals
+     * @type {bigint}
+     */
+    deposits
+
+    /**
+     * UTxOs indexed by `TxOutputId.toString()`
+     * @private
+     * @type {Map<string, TxInput>}
+     */
+    utxos
+
+    /**
+     * Registered stake credentials, indexed by the hex encoding of the CBOR of their staking hash
+     * @private
+     * @type {Map<string, StakeAccount>}
+     */
+    stakeAccounts
+
+    /**
+     * Hex encodings of the ids of the registered stake pools.
+     * Pools are never removed, because retirement only takes effect at an epoch boundary, which isn't emulated.
+     * @private
+     * @type {Set<string>}
+     */
+    pools
+
+    /**
+     * Number of UTxOs created out of thin air, used to generate unique tx ids
+     * @private
+     * @type {number}
+     */
+    nGenesisUtxos
+
+    /**
+     * @param {NetworkParams} params
+     * @param {number} slot
+     */
+    constructor(params = DEFAULT_NETWORK_PARAMS(), slot = 0) {
+        this.params = params
+        this.slot = slot
+        this.fees = 0n
+        this.deposits = 0n
+        this.utxos = new Map()
+        this.stakeAccounts = new Map()
+        this.pools = new Set()
+        this.nGenesisUtxos = 0
+    }
+
+    /**
+     * Rewards can only be added to registered stake credentials
+     * @param {StakingAddress} stakingAddress
+     * @param {IntLike} lovelace
+     */
+    addRewards(stakingAddress, lovelace) {
+        const account = this.expectStakeAccount(
+            this.stakeAccounts,
+            stakingAddress
+        )
+
+        account.rewards += BigInt(lovelace)
+    }
+
+    /**
+     * Adds a UTxO that isn't created by a tx (e.g. to fund a wallet at the start of a test)
+     * @param {TxOutput} output
+     * @returns {TxInput}
+     */
+    createUtxo(output) {
+        const txId = new TxId(blake2b(encodeInt(this.nGenesisUtxos)))
+        this.nGenesisUtxos += 1
+
+        const utxo = new TxInput(new TxOutputId(txId, 0), output)
+
+        this.utxos.set(utxo.id.toString(), utxo)
+
+        return utxo
+    }
+
+    /**
+     * The pool the stake credential is delegated to, if any
+     * @param {StakingAddress} stakingAddress
+     * @returns {PubKeyHash | undefined}
+     */
+    getDelegation(stakingAddress) {
+        return this.stakeAccounts.get(keyOf(stakingAddress))?.poolId
+    }
+
+    /**
+     * Throws an error if the stake credential isn't registered
+     * @param {StakingAddress} stakingAddress
+     * @returns {bigint}
+     */
+    getRewards(stakingAddress) {
+        return this.expectStakeAccount(this.stakeAccounts, stakingAddress)
+            .rewards
+    }
+
+    /**
+     * Throws an error if the UTxO doesn't exist (or has already been spent)
+     * @param {TxOutputIdLike} id
+     * @returns {Promise<TxInput>}
+     */
+    async getUtxo(id) {
+        const key = TxOutputId.new(id).toString()
+        const utxo = this.utxos.get(key)
+
+        if (!utxo) {
+            throw new Error(`utxo ${key} not found`)
+        }
+
+        return utxo
+    }
+
+    /**
+     * @param {Address} address
+     * @returns {Promise<TxInput[]>}
+     */
+    async getUtxos(address) {
+        const addressHex = bytesToHex(encodeAddress(address))
+
+        return Array.from(this.utxos.values()).filter(
+            (utxo) => bytesToHex(encodeAddress(utxo.address)) == addressHex
+        )
+    }
+
+    /**
+     * @param {StakingAddress} stakingAddress
+     * @returns {boolean}
+     */
+    isRegistered(stakingAddress) {
+        return this.stakeAccounts.has(keyOf(stakingAddress))
+    }
+
+    /**
+     * @param {PubKeyHash} poolId
+     * @returns {boolean}
+     */
+    isPoolRegistered(poolId) {
+        return this.pools.has(poolId.toHex())
+    }
+
+    /**
+     * Validates the tx against the current ledger state, and applies it.
+     *
+     * The tx must pass `Tx.validate()` and the signature checks, and the signatures must be correct.
+     * The outcome of the scripts (phase-2 validation) must match the phase-2 validity flag of the tx (see `Tx.scriptsValid`).
+     * A tx that is marked as invalid, and whose scripts fail, consumes its collateral and creates its collateral return output.
+     *
+     * Nothing is changed if an error is thrown.
+     * @param {Tx} tx
+     * @returns {Promise<TxId>}
+     */
+    async submitTx(tx) {
+        const body = tx.body
+
+        body.inputs.concat(body.refInputs, body.collateral).forEach((input) => {
+            if (!this.utxos.has(input.id.toString())) {
+                throw new Error(
+                    `utxo ${input.id.toString()} not found (already spent?)`
+                )
+            }
+        })
+
+        await tx.recover(this)
+
+        if (!tx.isValidSlot(BigInt(this.slot))) {
+            throw new Error(`tx isn't valid at slot ${this.slot}`)
+        }
+
+        const errors = tx.validateAll(this.params, {
+            isPoolRegistered: (poolId) => this.isPoolRegistered(poolId)
+        }).errors
+
+        const phase1Errors = errors.filter((issue) => issue.rule != "scripts")
+
+        if (phase1Errors.length > 0) {
+            throw new Error(phase1Errors[0].message)
+        }
+
+        // validateAll() only checks that the signatures are present
+        tx.witnesses.verifySignatures(tx.body.toCbor())
+
+        const scriptErrors = errors.filter((issue) => issue.rule == "scripts")
+        const scriptsSucceed = scriptErrors.length == 0
+
+        if (scriptsSucceed && !tx.scriptsValid) {
+            throw new Error("tx is marked as invalid, but its scripts succeed")
+        } else if (!scriptsSucceed && tx.scriptsValid) {
+            throw new Error(scriptErrors[0].message)
+        }
+
+        const id = tx.id()
+        const changes = tx.calcUtxoChanges(scriptsSucceed)
+
+        if (scriptsSucceed) {
+            this.applyStakeChanges(tx)
+        } else {
+            // the net collateral is collected instead of the fee
+            this.fees +=
+                sumLovelace(changes.consumed) - sumLovelace(changes.produced)
+        }
+
+        changes.consumed.forEach((input) => {
+            this.utxos.delete(input.id.toString())
+        })
+
+        changes.produced.forEach((utxo) => {
+            this.utxos.set(utxo.id.toString(), utxo)
+        })
+
+        return id
+    }
+
+    /**
+     * @param {number} nSlots
+     */
+    tick(nSlots) {
+        if (nSlots <= 0) {
+            throw new Error("expected a positive number of slots")
+        }
+
+        this.slot += nSlots
+    }
+
+    /**
+     * Applies the withdrawals and the certificates of a tx whose scripts succeed, and collects its fee
+     * @private
+     * @param {Tx} tx
+     */
+    applyStakeChanges(tx) {
+        const body = tx.body
+
+        // the stake accounts are updated on a copy, so nothing changes if a withdrawal or a certificate is invalid
+        const stakeAccounts = new Map(
+            Array.from(this.stakeAccounts.entries()).map(([key, account]) => [
+                key,
+                { ...account }
+            ])
+        )
+
+        // withdrawals are processed before the certificates, so rewards can be withdrawn in the same tx that deregisters the stake credential
+        body.withdrawals.forEach(([stakingAddress, lovelace]) => {
+            const account = this.expectStakeAccount(
+                stakeAccounts,
+                stakingAddress
+            )
+
+            if (account.rewards != lovelace) {
+                throw new Error(
+                    `withdrawal of ${lovelace} lovelace doesn't match the ${account.rewards} lovelace of rewards of ${stakingAddress.toBech32()}`
+                )
+            }
+
+            account.rewards = 0n
+        })
+
+        body.dcerts.forEach((dcert) => applyDCert(stakeAccounts, dcert))
+
+        // the deposits must be summed before the new pools are registered
+        this.deposits +=
+            body.sumDeposits(this.params, (poolId) =>
+                this.isPoolRegistered(poolId)
+            ) - body.sumRefunds(this.params)
+
+        body.dcerts.forEach((dcert) => {
+            if (dcert.isRegisterPool()) {
+                this.pools.add(dcert.poolId.toHex())
+            }
+        })
+
+        this.stakeAccounts = stakeAccounts
+        this.fees += body.fee
+    }
+
+    /**
+     * @private
+     * @param {Map<string, StakeAccount>} stakeAccounts
+     * @param {StakingAddress} stakingAddress
+     * @returns {StakeAccount}
+     */
+    expectStakeAccount(stakeAccounts, stakingAddress) {
+        const account = stakeAccounts.get(keyOf(stakingAddress))
+
+        if (!account) {
+            throw new Error(
+                `stake credential of ${stakingAddress.toBech32()} isn't registered`
+            )
+        }
+
+        return account
+    }
+}
+
+/**
+ * Updates the stake accounts in place, only the certificates involving stake credentials are taken into account
+ * @param {Map<string, StakeAccount>} stakeAccounts
+ * @param {DCert} dcert
+ */
+function applyDCert(stakeAccounts, dcert) {
+    switch (dcert.kind) {
+        case "Register":
+        case "RegisterWithDeposit":
+        case "RegisterAndDelegate":
+        case "RegisterAndDelegateVote":
+        case "RegisterAndDelegateStakeAndVote": {
+            const key = bytesToHex(dcert.credential.toCbor())
+
+            if (stakeAccounts.has(key)) {
+                throw new Error(`stake credential ${key} already registered`)
+            }
+
+            stakeAccounts.set(key, {
+                rewards: 0n,
+                poolId: dcert.poolId
+            })
+            break
+        }
+        case "Deregister":
+        case "DeregisterWithRefund": {
+            const key = bytesToHex(dcert.credential.toCbor())
+            const account = stakeAccounts.get(key)
+
+            if (!account) {
+                throw new Error(`stake credential ${key} isn't registered`)
+            } else if (account.rewards > 0n) {
+                throw new Error(
+                    `stake credential ${key} can't be deregistered before withdrawing its rewards`
+                )
+            }
+
+            stakeAccounts.delete(key)
+            break
+        }
+        case "Delegate":
+        case "DelegateStakeAndVote":
+        case "DelegateVote": {
+            const key = bytesToHex(dcert.credential.toCbor())
+            const account = stakeAccounts.get(key)
+
+            if (!account) {
+                throw new Error(`stake credential ${key} isn't registered`)
+            }
+
+            if (dcert.poolId) {
+                account.poolId = dcert.poolId
+            }
+            break
+        }
+    }
+}
+
+/**
+ * @param {StakingAddress} stakingAddress
+ * @returns {string}
+ */
+function keyOf(stakingAddress) {
+    return bytesToHex(stakingAddress.stakingHash.toCbor())
+}
+
+/**
+ * @param {TxInput[]} utxos
+ * @returns {bigint}
+ */
+function sumLovelace(utxos) {
+    return utxos.reduce((sum, utxo) => sum + utxo.value.lovelace, 0n)
+}
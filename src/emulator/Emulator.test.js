@@ -0,0 +1,345 @@
+import { rejects, strictEqual, throws } from "node:assert"
+import { describe, it } from "node:test"
+import { dummyBytes } from "@helios-lang/codec-utils"
+import { Ed25519 } from "@helios-lang/crypto"
+import {
+    ByteArrayData,
+    IntData,
+    UplcBuiltin,
+    UplcCall,
+    UplcLambda,
+    UplcProgramV2,
+    UplcVar
+} from "@helios-lang/uplc"
+import { PubKeyHash, ValidatorHash } from "../hashes/index.js"
+import { Value } from "../money/index.js"
+import {
+    calcScriptDataHash,
+    DCert,
+    makeAddress,
+    makeAddressFromHashes,
+    PubKey,
+    Signature,
+    StakingAddress,
+    Tx,
+    TxBuilder,
+    TxOutput,
+    TxOutputDatum,
+    TxRedeemer
+} from "../tx/index.js"
+import { Emulator } from "./Emulator.js"
+
+describe(Emulator.name, () => {
+    const privateKey = dummyBytes(32, 1)
+    const pubKey = new PubKey(Ed25519.derivePublicKey(privateKey))
+
+    const wallet = makeAddressFromHashes(
+        false,
+        pubKey.toHash(),
+        pubKey.toHash()
+    )
+
+    const stakingAddress = StakingAddress.fromAddress(wallet)
+
+    const other = makeAddress({
+        isMainnet: false,
+        spendingHash: PubKeyHash.dummy(2)
+    })
+
+    /**
+     * @param {Tx} tx
+     * @returns {Tx}
+     */
+    function sign(tx) {
+        return tx.addSignature(
+            new Signature(pubKey, Ed25519.sign(tx.id().bytes, privateKey))
+        )
+    }
+
+    /**
+     * @param {Emulator} emulator
+     * @param {(b: TxBuilder) => TxBuilder} config
+     * @param {boolean} signed
+     * @returns {Promise<Tx>}
+     */
+    async function makeTx(emulator, config, signed = true) {
+        const utxos = await emulator.getUtxos(wallet)
+
+        const tx = config(
+            new TxBuilder({ isMainnet: false }).spend(utxos)
+        ).build({
+            changeAddress: wallet,
+            params: emulator.params
+        })
+
+        return signed ? sign(tx) : tx
+    }
+
+    it("consumes the inputs and adds the outputs", async () => {
+        const emulator = new Emulator()
+        const utxo = emulator.createUtxo(
+            new TxOutput(wallet, new Value(100_000_000n))
+        )
+
+        const tx = await makeTx(emulator, (b) =>
+            b.pay(other, new Value(10_000_000n))
+        )
+
+        const id = await emulator.submitTx(tx)
+
+        await rejects(emulator.getUtxo(utxo.id))
+
+        strictEqual(
+            (await emulator.getUtxos(other))[0].id.txId.toHex(),
+            id.toHex()
+        )
+        strictEqual(emulator.fees, tx.body.fee)
+    })
+
+    it("accepts a signed tx decoded from CBOR", async () => {
+        const emulator = new Emulator()
+        emulator.createUtxo(new TxOutput(wallet, new Value(100_000_000n)))
+
+        const tx = await makeTx(emulator, (b) =>
+            b.pay(other, new Value(10_000_000n))
+        )
+
+        const id = await emulator.submitTx(Tx.fromCbor(tx.toCbor()))
+
+        strictEqual(id.toHex(), tx.id().toHex())
+    })
+
+    it("rejects a tx that spends an already spent utxo", async () => {
+        const emulator = new Emulator()
+        emulator.createUtxo(new TxOutput(wallet, new Value(100_000_000n)))
+
+        const tx = await makeTx(emulator, (b) =>
+            b.pay(other, new Value(10_000_000n))
+        )
+
+        await emulator.submitTx(tx)
+        await rejects(emulator.submitTx(tx))
+    })
+
+    it("rejects an unsigned tx", async () => {
+        const emulator = new Emulator()
+        emulator.createUtxo(new TxOutput(wallet, new Value(100_000_000n)))
+
+        const tx = await makeTx(
+            emulator,
+            (b) => b.pay(other, new Value(10_000_000n)),
+            false
+        )
+
+        await rejects(emulator.submitTx(tx))
+        strictEqual(emulator.fees, 0n)
+    })
+
+    it("rejects a tx with a forged signature", async () => {
+        const emulator = new Emulator()
+        emulator.createUtxo(new TxOutput(wallet, new Value(100_000_000n)))
+
+        const tx = await makeTx(
+            emulator,
+            (b) => b.pay(other, new Value(10_000_000n)),
+            false
+        )
+
+        tx.witnesses.addSignature(
+            new Signature(
+                pubKey,
+                Ed25519.sign(tx.id().bytes, dummyBytes(32, 2))
+            )
+        )
+
+        await rejects(emulator.submitTx(tx))
+        strictEqual(emulator.fees, 0n)
+    })
+
+    describe("phase-2 validation", () => {
+        // succeeds if the redeemer is an integer
+        const validator = new UplcProgramV2(
+            new UplcLambda(
+                new UplcLambda(
+                    new UplcLambda(
+                        new UplcCall(
+                            new UplcBuiltin(45, "unIData"),
+                            new UplcVar(2)
+                        )
+                    )
+                )
+            )
+        )
+
+        /**
+         * Builds a tx that spends a script utxo with a redeemer that makes the script succeed, and optionally replaces the redeemer by one that makes the script fail.
+         * The script data hash is updated accordingly.
+         * @param {Emulator} emulator
+         * @param {boolean} fail
+         * @param {boolean} valid
+         * @returns {Promise<Tx>}
+         */
+        async function makeScriptTx(emulator, fail, valid) {
+            const scriptUtxo = emulator.createUtxo(
+                new TxOutput(
+                    makeAddressFromHashes(
+                        false,
+                        new ValidatorHash(validator.hash())
+                    ),
+                    new Value(10_000_000n),
+                    TxOutputDatum.Inline(new IntData(0))
+                )
+            )
+
+            const utxos = await emulator.getUtxos(wallet)
+
+            const tx = new TxBuilder({ isMainnet: false })
+                .spend(scriptUtxo, new IntData(0))
+                .spend(utxos)
+                .attachUplcProgram(validator)
+                .build({
+                    changeAddress: wallet,
+                    params: emulator.params,
+                    collateralUtxos: utxos
+                })
+
+            if (fail) {
+                const redeemers = tx.witnesses.redeemers
+                const { index, cost } = redeemers[0]
+
+                // same size, so the fee doesn't change
+                redeemers[0] = TxRedeemer.Spending(
+                    index,
+                    new ByteArrayData([]),
+                    cost
+                )
+
+                tx.body.scriptDataHash = calcScriptDataHash(
+                    emulator.params,
+                    tx.witnesses.datums,
+                    redeemers
+                )
+            }
+
+            const signed = sign(tx)
+
+            return valid
+                ? signed
+                : new Tx(
+                      signed.body,
+                      signed.witnesses,
+                      signed.isValid(),
+                      signed.metadata,
+                      false
+                  )
+        }
+
+        it("consumes the collateral of a tx that is marked as invalid", async () => {
+            const emulator = new Emulator()
+            const utxo = emulator.createUtxo(
+                new TxOutput(wallet, new Value(100_000_000n))
+            )
+
+            const tx = await makeScriptTx(emulator, true, false)
+            const collateralReturn = tx.body.collateralReturn
+
+            await emulator.submitTx(tx)
+
+            await rejects(emulator.getUtxo(utxo.id))
+
+            const utxos = await emulator.getUtxos(wallet)
+
+            strictEqual(utxos.length, 1)
+            strictEqual(
+                utxos[0].value.lovelace,
+                collateralReturn?.value.lovelace
+            )
+            strictEqual(
+                emulator.fees,
+                100_000_000n - (collateralReturn?.value.lovelace ?? 0n)
+            )
+        })
+
+        it("rejects a tx whose scripts fail unless it is marked as invalid", async () => {
+            const emulator = new Emulator()
+            emulator.createUtxo(new TxOutput(wallet, new Value(100_000_000n)))
+
+            await rejects(
+                emulator.submitTx(await makeScriptTx(emulator, true, true))
+            )
+            strictEqual(emulator.fees, 0n)
+        })
+
+        it("rejects a tx that is marked as invalid if its scripts succeed", async () => {
+            const emulator = new Emulator()
+            emulator.createUtxo(new TxOutput(wallet, new Value(100_000_000n)))
+
+            await rejects(
+                emulator.submitTx(await makeScriptTx(emulator, false, false))
+            )
+
+            await emulator.submitTx(await makeScriptTx(emulator, false, true))
+        })
+    })
+
+    it("rejects a tx outside its validity interval", async () => {
+        const emulator = new Emulator()
+        emulator.createUtxo(new TxOutput(wallet, new Value(100_000_000n)))
+
+        const tx = await makeTx(emulator, (b) =>
+            b.pay(other, new Value(10_000_000n)).validFromSlot(10)
+        )
+
+        await rejects(emulator.submitTx(tx))
+
+        emulator.tick(10)
+
+        await emulator.submitTx(tx)
+    })
+
+    it("tracks stake registrations, delegations and rewards", async () => {
+        const emulator = new Emulator()
+        emulator.createUtxo(new TxOutput(wallet, new Value(100_000_000n)))
+
+        throws(() => emulator.addRewards(stakingAddress, 1_000_000n))
+
+        await emulator.submitTx(
+            await makeTx(emulator, (b) =>
+                b
+                    .addDCert(DCert.Register(pubKey.toHash()))
+                    .addDCert(
+                        DCert.Delegate(pubKey.toHash(), PubKeyHash.dummy(3))
+                    )
+            )
+        )
+
+        strictEqual(emulator.isRegistered(stakingAddress), true)
+        strictEqual(
+            emulator.getDelegation(stakingAddress)?.toHex(),
+            PubKeyHash.dummy(3).toHex()
+        )
+        strictEqual(emulator.deposits, BigInt(emulator.params.stakeAddrDeposit))
+
+        emulator.addRewards(stakingAddress, 1_000_000n)
+
+        // only the full reward balance can be withdrawn
+        await rejects(
+            emulator.submitTx(
+                await makeTx(emulator, (b) =>
+                    b.withdraw(stakingAddress, 500_000n)
+                )
+            )
+        )
+
+        await emulator.submitTx(
+            await makeTx(emulator, (b) =>
+                b
+                    .withdraw(stakingAddress, 1_000_000n)
+                    .addDCert(DCert.Deregister(pubKey.toHash()))
+            )
+        )
+
+        strictEqual(emulator.isRegistered(stakingAddress), false)
+        strictEqual(emulator.deposits, 0n)
+    })
+})
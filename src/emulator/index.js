@@ -0,0 +1 @@
+export { Emulator } from "./Emulator.js"
@@ -0,0 +1,72 @@
+import {
+    decodeBytes,
+    decodeString,
+    decodeTuple,
+    encodeBytes,
+    encodeString,
+    encodeTuple
+} from "@helios-lang/cbor"
+import { bytesToHex, toBytes } from "@helios-lang/codec-utils"
+
+/**
+ * @typedef {import("@helios-lang/codec-utils").BytesLike} BytesLike
+ */
+
+/**
+ * Points to off-chain metadata (e.g. the rationale of a governance action), along with the blake2b-256 hash of that metadata
+ */
+export class Anchor {
+    /**
+     * @readonly
+     * @type {string}
+     */
+    url
+
+    /**
+     * @readonly
+     * @type {number[]}
+     */
+    hash
+
+    /**
+     * @param {string} url
+     * @param {BytesLike} hash
+     */
+    constructor(url, hash) {
+        this.url = url
+        this.hash = toBytes(hash)
+
+        if (this.hash.length != 32) {
+            throw new Error(
+                `expected 32 bytes for Anchor hash, got ${this.hash.length}`
+            )
+        }
+    }
+
+    /**
+     * @param {BytesLike} bytes
+     * @returns {Anchor}
+     */
+    static fromCbor(bytes) {
+        const [url, hash] = decodeTuple(bytes, [decodeString, decodeBytes])
+
+        return new Anchor(url, hash)
+    }
+
+    /**
+     * @returns {Object}
+     */
+    dump() {
+        return {
+            url: this.url,
+            hash: bytesToHex(this.hash)
+        }
+    }
+
+    /**
+     * @returns {number[]}
+     */
+    toCbor() {
+        return encodeTuple([encodeString(this.url), encodeBytes(this.hash)])
+    }
+}
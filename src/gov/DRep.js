@@ -0,0 +1,195 @@
+import {
+    decodeBytes,
+    decodeTagged,
+    encodeInt,
+    encodeTuple
+} from "@helios-lang/cbor"
+import { makeByteStream } from "@helios-lang/codec-utils"
+import { ByteArrayData, ConstrData } from "@helios-lang/uplc"
+import { PubKeyHash, ScriptHash } from "../hashes/index.js"
+
+/**
+ * @typedef {import("@helios-lang/codec-utils").BytesLike} BytesLike
+ */
+
+/**
+ * @typedef {"PubKey" | "Script" | "AlwaysAbstain" | "AlwaysNoConfidence"} DRepKind
+ */
+
+/**
+ * @template {DRepKind} T
+ * @typedef {T extends "PubKey" ? {
+ *   hash: PubKeyHash
+ * } : T extends "Script" ? {
+ *   hash: ScriptHash
+ * } : {}} DRepProps
+ */
+
+/**
+ * Delegated representative to which the voting power of a stake credential can be delegated
+ * @template {DRepKind} [T=DRepKind]
+ */
+export class DRep {
+    /**
+     * @readonly
+     * @type {T}
+     */
+    kind
+
+    /**
+     * @private
+     * @readonly
+     * @type {DRepProps<T>}
+     */
+    props
+
+    /**
+     * @private
+     * @param {T} kind
+     * @param {DRepProps<T>} props
+     */
+    constructor(kind, props) {
+        this.kind = kind
+        this.props = props
+    }
+
+    /**
+     * @param {PubKeyHash} hash
+     * @returns {DRep<"PubKey">}
+     */
+    static PubKey(hash) {
+        return new DRep("PubKey", { hash })
+    }
+
+    /**
+     * @param {ScriptHash} hash
+     * @returns {DRep<"Script">}
+     */
+    static Script(hash) {
+        return new DRep("Script", { hash })
+    }
+
+    /**
+     * @returns {DRep<"AlwaysAbstain">}
+     */
+    static AlwaysAbstain() {
+        return new DRep("AlwaysAbstain", {})
+    }
+
+    /**
+     * @returns {DRep<"AlwaysNoConfidence">}
+     */
+    static AlwaysNoConfidence() {
+        return new DRep("AlwaysNoConfidence", {})
+    }
+
+    /**
+     * @param {BytesLike} bytes
+     * @returns {DRep}
+     */
+    static fromCbor(bytes) {
+        const stream = makeByteStream({ bytes })
+
+        const [tag, decodeItem] = decodeTagged(stream)
+
+        switch (tag) {
+            case 0:
+                return DRep.PubKey(decodeItem(PubKeyHash))
+            case 1:
+                return DRep.Script(new ScriptHash(decodeItem(decodeBytes)))
+            case 2:
+                return DRep.AlwaysAbstain()
+            case 3:
+                return DRep.AlwaysNoConfidence()
+            default:
+                throw new Error(`unhandled DRep type (tag: ${tag})`)
+        }
+    }
+
+    /**
+     * @type {T extends "PubKey" ? PubKeyHash : T extends "Script" ? ScriptHash : T extends DRepKind ? (PubKeyHash | ScriptHash | undefined) : never}
+     */
+    get hash() {
+        return /** @type {any} */ (
+            this.isPubKey() || this.isScript() ? this.props.hash : undefined
+        )
+    }
+
+    /**
+     * @type {number}
+     */
+    get tag() {
+        return this.isPubKey()
+            ? 0
+            : this.isScript()
+              ? 1
+              : this.isAlwaysAbstain()
+                ? 2
+                : 3
+    }
+
+    /**
+     * @returns {Object}
+     */
+    dump() {
+        return {
+            drepType: this.kind,
+            hash: this.hash?.toHex() ?? null
+        }
+    }
+
+    /**
+     * @returns {this is DRep<"PubKey">}
+     */
+    isPubKey() {
+        return this.kind == "PubKey"
+    }
+
+    /**
+     * @returns {this is DRep<"Script">}
+     */
+    isScript() {
+        return this.kind == "Script"
+    }
+
+    /**
+     * @returns {this is DRep<"AlwaysAbstain">}
+     */
+    isAlwaysAbstain() {
+        return this.kind == "AlwaysAbstain"
+    }
+
+    /**
+     * @returns {this is DRep<"AlwaysNoConfidence">}
+     */
+    isAlwaysNoConfidence() {
+        return this.kind == "AlwaysNoConfidence"
+    }
+
+    /**
+     * @returns {number[]}
+     */
+    toCbor() {
+        if (this.isPubKey() || this.isScript()) {
+            return encodeTuple([encodeInt(this.tag), this.props.hash.toCbor()])
+        } else {
+            return encodeTuple([encodeInt(this.tag)])
+        }
+    }
+
+    /**
+     * PlutusV3 representation
+     * @returns {ConstrData}
+     */
+    toUplcData() {
+        if (this.isPubKey() || this.isScript()) {
+            return new ConstrData(0, [
+                new ConstrData(this.isPubKey() ? 0 : 1, [
+                    new ByteArrayData(this.props.hash.bytes)
+                ])
+            ])
+        } else {
+            return new ConstrData(this.isAlwaysAbstain() ? 1 : 2, [])
+        }
+    }
+}
@@ -0,0 +1,546 @@
+import {
+    decodeBytes,
+    decodeInt,
+    decodeMap,
+    decodeNullOption,
+    decodeTag,
+    decodeTagged,
+    decodeTuple,
+    encodeDefList,
+    encodeInt,
+    encodeMap,
+    encodeNullOption,
+    encodeTag,
+    encodeTuple
+} from "@helios-lang/cbor"
+import { bytesToHex, makeByteStream } from "@helios-lang/codec-utils"
+import {
+    ByteArrayData,
+    ConstrData,
+    IntData,
+    ListData,
+    MapData,
+    decodeUplcData,
+    encodeOptionData
+} from "@helios-lang/uplc"
+import { ScriptHash, StakingHash } from "../hashes/index.js"
+import { decodeRawItem } from "../tx/raw.js"
+import { decodeSet } from "../tx/sets.js"
+import { StakingAddress } from "../tx/StakingAddress.js"
+import { StakingCredential } from "../tx/StakingCredential.js"
+import { Anchor } from "./Anchor.js"
+import { GovActionId } from "./GovActionId.js"
+
+/**
+ * @typedef {import("@helios-lang/codec-utils").BytesLike} BytesLike
+ * @typedef {import("@helios-lang/codec-utils").ByteStream} ByteStream
+ */
+
+/**
+ * @typedef {"ParameterChange" | "HardForkInitiation" | "TreasuryWithdrawals" | "NoConfidence" | "UpdateCommittee" | "NewConstitution" | "Info"} GovActionKind
+ */
+
+/**
+ * The protocol parameter update of a `ParameterChange` action is kept as raw CBOR bytes.
+ *
+ * Committee members are identified by their cold credentials, which use the same encoding as staking credentials.
+ * @template {GovActionKind} T
+ * @typedef {T extends "ParameterChange" ? {
+ *   prevId?: GovActionId
+ *   update: number[]
+ *   policyHash?: ScriptHash
+ * } : T extends "HardForkInitiation" ? {
+ *   prevId?: GovActionId
+ *   version: [number, number]
+ * } : T extends "TreasuryWithdrawals" ? {
+ *   withdrawals: [StakingAddress, bigint][]
+ *   policyHash?: ScriptHash
+ * } : T extends "NoConfidence" ? {
+ *   prevId?: GovActionId
+ * } : T extends "UpdateCommittee" ? {
+ *   prevId?: GovActionId
+ *   removed: StakingCredential[]
+ *   added: [StakingCredential, number][]
+ *   threshold: [bigint, bigint]
+ * } : T extends "NewConstitution" ? {
+ *   prevId?: GovActionId
+ *   anchor: Anchor
+ *   policyHash?: ScriptHash
+ * } : {}} GovActionProps
+ */
+
+/**
+ * CBOR tag of rational numbers
+ */
+const UNIT_INTERVAL_TAG = 30n
+
+/**
+ * The order of the kinds in the CBOR encoding
+ * @type {GovActionKind[]}
+ */
+const KINDS = [
+    "ParameterChange",
+    "HardForkInitiation",
+    "TreasuryWithdrawals",
+    "NoConfidence",
+    "UpdateCommittee",
+    "NewConstitution",
+    "Info"
+]
+
+/**
+ * @template {GovActionKind} [T=GovActionKind]
+ */
+export class GovAction {
+    /**
+     * @readonly
+     * @type {T}
+     */
+    kind
+
+    /**
+     * @private
+     * @readonly
+     * @type {GovActionProps<T>}
+     */
+    props
+
+    /**
+     * @private
+     * @param {T} kind
+     * @param {GovActionProps<T>} props
+     */
+    constructor(kind, props) {
+        this.kind = kind
+        this.props = props
+    }
+
+    /**
+     * @param {GovActionProps<"ParameterChange">} props
+     * @returns {GovAction<"ParameterChange">}
+     */
+    static ParameterChange(props) {
+        return new GovAction("ParameterChange", props)
+    }
+
+    /**
+     * @param {GovActionProps<"HardForkInitiation">} props
+     * @returns {GovAction<"HardForkInitiation">}
+     */
+    static HardForkInitiation(props) {
+        return new GovAction("HardForkInitiation", props)
+    }
+
+    /**
+     * @param {GovActionProps<"TreasuryWithdrawals">} props
+     * @returns {GovAction<"TreasuryWithdrawals">}
+     */
+    static TreasuryWithdrawals(props) {
+        return new GovAction("TreasuryWithdrawals", props)
+    }
+
+    /**
+     * @param {GovActionProps<"NoConfidence">} props
+     * @returns {GovAction<"NoConfidence">}
+     */
+    static NoConfidence(props = {}) {
+        return new GovAction("NoConfidence", props)
+    }
+
+    /**
+     * @param {GovActionProps<"UpdateCommittee">} props
+     * @returns {GovAction<"UpdateCommittee">}
+     */
+    static UpdateCommittee(props) {
+        return new GovAction("UpdateCommittee", props)
+    }
+
+    /**
+     * @param {GovActionProps<"NewConstitution">} props
+     * @returns {GovAction<"NewConstitution">}
+     */
+    static NewConstitution(props) {
+        return new GovAction("NewConstitution", props)
+    }
+
+    /**
+     * @returns {GovAction<"Info">}
+     */
+    static Info() {
+        return new GovAction("Info", {})
+    }
+
+    /**
+     * @param {BytesLike} bytes
+     * @returns {GovAction}
+     */
+    static fromCbor(bytes) {
+        const stream = makeByteStream({ bytes })
+
+        const [tag, decodeItem] = decodeTagged(stream)
+
+        /**
+         * @returns {GovActionId | undefined}
+         */
+        const decodePrevId = () =>
+            decodeItem((s) => decodeNullOption(s, GovActionId)) ?? undefined
+
+        /**
+         * @returns {ScriptHash | undefined}
+         */
+        const decodePolicyHash = () =>
+            decodeItem((s) =>
+                decodeNullOption(s, (s) => new ScriptHash(decodeBytes(s)))
+            ) ?? undefined
+
+        switch (tag) {
+            case 0:
+                return GovAction.ParameterChange({
+                    prevId: decodePrevId(),
+                    update: decodeItem(decodeRawItem),
+                    policyHash: decodePolicyHash()
+                })
+            case 1: {
+                const prevId = decodePrevId()
+                const [major, minor] = decodeItem((s) =>
+                    decodeTuple(s, [decodeInt, decodeInt])
+                )
+
+                return GovAction.HardForkInitiation({
+                    prevId,
+                    version: [Number(major), Number(minor)]
+                })
+            }
+            case 2:
+                return GovAction.TreasuryWithdrawals({
+                    withdrawals: decodeItem((s) =>
+                        decodeMap(s, StakingAddress, decodeInt)
+                    ),
+                    policyHash: decodePolicyHash()
+                })
+            case 3:
+                return GovAction.NoConfidence({ prevId: decodePrevId() })
+            case 4: {
+                const prevId = decodePrevId()
+                const removed = decodeItem((s) =>
+                    decodeSet(s, decodeCredential)
+                )
+                const added = decodeItem((s) =>
+                    decodeMap(s, decodeCredential, decodeInt)
+                )
+                const threshold = decodeItem(decodeUnitInterval)
+
+                return GovAction.UpdateCommittee({
+                    prevId,
+                    removed,
+                    added: added.map(([cred, epoch]) => [cred, Number(epoch)]),
+                    threshold
+                })
+            }
+            case 5: {
+                const prevId = decodePrevId()
+                const [anchor, policyHash] = decodeItem((s) =>
+                    decodeTuple(s, [
+                        Anchor,
+                        (s) =>
+                            decodeNullOption(
+                                s,
+                                (s) => new ScriptHash(decodeBytes(s))
+                            )
+                    ])
+                )
+
+                return GovAction.NewConstitution({
+                    prevId,
+                    anchor,
+                    policyHash: policyHash ?? undefined
+                })
+            }
+            case 6:
+                return GovAction.Info()
+            default:
+                throw new Error(`unhandled GovAction type (tag: ${tag})`)
+        }
+    }
+
+    /**
+     * The guardrail script that must approve `ParameterChange` and `TreasuryWithdrawals` actions
+     * @type {ScriptHash | undefined}
+     */
+    get policyHash() {
+        return "policyHash" in this.props ? this.props.policyHash : undefined
+    }
+
+    /**
+     * @type {number}
+     */
+    get tag() {
+        return KINDS.indexOf(this.kind)
+    }
+
+    /**
+     * @returns {Object}
+     */
+    dump() {
+        if (this.isParameterChange()) {
+            return {
+                govActionType: this.kind,
+                prevId: this.props.prevId?.dump() ?? null,
+                update: bytesToHex(this.props.update),
+                policyHash: this.props.policyHash?.toHex() ?? null
+            }
+        } else if (this.isHardForkInitiation()) {
+            return {
+                govActionType: this.kind,
+                prevId: this.props.prevId?.dump() ?? null,
+                version: this.props.version
+            }
+        } else if (this.isTreasuryWithdrawals()) {
+            return {
+                govActionType: this.kind,
+                withdrawals: this.props.withdrawals.map(([sa, q]) => ({
+                    address: sa.toBech32(),
+                    lovelace: q.toString()
+                })),
+                policyHash: this.props.policyHash?.toHex() ?? null
+            }
+        } else if (this.isNoConfidence()) {
+            return {
+                govActionType: this.kind,
+                prevId: this.props.prevId?.dump() ?? null
+            }
+        } else if (this.isUpdateCommittee()) {
+            return {
+                govActionType: this.kind,
+                prevId: this.props.prevId?.dump() ?? null,
+                removed: this.props.removed.map((cred) =>
+                    bytesToHex(cred.bytes)
+                ),
+                added: this.props.added.map(([cred, epoch]) => ({
+                    credential: bytesToHex(cred.bytes),
+                    epoch
+                })),
+                threshold: this.props.threshold.map((x) => x.toString())
+            }
+        } else if (this.isNewConstitution()) {
+            return {
+                govActionType: this.kind,
+                prevId: this.props.prevId?.dump() ?? null,
+                anchor: this.props.anchor.dump(),
+                policyHash: this.props.policyHash?.toHex() ?? null
+            }
+        } else {
+            return {
+                govActionType: this.kind
+            }
+        }
+    }
+
+    /**
+     * @returns {this is GovAction<"ParameterChange">}
+     */
+    isParameterChange() {
+        return this.kind == "ParameterChange"
+    }
+
+    /**
+     * @returns {this is GovAction<"HardForkInitiation">}
+     */
+    isHardForkInitiation() {
+        return this.kind == "HardForkInitiation"
+    }
+
+    /**
+     * @returns {this is GovAction<"TreasuryWithdrawals">}
+     */
+    isTreasuryWithdrawals() {
+        return this.kind == "TreasuryWithdrawals"
+    }
+
+    /**
+     * @returns {this is GovAction<"NoConfidence">}
+     */
+    isNoConfidence() {
+        return this.kind == "NoConfidence"
+    }
+
+    /**
+     * @returns {this is GovAction<"UpdateCommittee">}
+     */
+    isUpdateCommittee() {
+        return this.kind == "UpdateCommittee"
+    }
+
+    /**
+     * @returns {this is GovAction<"NewConstitution">}
+     */
+    isNewConstitution() {
+        return this.kind == "NewConstitution"
+    }
+
+    /**
+     * @returns {this is GovAction<"Info">}
+     */
+    isInfo() {
+        return this.kind == "Info"
+    }
+
+    /**
+     * @returns {number[]}
+     */
+    toCbor() {
+        const tag = encodeInt(this.tag)
+
+        if (this.isParameterChange()) {
+            return encodeTuple([
+                tag,
+                encodeNullOption(this.props.prevId),
+                this.props.update,
+                encodeNullOption(this.props.policyHash)
+            ])
+        } else if (this.isHardForkInitiation()) {
+            return encodeTuple([
+                tag,
+                encodeNullOption(this.props.prevId),
+                encodeTuple(this.props.version.map((v) => encodeInt(v)))
+            ])
+        } else if (this.isTreasuryWithdrawals()) {
+            return encodeTuple([
+                tag,
+                encodeMap(
+                    this.props.withdrawals.map(([sa, q]) => [
+                        sa.toCbor(),
+                        encodeInt(q)
+                    ])
+                ),
+                encodeNullOption(this.props.policyHash)
+            ])
+        } else if (this.isNoConfidence()) {
+            return encodeTuple([tag, encodeNullOption(this.props.prevId)])
+        } else if (this.isUpdateCommittee()) {
+            return encodeTuple([
+                tag,
+                encodeNullOption(this.props.prevId),
+                encodeDefList(this.props.removed),
+                encodeMap(
+                    this.props.added.map(([cred, epoch]) => [
+                        cred.toCbor(),
+                        encodeInt(epoch)
+                    ])
+                ),
+                encodeTag(UNIT_INTERVAL_TAG).concat(
+                    encodeTuple(this.props.threshold.map((x) => encodeInt(x)))
+                )
+            ])
+        } else if (this.isNewConstitution()) {
+            return encodeTuple([
+                tag,
+                encodeNullOption(this.props.prevId),
+                encodeTuple([
+                    this.props.anchor.toCbor(),
+                    encodeNullOption(this.props.policyHash)
+                ])
+            ])
+        } else {
+            return encodeTuple([tag])
+        }
+    }
+
+    /**
+     * PlutusV3 representation.
+     * Throws an error for a `ParameterChange` action if the parameter update contains values that can't be represented as UplcData (e.g. rationals)
+     * @returns {ConstrData}
+     */
+    toUplcData() {
+        /**
+         * @param {GovActionId | undefined} id
+         * @returns {ConstrData}
+         */
+        const encodePrevId = (id) => encodeOptionData(id?.toUplcData())
+
+        /**
+         * @param {ScriptHash | undefined} hash
+         * @returns {ConstrData}
+         */
+        const encodePolicyHash = (hash) =>
+            encodeOptionData(hash ? new ByteArrayData(hash.bytes) : undefined)
+
+        if (this.isParameterChange()) {
+            return new ConstrData(this.tag, [
+                encodePrevId(this.props.prevId),
+                decodeUplcData(this.props.update),
+                encodePolicyHash(this.props.policyHash)
+            ])
+        } else if (this.isHardForkInitiation()) {
+            return new ConstrData(this.tag, [
+                encodePrevId(this.props.prevId),
+                new ConstrData(
+                    0,
+                    this.props.version.map((v) => new IntData(v))
+                )
+            ])
+        } else if (this.isTreasuryWithdrawals()) {
+            return new ConstrData(this.tag, [
+                new MapData(
+                    this.props.withdrawals.map(([sa, q]) => [
+                        sa.stakingHash.toUplcData(),
+                        new IntData(q)
+                    ])
+                ),
+                encodePolicyHash(this.props.policyHash)
+            ])
+        } else if (this.isNoConfidence()) {
+            return new ConstrData(this.tag, [encodePrevId(this.props.prevId)])
+        } else if (this.isUpdateCommittee()) {
+            return new ConstrData(this.tag, [
+                encodePrevId(this.props.prevId),
+                new ListData(
+                    this.props.removed.map((cred) => cred.hash.toUplcData())
+                ),
+                new MapData(
+                    this.props.added.map(([cred, epoch]) => [
+                        cred.hash.toUplcData(),
+                        new IntData(epoch)
+                    ])
+                ),
+                new ConstrData(
+                    0,
+                    this.props.threshold.map((x) => new IntData(x))
+                )
+            ])
+        } else if (this.isNewConstitution()) {
+            return new ConstrData(this.tag, [
+                encodePrevId(this.props.prevId),
+                new ConstrData(0, [encodePolicyHash(this.props.policyHash)])
+            ])
+        } else {
+            return new ConstrData(this.tag, [])
+        }
+    }
+}
+
+/**
+ * @param {BytesLike} bytes
+ * @returns {StakingCredential}
+ */
+function decodeCredential(bytes) {
+    return new StakingCredential(StakingHash.fromCbor(bytes))
+}
+
+/**
+ * @param {BytesLike} bytes
+ * @returns {[bigint, bigint]}
+ */
+function decodeUnitInterval(bytes) {
+    const stream = makeByteStream({ bytes })
+
+    const tag = decodeTag(stream)
+
+    if (tag != UNIT_INTERVAL_TAG) {
+        throw new Error(
+            `expected unit interval tag ${UNIT_INTERVAL_TAG}, got ${tag}`
+        )
+    }
+
+    return decodeTuple(stream, [decodeInt, decodeInt])
+}
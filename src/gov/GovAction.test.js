@@ -0,0 +1,80 @@
+import { deepEqual, strictEqual } from "node:assert"
+import { describe, it } from "node:test"
+import { bytesToHex, hexToBytes } from "@helios-lang/codec-utils"
+import { ScriptHash } from "../hashes/index.js"
+import { StakingAddress } from "../tx/StakingAddress.js"
+import { StakingCredential } from "../tx/StakingCredential.js"
+import { TxId } from "../tx/TxId.js"
+import { Anchor } from "./Anchor.js"
+import { GovAction } from "./GovAction.js"
+import { GovActionId } from "./GovActionId.js"
+
+const prevId = new GovActionId(TxId.dummy(0), 1)
+const anchor = new Anchor(
+    "https://example.com/proposal.json",
+    new Array(32).fill(1)
+)
+
+/**
+ * @param {GovAction} action
+ */
+function checkRoundTrip(action) {
+    const bytes = action.toCbor()
+    const decoded = GovAction.fromCbor(bytes)
+
+    strictEqual(decoded.kind, action.kind)
+    strictEqual(bytesToHex(decoded.toCbor()), bytesToHex(bytes))
+}
+
+describe(GovAction.name, () => {
+    it("round-trips every kind of governance action", () => {
+        checkRoundTrip(
+            GovAction.ParameterChange({
+                prevId,
+                update: hexToBytes("a1181c1a00061a80"), // {28: 400000}
+                policyHash: ScriptHash.dummy(2)
+            })
+        )
+        checkRoundTrip(GovAction.HardForkInitiation({ version: [10, 0] }))
+        checkRoundTrip(
+            GovAction.TreasuryWithdrawals({
+                withdrawals: [[StakingAddress.dummy(false, 3), 1_000_000n]]
+            })
+        )
+        checkRoundTrip(GovAction.NoConfidence({ prevId }))
+        checkRoundTrip(
+            GovAction.UpdateCommittee({
+                prevId,
+                removed: [StakingCredential.dummy(4)],
+                added: [[StakingCredential.dummy(5), 600]],
+                threshold: [2n, 3n]
+            })
+        )
+        checkRoundTrip(GovAction.NewConstitution({ anchor }))
+        checkRoundTrip(GovAction.Info())
+    })
+
+    it("keeps the raw bytes of a parameter update", () => {
+        const update = hexToBytes("a2181c1a00061a8019010a9f0102ff") // {28: 400000, 266: [_ 1, 2]}
+
+        const action = GovAction.fromCbor(
+            GovAction.ParameterChange({ update }).toCbor()
+        )
+
+        strictEqual(action.isParameterChange(), true)
+        strictEqual(action.dump().update, bytesToHex(update))
+    })
+
+    it("decodes a tagged set of removed committee members", () => {
+        const cred = StakingCredential.dummy(4)
+
+        const bytes = hexToBytes(
+            `8504f6d9010281${bytesToHex(cred.toCbor())}a0d81e820102`
+        )
+
+        const action = GovAction.fromCbor(bytes)
+
+        strictEqual(action.isUpdateCommittee(), true)
+        deepEqual(action.dump().removed, [bytesToHex(cred.bytes)])
+    })
+})
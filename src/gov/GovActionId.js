@@ -0,0 +1,91 @@
+import {
+    decodeInt,
+    decodeTuple,
+    encodeInt,
+    encodeTuple
+} from "@helios-lang/cbor"
+import { ByteArrayData, ConstrData, IntData } from "@helios-lang/uplc"
+import { TxId } from "../tx/TxId.js"
+
+/**
+ * @typedef {import("@helios-lang/codec-utils").BytesLike} BytesLike
+ */
+
+/**
+ * Identifies a governance action by the tx that proposed it and the index of the proposal procedure in that tx
+ */
+export class GovActionId {
+    /**
+     * @readonly
+     * @type {TxId}
+     */
+    txId
+
+    /**
+     * @readonly
+     * @type {number}
+     */
+    index
+
+    /**
+     * @param {TxId} txId
+     * @param {number} index
+     */
+    constructor(txId, index) {
+        this.txId = txId
+        this.index = index
+    }
+
+    /**
+     * @param {BytesLike} bytes
+     * @returns {GovActionId}
+     */
+    static fromCbor(bytes) {
+        const [txId, index] = decodeTuple(bytes, [TxId, decodeInt])
+
+        return new GovActionId(txId, Number(index))
+    }
+
+    /**
+     * @returns {Object}
+     */
+    dump() {
+        return {
+            txId: this.txId.toHex(),
+            index: this.index
+        }
+    }
+
+    /**
+     * @param {GovActionId} other
+     * @returns {boolean}
+     */
+    isEqual(other) {
+        return this.txId.isEqual(other.txId) && this.index == other.index
+    }
+
+    /**
+     * @returns {number[]}
+     */
+    toCbor() {
+        return encodeTuple([this.txId.toCbor(), encodeInt(this.index)])
+    }
+
+    /**
+     * PlutusV3 representation, the tx id isn't wrapped in a ConstrData
+     * @returns {ConstrData}
+     */
+    toUplcData() {
+        return new ConstrData(0, [
+            new ByteArrayData(this.txId.bytes),
+            new IntData(this.index)
+        ])
+    }
+
+    /**
+     * @returns {string}
+     */
+    toString() {
+        return `${this.txId.toHex()}#${this.index}`
+    }
+}
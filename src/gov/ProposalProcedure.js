@@ -0,0 +1,114 @@
+import {
+    decodeInt,
+    decodeTuple,
+    encodeInt,
+    encodeTuple
+} from "@helios-lang/cbor"
+import { ConstrData, IntData } from "@helios-lang/uplc"
+import { StakingAddress } from "../tx/StakingAddress.js"
+import { Anchor } from "./Anchor.js"
+import { GovAction } from "./GovAction.js"
+
+/**
+ * @typedef {import("@helios-lang/codec-utils").BytesLike} BytesLike
+ */
+
+/**
+ * Submits a governance action. The deposit is returned to the reward account once the action is enacted or expires.
+ */
+export class ProposalProcedure {
+    /**
+     * @readonly
+     * @type {bigint}
+     */
+    deposit
+
+    /**
+     * @readonly
+     * @type {StakingAddress}
+     */
+    rewardAccount
+
+    /**
+     * @readonly
+     * @type {GovAction}
+     */
+    action
+
+    /**
+     * @readonly
+     * @type {Anchor}
+     */
+    anchor
+
+    /**
+     * @param {{
+     *   deposit: bigint
+     *   rewardAccount: StakingAddress
+     *   action: GovAction
+     *   anchor: Anchor
+     * }} props
+     */
+    constructor({ deposit, rewardAccount, action, anchor }) {
+        this.deposit = deposit
+        this.rewardAccount = rewardAccount
+        this.action = action
+        this.anchor = anchor
+    }
+
+    /**
+     * @param {BytesLike} bytes
+     * @returns {ProposalProcedure}
+     */
+    static fromCbor(bytes) {
+        const [deposit, rewardAccount, action, anchor] = decodeTuple(bytes, [
+            decodeInt,
+            StakingAddress,
+            GovAction,
+            Anchor
+        ])
+
+        return new ProposalProcedure({
+            deposit,
+            rewardAccount,
+            action,
+            anchor
+        })
+    }
+
+    /**
+     * @returns {Object}
+     */
+    dump() {
+        return {
+            deposit: this.deposit.toString(),
+            rewardAccount: this.rewardAccount.toBech32(),
+            action: this.action.dump(),
+            anchor: this.anchor.dump()
+        }
+    }
+
+    /**
+     * @returns {number[]}
+     */
+    toCbor() {
+        return encodeTuple([
+            encodeInt(this.deposit),
+            this.rewardAccount.toCbor(),
+            this.action.toCbor(),
+            this.anchor.toCbor()
+        ])
+    }
+
+    /**
+     * PlutusV3 representation, the anchor isn't included
+     * @returns {ConstrData}
+     */
+    toUplcData() {
+        return new ConstrData(0, [
+            new IntData(this.deposit),
+            this.rewardAccount.stakingHash.toUplcData(),
+            this.action.toUplcData()
+        ])
+    }
+}
@@ -0,0 +1,227 @@
+import {
+    decodeBytes,
+    decodeTagged,
+    encodeInt,
+    encodeTuple
+} from "@helios-lang/cbor"
+import { equalsBytes, makeByteStream } from "@helios-lang/codec-utils"
+import { ByteArrayData, ConstrData } from "@helios-lang/uplc"
+import { PubKeyHash, ScriptHash } from "../hashes/index.js"
+
+/**
+ * @typedef {import("@helios-lang/codec-utils").BytesLike} BytesLike
+ */
+
+/**
+ * @typedef {"CommitteeHotKey" | "CommitteeHotScript" | "DRepKey" | "DRepScript" | "StakePool"} VoterKind
+ */
+
+/**
+ * @template {VoterKind} T
+ * @typedef {T extends "CommitteeHotScript" | "DRepScript" ? {
+ *   hash: ScriptHash
+ * } : {
+ *   hash: PubKeyHash
+ * }} VoterProps
+ */
+
+/**
+ * A constitutional committee member, a DRep or a stake pool operator, casting votes in the voting procedures of a tx
+ * @template {VoterKind} [T=VoterKind]
+ */
+export class Voter {
+    /**
+     * @readonly
+     * @type {T}
+     */
+    kind
+
+    /**
+     * @private
+     * @readonly
+     * @type {VoterProps<T>}
+     */
+    props
+
+    /**
+     * @private
+     * @param {T} kind
+     * @param {VoterProps<T>} props
+     */
+    constructor(kind, props) {
+        this.kind = kind
+        this.props = props
+    }
+
+    /**
+     * @param {PubKeyHash} hash
+     * @returns {Voter<"CommitteeHotKey">}
+     */
+    static CommitteeHotKey(hash) {
+        return new Voter("CommitteeHotKey", { hash })
+    }
+
+    /**
+     * @param {ScriptHash} hash
+     * @returns {Voter<"CommitteeHotScript">}
+     */
+    static CommitteeHotScript(hash) {
+        return new Voter("CommitteeHotScript", { hash })
+    }
+
+    /**
+     * @param {PubKeyHash} hash
+     * @returns {Voter<"DRepKey">}
+     */
+    static DRepKey(hash) {
+        return new Voter("DRepKey", { hash })
+    }
+
+    /**
+     * @param {ScriptHash} hash
+     * @returns {Voter<"DRepScript">}
+     */
+    static DRepScript(hash) {
+        return new Voter("DRepScript", { hash })
+    }
+
+    /**
+     * @param {PubKeyHash} poolId
+     * @returns {Voter<"StakePool">}
+     */
+    static StakePool(poolId) {
+        return new Voter("StakePool", { hash: poolId })
+    }
+
+    /**
+     * @param {BytesLike} bytes
+     * @returns {Voter}
+     */
+    static fromCbor(bytes) {
+        const stream = makeByteStream({ bytes })
+
+        const [tag, decodeItem] = decodeTagged(stream)
+
+        switch (tag) {
+            case 0:
+                return Voter.CommitteeHotKey(decodeItem(PubKeyHash))
+            case 1:
+                return Voter.CommitteeHotScript(
+                    new ScriptHash(decodeItem(decodeBytes))
+                )
+            case 2:
+                return Voter.DRepKey(decodeItem(PubKeyHash))
+            case 3:
+                return Voter.DRepScript(new ScriptHash(decodeItem(decodeBytes)))
+            case 4:
+                return Voter.StakePool(decodeItem(PubKeyHash))
+            default:
+                throw new Error(`unhandled Voter type (tag: ${tag})`)
+        }
+    }
+
+    /**
+     * @type {VoterProps<T>["hash"]}
+     */
+    get hash() {
+        return this.props.hash
+    }
+
+    /**
+     * @type {number}
+     */
+    get tag() {
+        return this.isCommitteeHotKey()
+            ? 0
+            : this.isCommitteeHotScript()
+              ? 1
+              : this.isDRepKey()
+                ? 2
+                : this.isDRepScript()
+                  ? 3
+                  : 4
+    }
+
+    /**
+     * @returns {Object}
+     */
+    dump() {
+        return {
+            voterType: this.kind,
+            hash: this.hash.toHex()
+        }
+    }
+
+    /**
+     * @param {Voter} other
+     * @returns {boolean}
+     */
+    isEqual(other) {
+        return (
+            this.kind == other.kind &&
+            equalsBytes(this.hash.bytes, other.hash.bytes)
+        )
+    }
+
+    /**
+     * @returns {this is Voter<"CommitteeHotKey">}
+     */
+    isCommitteeHotKey() {
+        return this.kind == "CommitteeHotKey"
+    }
+
+    /**
+     * @returns {this is Voter<"CommitteeHotScript">}
+     */
+    isCommitteeHotScript() {
+        return this.kind == "CommitteeHotScript"
+    }
+
+    /**
+     * @returns {this is Voter<"DRepKey">}
+     */
+    isDRepKey() {
+        return this.kind == "DRepKey"
+    }
+
+    /**
+     * @returns {this is Voter<"DRepScript">}
+     */
+    isDRepScript() {
+        return this.kind == "DRepScript"
+    }
+
+    /**
+     * @returns {this is Voter<"StakePool">}
+     */
+    isStakePool() {
+        return this.kind == "StakePool"
+    }
+
+    /**
+     * @returns {number[]}
+     */
+    toCbor() {
+        return encodeTuple([encodeInt(this.tag), this.hash.toCbor()])
+    }
+
+    /**
+     * PlutusV3 representation
+     * @returns {ConstrData}
+     */
+    toUplcData() {
+        const hash = new ByteArrayData(this.hash.bytes)
+
+        if (this.isStakePool()) {
+            return new ConstrData(2, [hash])
+        } else {
+            const isScript = this.isCommitteeHotScript() || this.isDRepScript()
+            const credential = new ConstrData(isScript ? 1 : 0, [hash])
+
+            return new ConstrData(
+                this.isDRepKey() || this.isDRepScript() ? 1 : 0,
+                [credential]
+            )
+        }
+    }
+}
@@ -0,0 +1,178 @@
+import {
+    decodeInt,
+    decodeMap,
+    decodeNullOption,
+    decodeTuple,
+    encodeInt,
+    encodeMap,
+    encodeNullOption,
+    encodeTuple
+} from "@helios-lang/cbor"
+import { ConstrData, MapData } from "@helios-lang/uplc"
+import { Anchor } from "./Anchor.js"
+import { GovActionId } from "./GovActionId.js"
+import { Voter } from "./Voter.js"
+
+/**
+ * @typedef {import("@helios-lang/codec-utils").BytesLike} BytesLike
+ */
+
+/**
+ * @typedef {"No" | "Yes" | "Abstain"} Vote
+ */
+
+/**
+ * @typedef {{
+ *   vote: Vote
+ *   anchor?: Anchor
+ * }} VotingProcedure
+ */
+
+/**
+ * The order of the votes in the CBOR encoding
+ * @type {Vote[]}
+ */
+const VOTES = ["No", "Yes", "Abstain"]
+
+/**
+ * The votes cast in a tx, grouped by voter
+ */
+export class VotingProcedures {
+    /**
+     * @readonly
+     * @type {[Voter, [GovActionId, VotingProcedure][]][]}
+     */
+    votes
+
+    /**
+     * @param {[Voter, [GovActionId, VotingProcedure][]][]} votes
+     */
+    constructor(votes = []) {
+        this.votes = votes
+    }
+
+    /**
+     * @param {BytesLike} bytes
+     * @returns {VotingProcedures}
+     */
+    static fromCbor(bytes) {
+        return new VotingProcedures(
+            decodeMap(bytes, Voter, (s) =>
+                decodeMap(s, GovActionId, decodeVotingProcedure)
+            )
+        )
+    }
+
+    /**
+     * @type {boolean}
+     */
+    get isEmpty() {
+        return this.votes.length == 0
+    }
+
+    /**
+     * @type {Voter[]}
+     */
+    get voters() {
+        return this.votes.map(([voter]) => voter)
+    }
+
+    /**
+     * Throws an error if the voter has already voted on the given governance action
+     * @param {Voter} voter
+     * @param {GovActionId} govActionId
+     * @param {Vote} vote
+     * @param {Anchor | undefined} anchor
+     */
+    addVote(voter, govActionId, vote, anchor = undefined) {
+        const entry = this.votes.find(([v]) => v.isEqual(voter))
+
+        /**
+         * @type {VotingProcedure}
+         */
+        const procedure = anchor ? { vote, anchor } : { vote }
+
+        if (entry) {
+            if (entry[1].some(([id]) => id.isEqual(govActionId))) {
+                throw new Error(
+                    `voter already voted on governance action ${govActionId.toString()}`
+                )
+            }
+
+            entry[1].push([govActionId, procedure])
+        } else {
+            this.votes.push([voter, [[govActionId, procedure]]])
+        }
+    }
+
+    /**
+     * @returns {Object}
+     */
+    dump() {
+        return this.votes.map(([voter, votes]) => ({
+            voter: voter.dump(),
+            votes: votes.map(([govActionId, { vote, anchor }]) => ({
+                govActionId: govActionId.dump(),
+                vote,
+                anchor: anchor?.dump() ?? null
+            }))
+        }))
+    }
+
+    /**
+     * @returns {number[]}
+     */
+    toCbor() {
+        return encodeMap(
+            this.votes.map(([voter, votes]) => [
+                voter.toCbor(),
+                encodeMap(
+                    votes.map(([govActionId, { vote, anchor }]) => [
+                        govActionId.toCbor(),
+                        encodeTuple([
+                            encodeInt(VOTES.indexOf(vote)),
+                            encodeNullOption(anchor)
+                        ])
+                    ])
+                )
+            ])
+        )
+    }
+
+    /**
+     * PlutusV3 representation, the anchors aren't included
+     * @returns {MapData}
+     */
+    toUplcData() {
+        return new MapData(
+            this.votes.map(([voter, votes]) => [
+                voter.toUplcData(),
+                new MapData(
+                    votes.map(([govActionId, { vote }]) => [
+                        govActionId.toUplcData(),
+                        new ConstrData(VOTES.indexOf(vote), [])
+                    ])
+                )
+            ])
+        )
+    }
+}
+
+/**
+ * @param {BytesLike} bytes
+ * @returns {VotingProcedure}
+ */
+function decodeVotingProcedure(bytes) {
+    const [i, anchor] = decodeTuple(bytes, [
+        decodeInt,
+        (s) => decodeNullOption(s, Anchor)
+    ])
+
+    const vote = VOTES[Number(i)]
+
+    if (!vote) {
+        throw new Error(`invalid vote ${i}`)
+    }
+
+    return anchor ? { vote, anchor } : { vote }
+}
@@ -0,0 +1,15 @@
+export { Anchor } from "./Anchor.js"
+export { DRep } from "./DRep.js"
+export { GovAction } from "./GovAction.js"
+export { GovActionId } from "./GovActionId.js"
+export { ProposalProcedure } from "./ProposalProcedure.js"
+export { Voter } from "./Voter.js"
+export { VotingProcedures } from "./VotingProcedures.js"
+
+/**
+ * @typedef {import("./DRep.js").DRepKind} DRepKind
+ * @typedef {import("./GovAction.js").GovActionKind} GovActionKind
+ * @typedef {import("./Voter.js").VoterKind} VoterKind
+ * @typedef {import("./VotingProcedures.js").Vote} Vote
+ * @typedef {import("./VotingProcedures.js").VotingProcedure} VotingProcedure
+ */
@@ -5,7 +5,7 @@ import {
     equalsBytes,
     toBytes
 } from "@helios-lang/codec-utils"
-import { blake2b } from "@helios-lang/crypto"
+import { blake2b, decodeBech32, encodeBech32 } from "@helios-lang/crypto"
 import { ByteArrayData, decodeUplcData } from "@helios-lang/uplc"
 
 /**
@@ -50,6 +50,23 @@ export class DatumHash {
         return arg instanceof DatumHash ? arg : new DatumHash(arg)
     }
 
+    /**
+     * Throws an error if the prefix isn't "datum"
+     * @param {string} str
+     * @returns {DatumHash}
+     */
+    static fromBech32(str) {
+        const [prefix, bytes] = decodeBech32(str)
+
+        if (prefix != "datum") {
+            throw new Error(
+                `invalid bech32 prefix '${prefix}' for DatumHash, expected 'datum'`
+            )
+        }
+
+        return new DatumHash(bytes)
+    }
+
     /**
      * @param {BytesLike} bytes
      * @returns {DatumHash}
@@ -58,6 +75,14 @@ export class DatumHash {
         return new DatumHash(decodeBytes(bytes))
     }
 
+    /**
+     * @param {string} json - hex
+     * @returns {DatumHash}
+     */
+    static fromJson(json) {
+        return new DatumHash(json)
+    }
+
     /**
      * @param {UplcData} data
      * @returns {DatumHash}
@@ -105,6 +130,14 @@ export class DatumHash {
         return equalsBytes(this.bytes, other.bytes)
     }
 
+    /**
+     * CIP-5 bech32 representation, with the "datum" prefix
+     * @returns {string}
+     */
+    toBech32() {
+        return encodeBech32("datum", this.bytes)
+    }
+
     /**
      * @returns {number[]}
      */
@@ -112,6 +145,13 @@ export class DatumHash {
         return encodeBytes(this.bytes)
     }
 
+    /**
+     * @returns {string}
+     */
+    toJson() {
+        return this.toHex()
+    }
+
     /**
      * @returns {string}
      */
@@ -70,6 +70,34 @@ export class MintingPolicyHash extends ScriptHash {
         return new MintingPolicyHash(decodeBytes(bytes))
     }
 
+    /**
+     * Not the inverse of `toBech32()`, whose "asset" encoding of a hash of the policy can't be decoded.
+     * @deprecated use `fromScriptBech32()` instead
+     * @param {string} str
+     * @returns {MintingPolicyHash}
+     */
+    static fromBech32(str) {
+        return MintingPolicyHash.fromScriptBech32(str)
+    }
+
+    /**
+     * Decodes the CIP-5 bech32 representation, the inverse of `toScriptBech32()`.
+     * Throws an error if the prefix isn't "script"
+     * @param {string} str
+     * @returns {MintingPolicyHash}
+     */
+    static fromScriptBech32(str) {
+        return new MintingPolicyHash(ScriptHash.fromBech32(str).bytes)
+    }
+
+    /**
+     * @param {string} json - hex
+     * @returns {MintingPolicyHash}
+     */
+    static fromJson(json) {
+        return new MintingPolicyHash(json)
+    }
+
     /**
      * @template C
      * @param {ScriptHash<C>} sh
@@ -126,10 +154,20 @@ export class MintingPolicyHash extends ScriptHash {
     }
 
     /**
-     * Encodes as bech32 string using 'asset' as human readable part
+     * Encodes as bech32 string using 'asset' as human readable part.
+     * This encodes a hash of the policy, so it can't be decoded again (`fromBech32()` only accepts the encoding of `toScriptBech32()`)
+     * @deprecated this isn't the CIP-14 fingerprint of any asset (use `AssetClass.toFingerprint()` instead), and isn't the CIP-5 encoding of the policy either (use `toScriptBech32()` instead)
      * @returns {string}
      */
     toBech32() {
         return encodeBech32("asset", blake2b(this.bytes, 20))
     }
+
+    /**
+     * CIP-5 bech32 representation (with the "script" prefix), the inverse of `MintingPolicyHash.fromScriptBech32()`
+     * @returns {string}
+     */
+    toScriptBech32() {
+        return super.toBech32()
+    }
 }
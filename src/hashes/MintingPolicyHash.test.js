@@ -1,4 +1,4 @@
-import { deepEqual, throws } from "assert"
+import { deepEqual, strictEqual, throws } from "assert"
 import { describe, it } from "node:test"
 import { UplcConst, UplcInt, UplcProgramV2 } from "@helios-lang/uplc"
 import { MintingPolicyHash } from "./MintingPolicyHash.js"
@@ -34,4 +34,33 @@ describe(MintingPolicyHash.name, () => {
             deepEqual(MintingPolicyHash.dummy(1).bytes, new Array(28).fill(0))
         })
     })
+
+    it("keeps the 'asset' prefix of toBech32()", () => {
+        strictEqual(
+            MintingPolicyHash.dummy().toBech32().startsWith("asset1"),
+            true
+        )
+    })
+
+    it("round-trips through the CIP-5 bech32 encoding", () => {
+        const mph = MintingPolicyHash.dummy(1)
+        const bech32 = mph.toScriptBech32()
+
+        strictEqual(bech32.startsWith("script1"), true)
+        strictEqual(
+            MintingPolicyHash.fromScriptBech32(bech32).toHex(),
+            mph.toHex()
+        )
+    })
+
+    it("can't decode the deprecated toBech32() encoding", () => {
+        const mph = MintingPolicyHash.dummy(1)
+
+        throws(() => MintingPolicyHash.fromBech32(mph.toBech32()))
+        throws(() => MintingPolicyHash.fromScriptBech32(mph.toBech32()))
+        strictEqual(
+            MintingPolicyHash.fromBech32(mph.toScriptBech32()).toHex(),
+            mph.toHex()
+        )
+    })
 })
@@ -1,5 +1,136 @@
-export { PubKeyHash } from "@helios-lang/ledger-shelley"
+import { PubKeyHash as PubKeyHashShelley } from "@helios-lang/ledger-shelley"
+import { decodeBytes } from "@helios-lang/cbor"
+import { dummyBytes } from "@helios-lang/codec-utils"
+import { decodeBech32, encodeBech32 } from "@helios-lang/crypto"
+import { ByteArrayData, decodeUplcData } from "@helios-lang/uplc"
 
 /**
- * @typedef {import("@helios-lang/ledger-shelley").PubKeyHashLike} PubKeyHashLike
+ * @typedef {import("@helios-lang/codec-utils").BytesLike} BytesLike
+ * @typedef {import("@helios-lang/uplc").UplcData} UplcData
+ * @typedef {import("./Hash.js").Hash} Hash
  */
+
+/**
+ * Bech32 strings are also accepted (e.g. `pool1...` pool ids)
+ * @typedef {PubKeyHash | BytesLike} PubKeyHashLike
+ */
+
+/**
+ * CIP-5 prefixes of the bech32 encodings of key hashes:
+ *   - "addr_vkh": payment keys
+ *   - "addr_shared_vkh": payment keys of native scripts
+ *   - "stake_vkh": stake keys
+ *   - "stake_shared_vkh": stake keys of native scripts
+ *   - "policy_vkh": keys of native minting policies
+ *   - "pool": pool ids (i.e. hashes of the pool cold keys)
+ * @typedef {"addr_vkh" | "addr_shared_vkh" | "stake_vkh" | "stake_shared_vkh" | "policy_vkh" | "pool"} PubKeyHashBech32Prefix
+ */
+
+/**
+ * @type {string[]}
+ */
+const BECH32_PREFIXES = [
+    "addr_vkh",
+    "addr_shared_vkh",
+    "stake_vkh",
+    "stake_shared_vkh",
+    "policy_vkh",
+    "pool"
+]
+
+/**
+ * Extends the `PubKeyHash` of the Shelley era with the bech32 encodings of CIP-5.
+ * @implements {Hash}
+ */
+export class PubKeyHash extends PubKeyHashShelley {
+    /**
+     * @param {number} seed
+     * @returns {PubKeyHash}
+     */
+    static dummy(seed = 0) {
+        return new PubKeyHash(dummyBytes(28, seed))
+    }
+
+    /**
+     * Strings that aren't hexadecimal are decoded as bech32
+     * @param {PubKeyHashLike} arg
+     * @returns {PubKeyHash}
+     */
+    static new(arg) {
+        if (arg instanceof PubKeyHash) {
+            return arg
+        } else if (typeof arg == "string" && !/^[0-9a-fA-F]*$/.test(arg)) {
+            return PubKeyHash.fromBech32(arg)
+        } else {
+            return new PubKeyHash(arg)
+        }
+    }
+
+    /**
+     * Throws an error if the prefix isn't one of the CIP-5 prefixes of key hashes, or if it isn't the expected prefix
+     * @param {string} str
+     * @param {PubKeyHashBech32Prefix | undefined} expectedPrefix
+     * @returns {PubKeyHash}
+     */
+    static fromBech32(str, expectedPrefix = undefined) {
+        const [prefix, bytes] = decodeBech32(str)
+
+        const expected = expectedPrefix ? [expectedPrefix] : BECH32_PREFIXES
+
+        if (!expected.includes(prefix)) {
+            throw new Error(
+                `invalid bech32 prefix '${prefix}' for PubKeyHash, expected '${expected.join("' or '")}'`
+            )
+        }
+
+        return new PubKeyHash(bytes)
+    }
+
+    /**
+     * @param {BytesLike} bytes
+     * @returns {PubKeyHash}
+     */
+    static fromCbor(bytes) {
+        return new PubKeyHash(decodeBytes(bytes))
+    }
+
+    /**
+     * @param {string} json - hex
+     * @returns {PubKeyHash}
+     */
+    static fromJson(json) {
+        return new PubKeyHash(json)
+    }
+
+    /**
+     * @param {UplcData} data
+     * @returns {PubKeyHash}
+     */
+    static fromUplcData(data) {
+        return new PubKeyHash(ByteArrayData.expect(data).bytes)
+    }
+
+    /**
+     * @param {BytesLike} bytes
+     * @returns {PubKeyHash}
+     */
+    static fromUplcCbor(bytes) {
+        return PubKeyHash.fromUplcData(decodeUplcData(bytes))
+    }
+
+    /**
+     * @param {PubKeyHashBech32Prefix} prefix - defaults to "addr_vkh", use "pool" for pool ids
+     * @returns {string}
+     */
+    toBech32(prefix = "addr_vkh") {
+        return encodeBech32(prefix, this.bytes)
+    }
+
+    /**
+     * Hexadecimal representation, decoded by `PubKeyHash.fromJson()`
+     * @returns {string}
+     */
+    toJson() {
+        return this.toHex()
+    }
+}
@@ -0,0 +1,42 @@
+import { strictEqual, throws } from "node:assert"
+import { describe, it } from "node:test"
+import { PubKeyHash } from "./PubKeyHash.js"
+
+describe(PubKeyHash.name, () => {
+    const pkh = PubKeyHash.dummy(1)
+
+    it("round-trips through bech32", () => {
+        strictEqual(PubKeyHash.fromBech32(pkh.toBech32()).toHex(), pkh.toHex())
+    })
+
+    it("uses addr_vkh as the default prefix", () => {
+        strictEqual(pkh.toBech32().startsWith("addr_vkh1"), true)
+    })
+
+    it("encodes pool ids with the pool prefix", () => {
+        const poolId = pkh.toBech32("pool")
+
+        strictEqual(poolId.startsWith("pool1"), true)
+        strictEqual(PubKeyHash.new(poolId).toHex(), pkh.toHex())
+    })
+
+    it("fails for an unexpected prefix", () => {
+        throws(() =>
+            PubKeyHash.fromBech32(pkh.toBech32("stake_vkh"), "addr_vkh")
+        )
+    })
+
+    it("fails for a prefix that isn't used for key hashes", () => {
+        throws(() =>
+            PubKeyHash.fromBech32(pkh.toBech32().replace("addr_vkh", "addr"))
+        )
+    })
+
+    it("decodes hexadecimal strings as bytes", () => {
+        strictEqual(PubKeyHash.new(pkh.toHex()).toHex(), pkh.toHex())
+    })
+
+    it("round-trips through JSON", () => {
+        strictEqual(PubKeyHash.fromJson(pkh.toJson()).toHex(), pkh.toHex())
+    })
+})
@@ -1,5 +1,6 @@
 import { ScriptHash as ScriptHashAllegra } from "@helios-lang/ledger-allegra"
 import { compareBytes, dummyBytes, equalsBytes } from "@helios-lang/codec-utils"
+import { decodeBech32, encodeBech32 } from "@helios-lang/crypto"
 
 /**
  * @import { BytesLike } from "@helios-lang/codec-utils"
@@ -47,6 +48,31 @@ export class ScriptHash extends ScriptHashAllegra {
         return new ScriptHash(dummyBytes(28, seed), undefined)
     }
 
+    /**
+     * Throws an error if the prefix isn't "script"
+     * @param {string} str
+     * @returns {ScriptHash}
+     */
+    static fromBech32(str) {
+        const [prefix, bytes] = decodeBech32(str)
+
+        if (prefix != "script") {
+            throw new Error(
+                `invalid bech32 prefix '${prefix}' for ScriptHash, expected 'script'`
+            )
+        }
+
+        return new ScriptHash(bytes)
+    }
+
+    /**
+     * @param {string} json - hex
+     * @returns {ScriptHash}
+     */
+    static fromJson(json) {
+        return new ScriptHash(json)
+    }
+
     /**
      * @param {ScriptHash} other
      * @returns {boolean}
@@ -54,4 +80,20 @@ export class ScriptHash extends ScriptHashAllegra {
     isEqual(other) {
         return equalsBytes(this.bytes, other.bytes)
     }
+
+    /**
+     * CIP-5 bech32 representation (with the "script" prefix), inherited by the `MintingPolicyHash`, `ValidatorHash` and `StakingValidatorHash` classes
+     * @returns {string}
+     */
+    toBech32() {
+        return encodeBech32("script", this.bytes)
+    }
+
+    /**
+     * Hexadecimal representation, inherited by the `MintingPolicyHash`, `ValidatorHash` and `StakingValidatorHash` classes
+     * @returns {string}
+     */
+    toJson() {
+        return this.toHex()
+    }
 }
@@ -1,6 +1,7 @@
-import { deepEqual, throws } from "node:assert"
+import { deepEqual, strictEqual, throws } from "node:assert"
 import { describe, it } from "node:test"
 import { ScriptHash } from "./ScriptHash.js"
+import { ValidatorHash } from "./ValidatorHash.js"
 
 describe(ScriptHash.name, () => {
     it("ScriptHash.dummy() returns all 0s for default arg", () => {
@@ -12,4 +13,21 @@ describe(ScriptHash.name, () => {
             deepEqual(ScriptHash.dummy(1).bytes, new Array(28).fill(0))
         })
     })
+
+    it("round-trips through bech32", () => {
+        const hash = ScriptHash.dummy(1)
+        const bech32 = hash.toBech32()
+
+        strictEqual(bech32.startsWith("script1"), true)
+        strictEqual(ScriptHash.fromBech32(bech32).toHex(), hash.toHex())
+        strictEqual(ValidatorHash.fromBech32(bech32).toHex(), hash.toHex())
+    })
+
+    it("fails for a bech32 string with another prefix", () => {
+        throws(() =>
+            ScriptHash.fromBech32(
+                ScriptHash.dummy(1).toBech32().replace("script", "datum")
+            )
+        )
+    })
 })
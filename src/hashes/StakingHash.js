@@ -31,6 +31,11 @@ import { ValidatorHash } from "./ValidatorHash.js"
  * @typedef {StakingHash | PubKeyHash | StakingValidatorHash} StakingHashLike
  */
 
+/**
+ * The hashes are hex encoded
+ * @typedef {{pubKeyHash: string} | {stakingValidatorHash: string}} StakingHashJson
+ */
+
 /**
  * @template [Context=unknown]
  * @typedef {object} StakingHashI
@@ -151,6 +156,20 @@ export class StakingHash {
         }
     }
 
+    /**
+     * @param {StakingHashJson} json
+     * @returns {StakingHash}
+     */
+    static fromJson(json) {
+        if ("pubKeyHash" in json) {
+            return StakingHash.PubKey(json.pubKeyHash)
+        } else if ("stakingValidatorHash" in json) {
+            return StakingHash.Validator(json.stakingValidatorHash)
+        } else {
+            throw new Error(`invalid StakingHash JSON ${JSON.stringify(json)}`)
+        }
+    }
+
     /**
      * @param {UplcData} data
      * @returns {StakingHash}
@@ -237,6 +256,15 @@ export class StakingHash {
         ])
     }
 
+    /**
+     * @returns {StakingHashJson}
+     */
+    toJson() {
+        return this.isPubKey()
+            ? { pubKeyHash: this.props.hash.toHex() }
+            : { stakingValidatorHash: this.props.hash.toHex() }
+    }
+
     /**
      * @returns {ConstrData}
      */
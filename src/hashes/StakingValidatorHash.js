@@ -66,6 +66,23 @@ export class StakingValidatorHash extends ScriptHash {
         return new StakingValidatorHash(decodeBytes(bytes))
     }
 
+    /**
+     * Throws an error if the prefix isn't "script"
+     * @param {string} str
+     * @returns {StakingValidatorHash}
+     */
+    static fromBech32(str) {
+        return new StakingValidatorHash(ScriptHash.fromBech32(str).bytes)
+    }
+
+    /**
+     * @param {string} json - hex
+     * @returns {StakingValidatorHash}
+     */
+    static fromJson(json) {
+        return new StakingValidatorHash(json)
+    }
+
     /**
      * @param {UplcData} data
      * @returns {StakingValidatorHash}
@@ -61,6 +61,23 @@ export class ValidatorHash extends ScriptHash {
         return new ValidatorHash(decodeBytes(bytes))
     }
 
+    /**
+     * Throws an error if the prefix isn't "script"
+     * @param {string} str
+     * @returns {ValidatorHash}
+     */
+    static fromBech32(str) {
+        return new ValidatorHash(ScriptHash.fromBech32(str).bytes)
+    }
+
+    /**
+     * @param {string} json - hex
+     * @returns {ValidatorHash}
+     */
+    static fromJson(json) {
+        return new ValidatorHash(json)
+    }
+
     /**
      * @param {UplcData} data
      * @returns {ValidatorHash}
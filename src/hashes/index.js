@@ -10,8 +10,10 @@ export { ValidatorHash } from "./ValidatorHash.js"
  * @typedef {import("./DatumHash.js").DatumHashLike} DatumHashLike
  * @typedef {import("./Hash.js").Hash} Hash
  * @typedef {import("./MintingPolicyHash.js").MintingPolicyHashLike} MintingPolicyHashLike
+ * @typedef {import("./PubKeyHash.js").PubKeyHashBech32Prefix} PubKeyHashBech32Prefix
  * @typedef {import("./PubKeyHash.js").PubKeyHashLike} PubKeyHashLike
  * @typedef {import("./ScriptHash.js").ScriptHashLike} ScriptHashLike
+ * @typedef {import("./StakingHash.js").StakingHashJson} StakingHashJson
  * @typedef {import("./StakingHash.js").StakingHashLike} StakingHashLike
  * @typedef {import("./StakingValidatorHash.js").StakingValidatorHashLike} StakingValidatorHashLike
  * @typedef {import("./ValidatorHash.js").ValidatorHashLike} ValidatorHashLike
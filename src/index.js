@@ -1,4 +1,7 @@
+export * from "./emulator/index.js"
+export * from "./gov/index.js"
 export * from "./hashes/index.js"
+export * from "./keys/index.js"
 export * from "./money/index.js"
 export * from "./native/index.js"
 export * from "./params/index.js"
@@ -8,13 +11,38 @@ export * from "./tx/index.js"
 
 /**
  * @typedef {import("@helios-lang/uplc").UplcData} UplcData
+ * @typedef {import("./gov/index.js").Vote} Vote
+ * @typedef {import("./gov/index.js").VotingProcedure} VotingProcedure
+ * @typedef {import("./keys/index.js").Cip1852Role} Cip1852Role
+ * @typedef {import("./money/index.js").AssetsJson} AssetsJson
+ * @typedef {import("./money/index.js").ValueJson} ValueJson
  * @typedef {import("./money/index.js").ValueLike} ValueLike
  * @typedef {import("./native/index.js").NativeContext} NativeContext
  * @typedef {import("./params/index.js").NetworkParams} NetworkParams
  * @typedef {import("./time/index.js").TimeLike} TimeLike
+ * @typedef {import("./tx/index.js").Cip25Asset} Cip25Asset
+ * @typedef {import("./tx/index.js").Cip25AssetLike} Cip25AssetLike
+ * @typedef {import("./tx/index.js").Cip25AssetMetadata} Cip25AssetMetadata
+ * @typedef {import("./tx/index.js").Cip25File} Cip25File
+ * @typedef {import("./tx/index.js").Cip25Version} Cip25Version
+ * @typedef {import("./tx/index.js").Cip68Metadata} Cip68Metadata
+ * @typedef {import("./tx/index.js").Cip68MetadataValue} Cip68MetadataValue
+ * @typedef {import("./tx/index.js").CoinSelectionAlgorithm} CoinSelectionAlgorithm
+ * @typedef {import("./tx/index.js").CoinSelectionOptions} CoinSelectionOptions
  * @typedef {import("./tx/index.js").ShelleyAddressLike} ShelleyAddressLike
  * @typedef {import("./tx/index.js").StakingAddressLike} StakingAddressLike
+ * @typedef {import("./tx/index.js").TxBuilderConfig} TxBuilderConfig
+ * @typedef {import("./tx/index.js").TxBuilderFinalConfig} TxBuilderFinalConfig
+ * @typedef {import("./tx/index.js").TxInputJson} TxInputJson
+ * @typedef {import("./tx/index.js").TxJson} TxJson
  * @typedef {import("./tx/index.js").TxMetadataAttr} TxMetadataAttr
+ * @typedef {import("./tx/index.js").TxOutputJson} TxOutputJson
+ * @typedef {import("./tx/index.js").TxRedeemersEncoding} TxRedeemersEncoding
+ * @typedef {import("./tx/index.js").TxUtxoChanges} TxUtxoChanges
+ * @typedef {import("./tx/index.js").TxValidationIssue} TxValidationIssue
+ * @typedef {import("./tx/index.js").TxValidationRule} TxValidationRule
+ * @typedef {import("./tx/index.js").TxValidationSeverity} TxValidationSeverity
+ * @typedef {import("./tx/index.js").UplcDataJson} UplcDataJson
  */
 
 /**
@@ -0,0 +1,178 @@
+import {
+    bytesToHex,
+    decodeIntLE,
+    encodeIntLE32,
+    encodeUtf8,
+    toBytes
+} from "@helios-lang/codec-utils"
+import { Ed25519, hmacSha2_512, pbkdf2 } from "@helios-lang/crypto"
+import { PubKey, Signature } from "../tx/index.js"
+
+/**
+ * @typedef {import("@helios-lang/codec-utils").BytesLike} BytesLike
+ * @typedef {import("../tx/index.js").Tx} Tx
+ */
+
+/**
+ * Offset of the hardened child indices
+ */
+export const BIP32_HARDENED = 0x80000000
+
+/**
+ * Extended Ed25519 private key with a chain code, derived using BIP32-Ed25519 (the V2 derivation scheme of the Cardano wallets).
+ *
+ * The 96 bytes consist of:
+ *   - kL: 32 bytes, the scalar (little endian)
+ *   - kR: 32 bytes, used for nonce generation when signing
+ *   - chain code: 32 bytes
+ */
+export class Bip32PrivateKey {
+    /**
+     * @readonly
+     * @type {number[]}
+     */
+    bytes
+
+    /**
+     * @param {BytesLike} bytes
+     */
+    constructor(bytes) {
+        this.bytes = toBytes(bytes)
+
+        if (this.bytes.length != 96) {
+            throw new Error(
+                `expected 96 bytes for Bip32PrivateKey, got ${this.bytes.length}`
+            )
+        }
+    }
+
+    /**
+     * Icarus master key generation, as used by most Cardano wallets (the BIP39 passphrase defaults to the empty string)
+     * @param {number[]} entropy
+     * @param {string} passphrase
+     * @returns {Bip32PrivateKey}
+     */
+    static fromEntropy(entropy, passphrase = "") {
+        const bytes = pbkdf2(
+            hmacSha2_512,
+            encodeUtf8(passphrase),
+            entropy,
+            4096,
+            96
+        )
+
+        bytes[0] &= 0b11111000
+        bytes[31] &= 0b00011111
+        bytes[31] |= 0b01000000
+
+        return new Bip32PrivateKey(bytes)
+    }
+
+    /**
+     * @private
+     * @type {number[]}
+     */
+    get kL() {
+        return this.bytes.slice(0, 32)
+    }
+
+    /**
+     * @private
+     * @type {number[]}
+     */
+    get kR() {
+        return this.bytes.slice(32, 64)
+    }
+
+    /**
+     * @private
+     * @type {number[]}
+     */
+    get chainCode() {
+        return this.bytes.slice(64, 96)
+    }
+
+    /**
+     * Indices at or above `BIP32_HARDENED` result in hardened derivation
+     * @param {number} index
+     * @returns {Bip32PrivateKey}
+     */
+    derive(index) {
+        if (!Number.isSafeInteger(index) || index < 0 || index >= 2 ** 32) {
+            throw new Error(`invalid BIP32 child index ${index}`)
+        }
+
+        const indexBytes = encodeIntLE32(index).slice(0, 4)
+
+        const [z, i] =
+            index >= BIP32_HARDENED
+                ? [0x00, 0x01].map((prefix) =>
+                      hmacSha2_512(
+                          this.chainCode,
+                          [prefix].concat(this.kL, this.kR, indexBytes)
+                      )
+                  )
+                : [0x02, 0x03].map((prefix) =>
+                      hmacSha2_512(
+                          this.chainCode,
+                          [prefix].concat(this.derivePubKey().bytes, indexBytes)
+                      )
+                  )
+
+        const kL = encodeIntLE32(
+            8n * decodeIntLE(z.slice(0, 28)) + decodeIntLE(this.kL)
+        )
+        const kR = encodeIntLE32(
+            (decodeIntLE(z.slice(32, 64)) + decodeIntLE(this.kR)) % 2n ** 256n
+        )
+
+        return new Bip32PrivateKey(kL.concat(kR, i.slice(32, 64)))
+    }
+
+    /**
+     * @param {number[]} path
+     * @returns {Bip32PrivateKey}
+     */
+    derivePath(path) {
+        return path.reduce(
+            (/** @type {Bip32PrivateKey} */ key, index) => key.derive(index),
+            this
+        )
+    }
+
+    /**
+     * @returns {PubKey}
+     */
+    derivePubKey() {
+        return new PubKey(
+            Ed25519.derivePublicKey(this.bytes.slice(0, 64), false)
+        )
+    }
+
+    /**
+     * @param {number[]} message
+     * @returns {Signature}
+     */
+    sign(message) {
+        return new Signature(
+            this.derivePubKey(),
+            Ed25519.sign(message, this.bytes.slice(0, 64), false)
+        )
+    }
+
+    /**
+     * Signs the tx id, the resulting signature can be added using `Tx.addSignature()`
+     * @param {Tx} tx
+     * @returns {Signature}
+     */
+    signTx(tx) {
+        return this.sign(tx.id().bytes)
+    }
+
+    /**
+     * @returns {string}
+     */
+    toHex() {
+        return bytesToHex(this.bytes)
+    }
+}
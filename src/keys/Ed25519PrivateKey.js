@@ -0,0 +1,76 @@
+import { bytesToHex, toBytes } from "@helios-lang/codec-utils"
+import { Ed25519 } from "@helios-lang/crypto"
+import { PubKey, Signature } from "../tx/index.js"
+
+/**
+ * @typedef {import("@helios-lang/codec-utils").BytesLike} BytesLike
+ * @typedef {import("../tx/index.js").Tx} Tx
+ */
+
+/**
+ * Non-extended Ed25519 private key (i.e. a 32 byte seed, as generated by `cardano-cli address key-gen`)
+ */
+export class Ed25519PrivateKey {
+    /**
+     * @readonly
+     * @type {number[]}
+     */
+    bytes
+
+    /**
+     * @param {BytesLike} bytes
+     */
+    constructor(bytes) {
+        this.bytes = toBytes(bytes)
+
+        if (this.bytes.length != 32) {
+            throw new Error(
+                `expected 32 bytes for Ed25519PrivateKey, got ${this.bytes.length}`
+            )
+        }
+    }
+
+    /**
+     * @param {() => number} generator - returns a random number between 0 and 1
+     * @returns {Ed25519PrivateKey}
+     */
+    static random(generator) {
+        return new Ed25519PrivateKey(
+            Array.from({ length: 32 }, () => Math.floor(generator() * 256))
+        )
+    }
+
+    /**
+     * @returns {PubKey}
+     */
+    derivePubKey() {
+        return new PubKey(Ed25519.derivePublicKey(this.bytes))
+    }
+
+    /**
+     * @param {number[]} message
+     * @returns {Signature}
+     */
+    sign(message) {
+        return new Signature(
+            this.derivePubKey(),
+            Ed25519.sign(message, this.bytes)
+        )
+    }
+
+    /**
+     * Signs the tx id, the resulting signature can be added using `Tx.addSignature()`
+     * @param {Tx} tx
+     * @returns {Signature}
+     */
+    signTx(tx) {
+        return this.sign(tx.id().bytes)
+    }
+
+    /**
+     * @returns {string}
+     */
+    toHex() {
+        return bytesToHex(this.bytes)
+    }
+}
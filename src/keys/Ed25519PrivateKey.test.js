@@ -0,0 +1,33 @@
+import { strictEqual, throws } from "node:assert"
+import { describe, it } from "node:test"
+import { bytesToHex } from "@helios-lang/codec-utils"
+import { Ed25519PrivateKey } from "./Ed25519PrivateKey.js"
+
+describe(Ed25519PrivateKey.name, () => {
+    // test vector 1 of RFC 8032
+    const privateKey = new Ed25519PrivateKey(
+        "9d61b19deffd5a60ba844af492ec2cc44449c5697b326919703bac031cae7f60"
+    )
+
+    it("derives the public key", () => {
+        strictEqual(
+            privateKey.derivePubKey().toHex(),
+            "d75a980182b10ab7d54bfed3c964073a0ee172f3daa62325af021a68f707511a"
+        )
+    })
+
+    it("signs a message", () => {
+        const signature = privateKey.sign([])
+
+        strictEqual(
+            bytesToHex(signature.bytes),
+            "e5564300c360ac729086e2cc806e828a84877f1eb8e5d974d873e065224901555fb8821590a33bacc61e39701cf9b46bd25bf5f0595bbe24655141438e7a100b"
+        )
+
+        signature.verify([])
+    })
+
+    it("fails for an extended key", () => {
+        throws(() => new Ed25519PrivateKey(new Array(64).fill(0)))
+    })
+})
@@ -0,0 +1,180 @@
+import { makeAddress, makeAddressFromHashes } from "../tx/index.js"
+import { BIP39_DICT_EN, decodeMnemonic, encodeMnemonic } from "./bip39.js"
+import { BIP32_HARDENED, Bip32PrivateKey } from "./Bip32PrivateKey.js"
+
+/**
+ * @typedef {import("../tx/ShelleyAddress.js").ShelleyAddress} ShelleyAddress
+ */
+
+/**
+ * Roles of the keys of a CIP-1852 account:
+ *   - "payment": keys of the external addresses (i.e. the addresses that are shared to receive funds)
+ *   - "change": keys of the internal addresses (i.e. the change addresses of the txs created by the wallet)
+ *   - "stake": keys of the stake credentials (usually only the first one is used)
+ * @typedef {"payment" | "change" | "stake"} Cip1852Role
+ */
+
+/**
+ * @type {{[R in Cip1852Role]: number}}
+ */
+const CIP1852_ROLES = {
+    payment: 0,
+    change: 1,
+    stake: 2
+}
+
+/**
+ * Master key of an HD wallet, derived from a BIP39 mnemonic.
+ *
+ * Keys are derived along the CIP-1852 paths: `m/1852'/1815'/account'/role/index`
+ */
+export class RootPrivateKey {
+    /**
+     * @readonly
+     * @type {number[]}
+     */
+    entropy
+
+    /**
+     * @readonly
+     * @type {Bip32PrivateKey}
+     */
+    bip32Key
+
+    /**
+     * @param {number[]} entropy
+     * @param {string} passphrase - optional BIP39 passphrase (not supported by all wallets)
+     */
+    constructor(entropy, passphrase = "") {
+        // throws an error if the entropy has an invalid length
+        encodeMnemonic(entropy)
+
+        this.entropy = entropy
+        this.bip32Key = Bip32PrivateKey.fromEntropy(entropy, passphrase)
+    }
+
+    /**
+     * Throws an error if a word isn't in the dictionary or if the checksum is invalid
+     * @param {string | string[]} phrase - words separated by whitespace, or a list of words
+     * @param {string} passphrase
+     * @param {string[]} dict - defaults to the BIP39 English dictionary
+     * @returns {RootPrivateKey}
+     */
+    static fromPhrase(phrase, passphrase = "", dict = BIP39_DICT_EN) {
+        const words =
+            typeof phrase == "string" ? phrase.trim().split(/\s+/) : phrase
+
+        return new RootPrivateKey(decodeMnemonic(words, dict), passphrase)
+    }
+
+    /**
+     * @param {number} account
+     * @returns {Bip32PrivateKey}
+     */
+    deriveAccountKey(account = 0) {
+        return this.bip32Key.derivePath([
+            1852 + BIP32_HARDENED,
+            1815 + BIP32_HARDENED,
+            account + BIP32_HARDENED
+        ])
+    }
+
+    /**
+     * @param {Cip1852Role} role
+     * @param {number} index
+     * @param {number} account
+     * @returns {Bip32PrivateKey}
+     */
+    deriveKey(role, index = 0, account = 0) {
+        return this.deriveAccountKey(account).derivePath([
+            CIP1852_ROLES[role],
+            index
+        ])
+    }
+
+    /**
+     * @param {number} index
+     * @param {number} account
+     * @returns {Bip32PrivateKey}
+     */
+    derivePaymentKey(index = 0, account = 0) {
+        return this.deriveKey("payment", index, account)
+    }
+
+    /**
+     * @param {number} index
+     * @param {number} account
+     * @returns {Bip32PrivateKey}
+     */
+    deriveChangeKey(index = 0, account = 0) {
+        return this.deriveKey("change", index, account)
+    }
+
+    /**
+     * @param {number} index
+     * @param {number} account
+     * @returns {Bip32PrivateKey}
+     */
+    deriveStakeKey(index = 0, account = 0) {
+        return this.deriveKey("stake", index, account)
+    }
+
+    /**
+     * Address with the payment (or change) key at the given index as spending credential, and the first stake key of the account as staking credential
+     * @param {boolean} isMainnet
+     * @param {{
+     *   role?: "payment" | "change"
+     *   index?: number
+     *   account?: number
+     * }} props
+     * @returns {ShelleyAddress}
+     */
+    deriveBaseAddress(isMainnet, props = {}) {
+        const account = props.account ?? 0
+
+        return /** @type {any} */ (
+            makeAddressFromHashes(
+                isMainnet,
+                this.deriveKey(
+                    props.role ?? "payment",
+                    props.index ?? 0,
+                    account
+                )
+                    .derivePubKey()
+                    .toHash(),
+                this.deriveStakeKey(0, account).derivePubKey().toHash()
+            )
+        )
+    }
+
+    /**
+     * Address without staking credential
+     * @param {boolean} isMainnet
+     * @param {{
+     *   role?: "payment" | "change"
+     *   index?: number
+     *   account?: number
+     * }} props
+     * @returns {ShelleyAddress}
+     */
+    deriveEnterpriseAddress(isMainnet, props = {}) {
+        return makeAddress({
+            isMainnet,
+            spendingHash: this.deriveKey(
+                props.role ?? "payment",
+                props.index ?? 0,
+                props.account ?? 0
+            )
+                .derivePubKey()
+                .toHash()
+        })
+    }
+
+    /**
+     * @param {string[]} dict
+     * @returns {string[]}
+     */
+    toPhrase(dict = BIP39_DICT_EN) {
+        return encodeMnemonic(this.entropy, dict)
+    }
+}
@@ -0,0 +1,97 @@
+import { strictEqual, throws } from "node:assert"
+import { describe, it } from "node:test"
+import { encodeBech32 } from "@helios-lang/crypto"
+import { Value } from "../money/index.js"
+import { makeAddress, TxBuilder, TxOutput } from "../tx/index.js"
+import { Emulator } from "../emulator/index.js"
+import { RootPrivateKey } from "./RootPrivateKey.js"
+
+describe(RootPrivateKey.name, () => {
+    // test vectors of CIP-19
+    const phrase =
+        "test walk nut penalty hip pave soap entry language right filter choice"
+    const rootKey = RootPrivateKey.fromPhrase(phrase)
+
+    it("round-trips the phrase", () => {
+        strictEqual(rootKey.toPhrase().join(" "), phrase)
+    })
+
+    it("fails for an invalid phrase", () => {
+        throws(() => RootPrivateKey.fromPhrase(phrase.replace("test", "tent")))
+    })
+
+    it("derives the first payment key", () => {
+        strictEqual(
+            encodeBech32(
+                "addr_vk",
+                rootKey.derivePaymentKey().derivePubKey().bytes
+            ),
+            "addr_vk1w0l2sr2zgfm26ztc6nl9xy8ghsk5sh6ldwemlpmp9xylzy4dtf7st80zhd"
+        )
+    })
+
+    it("derives the first enterprise address", () => {
+        strictEqual(
+            rootKey.deriveEnterpriseAddress(true).toBech32(),
+            "addr1vx2fxv2umyhttkxyxp8x0dlpdt3k6cwng5pxj3jhsydzers66hrl8"
+        )
+        strictEqual(
+            rootKey.deriveEnterpriseAddress(false).toBech32(),
+            "addr_test1vz2fxv2umyhttkxyxp8x0dlpdt3k6cwng5pxj3jhsydzerspjrlsz"
+        )
+    })
+
+    it("derives base addresses with the first stake key", () => {
+        const address = rootKey.deriveBaseAddress(false, {
+            role: "change",
+            index: 3
+        })
+
+        strictEqual(
+            address.spendingCredential.pubKeyHash?.toHex(),
+            rootKey.deriveChangeKey(3).derivePubKey().toHash().toHex()
+        )
+        strictEqual(
+            address.stakingCredential?.expectStakingHash().hash.toHex(),
+            rootKey.deriveStakeKey().derivePubKey().toHash().toHex()
+        )
+    })
+
+    it("uses a different key for each role, index and account", () => {
+        const keys = [
+            rootKey.derivePaymentKey(),
+            rootKey.derivePaymentKey(1),
+            rootKey.derivePaymentKey(0, 1),
+            rootKey.deriveChangeKey(),
+            rootKey.deriveStakeKey()
+        ].map((key) => key.toHex())
+
+        strictEqual(new Set(keys).size, keys.length)
+    })
+
+    it("signs a tx", async () => {
+        const emulator = new Emulator()
+        const wallet = rootKey.deriveBaseAddress(false)
+
+        emulator.createUtxo(new TxOutput(wallet, new Value(10_000_000n)))
+
+        const tx = new TxBuilder({ isMainnet: false })
+            .spend(await emulator.getUtxos(wallet))
+            .pay(
+                makeAddress({
+                    isMainnet: false,
+                    spendingHash: rootKey
+                        .derivePaymentKey(1)
+                        .derivePubKey()
+                        .toHash()
+                }),
+                new Value(2_000_000n)
+            )
+            .build({ changeAddress: wallet, params: emulator.params })
+
+        // verifies the signature
+        tx.addSignature(rootKey.derivePaymentKey().signTx(tx))
+
+        await emulator.submitTx(tx)
+    })
+})
@@ -0,0 +1,54 @@
+import { deepEqual, strictEqual, throws } from "node:assert"
+import { describe, it } from "node:test"
+import { hexToBytes } from "@helios-lang/codec-utils"
+import { BIP39_DICT_EN, decodeMnemonic, encodeMnemonic } from "./bip39.js"
+
+describe("BIP39", () => {
+    it("has 2048 words in the English dictionary", () => {
+        strictEqual(BIP39_DICT_EN.length, 2048)
+    })
+
+    // a selection of the reference test vectors
+    const vectors = [
+        [
+            "00000000000000000000000000000000",
+            "abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about"
+        ],
+        [
+            "80808080808080808080808080808080",
+            "letter advice cage absurd amount doctor acoustic avoid letter advice cage above"
+        ],
+        [
+            "ffffffffffffffffffffffffffffffff",
+            "zoo zoo zoo zoo zoo zoo zoo zoo zoo zoo zoo wrong"
+        ],
+        [
+            "6610b25967cdcca9d59875f5cb50b0ea75433311869e930b",
+            "gravity machine north sort system female filter attitude volume fold club stay feature office ecology stable narrow fog"
+        ],
+        [
+            "f585c11aec520db57dd353c69554b21a89b20fb0650966fa0a9d6f74fd989d8f",
+            "void come effort suffer camp survey warrior heavy shoot primary clutch crush open amazing screen patrol group space point ten exist slush involve unfold"
+        ]
+    ]
+
+    vectors.forEach(([entropy, phrase]) => {
+        it(`encodes ${entropy}`, () => {
+            strictEqual(encodeMnemonic(hexToBytes(entropy)).join(" "), phrase)
+        })
+
+        it(`decodes ${phrase.split(" ")[0]}...`, () => {
+            deepEqual(decodeMnemonic(phrase.split(" ")), hexToBytes(entropy))
+        })
+    })
+
+    it("fails for an invalid checksum", () => {
+        throws(() => decodeMnemonic(new Array(12).fill("abandon")))
+    })
+
+    it("fails for an unknown word", () => {
+        throws(() =>
+            decodeMnemonic(new Array(11).fill("abandon").concat(["abut"]))
+        )
+    })
+})
@@ -0,0 +1,8 @@
+export { BIP39_DICT_EN, decodeMnemonic, encodeMnemonic } from "./bip39.js"
+export { BIP32_HARDENED, Bip32PrivateKey } from "./Bip32PrivateKey.js"
+export { Ed25519PrivateKey } from "./Ed25519PrivateKey.js"
+export { RootPrivateKey } from "./RootPrivateKey.js"
+
+/**
+ * @typedef {import("./RootPrivateKey.js").Cip1852Role} Cip1852Role
+ */
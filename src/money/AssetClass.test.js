@@ -1,4 +1,4 @@
-import { deepEqual, throws } from "node:assert"
+import { deepEqual, strictEqual, throws } from "node:assert"
 import { describe, it } from "node:test"
 import { UplcConst, UplcInt, UplcProgramV2 } from "@helios-lang/uplc"
 import { MintingPolicyHash } from "../hashes/index.js"
@@ -51,4 +51,16 @@ describe(AssetClass.name, () => {
             deepEqual(ac.mph.bytes, new Array(28).fill(0))
         })
     })
+
+    it("calculates the CIP-14 fingerprint", () => {
+        strictEqual(
+            new AssetClass(
+                new MintingPolicyHash(
+                    "7eae28af2208be856f7a119668ae52a49b73725e326dc16579dcc373"
+                ),
+                []
+            ).toFingerprint(),
+            "asset1rjklcrnsdzqp65wjgrg55sy9723kw09mlgvlc3"
+        )
+    })
 })
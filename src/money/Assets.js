@@ -43,6 +43,11 @@ import {
  * ][] | Record<string, TokensLike>} AssetsLike
  */
 
+/**
+ * Quantities indexed by the hex encoded policy and token name, the quantities are encoded as strings
+ * @typedef {Record<string, Record<string, string>>} AssetsJson
+ */
+
 /**
  *   1. 100
  *   2. 222
@@ -122,6 +127,26 @@ export class Assets {
         )
     }
 
+    /**
+     * @param {AssetsJson} json
+     * @returns {Assets}
+     */
+    static fromJson(json) {
+        return new Assets(
+            Object.fromEntries(
+                Object.entries(json).map(([mph, tokens]) => [
+                    mph,
+                    Object.fromEntries(
+                        Object.entries(tokens).map(([tokenName, qty]) => [
+                            tokenName,
+                            BigInt(qty)
+                        ])
+                    )
+                ])
+            )
+        )
+    }
+
     /**
      * @type {AssetClass[]}
      */
@@ -646,6 +671,23 @@ export class Assets {
         )
     }
 
+    /**
+     * @returns {AssetsJson}
+     */
+    toJson() {
+        return Object.fromEntries(
+            this.assets.map(([mph, tokens]) => [
+                mph.toHex(),
+                Object.fromEntries(
+                    tokens.map(([tokenName, qty]) => [
+                        bytesToHex(tokenName),
+                        qty.toString()
+                    ])
+                )
+            ])
+        )
+    }
+
     /**
      * Used when generating script contexts for running programs
      * @returns {MapData}
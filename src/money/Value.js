@@ -20,6 +20,7 @@ import { Assets } from "./Assets.js"
  * @typedef {import("@helios-lang/codec-utils").BytesLike} BytesLike
  * @typedef {import("@helios-lang/codec-utils").IntLike} IntLike
  * @typedef {import("@helios-lang/uplc").UplcData} UplcData
+ * @typedef {import("./Assets.js").AssetsJson} AssetsJson
  * @typedef {import("./Assets.js").AssetsLike} AssetsLike
  * @typedef {import("./AssetClass.js").AssetClassLike} AssetClassLike
  * @typedef {import("../hashes/MintingPolicyHash.js").MintingPolicyHashLike} MintingPolicyHashLike
@@ -29,6 +30,13 @@ import { Assets } from "./Assets.js"
  * @typedef {Value | IntLike | [IntLike, AssetsLike] | {lovelace: IntLike, assets?: AssetsLike}} ValueLike
  */
 
+/**
+ * @typedef {{
+ *   lovelace: string
+ *   assets: AssetsJson
+ * }} ValueJson
+ */
+
 /**
  * Represents a collection of tokens.
  */
@@ -134,6 +142,14 @@ export class Value {
         }
     }
 
+    /**
+     * @param {ValueJson} json
+     * @returns {Value}
+     */
+    static fromJson(json) {
+        return new Value(BigInt(json.lovelace), Assets.fromJson(json.assets))
+    }
+
     /**
      * @param {BytesLike} bytes
      * @returns {Value}
@@ -313,6 +329,16 @@ export class Value {
         }
     }
 
+    /**
+     * @returns {ValueJson}
+     */
+    toJson() {
+        return {
+            lovelace: this.lovelace.toString(),
+            assets: this.assets.toJson()
+        }
+    }
+
     /**
      * Used when building script context
      * @param {boolean} isInScriptContext
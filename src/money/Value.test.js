@@ -42,4 +42,24 @@ describe(Value.name, () => {
         strictEqual(bytesToHex(summedTokens[0][0]), tokenName)
         strictEqual(summedTokens[0][1], qty)
     })
+
+    it("round-trips through JSON with the quantities as strings", () => {
+        const value = new Value(2_000_000n, [
+            [
+                "b143fb8b156eb62cb5240b02d55e580a56b7864064d2ee374536ca0b",
+                [["abcd", 2n ** 64n]]
+            ]
+        ])
+
+        const json = JSON.parse(JSON.stringify(value.toJson()))
+
+        strictEqual(json.lovelace, "2000000")
+        strictEqual(
+            json.assets[
+                "b143fb8b156eb62cb5240b02d55e580a56b7864064d2ee374536ca0b"
+            ].abcd,
+            (2n ** 64n).toString()
+        )
+        strictEqual(Value.fromJson(json).isEqual(value), true)
+    })
 })
@@ -0,0 +1,117 @@
+import { toBytes } from "@helios-lang/codec-utils"
+import { MintingPolicyHash } from "../hashes/index.js"
+import { AssetClass } from "./AssetClass.js"
+
+/**
+ * @typedef {import("@helios-lang/codec-utils").BytesLike} BytesLike
+ * @typedef {import("../hashes/index.js").MintingPolicyHashLike} MintingPolicyHashLike
+ */
+
+/**
+ * CIP-68 reference token, holding the metadata datum
+ */
+export const CIP67_REFERENCE_LABEL = 100
+
+/**
+ * CIP-68 user token of an NFT
+ */
+export const CIP67_NFT_LABEL = 222
+
+/**
+ * CIP-68 user token of a fungible token
+ */
+export const CIP67_FT_LABEL = 333
+
+/**
+ * CIP-68 user token of a rich-fungible token
+ */
+export const CIP67_RFT_LABEL = 444
+
+/**
+ * The 4 byte prefix of a token name: a zero nibble, the label as 2 bytes, the CRC-8 checksum of the label, and another zero nibble.
+ * @param {number} label - between 0 and 65535
+ * @returns {number[]}
+ */
+export function encodeCip67Label(label) {
+    if (!Number.isSafeInteger(label) || label < 0 || label > 0xffff) {
+        throw new Error(`invalid CIP-67 label ${label}`)
+    }
+
+    const checksum = calcCrc8([label >> 8, label & 0xff])
+
+    return [
+        label >> 12,
+        (label >> 4) & 0xff,
+        ((label & 0x0f) << 4) | (checksum >> 4),
+        (checksum & 0x0f) << 4
+    ]
+}
+
+/**
+ * Returns `undefined` if the token name doesn't start with a valid CIP-67 label (wrong padding nibbles or wrong checksum)
+ * @param {BytesLike} tokenName
+ * @returns {{label: number, name: number[]} | undefined}
+ */
+export function decodeCip67TokenName(tokenName) {
+    const bytes = toBytes(tokenName)
+
+    if (bytes.length < 4 || bytes[0] >> 4 != 0 || (bytes[3] & 0x0f) != 0) {
+        return undefined
+    }
+
+    const label = ((bytes[0] & 0x0f) << 12) | (bytes[1] << 4) | (bytes[2] >> 4)
+    const checksum = ((bytes[2] & 0x0f) << 4) | (bytes[3] >> 4)
+
+    if (calcCrc8([label >> 8, label & 0xff]) != checksum) {
+        return undefined
+    }
+
+    return { label, name: bytes.slice(4) }
+}
+
+/**
+ * @param {number} label
+ * @param {BytesLike} name - the name without the label prefix
+ * @returns {number[]}
+ */
+export function encodeCip67TokenName(label, name) {
+    return encodeCip67Label(label).concat(toBytes(name))
+}
+
+/**
+ * Derives the CIP-68 reference token and user token of a base name.
+ * @param {MintingPolicyHashLike} mph
+ * @param {BytesLike} name - the name without the label prefix
+ * @param {number} userLabel - defaults to `CIP67_NFT_LABEL`
+ * @returns {{reference: AssetClass, user: AssetClass}}
+ */
+export function makeCip68AssetClasses(mph, name, userLabel = CIP67_NFT_LABEL) {
+    const policy = MintingPolicyHash.new(mph)
+
+    return {
+        reference: new AssetClass(
+            policy,
+            encodeCip67TokenName(CIP67_REFERENCE_LABEL, name)
+        ),
+        user: new AssetClass(policy, encodeCip67TokenName(userLabel, name))
+    }
+}
+
+/**
+ * CRC-8 with polynomial 0x07 and initial value 0, as specified by CIP-67
+ * @param {number[]} bytes
+ * @returns {number}
+ */
+function calcCrc8(bytes) {
+    let crc = 0
+
+    bytes.forEach((b) => {
+        crc ^= b
+
+        for (let i = 0; i < 8; i++) {
+            crc = crc & 0x80 ? ((crc << 1) ^ 0x07) & 0xff : (crc << 1) & 0xff
+        }
+    })
+
+    return crc
+}
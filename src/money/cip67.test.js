@@ -0,0 +1,69 @@
+import { deepEqual, strictEqual, throws } from "node:assert"
+import { describe, it } from "node:test"
+import { bytesToHex, encodeUtf8 } from "@helios-lang/codec-utils"
+import { MintingPolicyHash } from "../hashes/index.js"
+import {
+    CIP67_FT_LABEL,
+    CIP67_NFT_LABEL,
+    CIP67_REFERENCE_LABEL,
+    CIP67_RFT_LABEL,
+    decodeCip67TokenName,
+    encodeCip67Label,
+    encodeCip67TokenName,
+    makeCip68AssetClasses
+} from "./cip67.js"
+
+describe("CIP-67", () => {
+    // examples of CIP-67
+    const labels = [
+        [CIP67_REFERENCE_LABEL, "000643b0"],
+        [CIP67_NFT_LABEL, "000de140"],
+        [CIP67_FT_LABEL, "0014df10"],
+        [CIP67_RFT_LABEL, "001bc280"]
+    ]
+
+    labels.forEach(([label, hex]) => {
+        it(`encodes label ${label} as ${hex}`, () => {
+            strictEqual(bytesToHex(encodeCip67Label(Number(label))), hex)
+        })
+    })
+
+    it("decodes a token name", () => {
+        deepEqual(
+            decodeCip67TokenName(
+                encodeCip67TokenName(CIP67_FT_LABEL, encodeUtf8("Token"))
+            ),
+            { label: CIP67_FT_LABEL, name: encodeUtf8("Token") }
+        )
+    })
+
+    it("doesn't decode a token name with an invalid checksum", () => {
+        strictEqual(decodeCip67TokenName("000de150"), undefined)
+    })
+
+    it("doesn't decode a token name without a label", () => {
+        strictEqual(decodeCip67TokenName(encodeUtf8("Token")), undefined)
+    })
+
+    it("fails for a label that doesn't fit in 2 bytes", () => {
+        throws(() => encodeCip67Label(65536))
+    })
+
+    it("derives the reference and user tokens of a base name", () => {
+        const { reference, user } = makeCip68AssetClasses(
+            MintingPolicyHash.dummy(1),
+            encodeUtf8("Token"),
+            CIP67_RFT_LABEL
+        )
+
+        strictEqual(
+            bytesToHex(reference.tokenName),
+            "000643b0" + bytesToHex(encodeUtf8("Token"))
+        )
+        strictEqual(
+            bytesToHex(user.tokenName),
+            "001bc280" + bytesToHex(encodeUtf8("Token"))
+        )
+        strictEqual(reference.mph.toHex(), user.mph.toHex())
+    })
+})
@@ -1,9 +1,21 @@
 export { AssetClass } from "./AssetClass.js"
 export { Assets } from "./Assets.js"
+export {
+    CIP67_FT_LABEL,
+    CIP67_NFT_LABEL,
+    CIP67_REFERENCE_LABEL,
+    CIP67_RFT_LABEL,
+    decodeCip67TokenName,
+    encodeCip67Label,
+    encodeCip67TokenName,
+    makeCip68AssetClasses
+} from "./cip67.js"
 export { TokenValue } from "./TokenValue.js"
 export { Value } from "./Value.js"
 
 /**
  * @typedef {import("./AssetClass.js").AssetClassLike} AssetClassLike
+ * @typedef {import("./Assets.js").AssetsJson} AssetsJson
+ * @typedef {import("./Value.js").ValueJson} ValueJson
  * @typedef {import("./Value.js").ValueLike} ValueLike
  */
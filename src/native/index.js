@@ -1,4 +1,5 @@
 export { NativeScript } from "@helios-lang/ledger-allegra"
+export { calcNativeScriptKeySets } from "./keySets.js"
 
 /**
  * @typedef {import("@helios-lang/ledger-allegra").NativeContext} NativeContext
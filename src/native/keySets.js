@@ -0,0 +1,107 @@
+import { PubKeyHash } from "../hashes/index.js"
+
+/**
+ * @typedef {import("@helios-lang/ledger-allegra").NativeScript} NativeScript
+ */
+
+/**
+ * Returns the minimal sets of keys that satisfy a native script, so a wallet knows whose signatures to collect.
+ *
+ * None of the returned sets is a superset of another.
+ * The `After` and `Before` clauses are considered satisfied, they only depend on the validity interval of the tx.
+ * @param {NativeScript} script
+ * @returns {PubKeyHash[][]}
+ */
+export function calcNativeScriptKeySets(script) {
+    return calcKeySets(script.toJson()).map((keys) =>
+        Array.from(keys).map((key) => new PubKeyHash(key))
+    )
+}
+
+/**
+ * Uses the JSON representation because the structure of a native script isn't public
+ * @param {any} json
+ * @returns {Set<string>[]}
+ */
+function calcKeySets(json) {
+    switch (json.type) {
+        case "sig":
+            return [new Set([json.keyHash])]
+        case "all":
+            return calcAllKeySets(json.scripts.map(calcKeySets))
+        case "any":
+            return minimizeKeySets(json.scripts.map(calcKeySets).flat())
+        case "atLeast":
+            return minimizeKeySets(
+                chooseN(json.scripts.map(calcKeySets), json.required)
+                    .map(calcAllKeySets)
+                    .flat()
+            )
+        case "after":
+        case "before":
+            return [new Set()]
+        default:
+            throw new Error(`unhandled native script type ${json.type}`)
+    }
+}
+
+/**
+ * Every combination of one key set of each sub-script
+ * @param {Set<string>[][]} keySets
+ * @returns {Set<string>[]}
+ */
+function calcAllKeySets(keySets) {
+    return minimizeKeySets(
+        keySets.reduce(
+            (prev, sets) =>
+                prev.map((a) => sets.map((b) => new Set([...a, ...b]))).flat(),
+            [new Set()]
+        )
+    )
+}
+
+/**
+ * @template T
+ * @param {T[]} items
+ * @param {number} n
+ * @returns {T[][]}
+ */
+function chooseN(items, n) {
+    if (n <= 0) {
+        return [[]]
+    } else if (items.length < n) {
+        return []
+    } else {
+        const [first, ...rest] = items
+
+        return chooseN(rest, n - 1)
+            .map((c) => [first].concat(c))
+            .concat(chooseN(rest, n))
+    }
+}
+
+/**
+ * Removes duplicates and supersets
+ * @param {Set<string>[]} keySets
+ * @returns {Set<string>[]}
+ */
+function minimizeKeySets(keySets) {
+    const sorted = keySets.slice().sort((a, b) => a.size - b.size)
+
+    /**
+     * @type {Set<string>[]}
+     */
+    const result = []
+
+    sorted.forEach((keys) => {
+        if (
+            !result.some((prev) =>
+                Array.from(prev).every((key) => keys.has(key))
+            )
+        ) {
+            result.push(keys)
+        }
+    })
+
+    return result
+}
@@ -0,0 +1,75 @@
+import { deepEqual } from "node:assert"
+import { describe, it } from "node:test"
+import { NativeScript } from "@helios-lang/ledger-allegra"
+import { PubKeyHash } from "../hashes/index.js"
+import { calcNativeScriptKeySets } from "./keySets.js"
+
+/**
+ * @param {NativeScript} script
+ * @returns {string[][]}
+ */
+function calcKeySetsHex(script) {
+    return calcNativeScriptKeySets(script).map((keys) =>
+        keys.map((key) => key.toHex())
+    )
+}
+
+describe(calcNativeScriptKeySets.name, () => {
+    const a = PubKeyHash.dummy(1)
+    const b = PubKeyHash.dummy(2)
+    const c = PubKeyHash.dummy(3)
+
+    it("requires every key of All", () => {
+        deepEqual(
+            calcKeySetsHex(
+                NativeScript.All([NativeScript.Sig(a), NativeScript.Sig(b)])
+            ),
+            [[a.toHex(), b.toHex()]]
+        )
+    })
+
+    it("requires a single key of Any", () => {
+        deepEqual(
+            calcKeySetsHex(
+                NativeScript.Any([NativeScript.Sig(a), NativeScript.Sig(b)])
+            ),
+            [[a.toHex()], [b.toHex()]]
+        )
+    })
+
+    it("returns each combination of AtLeast", () => {
+        deepEqual(
+            calcKeySetsHex(
+                NativeScript.AtLeast(2, [
+                    NativeScript.Sig(a),
+                    NativeScript.Sig(b),
+                    NativeScript.Sig(c)
+                ])
+            ),
+            [
+                [a.toHex(), b.toHex()],
+                [a.toHex(), c.toHex()],
+                [b.toHex(), c.toHex()]
+            ]
+        )
+    })
+
+    it("ignores time-locks and removes supersets", () => {
+        deepEqual(
+            calcKeySetsHex(
+                NativeScript.Any([
+                    NativeScript.All([
+                        NativeScript.Sig(a),
+                        NativeScript.After(100)
+                    ]),
+                    NativeScript.All([NativeScript.Sig(a), NativeScript.Sig(b)])
+                ])
+            ),
+            [[a.toHex()]]
+        )
+    })
+
+    it("returns an empty key set if no signatures are needed", () => {
+        deepEqual(calcKeySetsHex(NativeScript.Before(100)), [[]])
+    })
+})
@@ -1,4 +1,5 @@
 import { COST_MODEL_PARAMS_V1 } from "@helios-lang/ledger-alonzo"
+import { DEFAULT_COST_MODEL_PARAMS_V3 } from "@helios-lang/uplc"
 import { COST_MODEL_PARAMS_V2 } from "./costmodel.js"
 
 /**
@@ -12,6 +13,10 @@ import { COST_MODEL_PARAMS_V2 } from "./costmodel.js"
  *
  * Only include the minimum fields needed. flattened so it can be extended more easily
  *
+ * `refScriptsFeePerByte` is optional. If it isn't set, reference scripts don't add to the tx fee.
+ * `stakePoolDeposit` is only needed for txs that register stake pools.
+ * `costModelParamsV3` is only needed for txs that use PlutusV3 scripts.
+ *
  * @typedef {{
  *   txFeeFixed: number
  *   txFeePerByte: number
@@ -25,10 +30,13 @@ import { COST_MODEL_PARAMS_V2 } from "./costmodel.js"
  *   maxTxSize: number
  *   secondsPerSlot: number
  *   stakeAddrDeposit: number
+ *   stakePoolDeposit?: number
  *   refTipSlot: number
  *   refTipTime: number
  *   costModelParamsV1: number[]
  *   costModelParamsV2: number[]
+ *   costModelParamsV3?: number[]
+ *   refScriptsFeePerByte?: number
  * }} NetworkParams
  */
 
@@ -50,9 +58,11 @@ export function DEFAULT_NETWORK_PARAMS() {
         maxTxSize: 16384,
         secondsPerSlot: 1,
         stakeAddrDeposit: 2000000,
+        stakePoolDeposit: 500000000,
         refTipSlot: 113163674,
         refTipTime: 1704729965000,
         costModelParamsV1: COST_MODEL_PARAMS_V1,
-        costModelParamsV2: COST_MODEL_PARAMS_V2
+        costModelParamsV2: COST_MODEL_PARAMS_V2,
+        costModelParamsV3: DEFAULT_COST_MODEL_PARAMS_V3()
     }
 }
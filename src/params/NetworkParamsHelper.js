@@ -54,6 +54,16 @@ export class NetworkParamsHelper {
         )
     }
 
+    /**
+     * @type {number[]}
+     */
+    get costModelParamsV3() {
+        return expectDefined(
+            this.params?.costModelParamsV3,
+            "'networkParams.costModelParamsV3' undefined"
+        )
+    }
+
     /**
      * @type {[number, number]} - a + b*txSize
      */
@@ -172,6 +182,14 @@ export class NetworkParamsHelper {
         )
     }
 
+    /**
+     * Price per byte of the first tier of reference scripts, defaults to 0 if not set
+     * @type {number}
+     */
+    get refScriptsFeePerByte() {
+        return this.params?.refScriptsFeePerByte ?? 0
+    }
+
     /**
      * @type {bigint}
      */
@@ -184,6 +202,18 @@ export class NetworkParamsHelper {
         )
     }
 
+    /**
+     * @type {bigint}
+     */
+    get stakePoolDeposit() {
+        return BigInt(
+            expectDefined(
+                this.params?.stakePoolDeposit,
+                "'networkParams.stakePoolDeposit' undefined"
+            )
+        )
+    }
+
     /**
      * @protected
      * @type {number}
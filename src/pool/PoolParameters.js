@@ -18,11 +18,13 @@ import { PoolRelay } from "./PoolRelay.js"
 
 /**
  * @typedef {import("@helios-lang/codec-utils").BytesLike} BytesLike
+ * @typedef {import("../hashes/index.js").PubKeyHashLike} PubKeyHashLike
  */
 
 /**
+ * The pool id can also be a bech32 string (i.e. `pool1...`)
  * @typedef {{
- *   id: PubKeyHash
+ *   id: PubKeyHashLike
  *   vrf: PubKeyHash
  *   pledge: bigint
  *   cost: bigint
@@ -103,7 +105,7 @@ export class PoolParameters {
         relays,
         metadata
     }) {
-        this.id = id
+        this.id = PubKeyHash.new(id)
         this.vrf = vrf
         this.pledge = pledge
         this.cost = cost
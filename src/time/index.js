@@ -1,5 +1,5 @@
 export { toTime } from "./Time.js"
-export { TimeRange } from "./TimeRange.js"
+export { ALWAYS, NEVER, TimeRange } from "./TimeRange.js"
 
 /**
  * @typedef {import("./Time.js").TimeLike} TimeLike
@@ -0,0 +1,191 @@
+import {
+    decodeBytes,
+    decodeInt,
+    decodeMap,
+    decodeTag,
+    decodeTuple,
+    encodeBytes,
+    encodeInt,
+    encodeTuple
+} from "@helios-lang/cbor"
+import {
+    bytesToHex,
+    equalsBytes,
+    makeByteStream,
+    toBytes
+} from "@helios-lang/codec-utils"
+import { blake2b, Ed25519, sha3_256 } from "@helios-lang/crypto"
+import { PubKey } from "./PubKey.js"
+
+/**
+ * @import { BytesLike } from "@helios-lang/codec-utils"
+ * @import { Address } from "./ShelleyAddress.js"
+ * @typedef {import("./PubKey.js").PubKeyLike} PubKeyLike
+ */
+
+/**
+ * Signature that witnesses the spending of a UTxO at a Byron address.
+ *
+ * Besides the Ed25519 signature, it contains the extended public key (pubKey + chainCode) and the attributes of the Byron address, so the address root can be recalculated.
+ */
+export class BootstrapWitness {
+    /**
+     * @readonly
+     * @type {PubKey}
+     */
+    pubKey
+
+    /**
+     * @readonly
+     * @type {number[]}
+     */
+    bytes
+
+    /**
+     * @readonly
+     * @type {number[]}
+     */
+    chainCode
+
+    /**
+     * CBOR encoded attributes of the Byron address
+     * @readonly
+     * @type {number[]}
+     */
+    attributes
+
+    /**
+     * @param {PubKeyLike} pubKey
+     * @param {BytesLike} bytes - signature bytes
+     * @param {BytesLike} chainCode
+     * @param {BytesLike} attributes
+     */
+    constructor(pubKey, bytes, chainCode, attributes) {
+        this.pubKey = PubKey.new(pubKey)
+        this.bytes = toBytes(bytes)
+        this.chainCode = toBytes(chainCode)
+        this.attributes = toBytes(attributes)
+
+        if (this.chainCode.length != 32) {
+            throw new Error(
+                `expected 32 bytes for chain code, got ${this.chainCode.length}`
+            )
+        }
+    }
+
+    /**
+     * @param {BytesLike} bytes
+     * @returns {BootstrapWitness}
+     */
+    static fromCbor(bytes) {
+        const stream = makeByteStream({ bytes })
+
+        const [pubKey, signatureBytes, chainCode, attributes] = decodeTuple(
+            stream,
+            [PubKey, decodeBytes, decodeBytes, decodeBytes]
+        )
+
+        return new BootstrapWitness(
+            pubKey,
+            signatureBytes,
+            chainCode,
+            attributes
+        )
+    }
+
+    /**
+     * Root of the Byron address that corresponds to this witness (28 bytes)
+     * @type {number[]}
+     */
+    get addressRoot() {
+        const spendingData = encodeTuple([
+            encodeInt(0),
+            encodeBytes(this.pubKey.bytes.concat(this.chainCode))
+        ])
+
+        return blake2b(
+            sha3_256(
+                encodeTuple([encodeInt(0), spendingData, this.attributes])
+            ),
+            28
+        )
+    }
+
+    /**
+     * Diagnostic representation
+     * @returns {Object}
+     */
+    dump() {
+        return {
+            pubKey: this.pubKey.dump(),
+            signature: bytesToHex(this.bytes),
+            chainCode: bytesToHex(this.chainCode),
+            attributes: bytesToHex(this.attributes)
+        }
+    }
+
+    /**
+     * Checks if this witness is able to unlock UTxOs at the given address (always false for Shelley addresses)
+     * @param {Address} address
+     * @returns {boolean}
+     */
+    isForAddress(address) {
+        if (address.era != "Byron") {
+            return false
+        }
+
+        return equalsBytes(
+            decodeByronAddressRoot(address.toCbor()),
+            this.addressRoot
+        )
+    }
+
+    /**
+     * @returns {number[]}
+     */
+    toCbor() {
+        return encodeTuple([
+            this.pubKey.toCbor(),
+            encodeBytes(this.bytes),
+            encodeBytes(this.chainCode),
+            encodeBytes(this.attributes)
+        ])
+    }
+
+    /**
+     * Throws error if incorrect
+     * @param {number[]} msg
+     * @returns {void}
+     */
+    verify(msg) {
+        if (!Ed25519.verify(this.bytes, msg, this.pubKey.bytes)) {
+            throw new Error("incorrect bootstrap witness signature")
+        }
+    }
+}
+
+/**
+ * A Byron address is encoded as `[#6.24(bytes .cbor [root, attributes, type]), crc]`
+ * @param {number[]} bytes
+ * @returns {number[]}
+ */
+function decodeByronAddressRoot(bytes) {
+    const [payload] = decodeTuple(bytes, [
+        (stream) => {
+            if (decodeTag(stream) != 24n) {
+                throw new Error("unexpected Byron address tag")
+            }
+
+            return decodeBytes(stream)
+        },
+        decodeInt
+    ])
+
+    const [root] = decodeTuple(payload, [
+        decodeBytes,
+        (stream) => decodeMap(stream, decodeInt, decodeBytes),
+        decodeInt
+    ])
+
+    return root
+}
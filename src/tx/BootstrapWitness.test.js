@@ -0,0 +1,39 @@
+import { deepEqual, strictEqual } from "node:assert"
+import { describe, it } from "node:test"
+import { bytesToHex, dummyBytes } from "@helios-lang/codec-utils"
+import { BootstrapWitness } from "./BootstrapWitness.js"
+import { PubKey } from "./PubKey.js"
+import { makeDummyAddress } from "./ShelleyAddress.js"
+
+const witness = new BootstrapWitness(
+    PubKey.dummy(1),
+    dummyBytes(64, 2),
+    dummyBytes(32, 3),
+    [0xa0] // empty attributes map
+)
+
+describe(BootstrapWitness.name, () => {
+    it("round-trips through CBOR", () => {
+        const bytes = witness.toCbor()
+
+        strictEqual(
+            bytesToHex(BootstrapWitness.fromCbor(bytes).toCbor()),
+            bytesToHex(bytes)
+        )
+    })
+
+    it("keeps the chain code and the attributes", () => {
+        const decoded = BootstrapWitness.fromCbor(witness.toCbor())
+
+        deepEqual(decoded.chainCode, witness.chainCode)
+        deepEqual(decoded.attributes, [0xa0])
+    })
+
+    it("has a 28 byte address root", () => {
+        strictEqual(witness.addressRoot.length, 28)
+    })
+
+    it("isn't for Shelley addresses", () => {
+        strictEqual(witness.isForAddress(makeDummyAddress(false)), false)
+    })
+})
@@ -0,0 +1,195 @@
+import { decodeUtf8, encodeUtf8, isValidUtf8 } from "@helios-lang/codec-utils"
+import {
+    ByteArrayData,
+    ConstrData,
+    IntData,
+    ListData,
+    MapData
+} from "@helios-lang/uplc"
+import { TxOutputDatum } from "./TxOutputDatum.js"
+
+/**
+ * @typedef {import("@helios-lang/codec-utils").IntLike} IntLike
+ * @typedef {import("@helios-lang/uplc").UplcData} UplcData
+ */
+
+/**
+ * Strings are encoded as UTF-8 bytes, ints as ints, arrays as lists and objects as maps with UTF-8 keys.
+ * When decoding, ints become bigints, lists become arrays, and data that can't be represented otherwise (e.g. bytes that aren't valid UTF-8) is kept as `UplcData`.
+ *
+ * Lists are typed as array-likes because a type alias can't reference itself through an array type in JSDoc.
+ * @typedef {string | IntLike | UplcData | {[index: number]: Cip68MetadataValue, length: number} | {[key: string]: Cip68MetadataValue}} Cip68MetadataValue
+ */
+
+/**
+ * Standard fields depend on the token type (e.g. `name`, `image` and `mediaType` for NFTs, `name`, `ticker` and `decimals` for fungible tokens)
+ * @typedef {{[key: string]: Cip68MetadataValue}} Cip68Metadata
+ */
+
+/**
+ * The datum held by a CIP-68 reference token: `Constr 0 [metadata, version, extra]`
+ */
+export class Cip68Datum {
+    /**
+     * @readonly
+     * @type {Cip68Metadata}
+     */
+    metadata
+
+    /**
+     * @readonly
+     * @type {number}
+     */
+    version
+
+    /**
+     * Custom data of the token issuer, `Constr 0 []` if unused
+     * @readonly
+     * @type {UplcData}
+     */
+    extra
+
+    /**
+     * @param {Cip68Metadata} metadata
+     * @param {number} version - 1 for NFTs and fungible tokens, 2 is required for the `decimals` field of fungible tokens, and 3 for rich-fungible tokens
+     * @param {UplcData} extra
+     */
+    constructor(metadata, version = 1, extra = new ConstrData(0, [])) {
+        this.metadata = metadata
+        this.version = version
+        this.extra = extra
+    }
+
+    /**
+     * @param {TxOutputDatum | undefined} datum
+     * @returns {Cip68Datum}
+     */
+    static fromTxOutputDatum(datum) {
+        if (!datum || !datum.isInline()) {
+            throw new Error(
+                "expected an inline datum for a CIP-68 reference token"
+            )
+        }
+
+        return Cip68Datum.fromUplcData(datum.data)
+    }
+
+    /**
+     * @param {UplcData} data
+     * @returns {Cip68Datum}
+     */
+    static fromUplcData(data) {
+        const { tag, fields } = ConstrData.expect(
+            data,
+            "expected ConstrData for CIP-68 datum"
+        )
+
+        if (tag != 0 || fields.length != 3) {
+            throw new Error(
+                `expected ConstrData with tag 0 and 3 fields for CIP-68 datum, got tag ${tag} with ${fields.length} fields`
+            )
+        }
+
+        const metadata = decodeMetadataValue(
+            MapData.expect(fields[0], "expected MapData for CIP-68 metadata")
+        )
+
+        if (!isMetadataObject(metadata)) {
+            throw new Error("expected UTF-8 keys in CIP-68 metadata")
+        }
+
+        const version = Number(
+            IntData.expect(fields[1], "expected IntData for CIP-68 version")
+                .value
+        )
+
+        return new Cip68Datum(metadata, version, fields[2])
+    }
+
+    /**
+     * The inline datum of the output holding the reference token
+     * @returns {TxOutputDatum<"Inline">}
+     */
+    toTxOutputDatum() {
+        return TxOutputDatum.Inline(this.toUplcData())
+    }
+
+    /**
+     * @returns {ConstrData}
+     */
+    toUplcData() {
+        return new ConstrData(0, [
+            encodeMetadataValue(this.metadata),
+            new IntData(this.version),
+            this.extra
+        ])
+    }
+}
+
+/**
+ * @param {Cip68MetadataValue} value
+ * @returns {UplcData}
+ */
+function encodeMetadataValue(value) {
+    if (typeof value == "string") {
+        return new ByteArrayData(encodeUtf8(value))
+    } else if (typeof value == "number" || typeof value == "bigint") {
+        return new IntData(value)
+    } else if (Array.isArray(value)) {
+        return new ListData(value.map(encodeMetadataValue))
+    } else if (isMetadataObject(value)) {
+        return new MapData(
+            Object.entries(value).map(([key, v]) => [
+                new ByteArrayData(encodeUtf8(key)),
+                encodeMetadataValue(v)
+            ])
+        )
+    } else {
+        return value
+    }
+}
+
+/**
+ * @param {UplcData} data
+ * @returns {Cip68MetadataValue}
+ */
+function decodeMetadataValue(data) {
+    switch (data.kind) {
+        case "bytes":
+            return isValidUtf8(data.bytes) ? decodeUtf8(data.bytes) : data
+        case "int":
+            return data.value
+        case "list":
+            return data.items.map(decodeMetadataValue)
+        case "map":
+            if (
+                data.items.every(
+                    ([key]) => key.kind == "bytes" && isValidUtf8(key.bytes)
+                )
+            ) {
+                return Object.fromEntries(
+                    data.items.map(([key, value]) => [
+                        decodeUtf8(ByteArrayData.expect(key).bytes),
+                        decodeMetadataValue(value)
+                    ])
+                )
+            } else {
+                return data
+            }
+        default:
+            return data
+    }
+}
+
+/**
+ * UplcData instances have a `kind` and a `toCbor()` method, plain objects don't
+ * @param {Cip68MetadataValue} value
+ * @returns {value is Cip68Metadata}
+ */
+function isMetadataObject(value) {
+    return (
+        typeof value == "object" &&
+        !Array.isArray(value) &&
+        !("toCbor" in value && typeof value.toCbor == "function")
+    )
+}
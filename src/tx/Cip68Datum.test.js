@@ -0,0 +1,67 @@
+import { deepEqual, strictEqual, throws } from "node:assert"
+import { describe, it } from "node:test"
+import { bytesToHex } from "@helios-lang/codec-utils"
+import { ByteArrayData, ConstrData, IntData, MapData } from "@helios-lang/uplc"
+import { DatumHash } from "../hashes/index.js"
+import { Cip68Datum } from "./Cip68Datum.js"
+import { TxOutputDatum } from "./TxOutputDatum.js"
+
+describe(Cip68Datum.name, () => {
+    const datum = new Cip68Datum(
+        {
+            name: "Token",
+            decimals: 6n,
+            files: [{ src: "ipfs://abc", mediaType: "image/png" }]
+        },
+        2
+    )
+
+    it("round-trips through an inline datum", () => {
+        const decoded = Cip68Datum.fromTxOutputDatum(datum.toTxOutputDatum())
+
+        deepEqual(decoded.metadata, datum.metadata)
+        strictEqual(decoded.version, 2)
+        strictEqual(
+            bytesToHex(decoded.extra.toCbor()),
+            bytesToHex(new ConstrData(0, []).toCbor())
+        )
+    })
+
+    it("keeps bytes that aren't valid UTF-8 as UplcData", () => {
+        const bytes = new ByteArrayData([0xff, 0xfe])
+
+        const decoded = Cip68Datum.fromUplcData(
+            new ConstrData(0, [
+                new MapData([[new ByteArrayData([0x69, 0x64]), bytes]]),
+                new IntData(1),
+                new ConstrData(0, [])
+            ])
+        )
+
+        strictEqual(decoded.metadata.id, bytes)
+        strictEqual(
+            bytesToHex(decoded.toUplcData().toCbor()),
+            bytesToHex(
+                new ConstrData(0, [
+                    new MapData([[new ByteArrayData([0x69, 0x64]), bytes]]),
+                    new IntData(1),
+                    new ConstrData(0, [])
+                ]).toCbor()
+            )
+        )
+    })
+
+    it("fails for a datum hash", () => {
+        throws(() =>
+            Cip68Datum.fromTxOutputDatum(
+                TxOutputDatum.Hash(new DatumHash(new Array(32).fill(0)))
+            )
+        )
+    })
+
+    it("fails for a datum with the wrong number of fields", () => {
+        throws(() =>
+            Cip68Datum.fromUplcData(new ConstrData(0, [new MapData([])]))
+        )
+    })
+})
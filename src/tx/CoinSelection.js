@@ -0,0 +1,383 @@
+import { Value } from "../money/index.js"
+import { TxInput } from "./TxInput.js"
+import { TxOutput } from "./TxOutput.js"
+
+/**
+ * @typedef {import("../params/index.js").NetworkParams} NetworkParams
+ * @typedef {import("./ShelleyAddress.js").Address} Address
+ * @typedef {import("./ShelleyAddress.js").ShelleyAddressLike} ShelleyAddressLike
+ */
+
+/**
+ * The change address is needed to calculate the minimum lovelace of the change output that will hold what remains after subtracting the target amount
+ * @typedef {{
+ *   params: NetworkParams
+ *   changeAddress: Address | ShelleyAddressLike
+ *   random?: () => number
+ * }} CoinSelectionOptions
+ */
+
+/**
+ * Returns the selected UTxOs and the UTxOs that weren't selected.
+ * Throws an error if the UTxOs can't cover the target amount.
+ * @typedef {(utxos: TxInput[], amount: Value, options: CoinSelectionOptions) => [TxInput[], TxInput[]]} CoinSelectionAlgorithm
+ */
+
+/**
+ * The maximum number of branches visited by `selectBranchAndBound()` before it falls back to `selectLargestFirst()`
+ */
+const MAX_BRANCH_AND_BOUND_TRIES = 100_000
+
+/**
+ * Collection of coin selection algorithms.
+ *
+ * Each algorithm only accepts a selection for which the leftover (selected value minus target amount) can be put in a change output, i.e. the leftover is either zero or contains enough lovelace to cover the minimum deposit of the change output.
+ */
+export class CoinSelection {
+    /**
+     * Branch-and-bound search for the selection that leaves the least lovelace as change, ideally none at all.
+     *
+     * The search space is exponential, so after a fixed number of visited branches the best selection found so far is returned.
+     * If no selection was found at that point, `selectLargestFirst()` is used instead.
+     * @type {CoinSelectionAlgorithm}
+     */
+    static selectBranchAndBound(utxos, amount, options) {
+        const sorted = utxos
+            .slice()
+            .sort((a, b) => compareLovelace(b.value, a.value))
+
+        // remaining[i] is the sum of sorted[i..], used to abandon branches that can't reach the target
+        /**
+         * @type {Value[]}
+         */
+        const remaining = new Array(sorted.length + 1)
+        remaining[sorted.length] = new Value()
+
+        for (let i = sorted.length - 1; i >= 0; i--) {
+            remaining[i] = remaining[i + 1].add(sorted[i].value)
+        }
+
+        /**
+         * @type {number[] | undefined}
+         */
+        let best = undefined
+        let bestExcess = 0n
+        let tries = 0
+
+        /**
+         * @param {number} i
+         * @param {number[]} selected
+         * @param {Value} sum
+         */
+        const search = (i, selected, sum) => {
+            tries += 1
+
+            if (tries > MAX_BRANCH_AND_BOUND_TRIES) {
+                return
+            }
+
+            const excess = sum.lovelace - amount.lovelace
+
+            if (best && excess >= bestExcess) {
+                // adding more UTxOs can only increase the excess
+                return
+            }
+
+            if (sum.isGreaterOrEqual(amount)) {
+                if (isRepresentableChange(sum.subtract(amount), options)) {
+                    best = selected
+                    bestExcess = excess
+                }
+
+                return
+            }
+
+            if (
+                i == sorted.length ||
+                !sum.add(remaining[i]).isGreaterOrEqual(amount)
+            ) {
+                return
+            }
+
+            search(i + 1, selected.concat([i]), sum.add(sorted[i].value))
+            search(i + 1, selected, sum)
+        }
+
+        search(0, [], new Value())
+
+        // cast needed because tsc doesn't see the assignments inside the closure
+        const bestSelection = /** @type {number[] | undefined} */ (best)
+
+        if (!bestSelection) {
+            return CoinSelection.selectLargestFirst(utxos, amount, options)
+        }
+
+        const selected = bestSelection.map((i) => sorted[i])
+
+        return [selected, utxos.filter((utxo) => !selected.includes(utxo))]
+    }
+
+    /**
+     * For each asset class in the target amount (and finally for lovelace), the UTxOs containing the most of that asset class are selected first.
+     * @type {CoinSelectionAlgorithm}
+     */
+    static selectLargestFirst(utxos, amount, options) {
+        return selectExtremumFirst(utxos, amount, options, true)
+    }
+
+    /**
+     * Random-improve as described in CIP 2.
+     *
+     * For each asset class in the target amount (and finally for lovelace), random UTxOs containing that asset class are selected until the target quantity is covered.
+     * In the improvement phase additional random UTxOs are selected for as long as that brings the selected quantity closer to twice the target quantity, without exceeding three times the target quantity.
+     *
+     * `options.random` can be used to make the selection deterministic.
+     * @type {CoinSelectionAlgorithm}
+     */
+    static selectRandomImprove(utxos, amount, options) {
+        const random = options.random ?? Math.random
+
+        /**
+         * @type {TxInput[]}
+         */
+        let selected = []
+        let notSelected = utxos.slice()
+
+        /**
+         * @param {(value: Value) => bigint} getQuantity
+         * @returns {TxInput | undefined}
+         */
+        const pickRandom = (getQuantity) => {
+            const candidates = notSelected.filter(
+                (utxo) => getQuantity(utxo.value) > 0n
+            )
+
+            if (candidates.length == 0) {
+                return undefined
+            }
+
+            const utxo =
+                candidates[Math.floor(random() * candidates.length)] ??
+                candidates[candidates.length - 1]
+
+            return utxo
+        }
+
+        /**
+         * @param {TxInput} utxo
+         */
+        const select = (utxo) => {
+            selected.push(utxo)
+            notSelected = notSelected.filter((other) => other != utxo)
+        }
+
+        const getQuantities = listQuantityGetters(amount)
+
+        // random-select phase
+        for (let [getQuantity, target] of getQuantities) {
+            while (getQuantity(TxInput.sumValues(selected)) < target) {
+                const utxo = pickRandom(getQuantity)
+
+                if (!utxo) {
+                    throw new Error("not enough UTxOs to cover the amount")
+                }
+
+                select(utxo)
+            }
+        }
+
+        // improve phase
+        for (let [getQuantity, target] of getQuantities) {
+            if (target == 0n) {
+                continue
+            }
+
+            while (true) {
+                const utxo = pickRandom(getQuantity)
+
+                if (!utxo) {
+                    break
+                }
+
+                const current = getQuantity(TxInput.sumValues(selected))
+                const next = current + getQuantity(utxo.value)
+
+                if (
+                    next > 3n * target ||
+                    abs(2n * target - next) >= abs(2n * target - current)
+                ) {
+                    break
+                }
+
+                select(utxo)
+            }
+        }
+
+        // make sure the change can be represented
+        while (
+            !isRepresentableChange(
+                TxInput.sumValues(selected).subtract(amount),
+                options
+            )
+        ) {
+            const utxo = pickRandom((v) => v.lovelace)
+
+            if (!utxo) {
+                return fallback(selected, notSelected, amount)
+            }
+
+            select(utxo)
+        }
+
+        return [selected, notSelected]
+    }
+
+    /**
+     * For each asset class in the target amount (and finally for lovelace), the UTxOs containing the least of that asset class are selected first.
+     * @type {CoinSelectionAlgorithm}
+     */
+    static selectSmallestFirst(utxos, amount, options) {
+        return selectExtremumFirst(utxos, amount, options, false)
+    }
+}
+
+/**
+ * @param {TxInput[]} utxos
+ * @param {Value} amount
+ * @param {CoinSelectionOptions} options
+ * @param {boolean} largestFirst
+ * @returns {[TxInput[], TxInput[]]}
+ */
+function selectExtremumFirst(utxos, amount, options, largestFirst) {
+    /**
+     * @type {TxInput[]}
+     */
+    const selected = []
+    let notSelected = utxos.slice()
+
+    /**
+     * @param {(value: Value) => bigint} getQuantity
+     * @param {(sum: Value) => boolean} isDone
+     */
+    const selectUntil = (getQuantity, isDone) => {
+        const candidates = notSelected
+            .filter((utxo) => getQuantity(utxo.value) > 0n)
+            .sort((a, b) => {
+                const qa = getQuantity(a.value)
+                const qb = getQuantity(b.value)
+
+                const d = largestFirst ? qb - qa : qa - qb
+
+                return d > 0n ? 1 : d < 0n ? -1 : 0
+            })
+
+        for (let utxo of candidates) {
+            if (isDone(TxInput.sumValues(selected))) {
+                break
+            }
+
+            selected.push(utxo)
+            notSelected = notSelected.filter((other) => other != utxo)
+        }
+    }
+
+    listQuantityGetters(amount).forEach(([getQuantity, target]) => {
+        selectUntil(getQuantity, (sum) => getQuantity(sum) >= target)
+    })
+
+    // lovelace once more, until the leftover can be put in a change output
+    selectUntil(
+        (value) => value.lovelace,
+        (sum) =>
+            sum.isGreaterOrEqual(amount) &&
+            isRepresentableChange(sum.subtract(amount), options)
+    )
+
+    const sum = TxInput.sumValues(selected)
+
+    if (
+        sum.isGreaterOrEqual(amount) &&
+        isRepresentableChange(sum.subtract(amount), options)
+    ) {
+        return [selected, notSelected]
+    } else {
+        return fallback(selected, notSelected, amount)
+    }
+}
+
+/**
+ * Used when all UTxOs are selected but the leftover can't be put in a separate change output.
+ * A leftover containing only lovelace can still be added to the fee, but a leftover containing other assets can't.
+ * @param {TxInput[]} selected
+ * @param {TxInput[]} notSelected
+ * @param {Value} amount
+ * @returns {[TxInput[], TxInput[]]}
+ */
+function fallback(selected, notSelected, amount) {
+    const sum = TxInput.sumValues(selected)
+
+    if (sum.isGreaterOrEqual(amount)) {
+        const leftover = sum.subtract(amount)
+
+        if (leftover.assets.isZero()) {
+            return [selected, notSelected]
+        } else {
+            throw new Error(
+                "not enough lovelace in UTxOs to create a change output for the leftover assets"
+            )
+        }
+    } else {
+        throw new Error("not enough UTxOs to cover the amount")
+    }
+}
+
+/**
+ * @param {Value} change
+ * @param {CoinSelectionOptions} options
+ * @returns {boolean}
+ */
+function isRepresentableChange(change, options) {
+    if (change.lovelace == 0n && change.assets.isZero()) {
+        return true
+    }
+
+    const output = new TxOutput(options.changeAddress, change)
+
+    return change.lovelace >= output.calcDeposit(options.params)
+}
+
+/**
+ * Returns a quantity getter for each asset class in the amount, and lastly for lovelace, along with the target quantity
+ * @param {Value} amount
+ * @returns {[(value: Value) => bigint, bigint][]}
+ */
+function listQuantityGetters(amount) {
+    /**
+     * @type {[(value: Value) => bigint, bigint][]}
+     */
+    const getters = amount.assets.assetClasses.map((assetClass) => [
+        (value) => value.assets.getQuantity(assetClass),
+        amount.assets.getQuantity(assetClass)
+    ])
+
+    getters.push([(value) => value.lovelace, amount.lovelace])
+
+    return getters
+}
+
+/**
+ * @param {Value} a
+ * @param {Value} b
+ * @returns {number}
+ */
+function compareLovelace(a, b) {
+    return a.lovelace > b.lovelace ? 1 : a.lovelace < b.lovelace ? -1 : 0
+}
+
+/**
+ * @param {bigint} x
+ * @returns {bigint}
+ */
+function abs(x) {
+    return x < 0n ? -x : x
+}
@@ -0,0 +1,177 @@
+import { strictEqual, throws } from "node:assert"
+import { describe, it } from "node:test"
+import { MintingPolicyHash } from "../hashes/index.js"
+import { Value } from "../money/index.js"
+import { DEFAULT_NETWORK_PARAMS } from "../params/index.js"
+import { CoinSelection } from "./CoinSelection.js"
+import { makeAddress } from "./ShelleyAddress.js"
+import { TxInput } from "./TxInput.js"
+import { TxOutput } from "./TxOutput.js"
+import { TxOutputId } from "./TxOutputId.js"
+
+const params = DEFAULT_NETWORK_PARAMS()
+
+const changeAddress = makeAddress(
+    "addr_test1vzzcg26lxj3twnnx889lrn60pqn0z3km2yahhsz0fvpyxdcj5qp8w"
+)
+
+const mph = MintingPolicyHash.dummy(1)
+
+/**
+ * @param {number} i
+ * @param {Value} value
+ * @returns {TxInput}
+ */
+function makeUtxo(i, value) {
+    return new TxInput(
+        TxOutputId.dummy(0, i),
+        new TxOutput(changeAddress, value)
+    )
+}
+
+const utxos = [
+    makeUtxo(0, new Value(5_000_000n)),
+    makeUtxo(1, new Value(20_000_000n)),
+    makeUtxo(2, new Value(2_000_000n, [[mph, [["", 10n]]]])),
+    makeUtxo(3, new Value(10_000_000n)),
+    makeUtxo(4, new Value(3_000_000n))
+]
+
+/**
+ * If there is change, it must be enough for a change output
+ * @param {TxInput[]} selected
+ * @param {TxInput[]} notSelected
+ * @param {Value} amount
+ */
+function checkSelection(selected, notSelected, amount) {
+    strictEqual(selected.length + notSelected.length, utxos.length)
+    strictEqual(TxInput.sumValues(selected).isGreaterOrEqual(amount), true)
+
+    const change = TxInput.sumValues(selected).subtract(amount)
+
+    if (change.isEqual(new Value(0n))) {
+        return
+    }
+
+    strictEqual(
+        change.lovelace >=
+            new TxOutput(changeAddress, change).calcDeposit(params),
+        true
+    )
+}
+
+describe(CoinSelection.name, () => {
+    describe("CoinSelection.selectLargestFirst()", () => {
+        it("selects the largest UTxO first", () => {
+            const amount = new Value(8_000_000n)
+
+            const [selected, notSelected] = CoinSelection.selectLargestFirst(
+                utxos,
+                amount,
+                { params, changeAddress }
+            )
+
+            strictEqual(selected.length, 1)
+            strictEqual(selected[0], utxos[1])
+            checkSelection(selected, notSelected, amount)
+        })
+
+        it("selects the UTxOs containing the requested tokens", () => {
+            const amount = new Value(4_000_000n, [[mph, [["", 5n]]]])
+
+            const [selected, notSelected] = CoinSelection.selectLargestFirst(
+                utxos,
+                amount,
+                { params, changeAddress }
+            )
+
+            strictEqual(selected.includes(utxos[2]), true)
+            checkSelection(selected, notSelected, amount)
+        })
+
+        it("fails if there aren't enough tokens", () => {
+            throws(() =>
+                CoinSelection.selectLargestFirst(
+                    utxos,
+                    new Value(0n, [[mph, [["", 11n]]]]),
+                    { params, changeAddress }
+                )
+            )
+        })
+
+        it("fails if there isn't enough lovelace", () => {
+            throws(() =>
+                CoinSelection.selectLargestFirst(
+                    utxos,
+                    new Value(100_000_000n),
+                    { params, changeAddress }
+                )
+            )
+        })
+    })
+
+    describe("CoinSelection.selectSmallestFirst()", () => {
+        it("selects the smallest UTxOs first", () => {
+            const amount = new Value(6_000_000n)
+
+            const [selected, notSelected] = CoinSelection.selectSmallestFirst(
+                utxos,
+                amount,
+                { params, changeAddress }
+            )
+
+            strictEqual(selected.includes(utxos[1]), false)
+            checkSelection(selected, notSelected, amount)
+        })
+    })
+
+    describe("CoinSelection.selectRandomImprove()", () => {
+        it("selects enough UTxOs", () => {
+            const amount = new Value(12_000_000n, [[mph, [["", 1n]]]])
+
+            let seed = 0.3
+
+            const [selected, notSelected] = CoinSelection.selectRandomImprove(
+                utxos,
+                amount,
+                {
+                    params,
+                    changeAddress,
+                    random: () => {
+                        seed = (seed * 7.3) % 1
+                        return seed
+                    }
+                }
+            )
+
+            checkSelection(selected, notSelected, amount)
+        })
+    })
+
+    describe("CoinSelection.selectBranchAndBound()", () => {
+        it("finds the selection without change", () => {
+            const amount = new Value(13_000_000n)
+
+            const [selected, notSelected] = CoinSelection.selectBranchAndBound(
+                utxos,
+                amount,
+                { params, changeAddress }
+            )
+
+            strictEqual(TxInput.sumValues(selected).lovelace, 13_000_000n)
+            checkSelection(selected, notSelected, amount)
+        })
+
+        it("leaves enough lovelace for the change output", () => {
+            const amount = new Value(14_500_000n)
+
+            const [selected, notSelected] = CoinSelection.selectBranchAndBound(
+                utxos,
+                amount,
+                { params, changeAddress }
+            )
+
+            checkSelection(selected, notSelected, amount)
+        })
+    })
+})
@@ -1,11 +1,15 @@
 import {
     decodeInt,
+    decodeNullOption,
     decodeTagged,
     encodeInt,
+    encodeNullOption,
     encodeTuple
 } from "@helios-lang/cbor"
-import { makeByteStream, toInt } from "@helios-lang/codec-utils"
-import { ConstrData, IntData } from "@helios-lang/uplc"
+import { bytesToHex, makeByteStream, toInt } from "@helios-lang/codec-utils"
+import { expectDefined } from "@helios-lang/type-utils"
+import { ConstrData, IntData, encodeOptionData } from "@helios-lang/uplc"
+import { Anchor, DRep } from "../gov/index.js"
 import { PubKeyHash, StakingHash } from "../hashes/index.js"
 import { PoolParameters } from "../pool/index.js"
 import { StakingCredential } from "./StakingCredential.js"
@@ -14,11 +18,28 @@ import { StakingCredential } from "./StakingCredential.js"
  * @typedef {import("@helios-lang/codec-utils").BytesLike} BytesLike
  * @typedef {import("@helios-lang/codec-utils").IntLike} IntLike
  * @typedef {import("../hashes/index.js").PubKeyHashLike} PubKeyHashLike
+ * @typedef {import("../hashes/index.js").StakingHashJson} StakingHashJson
  * @typedef {import("./StakingCredential.js").StakingCredentialLike} StakingCredentialLike
  */
 
 /**
- * @typedef {"Register" | "Deregister" | "Delegate" | "RegisterPool" | "RetirePool" } DCertKind
+ * @typedef {"Register" | "Deregister" | "Delegate" | "RegisterPool" | "RetirePool" | ConwayDCertKind} DCertKind
+ */
+
+/**
+ * @typedef {"RegisterWithDeposit"
+ *   | "DeregisterWithRefund"
+ *   | "DelegateVote"
+ *   | "DelegateStakeAndVote"
+ *   | "RegisterAndDelegate"
+ *   | "RegisterAndDelegateVote"
+ *   | "RegisterAndDelegateStakeAndVote"
+ *   | "AuthorizeCommitteeHot"
+ *   | "ResignCommitteeCold"
+ *   | "RegisterDRep"
+ *   | "DeregisterDRep"
+ *   | "UpdateDRep"
+ * } ConwayDCertKind
  */
 
 /**
@@ -35,11 +56,92 @@ import { StakingCredential } from "./StakingCredential.js"
  * } : T extends "RetirePool" ? {
  *   poolId: PubKeyHash
  *   epoch: number
+ * } : T extends "RegisterWithDeposit" | "DeregisterWithRefund" ? {
+ *   credential: StakingCredential
+ *   deposit: bigint
+ * } : T extends "DelegateVote" ? {
+ *   credential: StakingCredential
+ *   drep: DRep
+ * } : T extends "DelegateStakeAndVote" ? {
+ *   credential: StakingCredential
+ *   poolId: PubKeyHash
+ *   drep: DRep
+ * } : T extends "RegisterAndDelegate" ? {
+ *   credential: StakingCredential
+ *   poolId: PubKeyHash
+ *   deposit: bigint
+ * } : T extends "RegisterAndDelegateVote" ? {
+ *   credential: StakingCredential
+ *   drep: DRep
+ *   deposit: bigint
+ * } : T extends "RegisterAndDelegateStakeAndVote" ? {
+ *   credential: StakingCredential
+ *   poolId: PubKeyHash
+ *   drep: DRep
+ *   deposit: bigint
+ * } : T extends "AuthorizeCommitteeHot" ? {
+ *   credential: StakingCredential
+ *   hotCredential: StakingCredential
+ * } : T extends "ResignCommitteeCold" ? {
+ *   credential: StakingCredential
+ *   anchor?: Anchor
+ * } : T extends "RegisterDRep" ? {
+ *   credential: StakingCredential
+ *   deposit: bigint
+ *   anchor?: Anchor
+ * } : T extends "DeregisterDRep" ? {
+ *   credential: StakingCredential
+ *   deposit: bigint
+ * } : T extends "UpdateDRep" ? {
+ *   credential: StakingCredential
+ *   anchor?: Anchor
  * } : never} DCertProps
  */
 
+/**
+ * Only the fields of the given kind are included.
+ * Pool ids are hex encoded, the pool parameters, DReps and anchors are hex encoded CBOR.
+ * @typedef {{
+ *   kind: DCertKind
+ *   credential?: StakingHashJson
+ *   hotCredential?: StakingHashJson
+ *   poolId?: string
+ *   parameters?: string
+ *   epoch?: number
+ *   deposit?: string
+ *   drep?: string
+ *   anchor?: string
+ * }} DCertJson
+ */
+
+/**
+ * Tags 5 and 6 were used by the genesis key delegation and MIR certificates, which were removed in the Conway era
+ * @type {{[K in DCertKind]: number}}
+ */
+const TAGS = {
+    Register: 0,
+    Deregister: 1,
+    Delegate: 2,
+    RegisterPool: 3,
+    RetirePool: 4,
+    RegisterWithDeposit: 7,
+    DeregisterWithRefund: 8,
+    DelegateVote: 9,
+    DelegateStakeAndVote: 10,
+    RegisterAndDelegate: 11,
+    RegisterAndDelegateVote: 12,
+    RegisterAndDelegateStakeAndVote: 13,
+    AuthorizeCommitteeHot: 14,
+    ResignCommitteeCold: 15,
+    RegisterDRep: 16,
+    DeregisterDRep: 17,
+    UpdateDRep: 18
+}
+
 /**
  * Confusingly the DCerts in the script context uses full StakingCredentials (which can be Staking Pointer), but the Cbor ledger format only encodes the StakingHash (presumably resolving Staking Ptrs to Staking Hashes)
+ *
+ * DRep credentials and constitutional committee credentials have the same encoding as staking credentials, so they are represented by `StakingCredential` as well.
  * @template {DCertKind} [T=DCertKind]
  */
 export class DCert {
@@ -89,7 +191,7 @@ export class DCert {
     /**
      *
      * @param {StakingCredentialLike} credential
-     * @param {PubKeyHashLike} poolId
+     * @param {PubKeyHashLike} poolId - hexadecimal or bech32 (i.e. `pool1...`)
      * @returns {DCert<"Delegate">}
      */
     static Delegate(credential, poolId) {
@@ -110,7 +212,7 @@ export class DCert {
     }
 
     /**
-     * @param {PubKeyHashLike} poolId
+     * @param {PubKeyHashLike} poolId - hexadecimal or bech32 (i.e. `pool1...`)
      * @param {IntLike} epoch
      * @returns {DCert<"RetirePool">}
      */
@@ -121,15 +223,180 @@ export class DCert {
         })
     }
 
+    /**
+     * Conway-era stake credential registration, with an explicit deposit
+     * @param {StakingCredentialLike} credential
+     * @param {IntLike} deposit
+     * @returns {DCert<"RegisterWithDeposit">}
+     */
+    static RegisterWithDeposit(credential, deposit) {
+        return new DCert("RegisterWithDeposit", {
+            credential: StakingCredential.new(credential),
+            deposit: BigInt(deposit)
+        })
+    }
+
+    /**
+     * Conway-era stake credential deregistration, with an explicit refund
+     * @param {StakingCredentialLike} credential
+     * @param {IntLike} deposit
+     * @returns {DCert<"DeregisterWithRefund">}
+     */
+    static DeregisterWithRefund(credential, deposit) {
+        return new DCert("DeregisterWithRefund", {
+            credential: StakingCredential.new(credential),
+            deposit: BigInt(deposit)
+        })
+    }
+
+    /**
+     * @param {StakingCredentialLike} credential
+     * @param {DRep} drep
+     * @returns {DCert<"DelegateVote">}
+     */
+    static DelegateVote(credential, drep) {
+        return new DCert("DelegateVote", {
+            credential: StakingCredential.new(credential),
+            drep
+        })
+    }
+
+    /**
+     * @param {StakingCredentialLike} credential
+     * @param {PubKeyHashLike} poolId - hexadecimal or bech32 (i.e. `pool1...`)
+     * @param {DRep} drep
+     * @returns {DCert<"DelegateStakeAndVote">}
+     */
+    static DelegateStakeAndVote(credential, poolId, drep) {
+        return new DCert("DelegateStakeAndVote", {
+            credential: StakingCredential.new(credential),
+            poolId: PubKeyHash.new(poolId),
+            drep
+        })
+    }
+
+    /**
+     * @param {StakingCredentialLike} credential
+     * @param {PubKeyHashLike} poolId - hexadecimal or bech32 (i.e. `pool1...`)
+     * @param {IntLike} deposit
+     * @returns {DCert<"RegisterAndDelegate">}
+     */
+    static RegisterAndDelegate(credential, poolId, deposit) {
+        return new DCert("RegisterAndDelegate", {
+            credential: StakingCredential.new(credential),
+            poolId: PubKeyHash.new(poolId),
+            deposit: BigInt(deposit)
+        })
+    }
+
+    /**
+     * @param {StakingCredentialLike} credential
+     * @param {DRep} drep
+     * @param {IntLike} deposit
+     * @returns {DCert<"RegisterAndDelegateVote">}
+     */
+    static RegisterAndDelegateVote(credential, drep, deposit) {
+        return new DCert("RegisterAndDelegateVote", {
+            credential: StakingCredential.new(credential),
+            drep,
+            deposit: BigInt(deposit)
+        })
+    }
+
+    /**
+     * @param {StakingCredentialLike} credential
+     * @param {PubKeyHashLike} poolId - hexadecimal or bech32 (i.e. `pool1...`)
+     * @param {DRep} drep
+     * @param {IntLike} deposit
+     * @returns {DCert<"RegisterAndDelegateStakeAndVote">}
+     */
+    static RegisterAndDelegateStakeAndVote(credential, poolId, drep, deposit) {
+        return new DCert("RegisterAndDelegateStakeAndVote", {
+            credential: StakingCredential.new(credential),
+            poolId: PubKeyHash.new(poolId),
+            drep,
+            deposit: BigInt(deposit)
+        })
+    }
+
+    /**
+     * @param {StakingCredentialLike} coldCredential
+     * @param {StakingCredentialLike} hotCredential
+     * @returns {DCert<"AuthorizeCommitteeHot">}
+     */
+    static AuthorizeCommitteeHot(coldCredential, hotCredential) {
+        return new DCert("AuthorizeCommitteeHot", {
+            credential: StakingCredential.new(coldCredential),
+            hotCredential: StakingCredential.new(hotCredential)
+        })
+    }
+
+    /**
+     * @param {StakingCredentialLike} coldCredential
+     * @param {Anchor | undefined} anchor
+     * @returns {DCert<"ResignCommitteeCold">}
+     */
+    static ResignCommitteeCold(coldCredential, anchor = undefined) {
+        return new DCert("ResignCommitteeCold", {
+            credential: StakingCredential.new(coldCredential),
+            anchor
+        })
+    }
+
+    /**
+     * @param {StakingCredentialLike} credential
+     * @param {IntLike} deposit
+     * @param {Anchor | undefined} anchor
+     * @returns {DCert<"RegisterDRep">}
+     */
+    static RegisterDRep(credential, deposit, anchor = undefined) {
+        return new DCert("RegisterDRep", {
+            credential: StakingCredential.new(credential),
+            deposit: BigInt(deposit),
+            anchor
+        })
+    }
+
+    /**
+     * @param {StakingCredentialLike} credential
+     * @param {IntLike} deposit
+     * @returns {DCert<"DeregisterDRep">}
+     */
+    static DeregisterDRep(credential, deposit) {
+        return new DCert("DeregisterDRep", {
+            credential: StakingCredential.new(credential),
+            deposit: BigInt(deposit)
+        })
+    }
+
+    /**
+     * @param {StakingCredentialLike} credential
+     * @param {Anchor | undefined} anchor
+     * @returns {DCert<"UpdateDRep">}
+     */
+    static UpdateDRep(credential, anchor = undefined) {
+        return new DCert("UpdateDRep", {
+            credential: StakingCredential.new(credential),
+            anchor
+        })
+    }
+
     /**
      *
      * @param {BytesLike} bytes
+     * @returns {DCert}
      */
     static fromCbor(bytes) {
         const stream = makeByteStream({ bytes })
 
         const [tag, decodeItem] = decodeTagged(stream)
 
+        /**
+         * @returns {Anchor | undefined}
+         */
+        const decodeAnchor = () =>
+            decodeItem((s) => decodeNullOption(s, Anchor)) ?? undefined
+
         switch (tag) {
             case 0:
                 return DCert.Register(decodeItem(StakingHash))
@@ -147,23 +414,205 @@ export class DCert {
                     decodeItem(PubKeyHash),
                     decodeItem(decodeInt)
                 )
+            case 7:
+                return DCert.RegisterWithDeposit(
+                    decodeItem(StakingHash),
+                    decodeItem(decodeInt)
+                )
+            case 8:
+                return DCert.DeregisterWithRefund(
+                    decodeItem(StakingHash),
+                    decodeItem(decodeInt)
+                )
+            case 9:
+                return DCert.DelegateVote(
+                    decodeItem(StakingHash),
+                    decodeItem(DRep)
+                )
+            case 10:
+                return DCert.DelegateStakeAndVote(
+                    decodeItem(StakingHash),
+                    decodeItem(PubKeyHash),
+                    decodeItem(DRep)
+                )
+            case 11:
+                return DCert.RegisterAndDelegate(
+                    decodeItem(StakingHash),
+                    decodeItem(PubKeyHash),
+                    decodeItem(decodeInt)
+                )
+            case 12:
+                return DCert.RegisterAndDelegateVote(
+                    decodeItem(StakingHash),
+                    decodeItem(DRep),
+                    decodeItem(decodeInt)
+                )
+            case 13:
+                return DCert.RegisterAndDelegateStakeAndVote(
+                    decodeItem(StakingHash),
+                    decodeItem(PubKeyHash),
+                    decodeItem(DRep),
+                    decodeItem(decodeInt)
+                )
+            case 14:
+                return DCert.AuthorizeCommitteeHot(
+                    decodeItem(StakingHash),
+                    decodeItem(StakingHash)
+                )
+            case 15:
+                return DCert.ResignCommitteeCold(
+                    decodeItem(StakingHash),
+                    decodeAnchor()
+                )
+            case 16:
+                return DCert.RegisterDRep(
+                    decodeItem(StakingHash),
+                    decodeItem(decodeInt),
+                    decodeAnchor()
+                )
+            case 17:
+                return DCert.DeregisterDRep(
+                    decodeItem(StakingHash),
+                    decodeItem(decodeInt)
+                )
+            case 18:
+                return DCert.UpdateDRep(decodeItem(StakingHash), decodeAnchor())
             default:
                 throw new Error(`unhandled DCert type (tag: ${tag})`)
         }
     }
 
     /**
-     * @typedef {("Register" | "Deregister" | "Delegate")} DCertKindWithCredential
+     * @param {DCertJson} json
+     * @returns {DCert}
+     */
+    static fromJson(json) {
+        const credential = () =>
+            StakingHash.fromJson(
+                expectDefined(json.credential, "DCert credential missing")
+            )
+        const poolId = () =>
+            new PubKeyHash(expectDefined(json.poolId, "DCert poolId missing"))
+        const deposit = () =>
+            BigInt(expectDefined(json.deposit, "DCert deposit missing"))
+        const drep = () =>
+            DRep.fromCbor(expectDefined(json.drep, "DCert drep missing"))
+        const anchor = () =>
+            json.anchor ? Anchor.fromCbor(json.anchor) : undefined
+
+        switch (json.kind) {
+            case "Register":
+                return DCert.Register(credential())
+            case "Deregister":
+                return DCert.Deregister(credential())
+            case "Delegate":
+                return DCert.Delegate(credential(), poolId())
+            case "RegisterPool":
+                return DCert.RegisterPool(
+                    PoolParameters.fromCbor(
+                        expectDefined(
+                            json.parameters,
+                            "DCert parameters missing"
+                        )
+                    )
+                )
+            case "RetirePool":
+                return DCert.RetirePool(
+                    poolId(),
+                    expectDefined(json.epoch, "DCert epoch missing")
+                )
+            case "RegisterWithDeposit":
+                return DCert.RegisterWithDeposit(credential(), deposit())
+            case "DeregisterWithRefund":
+                return DCert.DeregisterWithRefund(credential(), deposit())
+            case "DelegateVote":
+                return DCert.DelegateVote(credential(), drep())
+            case "DelegateStakeAndVote":
+                return DCert.DelegateStakeAndVote(
+                    credential(),
+                    poolId(),
+                    drep()
+                )
+            case "RegisterAndDelegate":
+                return DCert.RegisterAndDelegate(
+                    credential(),
+                    poolId(),
+                    deposit()
+                )
+            case "RegisterAndDelegateVote":
+                return DCert.RegisterAndDelegateVote(
+                    credential(),
+                    drep(),
+                    deposit()
+                )
+            case "RegisterAndDelegateStakeAndVote":
+                return DCert.RegisterAndDelegateStakeAndVote(
+                    credential(),
+                    poolId(),
+                    drep(),
+                    deposit()
+                )
+            case "AuthorizeCommitteeHot":
+                return DCert.AuthorizeCommitteeHot(
+                    credential(),
+                    StakingHash.fromJson(
+                        expectDefined(
+                            json.hotCredential,
+                            "DCert hotCredential missing"
+                        )
+                    )
+                )
+            case "ResignCommitteeCold":
+                return DCert.ResignCommitteeCold(credential(), anchor())
+            case "RegisterDRep":
+                return DCert.RegisterDRep(credential(), deposit(), anchor())
+            case "DeregisterDRep":
+                return DCert.DeregisterDRep(credential(), deposit())
+            case "UpdateDRep":
+                return DCert.UpdateDRep(credential(), anchor())
+            default:
+                throw new Error(`unhandled DCert kind ${json.kind}`)
+        }
+    }
+
+    /**
+     * @typedef {Exclude<DCertKind, "RegisterPool" | "RetirePool">} DCertKindWithCredential
      */
 
     /**
+     * The staking credential, or the DRep credential for the DRep certificates, or the cold credential for the committee certificates
      * @type {T extends DCertKindWithCredential ? StakingCredential<unknown> : T extends Exclude<DCertKind, DCertKindWithCredential> ? never : (StakingCredential<unknown> | undefined)}
      */
     get credential() {
         return /** @type {any} */ (
-            this.isRegister() || this.isDeregister() || this.isDelegate()
-                ? this.props.credential
-                : undefined
+            "credential" in this.props ? this.props.credential : undefined
+        )
+    }
+
+    /**
+     * @typedef {"RegisterWithDeposit" | "DeregisterWithRefund" | "RegisterAndDelegate" | "RegisterAndDelegateVote" | "RegisterAndDelegateStakeAndVote" | "RegisterDRep" | "DeregisterDRep"} DCertKindWithDeposit
+     */
+
+    /**
+     * The deposit paid by the registration certificates, or refunded by the deregistration certificates
+     * @type {T extends DCertKindWithDeposit ? bigint : T extends Exclude<DCertKind, DCertKindWithDeposit> ? never : (bigint | undefined)}
+     */
+    get deposit() {
+        return /** @type {any} */ (
+            "deposit" in this.props ? this.props.deposit : undefined
+        )
+    }
+
+    /**
+     * @typedef {"DelegateVote" | "DelegateStakeAndVote" | "RegisterAndDelegateVote" | "RegisterAndDelegateStakeAndVote"} DCertKindWithDRep
+     */
+
+    /**
+     * @type {T extends DCertKindWithDRep ? DRep : T extends Exclude<DCertKind, DCertKindWithDRep> ? never : (DRep | undefined)}
+     */
+    get drep() {
+        return /** @type {any} */ (
+            "drep" in this.props ? this.props.drep : undefined
         )
     }
 
@@ -180,7 +629,7 @@ export class DCert {
     }
 
     /**
-     * @typedef {"Delegate" | "RegisterPool" | "RetirePool"} DCertKindWithPoolId
+     * @typedef {"Delegate" | "RegisterPool" | "RetirePool" | "DelegateStakeAndVote" | "RegisterAndDelegate" | "RegisterAndDelegateStakeAndVote"} DCertKindWithPoolId
      */
 
     /**
@@ -188,13 +637,11 @@ export class DCert {
      */
     get poolId() {
         return /** @type {any} */ (
-            this.isDelegate()
-                ? this.props.poolId
-                : this.isRetirePool()
+            this.isRegisterPool()
+                ? this.props.parameters.id
+                : "poolId" in this.props
                   ? this.props.poolId
-                  : this.isRegisterPool()
-                    ? this.props.parameters.id
-                    : undefined
+                  : undefined
         )
     }
 
@@ -215,43 +662,15 @@ export class DCert {
      * @type {number}
      */
     get tag() {
-        return this.isRegister()
-            ? 0
-            : this.isDeregister()
-              ? 1
-              : this.isDelegate()
-                ? 2
-                : this.isRegisterPool()
-                  ? 3
-                  : 4
+        return TAGS[this.kind]
     }
 
     /**
      * @returns {Object}
      */
     dump() {
-        if (this.isRegister()) {
-            return {
-                dcertType: "Register"
-            }
-        } else if (this.isDeregister()) {
-            return {
-                dcertType: "Deregister"
-            }
-        } else if (this.isDelegate()) {
-            return {
-                dcertType: "Delegate"
-            }
-        } else if (this.isRegisterPool()) {
-            return {
-                dcertType: "RegisterPool"
-            }
-        } else if (this.isRetirePool()) {
-            return {
-                dcertType: "RetirePool"
-            }
-        } else {
-            throw new Error("unhandled DCert kind")
+        return {
+            dcertType: this.kind
         }
     }
 
@@ -291,34 +710,207 @@ export class DCert {
         return this.kind == "RetirePool"
     }
 
+    /**
+     * True for the certificates introduced in the Conway era
+     * @returns {this is DCert<ConwayDCertKind>}
+     */
+    isConway() {
+        return this.tag > 4
+    }
+
+    /**
+     * @typedef {Exclude<DCertKindWithCredential, "Register">} DCertKindWithWitness
+     */
+
+    /**
+     * True if the certificate must be witnessed by its credential (by a signature, or by a redeemer if the credential is a script hash).
+     *
+     * Legacy stake registrations don't require a witness, but Conway-era registrations do.
+     * @returns {this is DCert<DCertKindWithWitness>}
+     */
+    isWitnessed() {
+        return !this.isRegister() && "credential" in this.props
+    }
+
     /**
      * @returns {number[]}
      */
     toCbor() {
-        if (this.isRegister()) {
-            return encodeTuple([encodeInt(0), this.props.credential.toCbor()])
-        } else if (this.isDeregister()) {
-            return encodeTuple([encodeInt(1), this.props.credential.toCbor()])
+        const tag = encodeInt(this.tag)
+
+        if (this.isRegister() || this.isDeregister()) {
+            return encodeTuple([tag, this.props.credential.toCbor()])
         } else if (this.isDelegate()) {
             return encodeTuple([
-                encodeInt(2),
+                tag,
                 this.props.credential.toCbor(),
                 this.props.poolId.toCbor()
             ])
         } else if (this.isRegisterPool()) {
-            return encodeTuple([encodeInt(3), this.props.parameters.toCbor()])
+            return encodeTuple([tag, this.props.parameters.toCbor()])
         } else if (this.isRetirePool()) {
             return encodeTuple([
-                encodeInt(4),
-                this.props.poolId,
+                tag,
+                this.props.poolId.toCbor(),
                 encodeInt(this.props.epoch)
             ])
+        } else if (
+            this.kind == "RegisterWithDeposit" ||
+            this.kind == "DeregisterWithRefund" ||
+            this.kind == "DeregisterDRep"
+        ) {
+            const props = /** @type {DCertProps<"DeregisterDRep">} */ (
+                this.props
+            )
+
+            return encodeTuple([
+                tag,
+                props.credential.toCbor(),
+                encodeInt(props.deposit)
+            ])
+        } else if (this.kind == "DelegateVote") {
+            const props = /** @type {DCertProps<"DelegateVote">} */ (this.props)
+
+            return encodeTuple([
+                tag,
+                props.credential.toCbor(),
+                props.drep.toCbor()
+            ])
+        } else if (this.kind == "DelegateStakeAndVote") {
+            const props = /** @type {DCertProps<"DelegateStakeAndVote">} */ (
+                this.props
+            )
+
+            return encodeTuple([
+                tag,
+                props.credential.toCbor(),
+                props.poolId.toCbor(),
+                props.drep.toCbor()
+            ])
+        } else if (this.kind == "RegisterAndDelegate") {
+            const props = /** @type {DCertProps<"RegisterAndDelegate">} */ (
+                this.props
+            )
+
+            return encodeTuple([
+                tag,
+                props.credential.toCbor(),
+                props.poolId.toCbor(),
+                encodeInt(props.deposit)
+            ])
+        } else if (this.kind == "RegisterAndDelegateVote") {
+            const props = /** @type {DCertProps<"RegisterAndDelegateVote">} */ (
+                this.props
+            )
+
+            return encodeTuple([
+                tag,
+                props.credential.toCbor(),
+                props.drep.toCbor(),
+                encodeInt(props.deposit)
+            ])
+        } else if (this.kind == "RegisterAndDelegateStakeAndVote") {
+            const props =
+                /** @type {DCertProps<"RegisterAndDelegateStakeAndVote">} */ (
+                    this.props
+                )
+
+            return encodeTuple([
+                tag,
+                props.credential.toCbor(),
+                props.poolId.toCbor(),
+                props.drep.toCbor(),
+                encodeInt(props.deposit)
+            ])
+        } else if (this.kind == "AuthorizeCommitteeHot") {
+            const props = /** @type {DCertProps<"AuthorizeCommitteeHot">} */ (
+                this.props
+            )
+
+            return encodeTuple([
+                tag,
+                props.credential.toCbor(),
+                props.hotCredential.toCbor()
+            ])
+        } else if (
+            this.kind == "ResignCommitteeCold" ||
+            this.kind == "UpdateDRep"
+        ) {
+            const props = /** @type {DCertProps<"UpdateDRep">} */ (this.props)
+
+            return encodeTuple([
+                tag,
+                props.credential.toCbor(),
+                encodeNullOption(props.anchor)
+            ])
+        } else if (this.kind == "RegisterDRep") {
+            const props = /** @type {DCertProps<"RegisterDRep">} */ (this.props)
+
+            return encodeTuple([
+                tag,
+                props.credential.toCbor(),
+                encodeInt(props.deposit),
+                encodeNullOption(props.anchor)
+            ])
         } else {
             throw new Error("unhandled DCert type")
         }
     }
 
     /**
+     * @returns {DCertJson}
+     */
+    toJson() {
+        /**
+         * All the props of the different kinds
+         * @type {Partial<DCertProps<"RegisterAndDelegateStakeAndVote"> & DCertProps<"AuthorizeCommitteeHot"> & DCertProps<"RegisterDRep"> & DCertProps<"RegisterPool"> & DCertProps<"RetirePool">>}
+         */
+        const props = this.props
+
+        /**
+         * @type {DCertJson}
+         */
+        const json = { kind: this.kind }
+
+        if (props.credential) {
+            json.credential = props.credential.expectStakingHash().toJson()
+        }
+
+        if (props.hotCredential) {
+            json.hotCredential = props.hotCredential
+                .expectStakingHash()
+                .toJson()
+        }
+
+        if (props.poolId) {
+            json.poolId = props.poolId.toHex()
+        }
+
+        if (props.parameters) {
+            json.parameters = bytesToHex(props.parameters.toCbor())
+        }
+
+        if (props.epoch !== undefined) {
+            json.epoch = props.epoch
+        }
+
+        if (props.deposit !== undefined) {
+            json.deposit = props.deposit.toString()
+        }
+
+        if (props.drep) {
+            json.drep = bytesToHex(props.drep.toCbor())
+        }
+
+        if (props.anchor) {
+            json.anchor = bytesToHex(props.anchor.toCbor())
+        }
+
+        return json
+    }
+
+    /**
+     * Conway-era certificates can't be represented in the (PlutusV2) script context
      * @returns {ConstrData}
      */
     toUplcData() {
@@ -342,7 +934,99 @@ export class DCert {
                 new IntData(this.props.epoch)
             ])
         } else {
-            throw new Error("unhandled DCert type")
+            throw new Error(`${this.kind} DCert can't be converted to UplcData`)
+        }
+    }
+
+    /**
+     * PlutusV3 representation (`TxCert`), which uses plain credentials instead of staking credentials
+     * @returns {ConstrData}
+     */
+    toUplcDataV3() {
+        if (this.isRegisterPool()) {
+            return new ConstrData(7, [
+                this.props.parameters.id.toUplcData(),
+                this.props.parameters.vrf.toUplcData()
+            ])
+        } else if (this.isRetirePool()) {
+            return new ConstrData(8, [
+                this.props.poolId.toUplcData(),
+                new IntData(this.props.epoch)
+            ])
+        }
+
+        const credential = expectDefined(this.credential).hash.toUplcData()
+        const deposit = this.deposit
+        const depositData =
+            deposit !== undefined ? new IntData(deposit) : undefined
+
+        /**
+         * @returns {ConstrData}
+         */
+        const encodeDelegatee = () => {
+            const poolId = this.poolId
+            const drep = this.drep
+
+            if (poolId && drep) {
+                return new ConstrData(2, [
+                    poolId.toUplcData(),
+                    drep.toUplcData()
+                ])
+            } else if (poolId) {
+                return new ConstrData(0, [poolId.toUplcData()])
+            } else {
+                return new ConstrData(1, [expectDefined(drep).toUplcData()])
+            }
+        }
+
+        switch (this.kind) {
+            case "Register":
+            case "RegisterWithDeposit":
+                return new ConstrData(0, [
+                    credential,
+                    encodeOptionData(depositData)
+                ])
+            case "Deregister":
+            case "DeregisterWithRefund":
+                return new ConstrData(1, [
+                    credential,
+                    encodeOptionData(depositData)
+                ])
+            case "Delegate":
+            case "DelegateVote":
+            case "DelegateStakeAndVote":
+                return new ConstrData(2, [credential, encodeDelegatee()])
+            case "RegisterAndDelegate":
+            case "RegisterAndDelegateVote":
+            case "RegisterAndDelegateStakeAndVote":
+                return new ConstrData(3, [
+                    credential,
+                    encodeDelegatee(),
+                    expectDefined(depositData)
+                ])
+            case "RegisterDRep":
+                return new ConstrData(4, [
+                    credential,
+                    expectDefined(depositData)
+                ])
+            case "UpdateDRep":
+                return new ConstrData(5, [credential])
+            case "DeregisterDRep":
+                return new ConstrData(6, [
+                    credential,
+                    expectDefined(depositData)
+                ])
+            case "AuthorizeCommitteeHot":
+                return new ConstrData(9, [
+                    credential,
+                    /** @type {DCert<"AuthorizeCommitteeHot">} */ (
+                        this
+                    ).props.hotCredential.hash.toUplcData()
+                ])
+            case "ResignCommitteeCold":
+                return new ConstrData(10, [credential])
+            default:
+                throw new Error("unhandled DCert type")
         }
     }
 }
@@ -0,0 +1,123 @@
+import { strictEqual, throws } from "node:assert"
+import { describe, it } from "node:test"
+import { bytesToHex } from "@helios-lang/codec-utils"
+import { Anchor, DRep } from "../gov/index.js"
+import { PubKeyHash, ScriptHash } from "../hashes/index.js"
+import { DCert } from "./DCert.js"
+import { StakingCredential } from "./StakingCredential.js"
+
+const credential = StakingCredential.dummy(1)
+const poolId = PubKeyHash.dummy(2)
+const drep = DRep.Script(ScriptHash.dummy(3))
+const anchor = new Anchor(
+    "https://example.com/drep.json",
+    new Array(32).fill(4)
+)
+
+/**
+ * @param {DCert} dcert
+ */
+function checkRoundTrip(dcert) {
+    const bytes = dcert.toCbor()
+    const decoded = DCert.fromCbor(bytes)
+
+    strictEqual(decoded.kind, dcert.kind)
+    strictEqual(bytesToHex(decoded.toCbor()), bytesToHex(bytes))
+}
+
+describe(DCert.name, () => {
+    it("encodes RetirePool with the pool id as bytes", () => {
+        checkRoundTrip(DCert.RetirePool(poolId, 400))
+    })
+
+    it("round-trips the Conway stake certificates", () => {
+        checkRoundTrip(DCert.RegisterWithDeposit(credential, 2_000_000n))
+        checkRoundTrip(DCert.DeregisterWithRefund(credential, 2_000_000n))
+        checkRoundTrip(DCert.DelegateVote(credential, DRep.AlwaysAbstain()))
+        checkRoundTrip(DCert.DelegateStakeAndVote(credential, poolId, drep))
+        checkRoundTrip(
+            DCert.RegisterAndDelegate(credential, poolId, 2_000_000n)
+        )
+        checkRoundTrip(
+            DCert.RegisterAndDelegateVote(credential, drep, 2_000_000n)
+        )
+        checkRoundTrip(
+            DCert.RegisterAndDelegateStakeAndVote(
+                credential,
+                poolId,
+                DRep.AlwaysNoConfidence(),
+                2_000_000n
+            )
+        )
+    })
+
+    it("round-trips the committee and DRep certificates", () => {
+        checkRoundTrip(
+            DCert.AuthorizeCommitteeHot(credential, StakingCredential.dummy(5))
+        )
+        checkRoundTrip(DCert.ResignCommitteeCold(credential))
+        checkRoundTrip(DCert.ResignCommitteeCold(credential, anchor))
+        checkRoundTrip(DCert.RegisterDRep(credential, 500_000_000n, anchor))
+        checkRoundTrip(DCert.DeregisterDRep(credential, 500_000_000n))
+        checkRoundTrip(DCert.UpdateDRep(credential))
+    })
+
+    it("uses the Conway CBOR tags", () => {
+        strictEqual(DCert.RegisterWithDeposit(credential, 0n).tag, 7)
+        strictEqual(DCert.UpdateDRep(credential).tag, 18)
+    })
+
+    it("decodes the deposit and the DRep", () => {
+        const dcert = DCert.fromCbor(
+            DCert.RegisterAndDelegateVote(credential, drep, 2_000_000n).toCbor()
+        )
+
+        strictEqual(dcert.deposit, 2_000_000n)
+        strictEqual(dcert.drep?.hash?.toHex(), drep.hash.toHex())
+        strictEqual(dcert.isWitnessed(), true)
+    })
+
+    it("doesn't require a witness for a legacy registration", () => {
+        strictEqual(DCert.Register(credential).isWitnessed(), false)
+        strictEqual(
+            DCert.RegisterWithDeposit(credential, 0n).isWitnessed(),
+            true
+        )
+    })
+
+    it("can't convert Conway certificates to UplcData", () => {
+        throws(() => DCert.DelegateVote(credential, drep).toUplcData())
+    })
+
+    it("round-trips through JSON", () => {
+        ;[
+            DCert.Delegate(credential, poolId),
+            DCert.RetirePool(poolId, 400),
+            DCert.RegisterAndDelegateStakeAndVote(
+                credential,
+                poolId,
+                drep,
+                2_000_000n
+            ),
+            DCert.AuthorizeCommitteeHot(credential, StakingCredential.dummy(5)),
+            DCert.RegisterDRep(credential, 500_000_000n, anchor),
+            DCert.UpdateDRep(credential)
+        ].forEach((dcert) => {
+            const json = JSON.parse(JSON.stringify(dcert.toJson()))
+
+            strictEqual(
+                bytesToHex(DCert.fromJson(json).toCbor()),
+                bytesToHex(dcert.toCbor())
+            )
+        })
+    })
+
+    it("accepts bech32 pool ids", () => {
+        strictEqual(
+            bytesToHex(
+                DCert.Delegate(credential, poolId.toBech32("pool")).toCbor()
+            ),
+            bytesToHex(DCert.Delegate(credential, poolId).toCbor())
+        )
+    })
+})
@@ -3,6 +3,7 @@ export {}
 /**
  * @typedef {import("@helios-lang/uplc").UplcProgramV1I} UplcProgramV1I
  * @typedef {import("@helios-lang/uplc").UplcProgramV2I} UplcProgramV2I
+ * @typedef {import("@helios-lang/uplc").UplcProgramV3I} UplcProgramV3I
  */
 
 /**
@@ -15,7 +16,7 @@ export {}
  * @template TRedeemerStrict
  * @template TRedeemerPermissive
  * @typedef {{
- *   program: UplcProgramV1I | UplcProgramV2I
+ *   program: UplcProgramV1I | UplcProgramV2I | UplcProgramV3I
  *   redeemer: Cast<TRedeemerStrict, TRedeemerPermissive>
  * }} MintingContext
  */
@@ -1,6 +1,6 @@
 import { decodeBytes, encodeBytes } from "@helios-lang/cbor"
 import { bytesToHex, dummyBytes, toBytes } from "@helios-lang/codec-utils"
-import { blake2b } from "@helios-lang/crypto"
+import { blake2b, decodeBech32, encodeBech32 } from "@helios-lang/crypto"
 import { ByteArrayData, decodeUplcData } from "@helios-lang/uplc"
 import { PubKeyHash } from "../hashes/index.js"
 
@@ -13,6 +13,29 @@ import { PubKeyHash } from "../hashes/index.js"
  * @typedef {PubKey | BytesLike} PubKeyLike
  */
 
+/**
+ * CIP-5 prefixes of the bech32 encodings of Ed25519 public keys:
+ *   - "addr_vk": payment keys
+ *   - "addr_shared_vk": payment keys of native scripts
+ *   - "stake_vk": stake keys
+ *   - "stake_shared_vk": stake keys of native scripts
+ *   - "policy_vk": keys of native minting policies
+ *   - "pool_vk": pool cold keys
+ * @typedef {"addr_vk" | "addr_shared_vk" | "stake_vk" | "stake_shared_vk" | "policy_vk" | "pool_vk"} PubKeyBech32Prefix
+ */
+
+/**
+ * @type {string[]}
+ */
+const BECH32_PREFIXES = [
+    "addr_vk",
+    "addr_shared_vk",
+    "stake_vk",
+    "stake_shared_vk",
+    "policy_vk",
+    "pool_vk"
+]
+
 export class PubKey {
     /**
      * @readonly
@@ -47,6 +70,26 @@ export class PubKey {
         return new PubKey(dummyBytes(32, seed))
     }
 
+    /**
+     * Throws an error if the prefix isn't one of the CIP-5 prefixes of public keys, or if it isn't the expected prefix
+     * @param {string} str
+     * @param {PubKeyBech32Prefix | undefined} expectedPrefix
+     * @returns {PubKey}
+     */
+    static fromBech32(str, expectedPrefix = undefined) {
+        const [prefix, bytes] = decodeBech32(str)
+
+        const expected = expectedPrefix ? [expectedPrefix] : BECH32_PREFIXES
+
+        if (!expected.includes(prefix)) {
+            throw new Error(
+                `invalid bech32 prefix '${prefix}' for PubKey, expected '${expected.join("' or '")}'`
+            )
+        }
+
+        return new PubKey(bytes)
+    }
+
     /**
      * @param {BytesLike} bytes
      * @returns {PubKey}
@@ -85,6 +128,14 @@ export class PubKey {
         return this.bytes.every((b) => b == 0)
     }
 
+    /**
+     * @param {PubKeyBech32Prefix} prefix - defaults to "addr_vk"
+     * @returns {string}
+     */
+    toBech32(prefix = "addr_vk") {
+        return encodeBech32(prefix, this.bytes)
+    }
+
     /**
      * @returns {number[]}
      */
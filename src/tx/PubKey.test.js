@@ -1,4 +1,4 @@
-import { deepEqual, throws } from "node:assert"
+import { deepEqual, strictEqual, throws } from "node:assert"
 import { describe, it } from "node:test"
 import { PubKey } from "./PubKey.js"
 
@@ -12,4 +12,16 @@ describe(PubKey.name, () => {
             deepEqual(PubKey.dummy(1).bytes, new Array(32).fill(0))
         })
     })
+
+    // test vector of CIP-19
+    const bech32 =
+        "addr_vk1w0l2sr2zgfm26ztc6nl9xy8ghsk5sh6ldwemlpmp9xylzy4dtf7st80zhd"
+
+    it("round-trips through bech32", () => {
+        strictEqual(PubKey.fromBech32(bech32).toBech32(), bech32)
+    })
+
+    it("fails for an unexpected bech32 prefix", () => {
+        throws(() => PubKey.fromBech32(bech32, "stake_vk"))
+    })
 })
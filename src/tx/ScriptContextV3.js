@@ -0,0 +1,162 @@
+import {
+    ByteArrayData,
+    ConstrData,
+    IntData,
+    ListData,
+    MapData,
+    encodeOptionData
+} from "@helios-lang/uplc"
+import { VotingProcedures } from "../gov/index.js"
+import { DatumHash } from "../hashes/index.js"
+import { Assets, Value } from "../money/index.js"
+import { ALWAYS } from "../time/index.js"
+import { ScriptPurpose } from "./ScriptPurpose.js"
+import { TxId } from "./TxId.js"
+
+/**
+ * @typedef {import("@helios-lang/codec-utils").IntLike} IntLike
+ * @typedef {import("@helios-lang/uplc").UplcData} UplcData
+ * @typedef {import("./TxInfo.js").TxInfo} TxInfo
+ */
+
+/**
+ * In PlutusV3 the ScriptContext is the only argument of a validator, and contains the redeemer and the optional datum
+ */
+export class ScriptContextV3 {
+    /**
+     * @readonly
+     * @type {TxInfo}
+     */
+    txInfo
+
+    /**
+     * @readonly
+     * @type {ScriptPurpose}
+     */
+    purpose
+
+    /**
+     * @param {TxInfo} txInfo
+     * @param {ScriptPurpose} purpose
+     */
+    constructor(txInfo, purpose) {
+        this.txInfo = txInfo
+        this.purpose = purpose
+    }
+
+    /**
+     * @returns {UplcData}
+     */
+    toUplcData() {
+        const inputs = this.txInfo.inputs
+        const refInputs = this.txInfo.refInputs ?? []
+        const outputs = this.txInfo.outputs
+        const fee = this.txInfo.fee ?? 0n
+        const minted = this.txInfo.minted ?? new Assets([])
+        const dcerts = this.txInfo.dcerts ?? []
+        const withdrawals = this.txInfo.withdrawals ?? []
+        const validityTimerange = this.txInfo.validityTimerange ?? ALWAYS
+        const signers = this.txInfo.signers ?? []
+        const redeemers = this.txInfo.redeemers ?? []
+        const datums = this.txInfo.datums ?? []
+        const txId = this.txInfo.id ?? TxId.dummy()
+        const votingProcedures =
+            this.txInfo.votingProcedures ?? new VotingProcedures()
+        const proposalProcedures = this.txInfo.proposalProcedures ?? []
+        const currentTreasuryValue = this.txInfo.currentTreasuryValue
+        const donation = BigInt(this.txInfo.donation ?? 0n)
+
+        const txData = new ConstrData(0, [
+            new ListData(inputs.map((input) => input.toUplcDataV3())),
+            new ListData(refInputs.map((input) => input.toUplcDataV3())),
+            new ListData(outputs.map((output) => output.toUplcData())),
+            new IntData(fee),
+            // unlike PlutusV2, the 0 lovelace entry is no longer prepended to `minted`
+            minted.toUplcData(),
+            new ListData(dcerts.map((cert) => cert.toUplcDataV3())),
+            new MapData(
+                withdrawals.map(([sa, q]) => [
+                    sa.stakingHash.toUplcData(),
+                    new IntData(q)
+                ])
+            ),
+            validityTimerange.toUplcData(),
+            new ListData(signers.map((signer) => signer.toUplcData())),
+            new MapData(
+                redeemers.map((redeemer) => {
+                    if (redeemer.isMinting()) {
+                        return [
+                            ScriptPurpose.Minting(
+                                redeemer,
+                                minted.getPolicies()[redeemer.index]
+                            ).toUplcDataV3(),
+                            redeemer.data
+                        ]
+                    } else if (redeemer.isSpending()) {
+                        return [
+                            ScriptPurpose.Spending(
+                                redeemer,
+                                inputs[redeemer.index].id
+                            ).toUplcDataV3(),
+                            redeemer.data
+                        ]
+                    } else if (redeemer.isRewarding()) {
+                        return [
+                            ScriptPurpose.Rewarding(
+                                redeemer,
+                                withdrawals[redeemer.index][0].toCredential()
+                            ).toUplcDataV3(),
+                            redeemer.data
+                        ]
+                    } else if (redeemer.isCertifying()) {
+                        return [
+                            ScriptPurpose.Certifying(
+                                redeemer,
+                                dcerts[redeemer.index]
+                            ).toUplcDataV3(),
+                            redeemer.data
+                        ]
+                    } else if (redeemer.isVoting()) {
+                        return [
+                            ScriptPurpose.Voting(
+                                redeemer,
+                                votingProcedures.voters[redeemer.index]
+                            ).toUplcDataV3(),
+                            redeemer.data
+                        ]
+                    } else if (redeemer.isProposing()) {
+                        return [
+                            ScriptPurpose.Proposing(
+                                redeemer,
+                                proposalProcedures[redeemer.index]
+                            ).toUplcDataV3(),
+                            redeemer.data
+                        ]
+                    } else {
+                        throw new Error(
+                            `unhandled TxRedeemer kind ${redeemer.kind}`
+                        )
+                    }
+                })
+            ),
+            new MapData(
+                datums.map((d) => [DatumHash.hashUplcData(d).toUplcData(), d])
+            ),
+            new ByteArrayData(txId.bytes),
+            votingProcedures.toUplcData(),
+            new ListData(proposalProcedures.map((p) => p.toUplcData())),
+            encodeOptionData(
+                currentTreasuryValue !== undefined
+                    ? new IntData(currentTreasuryValue)
+                    : undefined
+            ),
+            encodeOptionData(donation > 0n ? new IntData(donation) : undefined)
+        ])
+
+        return new ConstrData(0, [
+            txData,
+            this.purpose.redeemer.data,
+            this.purpose.toScriptInfoUplcData()
+        ])
+    }
+}
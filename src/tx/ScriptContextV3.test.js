@@ -0,0 +1,98 @@
+import { strictEqual } from "node:assert"
+import { describe, it } from "node:test"
+import { ConstrData, IntData, ListData, MapData } from "@helios-lang/uplc"
+import { GovActionId, Voter, VotingProcedures } from "../gov/index.js"
+import { ScriptHash } from "../hashes/index.js"
+import { Value } from "../money/index.js"
+import { ScriptContextV3 } from "./ScriptContextV3.js"
+import { ScriptPurpose } from "./ScriptPurpose.js"
+import { makeAddress } from "./ShelleyAddress.js"
+import { TxId } from "./TxId.js"
+import { TxInput } from "./TxInput.js"
+import { TxOutput } from "./TxOutput.js"
+import { TxOutputId } from "./TxOutputId.js"
+import { TxRedeemer } from "./TxRedeemer.js"
+
+const address = makeAddress(
+    "addr_test1vzzcg26lxj3twnnx889lrn60pqn0z3km2yahhsz0fvpyxdcj5qp8w"
+)
+
+const input = new TxInput(
+    TxOutputId.dummy(0),
+    new TxOutput(address, new Value(2_000_000n))
+)
+
+describe(ScriptContextV3.name, () => {
+    it("contains the txInfo, the redeemer and the script info", () => {
+        const redeemer = TxRedeemer.Spending(0, new IntData(42))
+        const datum = new IntData(1)
+
+        const data = new ScriptContextV3(
+            { inputs: [input], outputs: [], redeemers: [redeemer] },
+            ScriptPurpose.Spending(redeemer, input.id, datum)
+        ).toUplcData()
+
+        ConstrData.assert(data, 0, 3)
+
+        const [txInfo, redeemerData, scriptInfo] = data.fields
+
+        ConstrData.assert(txInfo, 0, 16)
+        strictEqual(redeemerData.isEqual(redeemer.data), true)
+
+        ConstrData.assert(scriptInfo, 1, 2)
+        strictEqual(
+            scriptInfo.fields[1].isEqual(new ConstrData(0, [datum])),
+            true
+        )
+    })
+
+    it("omits the datum of a spending purpose if there isn't any", () => {
+        const redeemer = TxRedeemer.Spending(0, new IntData(0))
+
+        const data = new ScriptContextV3(
+            { inputs: [input], outputs: [] },
+            ScriptPurpose.Spending(redeemer, input.id)
+        ).toUplcData()
+
+        ConstrData.assert(data, 0, 3)
+        ConstrData.assert(data.fields[2], 1, 2)
+
+        strictEqual(
+            data.fields[2].fields[1].isEqual(new ConstrData(1, [])),
+            true
+        )
+    })
+
+    it("encodes the voting purpose and the votes", () => {
+        const voter = Voter.DRepScript(ScriptHash.dummy(1))
+        const votingProcedures = new VotingProcedures()
+        votingProcedures.addVote(
+            voter,
+            new GovActionId(TxId.dummy(2), 0),
+            "Yes"
+        )
+
+        const redeemer = TxRedeemer.Voting(0, new IntData(0))
+
+        const data = new ScriptContextV3(
+            {
+                inputs: [input],
+                outputs: [],
+                redeemers: [redeemer],
+                votingProcedures
+            },
+            ScriptPurpose.Voting(redeemer, voter)
+        ).toUplcData()
+
+        ConstrData.assert(data, 0, 3)
+        ConstrData.assert(data.fields[2], 4, 1)
+
+        const txInfo = ConstrData.expect(data.fields[0])
+        const redeemers = MapData.expect(txInfo.fields[9])
+
+        strictEqual(redeemers.list.length, 1)
+        ConstrData.assert(redeemers.list[0][0], 4, 1)
+        strictEqual(MapData.expect(txInfo.fields[12]).list.length, 1)
+        strictEqual(ListData.expect(txInfo.fields[13]).list.length, 0)
+    })
+})
@@ -1,4 +1,5 @@
-import { ConstrData } from "@helios-lang/uplc"
+import { ConstrData, IntData, encodeOptionData } from "@helios-lang/uplc"
+import { ProposalProcedure, Voter } from "../gov/index.js"
 import { MintingPolicyHash } from "../hashes/index.js"
 import { DCert } from "./DCert.js"
 import { StakingCredential } from "./StakingCredential.js"
@@ -23,10 +24,15 @@ import { TxRedeemer } from "./TxRedeemer.js"
  *   policy: MintingPolicyHash
  * } : T extends "Spending" ? {
  *   outputId: TxOutputId
+ *   datum?: UplcData
  * } : T extends "Rewarding" ? {
  *   credential: StakingCredential
  * } : T extends "Certifying" ? {
  *   dcert: DCert
+ * } : T extends "Voting" ? {
+ *   voter: Voter
+ * } : T extends "Proposing" ? {
+ *   proposal: ProposalProcedure
  * } : never} ScriptPurposeProps
  */
 
@@ -70,13 +76,16 @@ export class ScriptPurpose {
     }
 
     /**
+     * The datum is only used by the PlutusV3 script context, and is optional for PlutusV3 scripts
      * @param {TxRedeemer<"Spending">} redeemer
      * @param {TxOutputIdLike} outputId
+     * @param {UplcData | undefined} datum
      * @returns {ScriptPurpose<"Spending">}
      */
-    static Spending(redeemer, outputId) {
+    static Spending(redeemer, outputId, datum = undefined) {
         return new ScriptPurpose(redeemer, {
-            outputId: TxOutputId.new(outputId)
+            outputId: TxOutputId.new(outputId),
+            datum
         })
     }
 
@@ -102,6 +111,28 @@ export class ScriptPurpose {
         })
     }
 
+    /**
+     * @param {TxRedeemer<"Voting">} redeemer
+     * @param {Voter} voter
+     * @returns {ScriptPurpose<"Voting">}
+     */
+    static Voting(redeemer, voter) {
+        return new ScriptPurpose(redeemer, {
+            voter
+        })
+    }
+
+    /**
+     * @param {TxRedeemer<"Proposing">} redeemer
+     * @param {ProposalProcedure} proposal
+     * @returns {ScriptPurpose<"Proposing">}
+     */
+    static Proposing(redeemer, proposal) {
+        return new ScriptPurpose(redeemer, {
+            proposal
+        })
+    }
+
     /**
      * @returns {this is ScriptPurpose<"Minting">}
      */
@@ -131,6 +162,21 @@ export class ScriptPurpose {
     }
 
     /**
+     * @returns {this is ScriptPurpose<"Voting">}
+     */
+    isVoting() {
+        return this.redeemer.isVoting()
+    }
+
+    /**
+     * @returns {this is ScriptPurpose<"Proposing">}
+     */
+    isProposing() {
+        return this.redeemer.isProposing()
+    }
+
+    /**
+     * PlutusV1 and PlutusV2 representation
      * @returns {ConstrData}
      */
     toUplcData() {
@@ -149,6 +195,51 @@ export class ScriptPurpose {
         }
     }
 
+    /**
+     * PlutusV3 representation, used as key in the redeemers map of the TxInfo
+     * @returns {ConstrData}
+     */
+    toUplcDataV3() {
+        if (this.isMinting()) {
+            return new ConstrData(0, [this.props.policy.toUplcData()])
+        } else if (this.isSpending()) {
+            return new ConstrData(1, [this.props.outputId.toUplcDataV3()])
+        } else if (this.isRewarding()) {
+            return new ConstrData(2, [this.props.credential.hash.toUplcData()])
+        } else if (this.isCertifying()) {
+            return new ConstrData(3, [
+                new IntData(this.redeemer.index),
+                this.props.dcert.toUplcDataV3()
+            ])
+        } else if (this.isVoting()) {
+            return new ConstrData(4, [this.props.voter.toUplcData()])
+        } else if (this.isProposing()) {
+            return new ConstrData(5, [
+                new IntData(this.redeemer.index),
+                this.props.proposal.toUplcData()
+            ])
+        } else {
+            throw new Error(
+                `unhandled ScriptPurpose kind ${this.redeemer.kind}`
+            )
+        }
+    }
+
+    /**
+     * PlutusV3 `ScriptInfo`, which is the same as the PlutusV3 script purpose except that spending includes the optional datum
+     * @returns {ConstrData}
+     */
+    toScriptInfoUplcData() {
+        if (this.isSpending()) {
+            return new ConstrData(1, [
+                this.props.outputId.toUplcDataV3(),
+                encodeOptionData(this.props.datum)
+            ])
+        } else {
+            return this.toUplcDataV3()
+        }
+    }
+
     /**
      * @param {UplcData} txData
      * @returns {UplcData}
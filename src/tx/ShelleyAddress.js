@@ -1,4 +1,4 @@
-import { decodeBytes, encodeBytes } from "@helios-lang/cbor"
+import { decodeBytes, encodeBytes, isBytes } from "@helios-lang/cbor"
 import { bytesToHex, makeByteStream, toBytes } from "@helios-lang/codec-utils"
 import { decodeBech32, encodeBech32 } from "@helios-lang/crypto"
 import { decodeByronAddress, makeByronAddress } from "@helios-lang/ledger-byron"
@@ -10,6 +10,7 @@ import {
 } from "../hashes/index.js"
 import { SpendingCredential } from "./SpendingCredential.js"
 import { StakingCredential } from "./StakingCredential.js"
+import { StakingPtr } from "./StakingPtr.js"
 import {} from "@helios-lang/codec-utils"
 
 /**
@@ -42,6 +43,9 @@ import {} from "@helios-lang/codec-utils"
  * @prop {() => number[]} toCbor
  * @prop {() => string} toHex
  *
+ * @prop {() => string} toJson
+ * Alias for toBech32(), use `decodeShelleyAddressJson()` to decode
+ *
  * @prop {() => string} toString
  * Alias for toBech32()
  *
@@ -166,12 +170,10 @@ export function makeAddress(...args) {
                     )
                 }
             } else if ("spendingCredential" in arg) {
-                return /** @type {any} */ (
-                    makeAddressFromHashes(
-                        isMainnet,
-                        arg.spendingCredential.hash,
-                        arg.stakingCredential?.hash?.hash
-                    )
+                return makeAddressFromCredentials(
+                    isMainnet,
+                    arg.spendingCredential,
+                    arg.stakingCredential
                 )
             } else {
                 throw new Error("invalid arguments")
@@ -187,6 +189,7 @@ export function makeAddress(...args) {
 }
 
 /**
+ * A staking pointer results in a pointer address
  * @param {boolean} isMainnet
  * @param {SpendingCredential} paymentCredential
  * @param {StakingCredential | undefined} stakingCredential
@@ -197,6 +200,24 @@ export function makeAddressFromCredentials(
     paymentCredential,
     stakingCredential = undefined
 ) {
+    const pointer = stakingCredential?.pointer
+
+    if (pointer) {
+        const spendingHash = paymentCredential.hash
+        const header =
+            (spendingHash instanceof PubKeyHash ? 0x40 : 0x50) |
+            (isMainnet ? 0x01 : 0x00)
+
+        return new ShelleyAddressImpl(
+            [header]
+                .concat(spendingHash.bytes)
+                .concat(pointer.toAddressBytes()),
+            spendingHash instanceof ValidatorHash
+                ? spendingHash.context
+                : undefined
+        )
+    }
+
     return /** @type {any} */ (
         makeAddressFromHashes(
             isMainnet,
@@ -393,6 +414,7 @@ export function convertUplcDataToAddress(isMainnet, data) {
 }
 
 /**
+ * Byron addresses can be decoded from their Base58 representation, from their raw CBOR encoding, or from the bytestring-wrapped encoding used in TxOutputs.
  * @overload
  * @param {string} bech32OrBase58
  * @returns {Address}
@@ -412,20 +434,48 @@ export function decodeAddress(arg) {
             return makeByronAddress(arg)
         }
     } else {
-        const bytes = makeByteStream({ bytes: arg })
+        const stream = makeByteStream({ bytes: arg })
 
-        const isByron = (bytes.peekOne() & 0b11110000) == 0b10000000
+        if (isBytes(stream)) {
+            const bytes = decodeBytes(stream)
 
-        if (isByron) {
-            return decodeShelleyAddress(bytes)
-            console.log("decoding as byron address")
-            return decodeByronAddress(bytes)
+            if (isByronAddressBytes(bytes)) {
+                return decodeByronAddress(bytes)
+            } else {
+                return new ShelleyAddressImpl(bytes)
+            }
+        } else if (isByronAddressBytes(stream.peekRemaining())) {
+            return decodeByronAddress(stream)
         } else {
-            return decodeShelleyAddress(bytes)
+            throw new Error("invalid address CBOR encoding")
         }
     }
 }
 
+/**
+ * Inverse of `decodeAddress()` for CBOR bytes.
+ *
+ * In the ledger all addresses are encoded as bytestrings, for Byron addresses this bytestring contains the CBOR encoding of the Byron address.
+ * @param {Address} address
+ * @returns {number[]}
+ */
+export function encodeAddress(address) {
+    if (address.era == "Byron") {
+        return encodeBytes(address.toCbor())
+    } else {
+        return address.toCbor()
+    }
+}
+
+/**
+ * The CBOR encoding of a Byron address starts with a list of 2 items (0x82), which, when interpreted as a Shelley header, is address type 8
+ * @param {number[]} bytes
+ * @returns {boolean}
+ */
+function isByronAddressBytes(bytes) {
+    return bytes.length > 0 && (bytes[0] & 0b11110000) == 0b10000000
+}
+
 /**
  * @param {BytesLike} bytes
  * @returns {ShelleyAddress}
@@ -434,6 +484,15 @@ export function decodeShelleyAddress(bytes) {
     return new ShelleyAddressImpl(decodeBytes(bytes))
 }
 
+/**
+ * Inverse of `ShelleyAddress.toJson()`, use `decodeAddress()` if the JSON can also contain a Byron address
+ * @param {string} json - bech32
+ * @returns {ShelleyAddress}
+ */
+export function decodeShelleyAddressJson(json) {
+    return makeAddress(json)
+}
+
 /**
  * Used to sort txbody withdrawals.
  * @param {ShelleyAddress} a
@@ -473,7 +532,7 @@ export function isValidBech32ADdress(str) {
  * Wrapper for Cardano address bytes. An `Address` consists of three parts internally:
  *   * Header (1 byte, see [CIP 19](https://cips.cardano.org/cips/cip19/))
  *   * Witness hash (28 bytes that represent the `PubKeyHash` or `ValidatorHash`)
- *   * Optional staking credential (0 or 28 bytes)
+ *   * Optional staking credential (0 or 28 bytes, or a variable number of bytes for a `StakingPtr`)
  * @template [CSpending=unknown] - spending can have a context
  * @template [CStaking=unknown] - staking can have a separate context
  * @implements {ShelleyAddress<CSpending, CStaking>}
@@ -509,7 +568,12 @@ class ShelleyAddressImpl {
     ) {
         this.bytes = toBytes(bytes)
 
-        if (!(this.bytes.length == 29 || this.bytes.length == 57)) {
+        const type = this.bytes[0] >> 4
+
+        if (type == 4 || type == 5) {
+            // pointer address, throws an error if the pointer is invalid
+            StakingPtr.fromAddressBytes(this.bytes.slice(29))
+        } else if (!(this.bytes.length == 29 || this.bytes.length == 57)) {
             throw new Error(
                 `expected 29 or 57 bytes for Address, got ${this.bytes.length}`
             )
@@ -576,10 +640,15 @@ class ShelleyAddressImpl {
     }
 
     /**
+     * Undefined for pointer addresses
      * @type {StakingHashI<CStaking> | undefined}
      */
     get stakingHash() {
-        return this.stakingCredential ? this.stakingCredential.hash : undefined
+        const stakingCredential = this.stakingCredential
+
+        return stakingCredential && !stakingCredential.isPointer()
+            ? stakingCredential.hash
+            : undefined
     }
 
     /**
@@ -657,6 +726,14 @@ class ShelleyAddressImpl {
         return bytesToHex(this.bytes)
     }
 
+    /**
+     * Bech32 representation, decoded by `decodeShelleyAddressJson()`
+     * @returns {string}
+     */
+    toJson() {
+        return this.toBech32()
+    }
+
     /**
      * @returns {UplcData}
      */
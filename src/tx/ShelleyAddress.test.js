@@ -1,6 +1,16 @@
-import { deepEqual, throws } from "node:assert"
+import { deepEqual, strictEqual, throws } from "node:assert"
 import { describe, it } from "node:test"
-import { makeDummyAddress } from "./ShelleyAddress.js"
+import { bytesToHex } from "@helios-lang/codec-utils"
+import { Value } from "../money/index.js"
+import {
+    convertUplcDataToAddress,
+    decodeAddress,
+    decodeShelleyAddressJson,
+    encodeAddress,
+    makeAddress,
+    makeDummyAddress
+} from "./ShelleyAddress.js"
+import { TxOutput } from "./TxOutput.js"
 
 describe("ShelleyAddress", () => {
     it("Address.dummy() returns all 0s for default args", () => {
@@ -19,3 +29,116 @@ describe("ShelleyAddress", () => {
         })
     })
 })
+
+describe("decodeShelleyAddressJson()", () => {
+    it("round-trips through JSON", () => {
+        const addr = makeDummyAddress(true, 1)
+
+        const decoded = decodeShelleyAddressJson(addr.toJson())
+
+        strictEqual(decoded.toHex(), addr.toHex())
+        strictEqual(decoded.isForMainnet(), true)
+    })
+
+    it("fails for a Byron address", () => {
+        throws(() =>
+            decodeShelleyAddressJson(
+                "Ae2tdPwUPEZFRbyhz3cpfC2CumGzNkFBN2L42rcUc2yjQpEkxDbkPodpMAi"
+            )
+        )
+    })
+})
+
+describe("decodeAddress()", () => {
+    const byronBase58 =
+        "Ae2tdPwUPEZFRbyhz3cpfC2CumGzNkFBN2L42rcUc2yjQpEkxDbkPodpMAi"
+
+    it("decodes a Shelley address wrapped in a bytestring", () => {
+        const addr = makeDummyAddress(false, 1)
+
+        const decoded = decodeAddress(encodeAddress(addr))
+
+        strictEqual(decoded.era, "Shelley")
+        strictEqual(decoded.isEqual(addr), true)
+    })
+
+    it("decodes a Byron address wrapped in a bytestring", () => {
+        const addr = decodeAddress(byronBase58)
+
+        const decoded = decodeAddress(encodeAddress(addr))
+
+        strictEqual(decoded.era, "Byron")
+        strictEqual(decoded.toBase58(), byronBase58)
+    })
+
+    it("round-trips a TxOutput at a Byron address", () => {
+        const output = new TxOutput(
+            decodeAddress(byronBase58),
+            new Value(2_000_000n)
+        )
+
+        const bytes = output.toCbor()
+        const decoded = TxOutput.fromCbor(bytes)
+
+        strictEqual(decoded.address.era, "Byron")
+        strictEqual(bytesToHex(decoded.toCbor()), bytesToHex(bytes))
+    })
+
+    it("can't convert a TxOutput at a Byron address to UplcData", () => {
+        const output = new TxOutput(
+            decodeAddress(byronBase58),
+            new Value(2_000_000n)
+        )
+
+        throws(() => output.toUplcData())
+    })
+})
+
+describe("pointer addresses", () => {
+    // CIP 19 test vectors
+    const keyPointerAddress =
+        "addr1gx2fxv2umyhttkxyxp8x0dlpdt3k6cwng5pxj3jhsydzer5pnz75xxcrzqf96k"
+    const scriptPointerAddress =
+        "addr128phkx6acpnf78fuvxn0mkew3l0fd058hzquvz7w36x4gtupnz75xxcrtw79hu"
+
+    it("exposes the pointer through the staking credential", () => {
+        const addr = makeAddress(keyPointerAddress)
+        const pointer = addr.stakingCredential?.pointer
+
+        strictEqual(pointer?.slot, 2498243n)
+        strictEqual(pointer?.txIndex, 27n)
+        strictEqual(pointer?.certIndex, 3n)
+        strictEqual(addr.stakingHash, undefined)
+        strictEqual(
+            addr.pubKeyHash?.toHex(),
+            bytesToHex(addr.bytes.slice(1, 29))
+        )
+    })
+
+    it("decodes a pointer address with a script payment part", () => {
+        const addr = makeAddress(scriptPointerAddress)
+
+        strictEqual(
+            addr.validatorHash?.toHex(),
+            bytesToHex(addr.bytes.slice(1, 29))
+        )
+        strictEqual(addr.stakingCredential?.isPointer(), true)
+    })
+
+    it("round-trips through UplcData using the StakingPtr constructor", () => {
+        const addr = makeAddress(keyPointerAddress)
+        const data = addr.toUplcData()
+
+        strictEqual(data.toString().includes("1{2498243, 27, 3}"), true)
+        strictEqual(
+            convertUplcDataToAddress(true, data).toBech32(),
+            keyPointerAddress
+        )
+    })
+
+    it("fails for trailing bytes after the pointer", () => {
+        const bytes = makeAddress(keyPointerAddress).bytes.concat([0])
+
+        throws(() => makeAddress(bytes))
+    })
+})
@@ -66,8 +66,6 @@ export class Signature {
             decodeBytes
         ])
 
-        console.log("decoding signature")
-
         return new Signature(pubKey, signatureBytes)
     }
 
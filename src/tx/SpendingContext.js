@@ -3,6 +3,7 @@ export {}
 /**
  * @typedef {import("@helios-lang/uplc").UplcProgramV1I} UplcProgramV1I
  * @typedef {import("@helios-lang/uplc").UplcProgramV2I} UplcProgramV2I
+ * @typedef {import("@helios-lang/uplc").UplcProgramV3I} UplcProgramV3I
  */
 
 /**
@@ -24,7 +25,7 @@ export {}
  * @template TRedeemerStrict
  * @template TRedeemerPermissive
  * @typedef {DatumPaymentContext<TDatumPermissive> & {
- *   program: UplcProgramV1I | UplcProgramV2I
+ *   program: UplcProgramV1I | UplcProgramV2I | UplcProgramV3I
  *   datum: Cast<TDatumStrict, TDatumPermissive>
  *   redeemer: Cast<TRedeemerStrict, TRedeemerPermissive>
  * }} SpendingContext
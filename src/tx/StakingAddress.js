@@ -174,6 +174,14 @@ export class StakingAddress {
         return new StakingAddress(decodeBytes(bytes))
     }
 
+    /**
+     * @param {string} json - bech32
+     * @returns {StakingAddress}
+     */
+    static fromJson(json) {
+        return StakingAddress.fromBech32(json)
+    }
+
     /**
      * @template {StakingCredentialLike} [TCredential=StakingCredentialLike]
      * @param {boolean} isMainnet
@@ -370,6 +378,13 @@ export class StakingAddress {
         return bytesToHex(this.bytes)
     }
 
+    /**
+     * @returns {string}
+     */
+    toJson() {
+        return this.toBech32()
+    }
+
     /**
      * @returns {ConstrData}
      */
@@ -4,6 +4,7 @@ import {
     StakingHash,
     StakingValidatorHash
 } from "../hashes/index.js"
+import { StakingPtr } from "./StakingPtr.js"
 
 /**
  * @typedef {import("@helios-lang/uplc").UplcData} UplcData
@@ -32,22 +33,25 @@ import {
  */
 
 /**
- * TODO: implement support for staking pointers
+ * Either a staking hash, or a pointer to the certificate that registered the staking hash.
+ *
+ * Pointers only occur in the staking part of pointer addresses, so they don't have a hash and can't be serialized as a ledger credential.
  * @template [C=unknown] - optional context
  * @implements {StakingCredentialI<C>}
  */
 export class StakingCredential {
     /**
+     * @private
      * @readonly
-     * @type {StakingHashI<C>}
+     * @type {StakingHashI<C> | StakingPtr}
      */
-    hash
+    hashOrPointer
 
     /**
-     * @param {StakingHashI<C>} hash
+     * @param {StakingHashI<C> | StakingPtr} hashOrPointer
      */
-    constructor(hash) {
-        this.hash = hash
+    constructor(hashOrPointer) {
+        this.hashOrPointer = hashOrPointer
     }
 
     /**
@@ -81,6 +85,14 @@ export class StakingCredential {
         return new StakingCredential(StakingHash.dummy(seed))
     }
 
+    /**
+     * @param {StakingPtr} pointer
+     * @returns {StakingCredential}
+     */
+    static Pointer(pointer) {
+        return new StakingCredential(pointer)
+    }
+
     /**
      * @template [C=unknown]
      * @param {number[]} bytes
@@ -96,7 +108,7 @@ export class StakingCredential {
             switch (type) {
                 case 0:
                 case 1:
-                    if (context !== null) {
+                    if (context !== null && context !== undefined) {
                         throw new Error("expected null context for PubKey")
                     }
 
@@ -112,6 +124,11 @@ export class StakingCredential {
                             new StakingValidatorHash(body, context)
                         )
                     )
+                case 4:
+                case 5:
+                    return new StakingCredential(
+                        StakingPtr.fromAddressBytes(bytes.slice(29))
+                    )
                 default:
                     throw new Error(`unhandled StakingCredential type ${type}`)
             }
@@ -124,11 +141,38 @@ export class StakingCredential {
      * @param {UplcData} data
      */
     static fromUplcData(data) {
+        ConstrData.assert(data)
+
+        if (data.tag == 1) {
+            return StakingCredential.Pointer(StakingPtr.fromUplcData(data))
+        }
+
         ConstrData.assert(data, 0, 1)
 
         return new StakingCredential(StakingHash.fromUplcData(data.fields[0]))
     }
 
+    /**
+     * Throws an error for staking pointers
+     * @type {StakingHashI<C>}
+     */
+    get hash() {
+        if (this.hashOrPointer instanceof StakingPtr) {
+            throw new Error("a staking pointer doesn't have a hash")
+        }
+
+        return this.hashOrPointer
+    }
+
+    /**
+     * @type {StakingPtr | undefined}
+     */
+    get pointer() {
+        return this.hashOrPointer instanceof StakingPtr
+            ? this.hashOrPointer
+            : undefined
+    }
+
     /**
      * @type {number[]}
      */
@@ -140,7 +184,16 @@ export class StakingCredential {
      * @type {C}
      */
     get context() {
-        return this.hash.context
+        return this.isPointer()
+            ? /** @type {any} */ (undefined)
+            : this.hash.context
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    isPointer() {
+        return this.hashOrPointer instanceof StakingPtr
     }
 
     /**
@@ -168,7 +221,11 @@ export class StakingCredential {
      * @returns {ConstrData}
      */
     toUplcData() {
-        return new ConstrData(0, [this.hash.toUplcData()])
+        if (this.hashOrPointer instanceof StakingPtr) {
+            return this.hashOrPointer.toUplcData()
+        } else {
+            return new ConstrData(0, [this.hashOrPointer.toUplcData()])
+        }
     }
 }
 
@@ -215,43 +272,8 @@ export function makeStakingCredential(args) {
     if ("hash" in args) {
         return new StakingCredential(args.hash)
     } else if ("bytes" in args) {
-        const bytes = args.bytes
-        const context = args.context
-
-        if (bytes.length > 29) {
-            const head = bytes[0]
-            const body = bytes.slice(29, 57)
-            const type = head >> 4
-
-            switch (type) {
-                case 0:
-                case 1:
-                    if (context !== null) {
-                        throw new Error("expected null context for PubKey")
-                    }
-
-                    return /** @type {any} */ (
-                        new StakingCredential(
-                            StakingHash.PubKey(new PubKeyHash(body))
-                        )
-                    )
-                case 2:
-                case 3:
-                    return new StakingCredential(
-                        StakingHash.Validator(
-                            new StakingValidatorHash(body, context)
-                        )
-                    )
-                default:
-                    throw new Error(`unhandled StakingCredential type ${type}`)
-            }
-        } else {
-            return undefined
-        }
+        return StakingCredential.fromAddressBytes(args.bytes, args.context)
     } else if ("uplcData" in args) {
-        const data = args.uplcData
-        ConstrData.assert(data, 0, 1)
-
-        return new StakingCredential(StakingHash.fromUplcData(data.fields[0]))
+        return StakingCredential.fromUplcData(args.uplcData)
     }
 }
@@ -0,0 +1,160 @@
+import { ConstrData, IntData } from "@helios-lang/uplc"
+
+/**
+ * @typedef {import("@helios-lang/codec-utils").IntLike} IntLike
+ * @typedef {import("@helios-lang/uplc").UplcData} UplcData
+ */
+
+/**
+ * Points to the certificate that registered a stake credential, used by the staking part of pointer addresses (see [CIP 19](https://cips.cardano.org/cips/cip19/)).
+ *
+ * The indices are bigints because some old mainnet pointer addresses contain values that don't fit in 64 bits.
+ */
+export class StakingPtr {
+    /**
+     * @readonly
+     * @type {bigint}
+     */
+    slot
+
+    /**
+     * @readonly
+     * @type {bigint}
+     */
+    txIndex
+
+    /**
+     * @readonly
+     * @type {bigint}
+     */
+    certIndex
+
+    /**
+     * @param {IntLike} slot
+     * @param {IntLike} txIndex
+     * @param {IntLike} certIndex
+     */
+    constructor(slot, txIndex, certIndex) {
+        this.slot = BigInt(slot)
+        this.txIndex = BigInt(txIndex)
+        this.certIndex = BigInt(certIndex)
+
+        if (this.slot < 0n || this.txIndex < 0n || this.certIndex < 0n) {
+            throw new Error("StakingPtr indices can't be negative")
+        }
+    }
+
+    /**
+     * Decodes the three variable-length naturals that follow the spending hash in a pointer address.
+     * Throws an error if there are remaining bytes.
+     * @param {number[]} bytes
+     * @returns {StakingPtr}
+     */
+    static fromAddressBytes(bytes) {
+        let pos = 0
+
+        const decodeNat = () => {
+            let n = 0n
+
+            while (true) {
+                if (pos >= bytes.length) {
+                    throw new Error("unexpected end of StakingPtr bytes")
+                }
+
+                const b = bytes[pos]
+                pos += 1
+
+                n = (n << 7n) + BigInt(b & 0b01111111)
+
+                if ((b & 0b10000000) == 0) {
+                    return n
+                }
+            }
+        }
+
+        const slot = decodeNat()
+        const txIndex = decodeNat()
+        const certIndex = decodeNat()
+
+        if (pos != bytes.length) {
+            throw new Error(
+                `unexpected ${bytes.length - pos} trailing bytes after StakingPtr`
+            )
+        }
+
+        return new StakingPtr(slot, txIndex, certIndex)
+    }
+
+    /**
+     * @param {UplcData} data
+     * @returns {StakingPtr}
+     */
+    static fromUplcData(data) {
+        ConstrData.assert(data, 1, 3)
+
+        return new StakingPtr(
+            IntData.expect(data.fields[0]).value,
+            IntData.expect(data.fields[1]).value,
+            IntData.expect(data.fields[2]).value
+        )
+    }
+
+    /**
+     * @returns {Object}
+     */
+    dump() {
+        return {
+            slot: this.slot.toString(),
+            txIndex: this.txIndex.toString(),
+            certIndex: this.certIndex.toString()
+        }
+    }
+
+    /**
+     * @param {StakingPtr} other
+     * @returns {boolean}
+     */
+    isEqual(other) {
+        return (
+            this.slot == other.slot &&
+            this.txIndex == other.txIndex &&
+            this.certIndex == other.certIndex
+        )
+    }
+
+    /**
+     * Encodes each index as a big-endian variable-length natural, with the high bit set on every byte except the last
+     * @returns {number[]}
+     */
+    toAddressBytes() {
+        return [this.slot, this.txIndex, this.certIndex].map(encodeNat).flat()
+    }
+
+    /**
+     * `StakingPtr` constructor of `StakingCredential`
+     * @returns {ConstrData}
+     */
+    toUplcData() {
+        return new ConstrData(1, [
+            new IntData(this.slot),
+            new IntData(this.txIndex),
+            new IntData(this.certIndex)
+        ])
+    }
+}
+
+/**
+ * @param {bigint} n
+ * @returns {number[]}
+ */
+function encodeNat(n) {
+    const bytes = [Number(n & 127n)]
+    n >>= 7n
+
+    while (n > 0n) {
+        bytes.unshift(Number(n & 127n) | 0b10000000)
+        n >>= 7n
+    }
+
+    return bytes
+}
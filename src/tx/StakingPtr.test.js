@@ -0,0 +1,40 @@
+import { strictEqual, throws } from "node:assert"
+import { describe, it } from "node:test"
+import { bytesToHex, hexToBytes } from "@helios-lang/codec-utils"
+import { StakingPtr } from "./StakingPtr.js"
+
+describe(StakingPtr.name, () => {
+    it("decodes the variable-length indices of the CIP 19 test vector", () => {
+        const ptr = StakingPtr.fromAddressBytes(hexToBytes("8198bd431b03"))
+
+        strictEqual(ptr.slot, 2498243n)
+        strictEqual(ptr.txIndex, 27n)
+        strictEqual(ptr.certIndex, 3n)
+    })
+
+    it("encodes indices that don't fit in 64 bits", () => {
+        const ptr = new StakingPtr(128, 127, 2n ** 64n)
+
+        strictEqual(
+            bytesToHex(ptr.toAddressBytes()),
+            "81007f82808080808080808000"
+        )
+        strictEqual(
+            StakingPtr.fromAddressBytes(ptr.toAddressBytes()).isEqual(ptr),
+            true
+        )
+    })
+
+    it("fails for trailing bytes", () => {
+        throws(() => StakingPtr.fromAddressBytes(hexToBytes("8198bd431b0300")))
+    })
+
+    it("round-trips through UplcData", () => {
+        const ptr = new StakingPtr(2498243, 27, 3)
+
+        strictEqual(
+            StakingPtr.fromUplcData(ptr.toUplcData()).isEqual(ptr),
+            true
+        )
+    })
+})
@@ -3,7 +3,9 @@ import {
     decodeNullOption,
     decodeTuple,
     encodeBool,
+    encodeBytes,
     encodeDefList,
+    encodeIndefList,
     encodeInt,
     encodeMap,
     encodeNullOption,
@@ -11,9 +13,10 @@ import {
 } from "@helios-lang/cbor"
 import { bytesToHex, compareBytes } from "@helios-lang/codec-utils"
 import { blake2b } from "@helios-lang/crypto"
-import { isLeft } from "@helios-lang/type-utils"
+import { expectDefined, isLeft } from "@helios-lang/type-utils"
 import { ListData, UplcRuntimeError } from "@helios-lang/uplc"
-import { Value } from "../money/index.js"
+import { Assets, Value } from "../money/index.js"
+import { PubKeyHash } from "../hashes/index.js"
 import { NetworkParamsHelper } from "../params/index.js"
 import { Signature } from "./Signature.js"
 import { StakingAddress } from "./StakingAddress.js"
@@ -21,19 +24,68 @@ import { TxBody } from "./TxBody.js"
 import { TxId } from "./TxId.js"
 import { TxInput } from "./TxInput.js"
 import { TxMetadata } from "./TxMetadata.js"
+import { TxOutput } from "./TxOutput.js"
 import { TxOutputId } from "./TxOutputId.js"
-import { TxRedeemer } from "./TxRedeemer.js"
+import { encodeTxRedeemers, TxRedeemer } from "./TxRedeemer.js"
+import { TxValidationReport } from "./TxValidationReport.js"
 import { TxWitnesses } from "./TxWitnesses.js"
 
 /**
  * @typedef {import("@helios-lang/codec-utils").BytesLike} BytesLike
  * @typedef {import("@helios-lang/uplc").UplcData} UplcData
  * @typedef {import("@helios-lang/uplc").UplcLoggingI} UplcLoggingI
+ * @typedef {import("@helios-lang/uplc").PlutusVersion} PlutusVersion
  * @typedef {import("@helios-lang/uplc").UplcProgramV1I} UplcProgramV1I
  * @typedef {import("@helios-lang/uplc").UplcProgramV2I} UplcProgramV2I
+ * @typedef {import("@helios-lang/uplc").UplcProgramV3I} UplcProgramV3I
+ * @typedef {import("../native/index.js").NativeContext} NativeContext
  * @typedef {import("../params/index.js").NetworkParams} NetworkParams
+ * @typedef {import("./ShelleyAddress.js").Address} Address
+ * @typedef {import("./ShelleyAddress.js").ShelleyAddressLike} ShelleyAddressLike
+ * @typedef {import("./TxBody.js").TxBodyJson} TxBodyJson
+ * @typedef {import("./TxRedeemer.js").TxRedeemersEncoding} TxRedeemersEncoding
+ * @typedef {import("./TxWitnesses.js").TxWitnessesJson} TxWitnessesJson
  */
 
+/**
+ * The UTxOs spent and created by a tx
+ * @typedef {{
+ *   consumed: TxInput[]
+ *   produced: TxInput[]
+ * }} TxUtxoChanges
+ */
+
+/**
+ * JSON representation of a tx, see `json.js` for the conventions. The metadata is hex encoded CBOR.
+ * @typedef {{
+ *   body: TxBodyJson
+ *   witnesses: TxWitnessesJson
+ *   valid: boolean
+ *   scriptsValid?: boolean
+ *   metadata?: string
+ * }} TxJson
+ */
+
+/**
+ * The total size of the reference scripts in the inputs and ref inputs of a tx can't exceed this number of bytes
+ */
+const MAX_REF_SCRIPTS_SIZE = 204800
+
+/**
+ * Each tier of reference script bytes is more expensive than the previous one
+ */
+const REF_SCRIPTS_FEE_TIER_SIZE = 25600
+
+/**
+ * The price per byte of each tier is 6/5 times the price of the previous tier
+ */
+const REF_SCRIPTS_FEE_MULTIPLIER = [6n, 5n]
+
+/**
+ * The fee, the redeemer costs and the script data hash depend on each other, so `evalRedeemers()` evaluates the redeemers repeatedly, but at most this many times
+ */
+const MAX_EVAL_REDEEMERS_ITERATIONS = 10
+
 /**
  * Represents a Cardano transaction.  For transaction-building, see {@link TxBuilder} instead.
  */
@@ -63,6 +115,14 @@ export class Tx {
      */
     metadata
 
+    /**
+     * The phase-2 validity flag (`is_valid` in the ledger CDDL).
+     * False if the scripts are expected to fail, in which case only the collateral is consumed (see `calcUtxoChanges()`)
+     * @readonly
+     * @type {boolean}
+     */
+    scriptsValid
+
     /**
      * Access this through `hasValidationError()`
      * @private
@@ -70,6 +130,20 @@ export class Tx {
      */
     validationError
 
+    /**
+     * The change output added by the last call to `balance()`
+     * @private
+     * @type {TxOutput | undefined}
+     */
+    changeOutput
+
+    /**
+     * The UTxOs the collateral is selected from, and the address of the collateral return output, as set by `setCollateral()`
+     * @private
+     * @type {{utxos: TxInput[], returnAddress: Address | ShelleyAddressLike} | undefined}
+     */
+    collateralSelection
+
     /**
      * Creates a new transaction; use {@link TxBuilder} to build a transaction instead.
      * @remarks
@@ -78,48 +152,74 @@ export class Tx {
      * @param {TxWitnesses} witnesses
      * @param {boolean} valid - false whilst some signatures are still missing
      * @param {TxMetadata | undefined} metadata
+     * @param {boolean} scriptsValid - phase-2 validity flag
      */
-    constructor(body, witnesses, valid, metadata = undefined) {
+    constructor(
+        body,
+        witnesses,
+        valid,
+        metadata = undefined,
+        scriptsValid = true
+    ) {
         this.body = body
         this.witnesses = witnesses
         this.valid = valid
         this.metadata = metadata
+        this.scriptsValid = scriptsValid
         this.validationError = undefined
+        this.changeOutput = undefined
+        this.collateralSelection = undefined
 
         Object.defineProperty(this, "validationError", {
             enumerable: false,
             writable: true,
             configurable: false
         })
+
+        Object.defineProperty(this, "changeOutput", {
+            enumerable: false,
+            writable: true,
+            configurable: false
+        })
+
+        Object.defineProperty(this, "collateralSelection", {
+            enumerable: false,
+            writable: true,
+            configurable: false
+        })
     }
 
     /**
      * Deserialize a CBOR encoded Cardano transaction (input is either an array of bytes, or a hex string).
+     *
+     * The signatures of the decoded tx aren't checked yet, see `validateSignatures()`.
      * @param {BytesLike} bytes
      * @returns {Tx}
      */
     static fromCbor(bytes) {
-        const [body, witnesses, valid, metadata] = decodeTuple(bytes, [
-            (bytes) => {
-                const body = TxBody.fromCbor(bytes)
-
-                console.log(
-                    JSON.stringify(body.dump(), undefined, 4), 
-                    bytesToHex(body.toCbor())
-                )
-                return body
-            },
-            (bytes) => {
-                console.log(bytesToHex(bytes.peekRemaining()))
-                const witnesses = TxWitnesses.fromCbor(bytes)
-
-                return witnesses
-            },
+        const [body, witnesses, scriptsValid, metadata] = decodeTuple(bytes, [
+            TxBody,
+            TxWitnesses,
             decodeBool,
             (s) => decodeNullOption(s, TxMetadata)
         ])
 
-        return new Tx(body, witnesses, valid, metadata)
+        return new Tx(body, witnesses, false, metadata, scriptsValid)
+    }
+
+    /**
+     * The inputs (and ref inputs) keep the outputs they spend, if known, so the tx doesn't need to be recovered again after decoding
+     * @param {TxJson} json
+     * @returns {Tx}
+     */
+    static fromJson(json) {
+        return new Tx(
+            TxBody.fromJson(json.body),
+            TxWitnesses.fromJson(json.witnesses),
+            json.valid,
+            json.metadata ? TxMetadata.fromCbor(json.metadata) : undefined,
+            json.scriptsValid ?? true
+        )
     }
 
     /**
@@ -151,17 +251,14 @@ export class Tx {
     }
 
     /**
-     * Adds a signature created by a wallet. Only available after the transaction has been finalized.
+     * Adds a signature created by a wallet, e.g. to the tx returned by `TxBuilder.build()`.
+     * The tx shouldn't be changed anymore after signing, as any change invalidates the signatures.
      * Optionally verifies that the signature is correct.
      * @param {Signature} signature
      * @param {boolean} verify Defaults to `true`
      * @returns {Tx}
      */
     addSignature(signature, verify = true) {
-        if (!this.valid) {
-            throw new Error("invalid Tx")
-        }
-
         if (verify) {
             signature.verify(this.id().bytes)
         }
@@ -172,7 +269,7 @@ export class Tx {
     }
 
     /**
-     * Adds multiple signatures at once. Only available after the transaction has been finalized.
+     * Adds multiple signatures at once.
      * Optionally verifies each signature is correct.
      * @param {Signature[]} signatures
      * @param {boolean} verify
@@ -186,6 +283,113 @@ export class Tx {
         return this
     }
 
+    /**
+     * Balances the transaction by sending everything that isn't spent yet to a change output, and by setting the fee.
+     *
+     * The fee and the change output are adjusted repeatedly until the fee doesn't change anymore.
+     * The fee never decreases between iterations, so this always terminates.
+     *
+     * The lovelace of the other outputs is corrected first. If the change output would contain less than the minimum lovelace:
+     *   - a change output containing only lovelace is left out, and its lovelace is added to the fee instead
+     *   - a change output containing other assets results in an error
+     *
+     * Calling this method again (e.g. after the redeemer costs have changed) replaces the change output added by the previous call.
+     * The collateral configured using `setCollateral()` is selected again for each fee.
+     * @param {Address | ShelleyAddressLike} changeAddress
+     * @param {NetworkParams} params
+     * @param {Object} [options]
+     * @param {(poolId: PubKeyHash) => boolean} [options.isPoolRegistered] - re-registering a pool doesn't require a deposit, see `TxBody.sumDeposits()`
+     * @returns {Tx}
+     */
+    balance(changeAddress, params, options = {}) {
+        const body = this.body
+        const outputs = body.outputs
+
+        if (this.changeOutput) {
+            const i = outputs.indexOf(this.changeOutput)
+
+            if (i != -1) {
+                outputs.splice(i, 1)
+            }
+
+            this.changeOutput = undefined
+        }
+
+        outputs.forEach((output) => output.correctLovelace(params))
+
+        const excess = body
+            .sumInputValue()
+            .add(new Value(0n, body.minted))
+            .add(
+                new Value(
+                    body.sumWithdrawals() +
+                        body.sumRefunds(params) -
+                        body.sumDeposits(params, options.isPoolRegistered) -
+                        body.donation
+                )
+            )
+            .subtract(body.sumOutputValue())
+
+        if (!excess.assets.isAllPositive()) {
+            throw new Error("not enough assets in inputs")
+        }
+
+        if (excess.lovelace < 0n) {
+            throw new Error(
+                `not enough lovelace in inputs (${0n - excess.lovelace} lovelace short)`
+            )
+        }
+
+        if (excess.lovelace > 0n || !excess.assets.isZero()) {
+            const changeOutput = new TxOutput(changeAddress, excess)
+            outputs.push(changeOutput)
+
+            let fee = 0n
+
+            while (true) {
+                body.fee = fee
+                changeOutput.value = excess.subtract(new Value(fee))
+                this.updateCollateral(params)
+
+                const minFee = this.calcMinFee(params)
+
+                if (minFee <= fee) {
+                    break
+                }
+
+                fee = minFee
+            }
+
+            const minDeposit = changeOutput.calcDeposit(params)
+
+            if (changeOutput.value.lovelace >= minDeposit) {
+                this.changeOutput = changeOutput
+
+                return this
+            } else if (!excess.assets.isZero()) {
+                throw new Error(
+                    `not enough lovelace for change output (expected at least ${minDeposit}, got ${changeOutput.value.lovelace})`
+                )
+            }
+
+            // the change is too small to be put in a separate output, so it is added to the fee instead
+            outputs.pop()
+        }
+
+        body.fee = excess.lovelace
+        this.updateCollateral(params)
+
+        const minFee = this.calcMinFee(params)
+
+        if (minFee > body.fee) {
+            throw new Error(
+                `not enough lovelace in inputs to cover the fee (expected at least ${minFee}, got ${body.fee})`
+            )
+        }
+
+        return this
+    }
+
     /**
      * @param {NetworkParams} params
      * @param {boolean} recalcMinBaseFee
@@ -216,7 +420,52 @@ export class Tx {
 
         const exFee = this.witnesses.calcExFee(params)
 
-        return sizeFee + exFee
+        const refScriptsFee =
+            helper.refScriptsFeePerByte > 0
+                ? calcRefScriptsFee(
+                      this.body.sumRefScriptsSize(),
+                      helper.refScriptsFeePerByte
+                  )
+                : 0n
+
+        return sizeFee + exFee + refScriptsFee
+    }
+
+    /**
+     * Returns the UTxOs spent and created by this tx when it is added to the ledger.
+     *
+     * If the scripts succeed (phase-2 validation), the regular inputs are consumed and the outputs are produced.
+     * If the scripts fail, the tx is still added to the ledger (marked as invalid), but only the collateral inputs are consumed, and only the collateral return output (if any) is produced, at index `outputs.length`.
+     *
+     * The consumed inputs must have been recovered (see `recover()`) in order to access their outputs.
+     * @param {boolean} scriptsSucceed - defaults to the phase-2 validity flag of the tx
+     * @returns {TxUtxoChanges}
+     */
+    calcUtxoChanges(scriptsSucceed = this.scriptsValid) {
+        const id = this.id()
+
+        if (scriptsSucceed) {
+            return {
+                consumed: this.body.inputs.slice(),
+                produced: this.body.outputs.map(
+                    (output, i) => new TxInput(new TxOutputId(id, i), output)
+                )
+            }
+        } else {
+            const collateralReturn = this.body.collateralReturn
+
+            return {
+                consumed: this.body.collateral.slice(),
+                produced: collateralReturn
+                    ? [
+                          new TxInput(
+                              new TxOutputId(id, this.body.outputs.length),
+                              collateralReturn
+                          )
+                      ]
+                    : []
+            }
+        }
     }
 
     /**
@@ -224,7 +473,82 @@ export class Tx {
      * @returns {Tx}
      */
     clearMetadata() {
-        return new Tx(this.body, this.witnesses, this.valid, undefined)
+        return new Tx(
+            this.body,
+            this.witnesses,
+            this.valid,
+            undefined,
+            this.scriptsValid
+        )
+    }
+
+    /**
+     * Required signers that haven't signed yet (see `collectRequiredSigners()`).
+     *
+     * The keys of an attached native script are only included as long as the signatures don't yet satisfy that native script (time-locks are ignored).
+     * @returns {PubKeyHash[]}
+     */
+    collectMissingSigners() {
+        const signed = new Set(
+            this.witnesses.signatures
+                .filter((s) => !s.isDummy())
+                .map((s) => s.pubKeyHash.toHex())
+        )
+
+        /**
+         * @type {Map<string, PubKeyHash>}
+         */
+        const m = new Map()
+
+        this.body.collectRequiredSigners().forEach((pkh) => {
+            if (!signed.has(pkh.toHex())) {
+                m.set(pkh.toHex(), pkh)
+            }
+        })
+
+        this.witnesses.nativeScripts.forEach((script) => {
+            const isSatisfied = script.eval({
+                isSignedBy: (pkh) => signed.has(pkh.toHex()),
+                isAfter: () => true,
+                isBefore: () => true
+            })
+
+            if (!isSatisfied) {
+                collectNativeScriptSigners(script.toJson()).forEach((pkh) => {
+                    if (!signed.has(pkh.toHex())) {
+                        m.set(pkh.toHex(), pkh)
+                    }
+                })
+            }
+        })
+
+        return Array.from(m.values())
+    }
+
+    /**
+     * Pubkey hashes that are required to sign this tx (see `TxBody.collectRequiredSigners()`), followed by the keys of the attached native scripts.
+     *
+     * Throws an error if the inputs haven't been recovered after deserialization.
+     * @returns {PubKeyHash[]}
+     */
+    collectRequiredSigners() {
+        /**
+         * @type {Map<string, PubKeyHash>}
+         */
+        const m = new Map()
+
+        this.body
+            .collectRequiredSigners()
+            .concat(
+                this.witnesses.nativeScripts
+                    .map((script) =>
+                        collectNativeScriptSigners(script.toJson())
+                    )
+                    .flat()
+            )
+            .forEach((pkh) => m.set(pkh.toHex(), pkh))
+
+        return Array.from(m.values())
     }
 
     /**
@@ -240,6 +564,47 @@ export class Tx {
         }
     }
 
+    /**
+     * Evaluates the script of each redeemer, and sets the execution cost of each redeemer to the measured cost (optionally increased by a safety margin).
+     *
+     * Afterwards the script data hash is recalculated and the fee is updated:
+     *   - if `options.changeAddress` is given, or if the tx was balanced using `balance()`, the tx is balanced again
+     *   - otherwise the fee is set to the new minimum fee, and it is up to the caller to keep the tx balanced
+     *
+     * Updating the fee changes the tx seen by the scripts (fee, outputs, tx id), so the scripts are evaluated again until the body doesn't change anymore.
+     *
+     * Throws an error if any of the scripts fails, or if the body keeps changing.
+     * @param {NetworkParams} params
+     * @param {Object} [options]
+     * @param {number} [options.safetyMargin=0] - relative margin added to the measured costs, e.g. 0.1 for 10%
+     * @param {Address | ShelleyAddressLike} [options.changeAddress] - used to rebalance the tx
+     * @param {(poolId: PubKeyHash) => boolean} [options.isPoolRegistered] - used to rebalance the tx, see `balance()`
+     * @param {UplcLoggingI} [options.logOptions] - hooks for script logging during evaluation
+     * @returns {Tx}
+     */
+    evalRedeemers(params, options = {}) {
+        const safetyMargin = options.safetyMargin ?? 0
+
+        if (safetyMargin < 0) {
+            throw new Error("safetyMargin can't be negative")
+        }
+
+        for (let i = 0; i < MAX_EVAL_REDEEMERS_ITERATIONS; i++) {
+            const bodyBytes = bytesToHex(this.body.toCbor())
+
+            this.setRedeemerCosts(params, safetyMargin, options.logOptions)
+            this.updateFee(params, options)
+
+            if (bytesToHex(this.body.toCbor()) == bodyBytes) {
+                return this
+            }
+        }
+
+        throw new Error(
+            `tx body still changes after evaluating the redeemers ${MAX_EVAL_REDEEMERS_ITERATIONS} times`
+        )
+    }
+
     /**
      * @returns {TxId}
      */
@@ -254,6 +619,15 @@ export class Tx {
         return this.witnesses.isSmart()
     }
 
+    /**
+     * Collateral is only needed if Plutus scripts are run, which is the case if there are redeemers (native scripts don't need any)
+     * @private
+     * @returns {boolean}
+     */
+    needsCollateral() {
+        return this.witnesses.redeemers.length > 0
+    }
+
     /**
      * indicates if the necessary signatures are present and valid
      * @returns {boolean}
@@ -283,6 +657,30 @@ export class Tx {
         return this.body.isValidSlot(slot)
     }
 
+    /**
+     * Adds the signatures and bootstrap witnesses of the witness sets returned by the other signers of a multi-party tx.
+     *
+     * Duplicate signatures are ignored. The body, and the other witnesses, are left untouched, so the tx id doesn't change.
+     * @param {TxWitnesses[]} witnessSets
+     * @param {boolean} verify - defaults to `true`
+     * @returns {Tx}
+     */
+    mergeWitnesses(witnessSets, verify = true) {
+        witnessSets.forEach((witnesses) => {
+            this.addSignatures(witnesses.signatures, verify)
+
+            witnesses.bootstrapWitnesses.forEach((w) => {
+                if (verify) {
+                    w.verify(this.id().bytes)
+                }
+
+                this.witnesses.addBootstrapWitness(w)
+            })
+        })
+
+        return this
+    }
+
     /**
      * Restores input information after deserializing a CBOR-encoded transaction
      * @remarks
@@ -303,12 +701,33 @@ export class Tx {
                     return refScripts
                 }
             },
-            /** @type {(UplcProgramV1I | UplcProgramV2I)[]} */ ([])
+            /** @type {(UplcProgramV1I | UplcProgramV2I | UplcProgramV3I)[]} */ ([])
         )
 
         this.witnesses.recover(refScriptsInRefInputs)
     }
 
+    /**
+     * Selects the collateral from the given UTxOs, which can contain tokens (e.g. if a wallet only offers multi-asset UTxOs).
+     *
+     * At most `maxCollateralInputs` UTxOs are selected, UTxOs containing only lovelace first.
+     * Any tokens, and the lovelace exceeding the minimum collateral, are sent back to `returnAddress` through the collateral return output, and `totalCollateral` is set to the net collateral.
+     *
+     * The minimum collateral depends on the fee, so the selection is redone by `balance()` and `evalRedeemers()` each time the fee changes.
+     * No collateral is selected if the tx doesn't contain any scripts.
+     * @param {TxInput[]} utxos
+     * @param {Address | ShelleyAddressLike} returnAddress
+     * @param {NetworkParams} params
+     * @returns {Tx}
+     */
+    setCollateral(utxos, returnAddress, params) {
+        this.collateralSelection = { utxos: utxos.slice(), returnAddress }
+
+        this.updateCollateral(params)
+
+        return this
+    }
+
     /**
      * Serialize a transaction.
      *
@@ -330,12 +749,33 @@ export class Tx {
             return encodeTuple([
                 this.body.toCbor(),
                 this.witnesses.toCbor(),
-                encodeBool(true),
+                encodeBool(this.scriptsValid),
                 encodeNullOption(this.metadata)
             ])
         }
     }
 
+    /**
+     * @returns {TxJson}
+     */
+    toJson() {
+        /**
+         * @type {TxJson}
+         */
+        const json = {
+            body: this.body.toJson(),
+            witnesses: this.witnesses.toJson(),
+            valid: this.valid,
+            scriptsValid: this.scriptsValid
+        }
+
+        if (this.metadata) {
+            json.metadata = bytesToHex(this.metadata.toCbor())
+        }
+
+        return json
+    }
+
     /**
      * Throws an error if the tx isn't valid
      *
@@ -343,8 +783,8 @@ export class Tx {
      *   * size of tx <= params.maxTxSize
      *   * body.fee >= calculated min fee
      *   * value is conserved (minus what is burned, plus what is minted)
-     *   * enough collateral if smart
-     *   * no collateral if not smart
+     *   * enough collateral if Plutus scripts are run
+     *   * no collateral if no Plutus scripts are run
      *   * all necessary scripts are attached
      *   * no redundant scripts are attached (only checked if strict=true)
      *   * each redeemer must have enough ex budget
@@ -355,9 +795,13 @@ export class Tx {
      *   * ref inputs are in the correct order
      *   * minted assets are in the correct order
      *   * staking withdrawals are in the correct order
+     *   * stake credentials aren't registered or deregistered twice, and aren't delegated after being deregistered, by the certificates
+     *   * each certifying redeemer points to a certificate witnessed by a staking validator, and each such certificate has a redeemer (unless the validator is a native script)
      *   * metadatahash corresponds to metadata
      *   * metadatahash is null if there isn't any metadata
      *   * script data hash is correct
+     *   * total size of the reference scripts in the inputs and ref inputs doesn't exceed 204800 bytes
+     *   * the attached native scripts are satisfied by the validity interval (the `Sig` clauses are considered satisfied)
      *
      * Checks that aren't performed:
      *   * all necessary signatures are included (must done after tx has been signed)
@@ -367,41 +811,38 @@ export class Tx {
      * @param {Object} options
      * @param {boolean} [options.strict=false] - can be left as false for inspecting general transactions. The TxBuilder always uses strict=true.
      * @param {boolean} [options.verbose=false] - provides more details of transaction-budget usage when the transaction is close to the limit
+     * @param {(poolId: PubKeyHash) => boolean} [options.isPoolRegistered] - re-registering a pool doesn't require a deposit, see `TxBody.sumDeposits()`
      * @param {UplcLoggingI} [options.logOptions] - logging options for diagnostics
      */
     validate(params, options = {}) {
-        const { strict = false, logOptions } = options
-        this.validateSize(params)
-
-        this.validateFee(params)
-
-        this.validateConservation(params)
-
-        this.validateCollateral(params)
-
-        this.validateScriptsPresent(strict)
-
-        this.validateRedeemersExBudget(params, logOptions)
-
-        this.validateTotalExBudget(params, options)
-
-        this.validateOutputs(params, strict)
-
-        this.validateInputsOrder()
-
-        this.validateRefInputsOrder()
-
-        this.validateMintedOrder()
-
-        this.validateWithdrawalsOrder()
+        this.validateWithReport(params, options, new TxValidationReport(true))
+    }
 
-        // TODO: validateDCertsOrder ??
+    /**
+     * Runs all the checks of `validate()` without throwing, and returns a report containing every issue that was found.
+     *
+     * Unlike `validate()`, the signatures are also checked (unless `options.signatures` is false).
+     * If there are no signature errors, the tx is marked as valid, just like with `validateSignatures()`.
+     * @param {NetworkParams} params
+     * @param {Object} [options]
+     * @param {boolean} [options.strict=false] - can be left as false for inspecting general transactions
+     * @param {boolean} [options.verbose=false] - adds warnings about transaction-budget usage when the transaction is close to the limit
+     * @param {boolean} [options.signatures=true] - set to false to skip checking the signatures (e.g. before the tx is signed)
+     * @param {(poolId: PubKeyHash) => boolean} [options.isPoolRegistered] - re-registering a pool doesn't require a deposit, see `TxBody.sumDeposits()`
+     * @param {UplcLoggingI} [options.logOptions] - logging options for diagnostics
+     * @returns {TxValidationReport}
+     */
+    validateAll(params, options = {}) {
+        const report = new TxValidationReport(false)
+        const signatures = options.signatures ?? true
 
-        this.validateMetadata()
+        this.validateWithReport(params, { ...options, signatures }, report)
 
-        this.validateScriptDataHash(params)
+        if (signatures) {
+            this.validateSignaturesWithReport(report)
+        }
 
-        // TODO: add the rule that the total refScripts size in the inputs and ref inputs can't exceed 204800
+        return report
     }
 
     /**
@@ -411,6 +852,7 @@ export class Tx {
      * @param {Object} [options]
      * @param {boolean} [options.strict=false] - can be left as false for inspecting general transactions. The TxBuilder always uses strict=true.
      * @param {boolean} [options.verbose=false] - provides more details of transaction-budget usage when the transaction is close to the limit
+     * @param {(poolId: PubKeyHash) => boolean} [options.isPoolRegistered] - re-registering a pool doesn't require a deposit, see `TxBody.sumDeposits()`
      * @param {UplcLoggingI} [options.logOptions] - hooks for script logging during transaction execution
      * @returns {Tx}
      */
@@ -429,11 +871,59 @@ export class Tx {
     }
 
     /**
-     * Throws an error if all necessary signatures haven't yet been added
+     * Throws an error if all necessary signatures haven't yet been added, or if the attached native scripts aren't satisfied
      * Separate from the other validation checks
      * If valid: this.valid is mutated to true
      */
     validateSignatures() {
+        this.validateSignaturesWithReport(new TxValidationReport(true))
+    }
+
+    /**
+     * @private
+     * @returns {number}
+     */
+    countMissingSignatures() {
+        return (
+            this.body.countUniqueSigners() -
+            this.witnesses.countNonDummySignatures()
+        )
+    }
+
+    /**
+     * Plutus versions of the scripts that are required by this tx, used to calculate the script data hash.
+     * Defaults to only PlutusV2 if none of the required scripts are attached (yet).
+     * @private
+     * @returns {PlutusVersion[]}
+     */
+    getPlutusVersions() {
+        const required = new Set(
+            this.body.allScriptHashes.map((h) => h.toHex())
+        )
+
+        /**
+         * @type {Set<PlutusVersion>}
+         */
+        const versions = new Set()
+
+        this.witnesses.allScripts.forEach((script) => {
+            if (
+                "plutusVersion" in script &&
+                required.has(bytesToHex(script.hash()))
+            ) {
+                versions.add(script.plutusVersion)
+            }
+        })
+
+        return versions.size > 0 ? Array.from(versions) : ["PlutusScriptV2"]
+    }
+
+    /**
+     * @private
+     * @param {TxValidationReport} report
+     */
+    validateSignaturesWithReport(report) {
+        const nErrors = report.errors.length
         const signatures = this.witnesses.signatures
 
         const includedSigners = new Set(
@@ -441,9 +931,13 @@ export class Tx {
         )
 
         // check the signers
-        this.body.signers.forEach((s) => {
+        this.body.signers.forEach((s, i) => {
             if (!includedSigners.has(s.toHex())) {
-                throw new Error(`signature for signer ${s.toHex()} missing`)
+                report.error(
+                    "signatures",
+                    `signature for signer ${s.toHex()} missing`,
+                    { index: i, object: s }
+                )
             }
         })
 
@@ -452,29 +946,106 @@ export class Tx {
             const address = utxo.output.address
 
             if (address.era == "Byron") {
-                throw new Error("not yet implemented")
+                if (
+                    !this.witnesses.bootstrapWitnesses.some((w) =>
+                        w.isForAddress(address)
+                    )
+                ) {
+                    report.error(
+                        "signatures",
+                        `bootstrap witness for input at ${address.toBase58()} missing`,
+                        { object: utxo }
+                    )
+                }
+
+                return
+            }
+
+            const pkh = address.pubKeyHash
+            if (pkh && !includedSigners.has(pkh.toHex())) {
+                report.error(
+                    "signatures",
+                    `signature for input at ${address.toBech32()} missing`,
+                    { object: utxo }
+                )
             }
+        })
+
+        this.validateNativeScripts(true, report)
+
+        if (report.errors.length == nErrors) {
+            this.valid = true
+        }
+    }
+
+    /**
+     * Checks that the certifying redeemers point to certificates that are witnessed by staking validators, and that those certificates have redeemers
+     * @private
+     * @param {TxValidationReport} report
+     */
+    validateCertifyingRedeemers(report) {
+        const dcerts = this.body.dcerts
+
+        /**
+         * @type {Set<number>}
+         */
+        const indices = new Set()
+
+        this.witnesses.redeemers.forEach((redeemer) => {
+            if (!redeemer.isCertifying()) {
+                return
+            }
+
+            const i = redeemer.index
+            const dcert = dcerts[i]
+
+            if (!dcert) {
+                report.error(
+                    "certifyingRedeemers",
+                    `certifying redeemer points to non-existent DCert ${i}`,
+                    { index: i, object: redeemer }
+                )
+            } else if (indices.has(i)) {
+                report.error(
+                    "certifyingRedeemers",
+                    `duplicate certifying redeemer for DCert ${i}`,
+                    { index: i, object: redeemer }
+                )
+            } else if (
+                !dcert.isWitnessed() ||
+                !dcert.credential.hash.stakingValidatorHash
+            ) {
+                report.error(
+                    "certifyingRedeemers",
+                    `certifying redeemer points to ${dcert.kind} DCert ${i}, which isn't witnessed by a staking validator`,
+                    { index: i, object: redeemer }
+                )
+            }
+
+            indices.add(i)
+        })
+
+        dcerts.forEach((dcert, i) => {
+            if (!dcert.isWitnessed()) {
+                return
+            }
+
+            const svh = dcert.credential.hash.stakingValidatorHash
 
-            const pkh = address.pubKeyHash
-            if (pkh && !includedSigners.has(pkh.toHex())) {
-                throw new Error(
-                    `signature for input at ${address.toBech32()} missing`
+            if (
+                svh &&
+                !indices.has(i) &&
+                !this.witnesses.nativeScripts.some(
+                    (script) => compareBytes(script.hash(), svh.bytes) == 0
+                )
+            ) {
+                report.error(
+                    "certifyingRedeemers",
+                    `missing redeemer for DCert ${i}`,
+                    { index: i, object: dcert }
                 )
             }
         })
-
-        this.valid = true
-    }
-
-    /**
-     * @private
-     * @returns {number}
-     */
-    countMissingSignatures() {
-        return (
-            this.body.countUniqueSigners() -
-            this.witnesses.countNonDummySignatures()
-        )
     }
 
     /**
@@ -488,35 +1059,49 @@ export class Tx {
      *
      * Also throws an error if the script doesn't require collateral, but
      * collateral was actually included.
+     *
+     * Collateral inputs can contain tokens, as long as all of them are
+     * returned by the collateral return output.
      * @private
      * @param {NetworkParams} params
+     * @param {TxValidationReport} report
      */
-    validateCollateral(params) {
+    validateCollateral(params, report) {
         const helper = new NetworkParamsHelper(params)
 
         if (this.body.collateral.length > helper.maxCollateralInputs) {
-            throw new Error("too many collateral inputs")
+            report.error("collateral", "too many collateral inputs")
         }
 
-        if (this.isSmart()) {
+        if (this.needsCollateral()) {
             const minCollateral = this.getMinCollateral(params, helper)
 
             let sum = new Value()
 
-            for (let col of this.body.collateral) {
+            this.body.collateral.forEach((col, i) => {
                 if (!col.output) {
-                    throw new Error(
-                        "expected collateral TxInput.origOutput to be set"
+                    report.error(
+                        "collateral",
+                        "expected collateral TxInput.origOutput to be set",
+                        { index: i, object: col }
                     )
-                } else if (!col.output.value.assets.isZero()) {
-                    throw new Error("collateral can only contain lovelace")
                 } else {
                     sum = sum.add(col.output.value)
                 }
+            })
+
+            const returnedAssets =
+                this.body.collateralReturn?.value.assets ?? new Assets()
+
+            if (!sum.assets.subtract(returnedAssets).isZero()) {
+                report.error(
+                    "collateral",
+                    "collateral can only contain lovelace, unless the tokens are returned by collateralReturn"
+                )
             }
 
             if (sum.lovelace < minCollateral) {
-                throw new Error("not enough collateral")
+                report.error("collateral", "not enough collateral")
             }
 
             const included = sum.lovelace
@@ -527,20 +1112,37 @@ export class Tx {
                 const collateralDiff = netCollateral - minCollateral
                 if (collateralDiff < 0) {
                     const returned = this.body.collateralReturn.value.lovelace
-                    throw new Error(
+                    report.error(
+                        "collateral",
                         `collateralReturn is ${0n - collateralDiff} lovelace is too high\n` +
                             ` ${included} collateral inputs; need ${minCollateral} minimum\n` +
-                            `-${returned} collateral returned, so ${netCollateral} net collateral is too low`
+                            `-${returned} collateral returned, so ${netCollateral} net collateral is too low`,
+                        { object: this.body.collateralReturn }
+                    )
+                }
+            }
+
+            // totalCollateral is optional, but if it is set it must match the net collateral
+            if (this.body.totalCollateral > 0n) {
+                const netCollateral =
+                    included -
+                    (this.body.collateralReturn?.value.lovelace ?? 0n)
+
+                if (this.body.totalCollateral != netCollateral) {
+                    report.error(
+                        "collateral",
+                        `totalCollateral of ${this.body.totalCollateral} lovelace doesn't match the ${netCollateral} lovelace of net collateral (collateral inputs minus collateralReturn)`,
+                        { object: this.body.totalCollateral }
                     )
                 }
             }
 
             if (included > minCollateral * 5n) {
-                console.error("Warning: way too much collateral")
+                report.warning("collateral", "Warning: way too much collateral")
             }
         } else {
             if (this.body.collateral.length != 0) {
-                throw new Error("unnecessary collateral included")
+                report.error("collateral", "unnecessary collateral included")
             }
         }
     }
@@ -565,54 +1167,316 @@ export class Tx {
     }
 
     /**
-     * Validate that value is conserved, minus what is burned and plus what is minted
-     * Throws an error if value isn't conserved
+     * Selects the collateral for the current fee, using the UTxOs given to `setCollateral()` (does nothing if `setCollateral()` wasn't called)
      * @private
      * @param {NetworkParams} params
      */
-    validateConservation(params) {
+    updateCollateral(params) {
+        const selection = this.collateralSelection
+
+        if (!selection) {
+            return
+        }
+
+        const body = this.body
+
+        body.collateral.splice(0, body.collateral.length)
+        body.collateralReturn = undefined
+        body.totalCollateral = 0n
+
+        if (!this.needsCollateral()) {
+            return
+        }
+
         const helper = new NetworkParamsHelper(params)
+        const minCollateral = this.calcMinCollateral(params)
+
+        /**
+         * Returns `null` if the collateral isn't sufficient, and `undefined` if the collateral doesn't need a return output
+         * @param {Value} sum
+         * @returns {TxOutput | null | undefined}
+         */
+        const calcCollateralReturn = (sum) => {
+            const excess = sum.subtract(new Value(minCollateral))
+
+            if (excess.lovelace < 0n) {
+                return null
+            }
+
+            const collateralReturn = new TxOutput(
+                selection.returnAddress,
+                excess
+            )
+
+            if (excess.lovelace >= collateralReturn.calcDeposit(params)) {
+                return collateralReturn
+            } else if (excess.assets.isZero()) {
+                // the excess is too small to be returned, so it is added to the collateral instead
+                return undefined
+            } else {
+                return null
+            }
+        }
+
+        // UTxOs containing only lovelace first, then the largest amount of lovelace first
+        const candidates = selection.utxos.slice().sort((a, b) => {
+            const aIsPure = a.value.assets.isZero()
+            const bIsPure = b.value.assets.isZero()
+
+            if (aIsPure != bIsPure) {
+                return aIsPure ? -1 : 1
+            } else {
+                const diff = b.value.lovelace - a.value.lovelace
+
+                return diff > 0n ? 1 : diff < 0n ? -1 : 0
+            }
+        })
+
+        let sum = new Value()
+
+        for (let utxo of candidates) {
+            if (body.collateral.length >= helper.maxCollateralInputs) {
+                break
+            }
+
+            TxInput.append(body.collateral, utxo)
+            sum = sum.add(utxo.value)
+
+            const collateralReturn = calcCollateralReturn(sum)
+
+            if (collateralReturn !== null) {
+                body.collateralReturn = collateralReturn
+                body.totalCollateral =
+                    sum.lovelace - (collateralReturn?.value.lovelace ?? 0n)
+
+                return
+            }
+        }
+
+        throw new Error(
+            `not enough collateral (expected at least ${minCollateral} lovelace, using at most ${helper.maxCollateralInputs} UTxOs)`
+        )
+    }
+
+    /**
+     * Sets the cost of each redeemer to the cost measured against the current body, and recalculates the script data hash
+     * @private
+     * @param {NetworkParams} params
+     * @param {number} safetyMargin
+     * @param {UplcLoggingI | undefined} logOptions
+     */
+    setRedeemerCosts(params, safetyMargin, logOptions) {
+        const redeemers = this.witnesses.redeemers
+
+        const txInfo = this.body.toTxInfo(
+            params,
+            redeemers,
+            this.witnesses.datums,
+            this.id()
+        )
+
+        /**
+         * @param {bigint} x
+         * @returns {bigint}
+         */
+        const addMargin = (x) =>
+            BigInt(Math.ceil(Number(x) * (1 + safetyMargin)))
+
+        redeemers.forEach((redeemer, i) => {
+            logOptions?.reset?.("build")
+
+            const { summary, description, script, args } =
+                redeemer.getRedeemerDetails(this, txInfo)
+
+            const { cost, result } = script.eval(args, {
+                logOptions: logOptions ?? undefined
+            })
+
+            if (isLeft(result)) {
+                throw new UplcRuntimeError(
+                    `script validation error in ${summary}: ${result.left.error}` +
+                        `\n ... error in ${description}`,
+                    result.left.callSites
+                )
+            }
+
+            logOptions?.flush?.()
+
+            redeemers[i] = redeemer.withCost({
+                mem: addMargin(cost.mem),
+                cpu: addMargin(cost.cpu)
+            })
+        })
+
+        if (redeemers.length > 0) {
+            this.body.scriptDataHash = calcScriptDataHash(
+                params,
+                this.witnesses.datums,
+                redeemers,
+                this.getPlutusVersions(),
+                this.witnesses.redeemersEncoding
+            )
+        }
+    }
+
+    /**
+     * Balances the tx again after the redeemer costs have changed, or sets the fee to the new minimum fee if there is no change address (see `evalRedeemers()`)
+     * @private
+     * @param {NetworkParams} params
+     * @param {Object} options
+     * @param {Address | ShelleyAddressLike} [options.changeAddress]
+     * @param {(poolId: PubKeyHash) => boolean} [options.isPoolRegistered]
+     */
+    updateFee(params, options) {
+        const changeAddress =
+            options.changeAddress ?? this.changeOutput?.address
+
+        if (changeAddress) {
+            this.balance(changeAddress, params, {
+                isPoolRegistered: options.isPoolRegistered
+            })
+        } else {
+            let fee = this.calcMinFee(params)
+
+            // the collateral depends on the fee, and the collateral in turn changes the size of the tx
+            while (true) {
+                this.body.fee = fee
+                this.updateCollateral(params)
 
-        const stakeAddrDeposit = new Value(helper.stakeAddressDeposit)
-        let v = new Value(0n)
-
-        v = this.body.inputs.reduce((prev, inp) => inp.value.add(prev), v)
-        v = this.body.dcerts.reduce((prev, dcert) => {
-            // add released stakeAddrDeposit
-            return dcert.isDeregister() ? prev.add(stakeAddrDeposit) : prev
-        }, v)
-        v = v.subtract(new Value(this.body.fee))
-        v = v.add(new Value(0, this.body.minted))
-        v = this.body.outputs.reduce((prev, out) => {
-            return prev.subtract(out.value)
-        }, v)
-        v = this.body.dcerts.reduce((prev, dcert) => {
-            // deduct locked stakeAddrDeposit
-            return dcert.isRegister() ? prev.subtract(stakeAddrDeposit) : prev
-        }, v)
+                const minFee = this.calcMinFee(params)
+
+                if (minFee <= fee) {
+                    break
+                }
+
+                fee = minFee
+            }
+        }
+    }
+
+    /**
+     * Validate that value is conserved, minus what is burned and plus what is minted and withdrawn
+     * Throws an error if value isn't conserved
+     * @private
+     * @param {NetworkParams} params
+     * @param {((poolId: PubKeyHash) => boolean) | undefined} isPoolRegistered
+     * @param {TxValidationReport} report
+     */
+    validateConservation(params, isPoolRegistered, report) {
+        const v = this.body
+            .sumInputValue()
+            .add(new Value(0n, this.body.minted))
+            .add(
+                new Value(
+                    this.body.sumWithdrawals() +
+                        this.body.sumRefunds(params) -
+                        this.body.sumDeposits(params, isPoolRegistered) -
+                        this.body.donation -
+                        this.body.fee
+                )
+            )
+            .subtract(this.body.sumOutputValue())
 
         if (v.lovelace != 0n) {
-            throw new Error(
+            report.error(
+                "conservation",
                 `tx not balanced, net lovelace not zero (${v.lovelace})`
             )
         }
 
         if (!v.assets.isZero()) {
-            throw new Error("tx not balanced, net assets not zero")
+            report.error(
+                "conservation",
+                "tx not balanced, net assets not zero",
+                { object: v.assets }
+            )
         }
     }
 
+    /**
+     * Checks the sequence of certificates.
+     * The ledger state isn't known, so only the certificates within this tx can be compared:
+     *   - a stake credential can't be registered twice without being deregistered in between
+     *   - a stake credential can't be deregistered twice without being registered in between
+     *   - a stake credential can't be delegated after being deregistered
+     *
+     * The combined Conway-era registration and delegation certificates count as registrations.
+     * @private
+     * @param {TxValidationReport} report
+     */
+    validateDCerts(report) {
+        /**
+         * Registration state of the stake credentials touched by the certificates so far.
+         * Keyed by the CBOR encoding of the credential, so pubkey and script credentials with the same hash bytes are kept apart
+         * @type {Map<string, boolean>}
+         */
+        const registered = new Map()
+
+        this.body.dcerts.forEach((dcert, i) => {
+            if (
+                dcert.isRegister() ||
+                dcert.kind == "RegisterWithDeposit" ||
+                dcert.kind == "RegisterAndDelegate" ||
+                dcert.kind == "RegisterAndDelegateVote" ||
+                dcert.kind == "RegisterAndDelegateStakeAndVote"
+            ) {
+                const key = bytesToHex(expectDefined(dcert.credential).toCbor())
+
+                if (registered.get(key) === true) {
+                    report.error(
+                        "dcerts",
+                        `stake credential ${key} registered twice`,
+                        { index: i, object: dcert }
+                    )
+                }
+
+                registered.set(key, true)
+            } else if (
+                dcert.isDeregister() ||
+                dcert.kind == "DeregisterWithRefund"
+            ) {
+                const key = bytesToHex(expectDefined(dcert.credential).toCbor())
+
+                if (registered.get(key) === false) {
+                    report.error(
+                        "dcerts",
+                        `stake credential ${key} deregistered twice`,
+                        { index: i, object: dcert }
+                    )
+                }
+
+                registered.set(key, false)
+            } else if (
+                dcert.isDelegate() ||
+                dcert.kind == "DelegateVote" ||
+                dcert.kind == "DelegateStakeAndVote"
+            ) {
+                const key = bytesToHex(expectDefined(dcert.credential).toCbor())
+
+                if (registered.get(key) === false) {
+                    report.error(
+                        "dcerts",
+                        `stake credential ${key} delegated after being deregistered`,
+                        { index: i, object: dcert }
+                    )
+                }
+            }
+        })
+    }
+
     /**
      * Final check that fee is big enough
      * Throws an error if not
      * @private
      * @param {NetworkParams} params
+     * @param {TxValidationReport} report
      */
-    validateFee(params) {
+    validateFee(params, report) {
         const minFee = this.calcMinFee(params)
 
         if (minFee > this.body.fee) {
-            throw new Error(
+            report.error(
+                "fee",
                 `fee too small, expected at least ${minFee}, got ${this.body.fee}`
             )
         }
@@ -621,15 +1485,19 @@ export class Tx {
     /**
      * Throws an error in the inputs aren't in the correct order
      * @private
+     * @param {TxValidationReport} report
      */
-    validateInputsOrder() {
+    validateInputsOrder(report) {
         this.body.inputs.forEach((input, i) => {
             if (i > 0) {
                 const prev = this.body.inputs[i - 1]
 
                 // can be less than -1 if utxoIds aren't consecutive
                 if (TxInput.compare(prev, input) >= 0) {
-                    throw new Error("inputs aren't sorted")
+                    report.error("inputsOrder", "inputs aren't sorted", {
+                        index: i,
+                        object: input
+                    })
                 }
             }
         })
@@ -638,8 +1506,9 @@ export class Tx {
     /**
      * Throws an error if the metadatahash doesn't correspond, or if a tx without metadata has its metadatahash set
      * @private
+     * @param {TxValidationReport} report
      */
-    validateMetadata() {
+    validateMetadata(report) {
         const metadata = this.metadata
 
         if (metadata) {
@@ -647,24 +1516,64 @@ export class Tx {
 
             if (this.body.metadataHash) {
                 if (compareBytes(h, this.body.metadataHash) != 0) {
-                    throw new Error(
+                    report.error(
+                        "metadata",
                         "metadataHash doesn't correspond with actual metadata"
                     )
                 }
             } else {
-                throw new Error(
+                report.error(
+                    "metadata",
                     "metadataHash not included in a Tx that has metadata"
                 )
             }
         } else {
             if (this.body.metadataHash) {
-                throw new Error(
+                report.error(
+                    "metadata",
                     "metadataHash included in a Tx that doesn't have any metadata"
                 )
             }
         }
     }
 
+    /**
+     * Evaluates the attached native scripts, using the validity interval for the `After` and `Before` clauses
+     * @private
+     * @param {boolean} checkSignatures - if false, all `Sig` clauses are considered satisfied
+     * @param {TxValidationReport} report
+     */
+    validateNativeScripts(checkSignatures, report) {
+        const signed = new Set(
+            this.witnesses.signatures
+                .filter((s) => !s.isDummy())
+                .map((s) => s.pubKeyHash.toHex())
+        )
+
+        const { firstValidSlot, lastValidSlot } = this.body
+
+        /**
+         * @type {NativeContext}
+         */
+        const ctx = {
+            isSignedBy: (pkh) => !checkSignatures || signed.has(pkh.toHex()),
+            isAfter: (slot) =>
+                firstValidSlot !== undefined && firstValidSlot >= slot,
+            isBefore: (slot) =>
+                lastValidSlot !== undefined && lastValidSlot <= slot
+        }
+
+        this.witnesses.nativeScripts.forEach((script, i) => {
+            if (!script.eval(ctx)) {
+                report.error(
+                    "nativeScripts",
+                    `native script ${bytesToHex(script.hash())} isn't satisfied`,
+                    { index: i, object: script }
+                )
+            }
+        })
+    }
+
     /**
      * Throws an error if the minted assets aren't in the correct order
      * @private
@@ -679,29 +1588,39 @@ export class Tx {
      * @private
      * @param {NetworkParams} params
      * @param {boolean} strict
+     * @param {TxValidationReport} report
      */
-    validateOutputs(params, strict) {
-        this.body.outputs.forEach((output) => {
+    validateOutputs(params, strict, report) {
+        this.body.outputs.forEach((output, i) => {
             const minLovelace = output.calcDeposit(params)
 
             if (minLovelace > output.value.lovelace) {
-                throw new Error(
-                    `not enough lovelace in output (expected at least ${minLovelace.toString()}, got ${output.value.lovelace})`
+                report.error(
+                    "outputs",
+                    `not enough lovelace in output (expected at least ${minLovelace.toString()}, got ${output.value.lovelace})`,
+                    { index: i, object: output }
                 )
             }
 
             if (strict) {
-                output.value.assets.assertSorted()
+                try {
+                    output.value.assets.assertSorted()
+                } catch (e) {
+                    report.error("outputs", e, { index: i, object: output })
+                }
             }
         })
     }
 
     /**
+     * Evaluates the script of each redeemer.
+     * Failing scripts are reported using the "scripts" rule, and costs exceeding the budget of a redeemer using the "redeemerExBudget" rule.
      * @private
      * @param {NetworkParams} params
      * @param {UplcLoggingI | undefined} logOptions
+     * @param {TxValidationReport} report
      */
-    validateRedeemersExBudget(params, logOptions) {
+    validateRedeemersExBudget(params, logOptions, report) {
         const txInfo = this.body.toTxInfo(
             params,
             this.witnesses.redeemers,
@@ -709,7 +1628,7 @@ export class Tx {
             this.id()
         )
 
-        for (const redeemer of this.witnesses.redeemers) {
+        for (const [i, redeemer] of this.witnesses.redeemers.entries()) {
             logOptions?.reset?.("validate")
             const { description, summary, script, args } =
                 redeemer.getRedeemerDetails(this, txInfo)
@@ -729,16 +1648,20 @@ export class Tx {
             }
 
             if (cost.mem > redeemer.cost.mem) {
-                throw new Error(
+                report.error(
+                    "redeemerExBudget",
                     `actual mem cost for ${summary} too high, expected at most ${redeemer.cost.mem}, got ${cost.mem}` +
-                        `\n ... in ${description}` // @reviewers: WDYT?
+                        `\n ... in ${description}`, // @reviewers: WDYT?
+                    { index: i, object: redeemer }
                 )
             }
 
             if (cost.cpu > redeemer.cost.cpu) {
-                throw new Error(
+                report.error(
+                    "redeemerExBudget",
                     `actual cpu cost for ${summary} too high, expected at most ${redeemer.cost.cpu}, got ${cost.cpu}` +
-                        `\n ... in ${description}` // @reviewers: WDYT?
+                        `\n ... in ${description}`, // @reviewers: WDYT?
+                    { index: i, object: redeemer }
                 )
             }
 
@@ -766,10 +1689,14 @@ export class Tx {
                     result.left.callSites.slice().pop()?.site
                 ) // XXX: it might be weird to log this error message AND throw an error containing the same
 
-                throw new UplcRuntimeError(
-                    `script validation error in ${summary}: ${errMsg}` +
-                        `\n ... error in ${description}`, // TODO: should description and summary also be part of the UplcRuntimeError stack trace?
-                    result.left.callSites
+                report.error(
+                    "scripts",
+                    new UplcRuntimeError(
+                        `script validation error in ${summary}: ${errMsg}` +
+                            `\n ... error in ${description}`, // TODO: should description and summary also be part of the UplcRuntimeError stack trace?
+                        result.left.callSites
+                    ),
+                    { index: i, object: redeemer }
                 )
             }
             logOptions?.flush?.()
@@ -779,8 +1706,9 @@ export class Tx {
     /**
      * Throws an error if the ref inputs aren't in the correct order
      * @private
+     * @param {TxValidationReport} report
      */
-    validateRefInputsOrder() {
+    validateRefInputsOrder(report) {
         // same for ref inputs
         this.body.refInputs.forEach((input, i) => {
             if (i > 0) {
@@ -788,39 +1716,62 @@ export class Tx {
 
                 // can be less than -1 if utxoIds aren't consecutive
                 if (TxInput.compare(prev, input) >= 0) {
-                    throw new Error("refInputs not sorted")
+                    report.error("refInputsOrder", "refInputs not sorted", {
+                        index: i,
+                        object: input
+                    })
                 }
             }
         })
     }
 
+    /**
+     * Throws an error if the total size of the reference scripts in the inputs and ref inputs is too large
+     * @private
+     * @param {TxValidationReport} report
+     */
+    validateRefScriptsSize(report) {
+        const size = this.body.sumRefScriptsSize()
+
+        if (size > MAX_REF_SCRIPTS_SIZE) {
+            report.error(
+                "refScriptsSize",
+                `total size of reference scripts too large (${size} bytes, maximum is ${MAX_REF_SCRIPTS_SIZE} bytes)`
+            )
+        }
+    }
+
     /**
      * Throws an error if the script data hash is incorrect
      * @private
      * @param {NetworkParams} params
+     * @param {TxValidationReport} report
      */
-    validateScriptDataHash(params) {
+    validateScriptDataHash(params, report) {
         if (this.witnesses.redeemers.length > 0) {
             if (this.body.scriptDataHash) {
-                const scriptDataHash = calcScriptDataHash(
+                const scriptDataHash = hashScriptData(
                     params,
-                    this.witnesses.datums,
-                    this.witnesses.redeemers
+                    this.witnesses.encodeRedeemers(),
+                    this.witnesses.encodeDatums(),
+                    this.getPlutusVersions()
                 )
 
                 if (
                     compareBytes(scriptDataHash, this.body.scriptDataHash) != 0
                 ) {
-                    throw new Error("wrong script data hash")
+                    report.error("scriptDataHash", "wrong script data hash")
                 }
             } else {
-                throw new Error(
+                report.error(
+                    "scriptDataHash",
                     "no script data hash included for a Tx that has redeemers"
                 )
             }
         } else {
             if (this.body.scriptDataHash) {
-                throw new Error(
+                report.error(
+                    "scriptDataHash",
                     "script data hash included for a Tx that has no redeemers"
                 )
             }
@@ -831,21 +1782,26 @@ export class Tx {
      * Checks that all necessary scripts and UplcPrograms are included, and that all included scripts are used
      * @private
      * @param {boolean} strict
+     * @param {TxValidationReport} report
      */
-    validateScriptsPresent(strict) {
+    validateScriptsPresent(strict, report) {
         const allScripts = this.witnesses.allScripts
         const includedScriptHashes = new Set(
             allScripts.map((s) => bytesToHex(s.hash()))
         )
 
         if (allScripts.length != includedScriptHashes.size) {
-            throw new Error("duplicate scripts included in transaction")
+            report.error(
+                "scriptsPresent",
+                "duplicate scripts included in transaction"
+            )
         }
 
         const requiredScriptHashes = this.body.allScriptHashes
 
         if (requiredScriptHashes.length < includedScriptHashes.size) {
-            throw new Error(
+            report.error(
+                "scriptsPresent",
                 `too many scripts included, not all are needed (${includedScriptHashes.size} included, but only ${requiredScriptHashes.length} required)`
             )
         }
@@ -854,7 +1810,11 @@ export class Tx {
             const key = hash.toHex()
 
             if (!includedScriptHashes.has(key)) {
-                throw new Error(`missing script for hash ${key}`)
+                report.error(
+                    "scriptsPresent",
+                    `missing script for hash ${key}`,
+                    { object: hash }
+                )
             }
         })
 
@@ -864,7 +1824,10 @@ export class Tx {
                     requiredScriptHashes.findIndex((h) => h.toHex() == key) ==
                     -1
                 ) {
-                    throw new Error(`detected unused script ${key}`)
+                    report.error(
+                        "scriptsPresent",
+                        `detected unused script ${key}`
+                    )
                 }
             })
         }
@@ -874,13 +1837,14 @@ export class Tx {
      * Throws error if tx is too big
      * @private
      * @param {NetworkParams} params
+     * @param {TxValidationReport} report
      */
-    validateSize(params) {
+    validateSize(params, report) {
         const helper = new NetworkParamsHelper(params)
 
         if (this.calcSize() > helper.maxTxSize) {
             // TODO: should we also use the fee calculation size instead of the real size for this? (i.e. 1 byte difference)
-            throw new Error("tx too big")
+            report.error("size", "tx too big")
         }
     }
 
@@ -891,8 +1855,9 @@ export class Tx {
      * @param {Object} options
      * @param {boolean} [options.verbose=false] - if true -> warn if ex budget >= 50% max budget
      * @param {boolean} [options.strict=true] - if false, over-budget in the presence of unoptimized scripts will only be a warning
+     * @param {TxValidationReport} report
      */
-    validateTotalExBudget(params, options) {
+    validateTotalExBudget(params, options, report) {
         const verbose = options.verbose ?? false
         const strict = options.strict ?? true
 
@@ -901,7 +1866,7 @@ export class Tx {
         let totalCpu = 0n
 
         let missingAltScripts = 0
-        for (let redeemer of this.witnesses.redeemers) {
+        for (const [i, redeemer] of this.witnesses.redeemers.entries()) {
             totalMem += redeemer.cost.mem
             totalCpu += redeemer.cost.cpu
 
@@ -909,8 +1874,10 @@ export class Tx {
             if (!script.alt) {
                 missingAltScripts += 1
                 if (verbose) {
-                    console.error(
-                        ` - unoptimized? mem=${memPercent(redeemer.cost.mem)}% cpu=${cpuPercent(redeemer.cost.cpu)}% in ${description} `
+                    report.warning(
+                        "totalExBudget",
+                        ` - unoptimized? mem=${memPercent(redeemer.cost.mem)}% cpu=${cpuPercent(redeemer.cost.cpu)}% in ${description} `,
+                        { index: i, object: redeemer }
                     )
                 }
             }
@@ -923,15 +1890,16 @@ export class Tx {
 
             \n`
             if (missingAltScripts && !strict) {
-                console.error(problem)
-                console.error(
-                    `Note: ${missingAltScripts} unoptimized(?) scripts`
+                report.warning(
+                    "totalExBudget",
+                    `${problem}Note: ${missingAltScripts} unoptimized(?) scripts`
                 )
             } else {
-                throw new Error(problem)
+                report.error("totalExBudget", problem)
             }
         } else if (verbose && totalMem > BigInt(maxMem) / 2n) {
-            console.error(
+            report.warning(
+                "totalExBudget",
                 `Warning: mem usage = ${memPercent(totalMem)}% of tx-max mem budget (${totalMem.toString()}/${maxMem.toString()} >= 50%)`
             )
         }
@@ -939,15 +1907,16 @@ export class Tx {
         if (totalCpu > BigInt(maxCpu)) {
             const problem = `tx execution budget exceeded for cpu (${totalCpu.toString()} > ${maxCpu.toString()})\n`
             if (missingAltScripts && !strict) {
-                console.error(problem)
-                console.error(
-                    `Note: ${missingAltScripts} unoptimized(?) scripts`
+                report.warning(
+                    "totalExBudget",
+                    `${problem}Note: ${missingAltScripts} unoptimized(?) scripts`
                 )
             } else {
-                throw new Error(problem)
+                report.error("totalExBudget", problem)
             }
         } else if (verbose && totalCpu > BigInt(maxCpu) / 2n) {
-            console.error(
+            report.warning(
+                "totalExBudget",
                 `Warning: cpu usage = ${cpuPercent(totalCpu)}% of tx-max cpu budget (${totalCpu.toString()}/${maxCpu.toString()} >= 50%)`
             )
         }
@@ -971,17 +1940,100 @@ export class Tx {
         }
     }
 
+    /**
+     * Runs the checks of `validate()`, adding the issues to the report
+     * @private
+     * @param {NetworkParams} params
+     * @param {Object} options
+     * @param {boolean} [options.strict=false]
+     * @param {boolean} [options.verbose=false]
+     * @param {boolean} [options.signatures=false] - if true, the native scripts are left to `validateSignaturesWithReport()`
+     * @param {(poolId: PubKeyHash) => boolean} [options.isPoolRegistered]
+     * @param {UplcLoggingI} [options.logOptions]
+     * @param {TxValidationReport} report
+     */
+    validateWithReport(params, options, report) {
+        const { strict = false, logOptions } = options
+
+        report.check("size", () => this.validateSize(params, report))
+
+        report.check("fee", () => this.validateFee(params, report))
+
+        report.check("conservation", () =>
+            this.validateConservation(params, options.isPoolRegistered, report)
+        )
+
+        report.check("collateral", () =>
+            this.validateCollateral(params, report)
+        )
+
+        report.check("scriptsPresent", () =>
+            this.validateScriptsPresent(strict, report)
+        )
+
+        report.check("scripts", () =>
+            this.validateRedeemersExBudget(params, logOptions, report)
+        )
+
+        report.check("totalExBudget", () =>
+            this.validateTotalExBudget(params, options, report)
+        )
+
+        report.check("outputs", () =>
+            this.validateOutputs(params, strict, report)
+        )
+
+        report.check("inputsOrder", () => this.validateInputsOrder(report))
+
+        report.check("refInputsOrder", () =>
+            this.validateRefInputsOrder(report)
+        )
+
+        report.check("mintedOrder", () => this.validateMintedOrder())
+
+        report.check("withdrawalsOrder", () =>
+            this.validateWithdrawalsOrder(report)
+        )
+
+        report.check("dcerts", () => this.validateDCerts(report))
+
+        report.check("certifyingRedeemers", () =>
+            this.validateCertifyingRedeemers(report)
+        )
+
+        report.check("metadata", () => this.validateMetadata(report))
+
+        report.check("scriptDataHash", () =>
+            this.validateScriptDataHash(params, report)
+        )
+
+        report.check("refScriptsSize", () =>
+            this.validateRefScriptsSize(report)
+        )
+
+        // if the signatures are checked as well, the native scripts are evaluated together with them, so each failure is only reported once
+        if (!options.signatures) {
+            report.check("nativeScripts", () =>
+                this.validateNativeScripts(false, report)
+            )
+        }
+    }
+
     /**
      * Throws an error if the withdrawals aren't in the correct order
      * @private
+     * @param {TxValidationReport} report
      */
-    validateWithdrawalsOrder() {
+    validateWithdrawalsOrder(report) {
         this.body.withdrawals.forEach((w, i) => {
             if (i > 0) {
                 const prev = this.body.withdrawals[i - 1]
 
                 if (StakingAddress.compare(prev[0], w[0]) >= 0) {
-                    throw new Error("withdrawals not sorted")
+                    report.error("withdrawalsOrder", "withdrawals not sorted", {
+                        index: i,
+                        object: w[0]
+                    })
                 }
             }
         })
@@ -989,37 +2041,158 @@ export class Tx {
 }
 
 /**
+ * Fee for the reference scripts in the inputs and ref inputs of a tx.
+ *
+ * The price per byte is multiplied by 1.2 for each consecutive tier of 25600 bytes.
+ * Like in the ledger, the fee is summed as an exact fraction and only rounded down at the end.
+ * @param {number} size - total size of the reference scripts in bytes
+ * @param {number} feePerByte - price per byte of the first tier, taken exactly as written in decimal notation
+ * @returns {bigint}
+ */
+export function calcRefScriptsFee(size, feePerByte) {
+    const [multNum, multDen] = REF_SCRIPTS_FEE_MULTIPLIER
+
+    // the current fee is `num/den`, and the price per byte of the current tier is `priceNum/den`
+    const [baseNum, baseDen] = decimalToFraction(feePerByte)
+    let num = 0n
+    let den = baseDen
+    let priceNum = baseNum
+    let remaining = BigInt(size)
+
+    const tierSize = BigInt(REF_SCRIPTS_FEE_TIER_SIZE)
+
+    while (remaining >= tierSize) {
+        num = (num + tierSize * priceNum) * multDen
+        priceNum = priceNum * multNum
+        den = den * multDen
+        remaining -= tierSize
+    }
+
+    num += remaining * priceNum
+
+    return num / den
+}
+
+/**
+ * Uses the shortest decimal representation of `x` (e.g. 0.1 becomes 1/10)
+ * @param {number} x - non-negative
+ * @returns {[bigint, bigint]} - numerator and denominator
+ */
+function decimalToFraction(x) {
+    const [mantissa, exponent = "0"] = x.toString().split("e")
+    const [int, frac = ""] = mantissa.split(".")
+
+    const num = BigInt(int + frac)
+    const exp = BigInt(exponent) - BigInt(frac.length)
+
+    return exp >= 0n ? [num * 10n ** exp, 1n] : [num, 10n ** -exp]
+}
+
+/**
+ * The language views (i.e. the cost model parameters) of all the `plutusVersions` are included in the hash.
+ *
+ * The redeemers are hashed using the given encoding, which must be the encoding used in the witness set (see `TxWitnesses.redeemersEncoding`).
  * @param {NetworkParams} params
  * @param {UplcData[]} datums
  * @param {TxRedeemer[]} redeemers
+ * @param {PlutusVersion[]} plutusVersions - defaults to only PlutusV2
+ * @param {TxRedeemersEncoding} redeemersEncoding - defaults to "list"
  * @returns {number[]}
  */
-export function calcScriptDataHash(params, datums, redeemers) {
-    const helper = new NetworkParamsHelper(params)
-
+export function calcScriptDataHash(
+    params,
+    datums,
+    redeemers,
+    plutusVersions = ["PlutusScriptV2"],
+    redeemersEncoding = "list"
+) {
     if (redeemers.length == 0) {
         throw new Error(
             "expected at least 1 redeemer to be able to create the script data hash"
         )
     }
 
-    let bytes = encodeDefList(redeemers)
+    return hashScriptData(
+        params,
+        encodeTxRedeemers(redeemers, redeemersEncoding),
+        datums.length > 0 ? new ListData(datums).toCbor() : undefined,
+        plutusVersions
+    )
+}
+
+/**
+ * Hashes already encoded redeemers and datums, so the original encoding of a decoded tx can be used
+ * @param {NetworkParams} params
+ * @param {number[]} redeemersBytes
+ * @param {number[] | undefined} datumsBytes
+ * @param {PlutusVersion[]} plutusVersions
+ * @returns {number[]}
+ */
+function hashScriptData(params, redeemersBytes, datumsBytes, plutusVersions) {
+    const helper = new NetworkParamsHelper(params)
+
+    let bytes = redeemersBytes
+
+    if (datumsBytes) {
+        bytes = bytes.concat(datumsBytes)
+    }
+
+    /**
+     * @param {number[]} costParams
+     * @returns {number[][]}
+     */
+    const encodeCostParams = (costParams) =>
+        costParams.map((cp) => encodeInt(BigInt(cp)))
+
+    /**
+     * Entries are listed in canonical key order (shortest key first)
+     * @type {[number[], number[]][]}
+     */
+    const languageViews = []
 
-    if (datums.length > 0) {
-        bytes = bytes.concat(new ListData(datums).toCbor())
+    if (plutusVersions.includes("PlutusScriptV2")) {
+        languageViews.push([
+            encodeInt(1),
+            encodeDefList(encodeCostParams(helper.costModelParamsV2))
+        ])
     }
 
-    // language view encodings?
-    const costParams = helper.costModelParamsV2
+    if (plutusVersions.includes("PlutusScriptV3")) {
+        languageViews.push([
+            encodeInt(2),
+            encodeDefList(encodeCostParams(helper.costModelParamsV3))
+        ])
+    }
 
-    bytes = bytes.concat(
-        encodeMap([
-            [
-                encodeInt(1),
-                encodeDefList(costParams.map((cp) => encodeInt(BigInt(cp))))
-            ]
+    // the PlutusV1 language view has a legacy encoding: both the key and the value are wrapped in bytestrings
+    if (plutusVersions.includes("PlutusScriptV1")) {
+        languageViews.push([
+            encodeBytes(encodeInt(0)),
+            encodeBytes(
+                encodeIndefList(encodeCostParams(helper.costModelParamsV1))
+            )
         ])
-    )
+    }
+
+    bytes = bytes.concat(encodeMap(languageViews))
 
     return blake2b(bytes)
 }
+
+/**
+ * Collects the keys of a native script, using its JSON representation because the structure of a native script isn't public
+ * @param {any} json
+ * @returns {PubKeyHash[]}
+ */
+function collectNativeScriptSigners(json) {
+    switch (json.type) {
+        case "sig":
+            return [new PubKeyHash(json.keyHash)]
+        case "all":
+        case "any":
+        case "atLeast":
+            return json.scripts.map(collectNativeScriptSigners).flat()
+        default:
+            return []
+    }
+}
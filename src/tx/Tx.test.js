@@ -1,12 +1,42 @@
 import { deepEqual, strictEqual, throws } from "node:assert"
 import { describe, it } from "node:test"
-import { bytesToHex, hexToBytes } from "@helios-lang/codec-utils"
-import { Value } from "../money/index.js"
+import { bytesToHex, dummyBytes, hexToBytes } from "@helios-lang/codec-utils"
+import { Ed25519 } from "@helios-lang/crypto"
+import {
+    ByteArrayData,
+    IntData,
+    UplcBuiltin,
+    UplcCall,
+    UplcLambda,
+    UplcProgramV2,
+    UplcVar
+} from "@helios-lang/uplc"
+import {
+    MintingPolicyHash,
+    PubKeyHash,
+    StakingValidatorHash,
+    ValidatorHash
+} from "../hashes/index.js"
+import { Assets, Value } from "../money/index.js"
+import { NativeScript } from "../native/index.js"
 import { DEFAULT_NETWORK_PARAMS } from "../params/index.js"
-import { makeAddress } from "./ShelleyAddress.js"
-import { Tx } from "./Tx.js"
+import { PoolParameters } from "../pool/index.js"
+import { DCert } from "./DCert.js"
+import { PubKey } from "./PubKey.js"
+import { makeAddress, makeAddressFromHashes } from "./ShelleyAddress.js"
+import { Signature } from "./Signature.js"
+import { StakingAddress } from "./StakingAddress.js"
+import { StakingCredential } from "./StakingCredential.js"
+import { Tx, calcRefScriptsFee, calcScriptDataHash } from "./Tx.js"
+import { TxBody } from "./TxBody.js"
+import { TxBuilder } from "./TxBuilder.js"
+import { TxMetadata } from "./TxMetadata.js"
 import { TxOutput } from "./TxOutput.js"
 import { TxInput } from "./TxInput.js"
+import { TxOutputDatum } from "./TxOutputDatum.js"
+import { TxOutputId } from "./TxOutputId.js"
+import { TxRedeemer } from "./TxRedeemer.js"
+import { TxWitnesses } from "./TxWitnesses.js"
 
 describe(`basic ${Tx.name}`, () => {
     return
@@ -107,7 +137,7 @@ const testVector = [
     },*/
     {
         txHex: "84a60081825820d4b22d33611fb2b3764080cb349b3f12d353aef1d4319ee33e44594bbebe5e83000d81825820d4b22d33611fb2b3764080cb349b3f12d353aef1d4319ee33e44594bbebe5e83000182a200581d6085842b5f34a2b74e6639cbf1cf4f0826f146db513b7bc04f4b024337011b0000000253eaa985a200581d6085842b5f34a2b74e6639cbf1cf4f0826f146db513b7bc04f4b02433701821a001e8480a1581c919d4c2c9455016289341b1a14dedf697687af31751170d56a31466ea14001021a0002b5fb09a1581c919d4c2c9455016289341b1a14dedf697687af31751170d56a31466ea140010b5820686829109fc5e6342d9223537b91f804107c4dbfa8ba3288f80657be843acd51a30081825820a0e006bbd52e9db2dcd904e90c335212d2968fcae92ee9dd01204543c314359b58409b4267e7691d160414f774f82942f08bbc3c64a19259a09b92350fe11ced5f73b64d99aa05f70cb68c730dc0d6ae718f739e5c2932eb843f2a9dcd69ff3c160c068147460100002249810581840100182a821903201a0002754cf5f6"
-    },
+    }
     /*{
         txHex: "84a400818258205d4bc6456f3bc6ac9f0c36ac25b0a4a9c2d793aaa5344355fcd2c8f647f2b55c000d818258205d4bc6456f3bc6ac9f0c36ac25b0a4a9c2d793aaa5344355fcd2c8f647f2b55c000182a200581d6085842b5f34a2b74e6639cbf1cf4f0826f146db513b7bc04f4b024337011b0000000253c6daafa300581d7052c6af0c9b744b4eecce838538a52ceb155038b3de68e2bb2fa8fc37011a001e8480028201d81842182a021a0002a09da0f5f6"
     }*/
@@ -124,3 +154,1066 @@ describe("Tx.calcSize()", () => {
         })
     })
 })
+
+const params = DEFAULT_NETWORK_PARAMS()
+
+const wallet1 = makeAddress(
+    "addr_test1vzzcg26lxj3twnnx889lrn60pqn0z3km2yahhsz0fvpyxdcj5qp8w"
+)
+const wallet2 = makeAddress(
+    "addr_test1vqzhgmkqsyyzxthk7vzxet4283wx8wwygu9nq0v94mdldxs0d56ku"
+)
+
+/**
+ * Spends a utxo of wallet1 containing `inputValue` (plus the other inputs, if any), and sends each of the output values to wallet2
+ * @param {Value} inputValue
+ * @param {Value[]} outputValues
+ * @param {Object} [options]
+ * @param {TxInput[]} [options.inputs]
+ * @param {DCert[]} [options.dcerts]
+ * @param {number} [options.firstValidSlot]
+ * @param {number} [options.lastValidSlot]
+ * @param {TxInput[]} [options.collateral]
+ * @param {TxOutput} [options.collateralReturn]
+ * @param {bigint} [options.totalCollateral]
+ * @param {NativeScript[]} [options.nativeScripts]
+ * @param {TxRedeemer[]} [options.redeemers]
+ * @param {TxMetadata} [options.metadata]
+ * @returns {Tx}
+ */
+function makeUnbalancedTx(inputValue, outputValues, options = {}) {
+    const body = new TxBody({
+        inputs: [
+            new TxInput(TxOutputId.dummy(0), new TxOutput(wallet1, inputValue))
+        ].concat(options.inputs ?? []),
+        outputs: outputValues.map((v) => new TxOutput(wallet2, v)),
+        fee: 0n,
+        firstValidSlot: options.firstValidSlot,
+        lastValidSlot: options.lastValidSlot,
+        dcerts: options.dcerts ?? [],
+        withdrawals: [],
+        minted: new Assets(),
+        signers: [],
+        refInputs: [],
+        collateral: options.collateral,
+        collateralReturn: options.collateralReturn,
+        totalCollateral: options.totalCollateral,
+        metadataHash: options.metadata?.hash()
+    })
+
+    const witnesses = new TxWitnesses({
+        signatures: [],
+        datums: [],
+        redeemers: options.redeemers ?? [],
+        nativeScripts: options.nativeScripts ?? [],
+        v1Scripts: [],
+        v2Scripts: [],
+        v2RefScripts: []
+    })
+
+    return new Tx(body, witnesses, false, options.metadata)
+}
+
+describe("Tx.balance()", () => {
+    const mph = MintingPolicyHash.dummy()
+
+    it("adds a change output and sets the fee", () => {
+        const tx = makeUnbalancedTx(new Value(10_000_000n), [
+            new Value(2_000_000n)
+        ])
+
+        tx.balance(wallet1, params)
+
+        strictEqual(tx.body.outputs.length, 2)
+        strictEqual(tx.body.fee >= tx.calcMinFee(params), true)
+        strictEqual(tx.body.outputs[1].value.lovelace, 8_000_000n - tx.body.fee)
+        tx.validate(params)
+    })
+
+    it("adds the remaining lovelace to the fee if the change is too small", () => {
+        const tx = makeUnbalancedTx(new Value(2_300_000n), [
+            new Value(2_000_000n)
+        ])
+
+        tx.balance(wallet1, params)
+
+        strictEqual(tx.body.outputs.length, 1)
+        strictEqual(tx.body.fee, 300_000n)
+        tx.validate(params)
+    })
+
+    it("corrects the lovelace of the other outputs", () => {
+        const tx = makeUnbalancedTx(new Value(10_000_000n), [new Value(1n)])
+
+        tx.balance(wallet1, params)
+
+        strictEqual(
+            tx.body.outputs[0].value.lovelace,
+            tx.body.outputs[0].calcDeposit(params)
+        )
+        tx.validate(params)
+    })
+
+    it("fails if the change containing tokens doesn't have enough lovelace", () => {
+        const tx = makeUnbalancedTx(
+            new Value(2_300_000n, [[mph, [["", 10n]]]]),
+            [new Value(2_000_000n)]
+        )
+
+        throws(() => tx.balance(wallet1, params))
+    })
+
+    it("fails if the inputs can't cover the fee", () => {
+        const tx = makeUnbalancedTx(new Value(2_000_000n), [
+            new Value(2_000_000n)
+        ])
+
+        throws(() => tx.balance(wallet1, params))
+    })
+
+    it("replaces the change output when called again", () => {
+        const tx = makeUnbalancedTx(new Value(10_000_000n), [
+            new Value(2_000_000n)
+        ])
+
+        tx.balance(wallet1, params)
+        const fee = tx.body.fee
+
+        tx.balance(wallet1, params)
+
+        strictEqual(tx.body.outputs.length, 2)
+        strictEqual(tx.body.fee, fee)
+    })
+
+    it("is balanced again by evalRedeemers() using the same change address", () => {
+        const tx = makeUnbalancedTx(new Value(10_000_000n), [
+            new Value(2_000_000n)
+        ])
+
+        tx.balance(wallet1, params)
+        tx.evalRedeemers(params)
+
+        strictEqual(tx.body.outputs.length, 2)
+        strictEqual(tx.body.outputs[1].address.isEqual(wallet1), true)
+        tx.validate(params)
+    })
+
+    it("evalRedeemers() fails for a negative safety margin", () => {
+        const tx = makeUnbalancedTx(new Value(10_000_000n), [
+            new Value(2_000_000n)
+        ])
+
+        throws(() => tx.evalRedeemers(params, { safetyMargin: -0.1 }))
+    })
+})
+
+describe("Tx.validateAll()", () => {
+    it("returns an empty report for a valid tx", () => {
+        const tx = makeUnbalancedTx(new Value(10_000_000n), [
+            new Value(2_000_000n)
+        ])
+
+        tx.balance(wallet1, params)
+
+        const report = tx.validateAll(params, { signatures: false })
+
+        strictEqual(report.isValid, true)
+        strictEqual(report.issues.length, 0)
+    })
+
+    it("reports every problem instead of only the first", () => {
+        const tx = makeUnbalancedTx(new Value(10_000_000n), [new Value(1n)])
+
+        const report = tx.validateAll(params)
+
+        strictEqual(report.isValid, false)
+        deepEqual(
+            report.errors.map((issue) => issue.rule),
+            ["fee", "conservation", "outputs", "signatures"]
+        )
+        strictEqual(report.errors[2].index, 0)
+    })
+
+    it("reports a failing script separately from the execution budget", () => {
+        // succeeds if the redeemer is an integer
+        const validator = new UplcProgramV2(
+            new UplcLambda(
+                new UplcLambda(
+                    new UplcLambda(
+                        new UplcCall(
+                            new UplcBuiltin(45, "unIData"),
+                            new UplcVar(2)
+                        )
+                    )
+                )
+            )
+        )
+
+        const scriptUtxo = new TxInput(
+            TxOutputId.dummy(1),
+            new TxOutput(
+                makeAddressFromHashes(
+                    false,
+                    new ValidatorHash(validator.hash())
+                ),
+                new Value(10_000_000n),
+                TxOutputDatum.Inline(new IntData(0))
+            )
+        )
+
+        const utxo = new TxInput(
+            TxOutputId.dummy(0),
+            new TxOutput(wallet1, new Value(10_000_000n))
+        )
+
+        const tx = new TxBuilder({ isMainnet: false })
+            .spend(scriptUtxo, new IntData(0))
+            .spend(utxo)
+            .attachUplcProgram(validator)
+            .build({ changeAddress: wallet1, params, collateralUtxos: [utxo] })
+
+        strictEqual(tx.validateAll(params, { signatures: false }).isValid, true)
+
+        const redeemers = tx.witnesses.redeemers
+        const { index, cost } = redeemers[0]
+
+        redeemers[0] = TxRedeemer.Spending(index, new ByteArrayData([]), cost)
+        tx.body.scriptDataHash = calcScriptDataHash(
+            params,
+            tx.witnesses.datums,
+            redeemers
+        )
+
+        deepEqual(
+            tx
+                .validateAll(params, { signatures: false })
+                .errors.map((issue) => issue.rule),
+            ["scripts"]
+        )
+    })
+
+    it("throws the first problem when using validate()", () => {
+        const tx = makeUnbalancedTx(new Value(10_000_000n), [new Value(1n)])
+
+        throws(() => tx.validate(params), /fee too small/)
+    })
+
+    it("keeps the auxiliary data of the Alonzo format", () => {
+        // tag 259, with the metadata at key 0 and an empty list of native scripts at key 1
+        const metadata = TxMetadata.fromCbor("d90103a200a101020180")
+
+        const tx = makeUnbalancedTx(
+            new Value(10_000_000n),
+            [new Value(2_000_000n)],
+            { metadata }
+        ).balance(wallet1, params)
+
+        strictEqual(tx.validateAll(params, { signatures: false }).isValid, true)
+
+        const decoded = Tx.fromCbor(tx.toCbor())
+
+        strictEqual(bytesToHex(decoded.toCbor()), bytesToHex(tx.toCbor()))
+        strictEqual(
+            bytesToHex(decoded.metadata?.hash() ?? []),
+            bytesToHex(decoded.body.metadataHash ?? [])
+        )
+    })
+})
+
+describe("Tx certificates", () => {
+    const credential = StakingCredential.dummy(1)
+
+    it("locks the stake address deposit when registering a stake credential", () => {
+        const tx = makeUnbalancedTx(
+            new Value(10_000_000n),
+            [new Value(2_000_000n)],
+            { dcerts: [DCert.Register(credential)] }
+        )
+
+        tx.balance(wallet1, params)
+
+        strictEqual(
+            tx.body.outputs[1].value.lovelace,
+            8_000_000n - 2_000_000n - tx.body.fee
+        )
+        strictEqual(tx.validateAll(params, { signatures: false }).isValid, true)
+    })
+
+    it("sums the deposits and the refunds of the certificates", () => {
+        const pool = new PoolParameters({
+            id: PubKeyHash.dummy(2),
+            vrf: PubKeyHash.dummy(3),
+            pledge: 0n,
+            cost: 340_000_000n,
+            margin: 0.01,
+            rewardAccount: StakingAddress.dummy(false, 4),
+            owners: [],
+            relays: []
+        })
+
+        const tx = makeUnbalancedTx(new Value(10_000_000n), [], {
+            dcerts: [
+                DCert.Deregister(credential),
+                DCert.Register(credential),
+                DCert.RegisterPool(pool)
+            ]
+        })
+
+        strictEqual(tx.body.sumDeposits(params), 502_000_000n)
+        strictEqual(tx.body.sumRefunds(params), 2_000_000n)
+    })
+
+    it("only charges the deposit of new pools", () => {
+        /**
+         * @param {number} seed
+         * @returns {PoolParameters}
+         */
+        const makePool = (seed) =>
+            new PoolParameters({
+                id: PubKeyHash.dummy(seed),
+                vrf: PubKeyHash.dummy(3),
+                pledge: 0n,
+                cost: 340_000_000n,
+                margin: 0.01,
+                rewardAccount: StakingAddress.dummy(false, 4),
+                owners: [],
+                relays: []
+            })
+
+        const tx = makeUnbalancedTx(new Value(1_010_000_000n), [], {
+            dcerts: [
+                DCert.RegisterPool(makePool(2)),
+                DCert.RegisterPool(makePool(2)),
+                DCert.RegisterPool(makePool(5))
+            ]
+        })
+
+        strictEqual(tx.body.sumDeposits(params), 1_000_000_000n)
+
+        /**
+         * @param {PubKeyHash} poolId
+         * @returns {boolean}
+         */
+        const isPoolRegistered = (poolId) =>
+            poolId.toHex() == PubKeyHash.dummy(2).toHex()
+
+        strictEqual(tx.body.sumDeposits(params, isPoolRegistered), 500_000_000n)
+
+        tx.balance(wallet1, params, { isPoolRegistered })
+
+        strictEqual(
+            tx.validateAll(params, { signatures: false, isPoolRegistered })
+                .isValid,
+            true
+        )
+        strictEqual(
+            tx.validateAll(params, { signatures: false }).errors[0]?.rule,
+            "conservation"
+        )
+    })
+
+    it("uses the explicit deposits of the Conway certificates", () => {
+        const tx = makeUnbalancedTx(new Value(10_000_000n), [], {
+            dcerts: [
+                DCert.DeregisterWithRefund(credential, 2_000_000n),
+                DCert.RegisterAndDelegate(
+                    credential,
+                    PubKeyHash.dummy(2),
+                    3_000_000n
+                ),
+                DCert.RegisterDRep(StakingCredential.dummy(3), 500_000_000n)
+            ]
+        })
+
+        strictEqual(tx.body.sumDeposits(params), 503_000_000n)
+        strictEqual(tx.body.sumRefunds(params), 2_000_000n)
+    })
+
+    it("reports a stake credential that is registered twice", () => {
+        const tx = makeUnbalancedTx(
+            new Value(10_000_000n),
+            [new Value(2_000_000n)],
+            { dcerts: [DCert.Register(credential), DCert.Register(credential)] }
+        )
+
+        tx.balance(wallet1, params)
+
+        const report = tx.validateAll(params, { signatures: false })
+
+        deepEqual(
+            report.errors.map(({ rule, index }) => [rule, index]),
+            [["dcerts", 1]]
+        )
+    })
+
+    it("doesn't confuse a pubkey credential with a script credential with the same hash bytes", () => {
+        const pkh = PubKeyHash.dummy(1)
+
+        const tx = makeUnbalancedTx(
+            new Value(10_000_000n),
+            [new Value(2_000_000n)],
+            {
+                dcerts: [
+                    DCert.Register(StakingCredential.new(pkh)),
+                    DCert.Register(
+                        StakingCredential.new(
+                            new StakingValidatorHash(pkh.bytes)
+                        )
+                    )
+                ]
+            }
+        )
+
+        tx.balance(wallet1, params)
+
+        strictEqual(tx.validateAll(params, { signatures: false }).isValid, true)
+    })
+
+    it("reports a delegation after deregistration", () => {
+        const tx = makeUnbalancedTx(
+            new Value(10_000_000n),
+            [new Value(2_000_000n)],
+            {
+                dcerts: [
+                    DCert.Deregister(credential),
+                    DCert.Delegate(credential, PubKeyHash.dummy(2))
+                ]
+            }
+        )
+
+        tx.balance(wallet1, params)
+
+        const report = tx.validateAll(params, { signatures: false })
+
+        deepEqual(
+            report.errors.map(({ rule, index }) => [rule, index]),
+            [["dcerts", 1]]
+        )
+    })
+})
+
+describe(calcRefScriptsFee.name, () => {
+    it("is zero without ref scripts", () => {
+        strictEqual(calcRefScriptsFee(0, 15), 0n)
+    })
+
+    it("uses the base price within the first tier", () => {
+        strictEqual(calcRefScriptsFee(25599, 15), 383985n)
+    })
+
+    it("increases the price for each subsequent tier", () => {
+        strictEqual(calcRefScriptsFee(30000, 15), 25600n * 15n + 4400n * 18n)
+    })
+
+    it("only rounds down at the end", () => {
+        // 25600*(44 + 52.8 + 63.36 + 76.032) + 7000*91.2384 = 6685184.0
+        // the floating point sum is slightly less than that
+        strictEqual(calcRefScriptsFee(109400, 44), 6685184n)
+    })
+
+    it("uses the exact decimal price", () => {
+        strictEqual(calcRefScriptsFee(25601, 12.5), 320015n)
+        strictEqual(calcRefScriptsFee(30, 0.1), 3n)
+    })
+})
+
+describe(calcScriptDataHash.name, () => {
+    const redeemers = [TxRedeemer.Spending(0, new IntData(0))]
+
+    it("only includes the PlutusV2 cost model by default", () => {
+        strictEqual(
+            bytesToHex(calcScriptDataHash(params, [], redeemers)),
+            bytesToHex(
+                calcScriptDataHash(params, [], redeemers, ["PlutusScriptV2"])
+            )
+        )
+    })
+
+    it("includes the PlutusV3 cost model for PlutusV3 scripts", () => {
+        const v2 = calcScriptDataHash(params, [], redeemers, ["PlutusScriptV2"])
+        const v3 = calcScriptDataHash(params, [], redeemers, ["PlutusScriptV3"])
+        const both = calcScriptDataHash(params, [], redeemers, [
+            "PlutusScriptV3",
+            "PlutusScriptV2"
+        ])
+
+        strictEqual(bytesToHex(v2) == bytesToHex(v3), false)
+        strictEqual(bytesToHex(both) == bytesToHex(v3), false)
+    })
+
+    it("follows the encoding of the redeemers in the witness set", () => {
+        /**
+         * @param {"list" | "map"} encoding
+         * @returns {string}
+         */
+        const calcHash = (encoding) => {
+            const witnesses = TxWitnesses.fromCbor(
+                new TxWitnesses({
+                    signatures: [],
+                    datums: [],
+                    redeemers,
+                    redeemersEncoding: encoding,
+                    nativeScripts: [],
+                    v1Scripts: [],
+                    v2Scripts: [],
+                    v2RefScripts: []
+                }).toCbor()
+            )
+
+            strictEqual(witnesses.redeemersEncoding, encoding)
+
+            return bytesToHex(
+                calcScriptDataHash(
+                    params,
+                    [],
+                    witnesses.redeemers,
+                    ["PlutusScriptV2"],
+                    witnesses.redeemersEncoding
+                )
+            )
+        }
+
+        strictEqual(
+            calcHash("list"),
+            bytesToHex(calcScriptDataHash(params, [], redeemers))
+        )
+        strictEqual(calcHash("list") == calcHash("map"), false)
+    })
+})
+
+describe("Tx multi-party signing", () => {
+    const privateKey = dummyBytes(32, 5)
+    const pubKey = new PubKey(Ed25519.derivePublicKey(privateKey))
+
+    /**
+     * @param {NativeScript[]} nativeScripts
+     * @returns {Tx}
+     */
+    function makeTx(nativeScripts = []) {
+        return makeUnbalancedTx(
+            new Value(10_000_000n),
+            [new Value(2_000_000n)],
+            { nativeScripts }
+        ).balance(wallet1, params)
+    }
+
+    it("lists the input owners and the native script keys as required signers", () => {
+        const tx = makeTx([
+            NativeScript.All([
+                NativeScript.Sig(PubKeyHash.dummy(1)),
+                NativeScript.Sig(PubKeyHash.dummy(2))
+            ])
+        ])
+
+        deepEqual(
+            tx.collectRequiredSigners().map((pkh) => pkh.toHex()),
+            [
+                wallet1.pubKeyHash?.toHex(),
+                PubKeyHash.dummy(1).toHex(),
+                PubKeyHash.dummy(2).toHex()
+            ]
+        )
+    })
+
+    it("doesn't list the keys of a satisfied native script as missing", () => {
+        const tx = makeTx([
+            NativeScript.Any([
+                NativeScript.Sig(pubKey.toHash()),
+                NativeScript.Sig(PubKeyHash.dummy(2))
+            ])
+        ])
+
+        strictEqual(tx.collectMissingSigners().length, 3)
+
+        tx.addSignature(
+            new Signature(pubKey, Ed25519.sign(tx.id().bytes, privateKey))
+        )
+
+        deepEqual(
+            tx.collectMissingSigners().map((pkh) => pkh.toHex()),
+            [wallet1.pubKeyHash?.toHex()]
+        )
+    })
+
+    it("merges witness sets without duplicates or changing the body", () => {
+        const tx = makeTx()
+        const bodyBytes = bytesToHex(tx.body.toCbor())
+
+        const signature = new Signature(
+            pubKey,
+            Ed25519.sign(tx.id().bytes, privateKey)
+        )
+
+        /**
+         * @returns {TxWitnesses}
+         */
+        const makeWitnesses = () =>
+            new TxWitnesses({
+                signatures: [signature],
+                datums: [],
+                redeemers: [],
+                nativeScripts: [],
+                v1Scripts: [],
+                v2Scripts: [],
+                v2RefScripts: []
+            })
+
+        tx.mergeWitnesses([makeWitnesses(), makeWitnesses()])
+
+        strictEqual(tx.witnesses.signatures.length, 1)
+        strictEqual(bytesToHex(tx.body.toCbor()), bodyBytes)
+    })
+
+    it("fails to merge invalid signatures", () => {
+        const tx = makeTx()
+
+        throws(() =>
+            tx.mergeWitnesses([
+                new TxWitnesses({
+                    signatures: [Signature.dummy(1)],
+                    datums: [],
+                    redeemers: [],
+                    nativeScripts: [],
+                    v1Scripts: [],
+                    v2Scripts: [],
+                    v2RefScripts: []
+                })
+            ])
+        )
+    })
+
+    it("merges the witness sets of the owners of the inputs of a built tx", () => {
+        const otherPrivateKey = dummyBytes(32, 6)
+        const otherPubKey = new PubKey(Ed25519.derivePublicKey(otherPrivateKey))
+
+        const tx = new TxBuilder({ isMainnet: false })
+            .spend(
+                [pubKey, otherPubKey].map(
+                    (key, i) =>
+                        new TxInput(
+                            TxOutputId.dummy(i),
+                            new TxOutput(
+                                makeAddressFromHashes(false, key.toHash()),
+                                new Value(10_000_000n)
+                            )
+                        )
+                )
+            )
+            .pay(wallet2, new Value(2_000_000n))
+            .build({ changeAddress: wallet1, params })
+
+        deepEqual(
+            tx.collectMissingSigners().map((pkh) => pkh.toHex()),
+            [pubKey.toHash().toHex(), otherPubKey.toHash().toHex()]
+        )
+
+        // e.g. returned by the signTx() method of the CIP-30 wallet of each owner
+        const witnessSets = [
+            { key: pubKey, bytes: privateKey },
+            { key: otherPubKey, bytes: otherPrivateKey }
+        ].map(
+            ({ key, bytes }) =>
+                new TxWitnesses({
+                    signatures: [
+                        new Signature(key, Ed25519.sign(tx.id().bytes, bytes))
+                    ],
+                    datums: [],
+                    redeemers: [],
+                    nativeScripts: [],
+                    v1Scripts: [],
+                    v2Scripts: [],
+                    v2RefScripts: []
+                })
+        )
+
+        tx.mergeWitnesses(witnessSets)
+
+        deepEqual(tx.collectMissingSigners(), [])
+        tx.validateSignatures()
+        strictEqual(tx.isValid(), true)
+    })
+})
+
+describe("Tx native scripts", () => {
+    /**
+     * Spends a utxo locked by the native script, and a utxo of wallet1
+     * @param {NativeScript} script
+     * @param {number | undefined} firstValidSlot
+     * @param {number | undefined} lastValidSlot
+     * @returns {Tx}
+     */
+    function makeTx(
+        script,
+        firstValidSlot = undefined,
+        lastValidSlot = undefined
+    ) {
+        const scriptUtxo = new TxInput(
+            TxOutputId.dummy(1),
+            new TxOutput(
+                makeAddressFromHashes(false, new ValidatorHash(script.hash())),
+                new Value(10_000_000n)
+            )
+        )
+
+        return makeUnbalancedTx(
+            new Value(5_000_000n),
+            [new Value(2_000_000n)],
+            {
+                inputs: [scriptUtxo],
+                firstValidSlot,
+                lastValidSlot,
+                nativeScripts: [script]
+            }
+        ).balance(wallet1, params)
+    }
+
+    it("uses the validity interval for After", () => {
+        deepEqual(
+            makeTx(NativeScript.After(100))
+                .validateAll(params, { signatures: false })
+                .issues.map((issue) => issue.rule),
+            ["nativeScripts"]
+        )
+
+        strictEqual(
+            makeTx(NativeScript.After(100), 100).validateAll(params, {
+                signatures: false
+            }).isValid,
+            true
+        )
+    })
+
+    it("reports an unsatisfied native script once", () => {
+        // the signature for the input of wallet1 is missing as well
+        deepEqual(
+            makeTx(NativeScript.After(100))
+                .validateAll(params)
+                .issues.map((issue) => issue.rule),
+            ["signatures", "nativeScripts"]
+        )
+    })
+
+    it("uses the validity interval for Before", () => {
+        throws(
+            () =>
+                makeTx(NativeScript.Before(100), undefined, 101).validate(
+                    params
+                ),
+            /native script/
+        )
+
+        makeTx(NativeScript.Before(100), undefined, 100).validate(params)
+    })
+
+    it("only checks the signatures together with the other signatures", () => {
+        const tx = makeTx(NativeScript.Sig(PubKeyHash.dummy(1)))
+
+        tx.validate(params)
+
+        // the signature for the input is missing as well
+        deepEqual(
+            tx.validateAll(params).issues.map((issue) => issue.rule),
+            ["signatures", "nativeScripts"]
+        )
+    })
+})
+
+describe("Tx collateral", () => {
+    const collateral = new TxInput(
+        TxOutputId.dummy(1),
+        new TxOutput(wallet1, new Value(5_000_000n))
+    )
+
+    /**
+     * @param {bigint} totalCollateral
+     * @param {boolean} withCollateral
+     * @returns {Tx}
+     */
+    function makeTx(totalCollateral = 0n, withCollateral = true) {
+        // the redeemer makes the tx need collateral
+        return makeUnbalancedTx(
+            new Value(10_000_000n),
+            [new Value(2_000_000n)],
+            {
+                collateral: withCollateral ? [collateral] : [],
+                collateralReturn: withCollateral
+                    ? new TxOutput(wallet1, new Value(4_000_000n))
+                    : undefined,
+                totalCollateral,
+                redeemers: [
+                    TxRedeemer.Spending(0, new IntData(0), {
+                        mem: 10n,
+                        cpu: 20n
+                    })
+                ]
+            }
+        ).balance(wallet1, params)
+    }
+
+    it("consumes the inputs and produces the outputs if the scripts succeed", () => {
+        const tx = makeTx()
+        const { consumed, produced } = tx.calcUtxoChanges(true)
+
+        deepEqual(
+            consumed.map((input) => input.id.toString()),
+            [TxOutputId.dummy(0).toString()]
+        )
+        deepEqual(
+            produced.map((utxo) => utxo.id.toString()),
+            [`${tx.id().toHex()}#0`, `${tx.id().toHex()}#1`]
+        )
+    })
+
+    it("consumes the collateral and produces the collateral return if the scripts fail", () => {
+        const tx = makeTx()
+        const { consumed, produced } = tx.calcUtxoChanges(false)
+
+        deepEqual(
+            consumed.map((input) => input.id.toString()),
+            [collateral.id.toString()]
+        )
+
+        // after the regular outputs
+        deepEqual(
+            produced.map((utxo) => utxo.id.toString()),
+            [`${tx.id().toHex()}#${tx.body.outputs.length}`]
+        )
+        strictEqual(produced[0].value.lovelace, 4_000_000n)
+    })
+
+    it("uses the phase-2 validity flag of a decoded tx", () => {
+        const tx = makeTx()
+        const decoded = Tx.fromCbor(
+            new Tx(tx.body, tx.witnesses, false, tx.metadata, false).toCbor()
+        )
+
+        strictEqual(decoded.scriptsValid, false)
+        deepEqual(
+            decoded
+                .calcUtxoChanges()
+                .consumed.map((input) => input.id.toString()),
+            [collateral.id.toString()]
+        )
+    })
+
+    it("accepts a totalCollateral that matches the collateral return", () => {
+        const report = makeTx(1_000_000n).validateAll(params, {
+            signatures: false
+        })
+
+        deepEqual(
+            report.errors.filter((issue) => issue.rule == "collateral"),
+            []
+        )
+    })
+
+    it("reports a totalCollateral that doesn't match the collateral return", () => {
+        const report = makeTx(2_000_000n).validateAll(params, {
+            signatures: false
+        })
+
+        strictEqual(
+            report.errors.some(
+                (issue) =>
+                    issue.rule == "collateral" &&
+                    issue.message.includes("totalCollateral")
+            ),
+            true
+        )
+    })
+
+    describe("Tx.setCollateral()", () => {
+        const mph = MintingPolicyHash.dummy()
+
+        const mixed = new TxInput(
+            TxOutputId.dummy(2),
+            new TxOutput(wallet1, new Value(10_000_000n, [[mph, [["", 10n]]]]))
+        )
+
+        /**
+         * @param {Tx} tx
+         * @returns {string[]}
+         */
+        const collateralErrors = (tx) =>
+            tx
+                .validateAll(params, { signatures: false })
+                .errors.filter((issue) => issue.rule == "collateral")
+                .map((issue) => issue.message)
+
+        it("prefers UTxOs containing only lovelace, and returns the excess", () => {
+            const tx = makeTx(0n, false)
+                .setCollateral([mixed, collateral], wallet1, params)
+                .balance(wallet1, params)
+
+            deepEqual(
+                tx.body.collateral.map((input) => input.id.toString()),
+                [collateral.id.toString()]
+            )
+            strictEqual(tx.body.totalCollateral, tx.calcMinCollateral(params))
+            strictEqual(
+                tx.body.collateralReturn?.value.lovelace,
+                5_000_000n - tx.body.totalCollateral
+            )
+            deepEqual(collateralErrors(tx), [])
+        })
+
+        it("returns the tokens of a UTxO containing tokens", () => {
+            const tx = makeTx(0n, false)
+                .setCollateral([mixed], wallet1, params)
+                .balance(wallet1, params)
+
+            strictEqual(
+                tx.body.collateralReturn?.value.assets.getQuantity(mph, ""),
+                10n
+            )
+            deepEqual(collateralErrors(tx), [])
+        })
+
+        it("selects the collateral again when the fee changes", () => {
+            const tx = makeTx(0n, false).setCollateral(
+                [collateral],
+                wallet1,
+                params
+            )
+
+            const totalCollateralBefore = tx.body.totalCollateral
+
+            tx.balance(wallet1, params)
+
+            strictEqual(tx.body.totalCollateral > totalCollateralBefore, true)
+            strictEqual(tx.body.totalCollateral, tx.calcMinCollateral(params))
+        })
+
+        it("fails if the UTxOs don't cover the minimum collateral", () => {
+            const tiny = new TxInput(
+                TxOutputId.dummy(3),
+                new TxOutput(wallet1, new Value(1_000n))
+            )
+
+            throws(() =>
+                makeTx(0n, false)
+                    .setCollateral([tiny], wallet1, params)
+                    .balance(wallet1, params)
+            )
+        })
+
+        it("reports collateral tokens that aren't returned", () => {
+            const tx = makeTx(0n, false)
+                .setCollateral([mixed], wallet1, params)
+                .balance(wallet1, params)
+
+            // replace the return output by one without tokens
+            tx.body.collateralReturn = new TxOutput(
+                wallet1,
+                new Value(tx.body.collateralReturn?.value.lovelace ?? 0n)
+            )
+
+            strictEqual(collateralErrors(tx).length, 1)
+        })
+    })
+})
+
+describe("Tx JSON", () => {
+    const mph = MintingPolicyHash.dummy()
+
+    /**
+     * @returns {Tx}
+     */
+    function makeTx() {
+        const tx = makeUnbalancedTx(
+            new Value(10_000_000n, new Assets([[mph, [["abcd", 2n ** 70n]]]])),
+            [new Value(2_000_000n)],
+            { dcerts: [DCert.Register(PubKeyHash.dummy(1))] }
+        )
+
+        tx.body.outputs.push(
+            new TxOutput(
+                wallet2,
+                new Value(2_000_000n, new Assets([[mph, [["abcd", 1n]]]])),
+                TxOutputDatum.Inline(new IntData(2n ** 70n))
+            )
+        )
+
+        tx.balance(wallet1, params)
+
+        tx.witnesses.redeemers.push(
+            TxRedeemer.Spending(0, new IntData(1), { mem: 10n, cpu: 20n })
+        )
+        tx.witnesses.addSignature(Signature.dummy(1))
+
+        return tx
+    }
+
+    it("encodes bigints as strings", () => {
+        const json = makeTx().toJson()
+
+        strictEqual(typeof json.body.fee, "string")
+        deepEqual(json.body.outputs[1].value.assets, {
+            [mph.toHex()]: { abcd: "1" }
+        })
+        deepEqual(json.body.outputs[1].datum, {
+            inline: { int: (2n ** 70n).toString() }
+        })
+    })
+
+    it("round-trips through JSON.stringify() without changing the tx id", () => {
+        const tx = makeTx()
+        const decoded = Tx.fromJson(JSON.parse(JSON.stringify(tx.toJson())))
+
+        strictEqual(decoded.id().toHex(), tx.id().toHex())
+        strictEqual(bytesToHex(decoded.toCbor()), bytesToHex(tx.toCbor()))
+        strictEqual(decoded.body.inputs[0].value.lovelace, 10_000_000n)
+        deepEqual(decoded.toJson(), tx.toJson())
+    })
+
+    it("keeps the original encoding of a decoded tx", () => {
+        const tx = makeUnbalancedTx(new Value(10_000_000n), [
+            new Value(2_000_000n)
+        ]).balance(wallet1, params)
+
+        tx.witnesses.addSignature(Signature.dummy(1))
+
+        // tag the inputs and the signatures as sets, which isn't how they are re-encoded
+        const bodyHex = bytesToHex(tx.body.toCbor()).replace(
+            /^(a[0-9a-f]00)81/,
+            "$1d9010281"
+        )
+        const witnessesHex = bytesToHex(tx.witnesses.toCbor()).replace(
+            /^a10081/,
+            "a100d9010281"
+        )
+        const cborHex = `84${bodyHex}${witnessesHex}f5f6`
+
+        const decoded = Tx.fromCbor(cborHex)
+        strictEqual(decoded.id().toHex() == tx.id().toHex(), false)
+
+        const fromJson = Tx.fromJson(
+            JSON.parse(JSON.stringify(decoded.toJson()))
+        )
+
+        strictEqual(fromJson.id().toHex(), decoded.id().toHex())
+        strictEqual(bytesToHex(fromJson.toCbor()), cborHex)
+    })
+
+    it("keeps the encoding of a decoded tx that is marked as invalid", () => {
+        const tx = makeUnbalancedTx(new Value(10_000_000n), [
+            new Value(2_000_000n)
+        ]).balance(wallet1, params)
+
+        // f4: isValid is false
+        const cborHex = `84${bytesToHex(tx.body.toCbor())}${bytesToHex(tx.witnesses.toCbor())}f4f6`
+
+        const decoded = Tx.fromCbor(cborHex)
+
+        strictEqual(decoded.scriptsValid, false)
+        strictEqual(bytesToHex(decoded.toCbor()), cborHex)
+        strictEqual(
+            bytesToHex(
+                Tx.fromJson(
+                    JSON.parse(JSON.stringify(decoded.toJson()))
+                ).toCbor()
+            ),
+            cborHex
+        )
+    })
+})
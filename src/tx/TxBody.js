@@ -10,14 +10,17 @@ import {
     encodeMap,
     encodeObjectIKey
 } from "@helios-lang/cbor"
-import { bytesToHex, toInt } from "@helios-lang/codec-utils"
+import { bytesToHex, hexToBytes, toInt } from "@helios-lang/codec-utils"
 import { blake2b } from "@helios-lang/crypto"
 import { expectDefined } from "@helios-lang/type-utils"
+import { ProposalProcedure, VotingProcedures } from "../gov/index.js"
 import { PubKeyHash, ScriptHash } from "../hashes/index.js"
 import { Assets, Value } from "../money/index.js"
 import { NetworkParamsHelper } from "../params/index.js"
 import { TimeRange } from "../time/index.js"
 import { DCert } from "./DCert.js"
+import { decodeRawItem, OriginalCbor } from "./raw.js"
+import { decodeSet } from "./sets.js"
 import { StakingAddress } from "./StakingAddress.js"
 import { TxId } from "./TxId.js"
 import { TxInput } from "./TxInput.js"
@@ -30,8 +33,12 @@ import { TxRedeemer } from "./TxRedeemer.js"
  * @typedef {import("@helios-lang/codec-utils").IntLike} IntLike
  * @typedef {import("@helios-lang/uplc").UplcData} UplcData
  * @typedef {import("../hashes/index.js").Hash} Hash
+ * @typedef {import("../money/index.js").AssetsJson} AssetsJson
  * @typedef {import("../params/index.js").NetworkParams} NetworkParams
+ * @typedef {import("./DCert.js").DCertJson} DCertJson
  * @typedef {import("./TxInfo.js").TxInfo} TxInfo
+ * @typedef {import("./TxInput.js").TxInputJson} TxInputJson
+ * @typedef {import("./TxOutput.js").TxOutputJson} TxOutputJson
  */
 
 /**
@@ -51,9 +58,41 @@ import { TxRedeemer } from "./TxRedeemer.js"
  *   totalCollateral?: bigint
  *   refInputs: TxInput[]
  *   metadataHash?: number[]
+ *   votingProcedures?: VotingProcedures
+ *   proposalProcedures?: ProposalProcedure[]
+ *   currentTreasuryValue?: bigint
+ *   donation?: bigint
  * }} TxBodyProps
  */
 
+/**
+ * The withdrawals are indexed by the bech32 encoding of the staking address.
+ * The governance procedures are hex encoded CBOR.
+ * Decoded bodies also include their original CBOR encoding (`cbor`), so the tx id doesn't change after a round-trip (see `toCbor()`).
+ * @typedef {{
+ *   inputs: TxInputJson[]
+ *   outputs: TxOutputJson[]
+ *   fee: string
+ *   firstValidSlot?: number
+ *   lastValidSlot?: number
+ *   dcerts: DCertJson[]
+ *   withdrawals: Record<string, string>
+ *   minted: AssetsJson
+ *   scriptDataHash?: string
+ *   collateral: TxInputJson[]
+ *   signers: string[]
+ *   collateralReturn?: TxOutputJson
+ *   totalCollateral: string
+ *   refInputs: TxInputJson[]
+ *   metadataHash?: string
+ *   votingProcedures?: string
+ *   proposalProcedures: string[]
+ *   currentTreasuryValue?: string
+ *   donation: string
+ *   cbor?: string
+ * }} TxBodyJson
+ */
+
 /**
  * inputs, minted assets, and withdrawals need to be sorted in order to form a valid transaction
  */
@@ -114,7 +153,7 @@ export class TxBody {
     minted
 
     /**
-     * @readonly
+     * Mutated by the TxBuilder once the execution costs of the redeemers are known
      * @type {number[] | undefined}
      */
     scriptDataHash
@@ -132,13 +171,11 @@ export class TxBody {
     signers
 
     /**
-     * @readonly
      * @type {TxOutput | undefined}
      */
     collateralReturn
 
     /**
-     * @readonly
      * @type {bigint}
      */
     totalCollateral
@@ -155,6 +192,39 @@ export class TxBody {
      */
     metadataHash
 
+    /**
+     * @readonly
+     * @type {VotingProcedures}
+     */
+    votingProcedures
+
+    /**
+     * @readonly
+     * @type {ProposalProcedure[]}
+     */
+    proposalProcedures
+
+    /**
+     * Lovelace in the treasury, as expected by the tx builder. The ledger rejects the tx if the actual value is different.
+     * @readonly
+     * @type {bigint | undefined}
+     */
+    currentTreasuryValue
+
+    /**
+     * Lovelace donated to the treasury
+     * @readonly
+     * @type {bigint}
+     */
+    donation
+
+    /**
+     * Set when decoding
+     * @private
+     * @type {OriginalCbor | undefined}
+     */
+    originalCbor
+
     /**
      * @param {TxBodyProps} props
      */
@@ -173,7 +243,11 @@ export class TxBody {
         collateralReturn,
         totalCollateral,
         refInputs,
-        metadataHash
+        metadataHash,
+        votingProcedures,
+        proposalProcedures,
+        currentTreasuryValue,
+        donation
     }) {
         this.inputs = inputs
         this.outputs = outputs
@@ -190,6 +264,10 @@ export class TxBody {
         this.collateralReturn = collateralReturn
         this.totalCollateral = totalCollateral ?? 0n
         this.metadataHash = metadataHash
+        this.votingProcedures = votingProcedures ?? new VotingProcedures()
+        this.proposalProcedures = proposalProcedures ?? []
+        this.currentTreasuryValue = currentTreasuryValue
+        this.donation = donation ?? 0n
     }
 
     /**
@@ -197,6 +275,20 @@ export class TxBody {
      * @returns {TxBody}
      */
     static fromCbor(bytes) {
+        const original = decodeRawItem(bytes)
+        const body = TxBody.decodeCbor(original)
+
+        body.originalCbor = new OriginalCbor(original, body.encodeCbor())
+
+        return body
+    }
+
+    /**
+     * @private
+     * @param {number[]} bytes
+     * @returns {TxBody}
+     */
+    static decodeCbor(bytes) {
         const {
             0: inputs,
             1: outputs,
@@ -213,24 +305,32 @@ export class TxBody {
             15: _networkId,
             16: collateralReturn,
             17: totalCollateral,
-            18: refInputs
+            18: refInputs,
+            19: votingProcedures,
+            20: proposalProcedures,
+            21: currentTreasuryValue,
+            22: donation
         } = decodeObjectIKey(bytes, {
-            0: (s) => decodeList(s, TxInput),
+            0: (s) => decodeSet(s, TxInput),
             1: (s) => decodeList(s, TxOutput),
             2: decodeInt,
             3: decodeInt,
-            4: (s) => decodeList(s, DCert),
+            4: (s) => decodeSet(s, DCert),
             5: (s) => decodeMap(s, StakingAddress, decodeInt),
             7: decodeBytes,
             8: decodeInt,
             9: Assets,
             11: decodeBytes,
-            13: (s) => decodeList(s, TxInput),
-            14: (s) => decodeList(s, PubKeyHash),
+            13: (s) => decodeSet(s, TxInput),
+            14: (s) => decodeSet(s, PubKeyHash),
             15: decodeInt,
             16: TxOutput,
             17: decodeInt,
-            18: (s) => decodeList(s, TxInput)
+            18: (s) => decodeSet(s, TxInput),
+            19: VotingProcedures,
+            20: (s) => decodeSet(s, ProposalProcedure),
+            21: decodeInt,
+            22: decodeInt
         })
 
         return new TxBody({
@@ -252,8 +352,68 @@ export class TxBody {
             signers: signers ?? [],
             collateralReturn,
             totalCollateral: totalCollateral ?? 0n,
-            refInputs: refInputs ?? []
+            refInputs: refInputs ?? [],
+            votingProcedures,
+            proposalProcedures,
+            currentTreasuryValue,
+            donation
+        })
+    }
+
+    /**
+     * @param {TxBodyJson} json
+     * @returns {TxBody}
+     */
+    static fromJson(json) {
+        const body = new TxBody({
+            inputs: json.inputs.map(TxInput.fromJson),
+            outputs: json.outputs.map(TxOutput.fromJson),
+            fee: BigInt(json.fee),
+            firstValidSlot: json.firstValidSlot,
+            lastValidSlot: json.lastValidSlot,
+            dcerts: json.dcerts.map(DCert.fromJson),
+            withdrawals: Object.entries(json.withdrawals).map(
+                ([stakingAddress, lovelace]) => [
+                    StakingAddress.fromJson(stakingAddress),
+                    BigInt(lovelace)
+                ]
+            ),
+            minted: Assets.fromJson(json.minted),
+            scriptDataHash: json.scriptDataHash
+                ? hexToBytes(json.scriptDataHash)
+                : undefined,
+            collateral: json.collateral.map(TxInput.fromJson),
+            signers: json.signers.map(PubKeyHash.fromJson),
+            collateralReturn: json.collateralReturn
+                ? TxOutput.fromJson(json.collateralReturn)
+                : undefined,
+            totalCollateral: BigInt(json.totalCollateral),
+            refInputs: json.refInputs.map(TxInput.fromJson),
+            metadataHash: json.metadataHash
+                ? hexToBytes(json.metadataHash)
+                : undefined,
+            votingProcedures: json.votingProcedures
+                ? VotingProcedures.fromCbor(json.votingProcedures)
+                : undefined,
+            proposalProcedures: json.proposalProcedures.map((pp) =>
+                ProposalProcedure.fromCbor(pp)
+            ),
+            currentTreasuryValue:
+                json.currentTreasuryValue !== undefined
+                    ? BigInt(json.currentTreasuryValue)
+                    : undefined,
+            donation: BigInt(json.donation)
         })
+
+        // the original encoding must be of the same body
+        if (json.cbor) {
+            body.originalCbor = new OriginalCbor(
+                decodeRawItem(json.cbor),
+                body.encodeCbor()
+            )
+        }
+
+        return body
     }
 
     /**
@@ -268,8 +428,9 @@ export class TxBody {
 
         this.inputs.forEach((utxo) => {
             const address = utxo.output.address
+            // Byron addresses can't be locked by scripts
             if (address.era == "Byron") {
-                throw new Error("not yet implemented")
+                return
             }
 
             const scriptHash = address.validatorHash
@@ -290,7 +451,7 @@ export class TxBody {
         })
 
         this.dcerts.forEach((dcert) => {
-            if (dcert.isDeregister() || dcert.isDelegate()) {
+            if (dcert.isWitnessed()) {
                 const h = dcert.credential.hash
 
                 const svh = h.stakingValidatorHash
@@ -301,6 +462,81 @@ export class TxBody {
             }
         })
 
+        this.votingProcedures.voters.forEach((voter) => {
+            if (voter.isCommitteeHotScript() || voter.isDRepScript()) {
+                m.set(voter.hash.toHex(), voter.hash)
+            }
+        })
+
+        this.proposalProcedures.forEach((proposal) => {
+            const ph = proposal.action.policyHash
+
+            if (ph) {
+                m.set(ph.toHex(), ph)
+            }
+        })
+
+        return Array.from(m.values())
+    }
+
+    /**
+     * Pubkey hashes that must sign the tx: the owners of the spending and collateral inputs, the explicit signers, and the pubkey credentials of the withdrawals, certificates and votes.
+     *
+     * Inputs at Byron addresses aren't included because they are witnessed by bootstrap witnesses instead.
+     * Throws an error if the inputs haven't been recovered after deserialization.
+     * @returns {PubKeyHash[]}
+     */
+    collectRequiredSigners() {
+        /**
+         * @type {Map<string, PubKeyHash>}
+         */
+        const m = new Map()
+
+        /**
+         * @param {PubKeyHash | null | undefined} pkh
+         */
+        const add = (pkh) => {
+            if (pkh) {
+                m.set(pkh.toHex(), pkh)
+            }
+        }
+
+        this.inputs.concat(this.collateral).forEach((utxo) => {
+            const address = utxo.output.address
+
+            if (address.era == "Shelley") {
+                add(address.pubKeyHash)
+            }
+        })
+
+        this.signers.forEach(add)
+
+        this.withdrawals.forEach(([stakingAddr]) => {
+            add(stakingAddr.stakingHash.pubKeyHash)
+        })
+
+        this.dcerts.forEach((dcert) => {
+            if (dcert.isRegisterPool()) {
+                // the pool operator and all the owners must sign
+                add(dcert.poolParameters.id)
+                dcert.poolParameters.owners.forEach(add)
+            } else if (dcert.isRetirePool()) {
+                add(dcert.poolId)
+            } else if (dcert.isWitnessed()) {
+                add(dcert.credential.hash.pubKeyHash)
+            }
+        })
+
+        this.votingProcedures.voters.forEach((voter) => {
+            if (
+                voter.isCommitteeHotKey() ||
+                voter.isDRepKey() ||
+                voter.isStakePool()
+            ) {
+                add(voter.hash)
+            }
+        })
+
         return Array.from(m.values())
     }
 
@@ -320,8 +556,10 @@ export class TxBody {
             try {
                 const address = utxo.output.address
 
+                // each Byron address requires its own bootstrap witness
                 if (address.era == "Byron") {
-                    throw new Error("not yet implemented")
+                    set.add(address.toBase58())
+                    return
                 }
 
                 const pubKeyHash = address.pubKeyHash
@@ -376,7 +614,16 @@ export class TxBody {
                 ? this.collateralReturn.dump()
                 : null,
             //totalCollateral: this.totalCollateral.toString(), // doesn't seem to be used anymore
-            refInputs: this.refInputs.map((ri) => ri.dump())
+            refInputs: this.refInputs.map((ri) => ri.dump()),
+            votingProcedures: this.votingProcedures.isEmpty
+                ? null
+                : this.votingProcedures.dump(),
+            proposalProcedures:
+                this.proposalProcedures.length == 0
+                    ? null
+                    : this.proposalProcedures.map((pp) => pp.dump()),
+            currentTreasuryValue: this.currentTreasuryValue?.toString() ?? null,
+            donation: this.donation > 0n ? this.donation.toString() : null
         }
     }
 
@@ -446,6 +693,55 @@ export class TxBody {
         )
     }
 
+    /**
+     * Lovelace locked as deposits by the certificates and the governance proposals.
+     *
+     * A `RegisterPool` certificate only requires a deposit if it registers a new pool, re-registering an existing pool to update its parameters doesn't.
+     * Without `isPoolRegistered` every pool is assumed to be new, unless it is registered by an earlier certificate of the same tx.
+     * Pool deposits aren't refunded in the tx that retires the pool, but at the epoch boundary.
+     * @param {NetworkParams} params
+     * @param {((poolId: PubKeyHash) => boolean) | undefined} isPoolRegistered - returns true for pools that are already registered on-chain
+     * @returns {bigint}
+     */
+    sumDeposits(params, isPoolRegistered = undefined) {
+        const helper = new NetworkParamsHelper(params)
+
+        /**
+         * @type {Set<string>}
+         */
+        const newPools = new Set()
+
+        const certDeposits = this.dcerts.reduce((sum, dcert) => {
+            if (dcert.isRegister()) {
+                return sum + helper.stakeAddressDeposit
+            } else if (dcert.isRegisterPool()) {
+                const poolId = dcert.poolId
+                const key = poolId.toHex()
+
+                if (newPools.has(key) || isPoolRegistered?.(poolId)) {
+                    return sum
+                }
+
+                newPools.add(key)
+
+                return sum + helper.stakePoolDeposit
+            } else if (
+                dcert.deposit !== undefined &&
+                dcert.kind != "DeregisterWithRefund" &&
+                dcert.kind != "DeregisterDRep"
+            ) {
+                return sum + dcert.deposit
+            } else {
+                return sum
+            }
+        }, 0n)
+
+        return this.proposalProcedures.reduce(
+            (sum, pp) => sum + pp.deposit,
+            certDeposits
+        )
+    }
+
     /**
      * @returns {Value}
      */
@@ -493,9 +789,132 @@ export class TxBody {
     }
 
     /**
+     * Total size (in bytes) of the reference scripts attached to the outputs being spent or referenced.
+     * The outputs of the inputs and the ref inputs must be synced.
+     * @returns {number}
+     */
+    sumRefScriptsSize() {
+        return this.inputs
+            .concat(this.refInputs)
+            .reduce(
+                (sum, input) =>
+                    sum + (input.output.refScript?.toCbor().length ?? 0),
+                0
+            )
+    }
+
+    /**
+     * Lovelace deposits released by the certificates
+     * @param {NetworkParams} params
+     * @returns {bigint}
+     */
+    sumRefunds(params) {
+        const helper = new NetworkParamsHelper(params)
+        const stakeAddrDeposit = BigInt(helper.stakeAddressDeposit)
+
+        return this.dcerts.reduce((sum, dcert) => {
+            if (dcert.isDeregister()) {
+                return sum + stakeAddrDeposit
+            } else if (
+                dcert.kind == "DeregisterWithRefund" ||
+                dcert.kind == "DeregisterDRep"
+            ) {
+                return sum + BigInt(dcert.deposit ?? 0n)
+            } else {
+                return sum
+            }
+        }, 0n)
+    }
+
+    /**
+     * @returns {bigint}
+     */
+    sumWithdrawals() {
+        return this.withdrawals.reduce(
+            (sum, [_, lovelace]) => sum + lovelace,
+            0n
+        )
+    }
+
+    /**
+     * @returns {TxBodyJson}
+     */
+    toJson() {
+        /**
+         * @type {TxBodyJson}
+         */
+        const json = {
+            inputs: this.inputs.map((input) => input.toJson()),
+            outputs: this.outputs.map((output) => output.toJson()),
+            fee: this.fee.toString(),
+            dcerts: this.dcerts.map((dcert) => dcert.toJson()),
+            withdrawals: Object.fromEntries(
+                this.withdrawals.map(([stakingAddress, lovelace]) => [
+                    stakingAddress.toJson(),
+                    lovelace.toString()
+                ])
+            ),
+            minted: this.minted.toJson(),
+            collateral: this.collateral.map((input) => input.toJson()),
+            signers: this.signers.map((signer) => signer.toJson()),
+            totalCollateral: this.totalCollateral.toString(),
+            refInputs: this.refInputs.map((input) => input.toJson()),
+            proposalProcedures: this.proposalProcedures.map((pp) =>
+                bytesToHex(pp.toCbor())
+            ),
+            donation: this.donation.toString()
+        }
+
+        if (this.firstValidSlot !== undefined) {
+            json.firstValidSlot = this.firstValidSlot
+        }
+
+        if (this.lastValidSlot !== undefined) {
+            json.lastValidSlot = this.lastValidSlot
+        }
+
+        if (this.scriptDataHash) {
+            json.scriptDataHash = bytesToHex(this.scriptDataHash)
+        }
+
+        if (this.collateralReturn) {
+            json.collateralReturn = this.collateralReturn.toJson()
+        }
+
+        if (this.metadataHash) {
+            json.metadataHash = bytesToHex(this.metadataHash)
+        }
+
+        if (!this.votingProcedures.isEmpty) {
+            json.votingProcedures = bytesToHex(this.votingProcedures.toCbor())
+        }
+
+        if (this.currentTreasuryValue !== undefined) {
+            json.currentTreasuryValue = this.currentTreasuryValue.toString()
+        }
+
+        if (this.originalCbor) {
+            json.cbor = bytesToHex(this.originalCbor.bytes)
+        }
+
+        return json
+    }
+
+    /**
+     * A decoded body keeps its original encoding as long as it isn't modified, so the tx id doesn't change
      * @returns {number[]}
      */
     toCbor() {
+        const bytes = this.encodeCbor()
+
+        return this.originalCbor ? this.originalCbor.select(bytes) : bytes
+    }
+
+    /**
+     * @private
+     * @returns {number[]}
+     */
+    encodeCbor() {
         /**
          * @type {Map<number, number[]>}
          */
@@ -564,6 +983,22 @@ export class TxBody {
             m.set(18, encodeDefList(this.refInputs))
         }
 
+        if (!this.votingProcedures.isEmpty) {
+            m.set(19, this.votingProcedures.toCbor())
+        }
+
+        if (this.proposalProcedures.length != 0) {
+            m.set(20, encodeDefList(this.proposalProcedures))
+        }
+
+        if (this.currentTreasuryValue !== undefined) {
+            m.set(21, encodeInt(this.currentTreasuryValue))
+        }
+
+        if (this.donation > 0n) {
+            m.set(22, encodeInt(this.donation))
+        }
+
         return encodeObjectIKey(m)
     }
 
@@ -588,7 +1023,11 @@ export class TxBody {
             signers: this.signers,
             redeemers: redeemers,
             datums: datums,
-            id: txId
+            id: txId,
+            votingProcedures: this.votingProcedures,
+            proposalProcedures: this.proposalProcedures,
+            currentTreasuryValue: this.currentTreasuryValue,
+            donation: this.donation
         }
     }
 
@@ -0,0 +1,861 @@
+import { bytesToHex, equalsBytes } from "@helios-lang/codec-utils"
+import { MintingPolicyHash, PubKeyHash } from "../hashes/index.js"
+import { Assets, Value } from "../money/index.js"
+import { NetworkParamsHelper } from "../params/index.js"
+import { CoinSelection } from "./CoinSelection.js"
+import { DCert } from "./DCert.js"
+import { StakingAddress } from "./StakingAddress.js"
+import { Tx } from "./Tx.js"
+import { TxBody } from "./TxBody.js"
+import { TxInput } from "./TxInput.js"
+import { TxMetadata } from "./TxMetadata.js"
+import { TxOutput } from "./TxOutput.js"
+import { TxOutputDatum } from "./TxOutputDatum.js"
+import { TxRedeemer } from "./TxRedeemer.js"
+import { TxWitnesses } from "./TxWitnesses.js"
+
+/**
+ * @import { BytesLike, IntLike } from "@helios-lang/codec-utils"
+ * @import { UplcData, UplcProgramV1I, UplcProgramV2I, UplcProgramV3I } from "@helios-lang/uplc"
+ * @import { NativeScript } from "../native/index.js"
+ * @import { Address, ShelleyAddressLike } from "./ShelleyAddress.js"
+ * @typedef {import("../hashes/index.js").PubKeyHashLike} PubKeyHashLike
+ * @typedef {import("../hashes/MintingPolicyHash.js").MintingPolicyHashLike} MintingPolicyHashLike
+ * @typedef {import("../money/index.js").AssetClassLike} AssetClassLike
+ * @typedef {import("../money/index.js").ValueLike} ValueLike
+ * @typedef {import("../params/index.js").NetworkParams} NetworkParams
+ * @typedef {import("./CoinSelection.js").CoinSelectionAlgorithm} CoinSelectionAlgorithm
+ * @typedef {import("./StakingAddress.js").StakingAddressLike} StakingAddressLike
+ * @typedef {import("./TxMetadataAttr.js").TxMetadataAttr} TxMetadataAttr
+ * @typedef {import("./TxRedeemer.js").TxRedeemersEncoding} TxRedeemersEncoding
+ */
+
+/**
+ * @typedef {{
+ *   isMainnet: boolean
+ * }} TxBuilderConfig
+ */
+
+/**
+ * `spareUtxos` are only spent if the inputs added with `spend()` don't cover the outputs and the fee.
+ * `collateralUtxos` are used to select the collateral (see `Tx.setCollateral()`) if no collateral was added using `addCollateral()`, the collateral return output is sent to the change address.
+ * `exBudgetSafetyMargin` is the relative margin added to the measured execution costs of the redeemers (defaults to 0).
+ * `redeemersEncoding` is the encoding of the redeemers in the witness set (defaults to "list").
+ * `isPoolRegistered` must return true for pools that are already registered, so re-registering them (i.e. updating their parameters) doesn't require a deposit.
+ * @typedef {{
+ *   changeAddress: Address | ShelleyAddressLike
+ *   params: NetworkParams
+ *   spareUtxos?: TxInput[]
+ *   collateralUtxos?: TxInput[]
+ *   coinSelection?: CoinSelectionAlgorithm
+ *   exBudgetSafetyMargin?: number
+ *   redeemersEncoding?: TxRedeemersEncoding
+ *   isPoolRegistered?: (poolId: PubKeyHash) => boolean
+ * }} TxBuilderFinalConfig
+ */
+
+/**
+ * Collects the parts of a transaction (spent UTxOs, outputs, minted tokens, withdrawals, certificates, signers, metadata, scripts etc.) and builds a balanced `Tx` from them.
+ *
+ * Redeemer indices, the script data hash, the metadata hash and the fee are all calculated in `build()`, so the order in which the parts are added doesn't matter.
+ */
+export class TxBuilder {
+    /**
+     * @readonly
+     * @type {TxBuilderConfig}
+     */
+    config
+
+    /**
+     * Kept sorted
+     * @private
+     * @type {TxInput[]}
+     */
+    inputs
+
+    /**
+     * @private
+     * @type {[TxInput, UplcData][]}
+     */
+    spendingRedeemers
+
+    /**
+     * Kept sorted
+     * @private
+     * @type {TxInput[]}
+     */
+    refInputs
+
+    /**
+     * @private
+     * @type {TxOutput[]}
+     */
+    outputs
+
+    /**
+     * Kept sorted
+     * @private
+     * @type {TxInput[]}
+     */
+    collateral
+
+    /**
+     * @private
+     * @type {Assets}
+     */
+    minted
+
+    /**
+     * @private
+     * @type {[MintingPolicyHash, UplcData][]}
+     */
+    mintingRedeemers
+
+    /**
+     * @private
+     * @type {[StakingAddress, bigint][]}
+     */
+    withdrawals
+
+    /**
+     * @private
+     * @type {[StakingAddress, UplcData][]}
+     */
+    rewardingRedeemers
+
+    /**
+     * The order of the certificates is kept as is
+     * @private
+     * @type {DCert[]}
+     */
+    dcerts
+
+    /**
+     * @private
+     * @type {[DCert, UplcData][]}
+     */
+    certifyingRedeemers
+
+    /**
+     * @private
+     * @type {PubKeyHash[]}
+     */
+    signers
+
+    /**
+     * @private
+     * @type {{[key: number]: TxMetadataAttr}}
+     */
+    metadata
+
+    /**
+     * @private
+     * @type {{slot: number} | {time: number} | undefined}
+     */
+    validFrom
+
+    /**
+     * @private
+     * @type {{slot: number} | {time: number} | undefined}
+     */
+    validTo
+
+    /**
+     * @private
+     * @type {NativeScript[]}
+     */
+    nativeScripts
+
+    /**
+     * @private
+     * @type {(UplcProgramV1I | UplcProgramV2I | UplcProgramV3I)[]}
+     */
+    uplcPrograms
+
+    /**
+     * @param {TxBuilderConfig} config
+     */
+    constructor(config) {
+        this.config = config
+        this.inputs = []
+        this.spendingRedeemers = []
+        this.refInputs = []
+        this.outputs = []
+        this.collateral = []
+        this.minted = new Assets()
+        this.mintingRedeemers = []
+        this.withdrawals = []
+        this.rewardingRedeemers = []
+        this.dcerts = []
+        this.certifyingRedeemers = []
+        this.signers = []
+        this.metadata = {}
+        this.validFrom = undefined
+        this.validTo = undefined
+        this.nativeScripts = []
+        this.uplcPrograms = []
+    }
+
+    /**
+     * @param {TxInput[]} utxos
+     * @returns {TxBuilder}
+     */
+    addCollateral(...utxos) {
+        utxos.forEach((utxo) => TxInput.append(this.collateral, utxo))
+
+        return this
+    }
+
+    /**
+     * A redeemer must be specified if the certificate is witnessed by a staking validator
+     * @param {DCert} dcert
+     * @param {UplcData | undefined} redeemer
+     * @returns {TxBuilder}
+     */
+    addDCert(dcert, redeemer = undefined) {
+        this.dcerts.push(dcert)
+
+        if (redeemer) {
+            if (!dcert.isWitnessed()) {
+                throw new Error(
+                    `a redeemer can't be attached to a ${dcert.kind} DCert`
+                )
+            }
+
+            this.certifyingRedeemers.push([dcert, redeemer])
+        }
+
+        return this
+    }
+
+    /**
+     * The lovelace of the outputs is corrected during `build()`
+     * @param {TxOutput[]} outputs
+     * @returns {TxBuilder}
+     */
+    addOutput(...outputs) {
+        outputs.forEach((output) => {
+            output.value.assertAllPositive()
+
+            this.outputs.push(output)
+        })
+
+        return this
+    }
+
+    /**
+     * Adds required signers
+     * @param {PubKeyHashLike[]} hashes
+     * @returns {TxBuilder}
+     */
+    addSigners(...hashes) {
+        hashes.forEach((hash) => {
+            const pkh = PubKeyHash.new(hash)
+
+            if (!this.signers.some((prev) => prev.isEqual(pkh))) {
+                this.signers.push(pkh)
+            }
+        })
+
+        return this
+    }
+
+    /**
+     * Native scripts are only included in the final transaction if they are actually needed
+     * @param {NativeScript[]} scripts
+     * @returns {TxBuilder}
+     */
+    attachNativeScript(...scripts) {
+        scripts.forEach((script) => {
+            const h = script.hash()
+
+            if (
+                !this.nativeScripts.some((prev) => equalsBytes(prev.hash(), h))
+            ) {
+                this.nativeScripts.push(script)
+            }
+        })
+
+        return this
+    }
+
+    /**
+     * UplcPrograms are only included in the final transaction if they are actually needed and if they aren't available as reference scripts
+     * @param {(UplcProgramV1I | UplcProgramV2I | UplcProgramV3I)[]} programs
+     * @returns {TxBuilder}
+     */
+    attachUplcProgram(...programs) {
+        programs.forEach((program) => {
+            const h = program.hash()
+
+            if (
+                !this.uplcPrograms.some((prev) => equalsBytes(prev.hash(), h))
+            ) {
+                this.uplcPrograms.push(program)
+            }
+        })
+
+        return this
+    }
+
+    /**
+     * Builds and balances the transaction, and validates it using `strict=true`.
+     *
+     * The steps are:
+     *   1. redeemers are created with indices that point into the sorted inputs, minting policies, withdrawals and certificates
+     *   2. if `config.spareUtxos` is specified, additional inputs are selected from it using `config.coinSelection` (defaults to `CoinSelection.selectLargestFirst`) until the inputs cover the outputs and the fee
+     *   3. if `config.collateralUtxos` is specified, and no collateral was added using `addCollateral()`, the collateral is selected from it using `Tx.setCollateral()`
+     *   4. the tx is balanced using `Tx.balance()`, which also corrects the lovelace of each output (and selects the collateral again for the final fee)
+     *   5. the redeemers are evaluated using `Tx.evalRedeemers()`, which sets their execution costs and the script data hash, and balances the tx again (repeatedly, until the scripts have been evaluated against the final tx)
+     *
+     * The returned transaction still needs to be signed.
+     * @param {TxBuilderFinalConfig} config
+     * @returns {Tx}
+     */
+    build(config) {
+        const { params } = config
+
+        let tx = this.buildUnbalanced(this.inputs, params)
+
+        if (config.spareUtxos) {
+            tx = this.selectSpareUtxos(tx, config)
+        }
+
+        if (config.redeemersEncoding) {
+            tx.witnesses.redeemersEncoding = config.redeemersEncoding
+        }
+
+        if (config.collateralUtxos && this.collateral.length == 0) {
+            tx.setCollateral(
+                config.collateralUtxos,
+                config.changeAddress,
+                params
+            )
+        }
+
+        const { isPoolRegistered } = config
+
+        tx.balance(config.changeAddress, params, { isPoolRegistered })
+
+        if (tx.witnesses.redeemers.length > 0) {
+            tx.evalRedeemers(params, {
+                changeAddress: config.changeAddress,
+                safetyMargin: config.exBudgetSafetyMargin,
+                isPoolRegistered
+            })
+        }
+
+        tx.body.sortOutputs()
+
+        tx.validate(params, { strict: true, isPoolRegistered })
+
+        return tx
+    }
+
+    /**
+     * @param {AssetClassLike} assetClass
+     * @param {IntLike} quantity
+     * @param {UplcData | undefined} redeemer
+     * @returns {TxBuilder}
+     */
+    mintAssetClass(assetClass, quantity, redeemer = undefined) {
+        const assets = Assets.fromAssetClasses([[assetClass, quantity]])
+
+        const [mph, tokens] = assets.assets[0]
+
+        return this.mintPolicyTokens(mph, tokens, redeemer)
+    }
+
+    /**
+     * A redeemer must be specified unless the minting policy is a native script
+     * @param {MintingPolicyHashLike} policy
+     * @param {[BytesLike, IntLike][]} tokens
+     * @param {UplcData | undefined} redeemer
+     * @returns {TxBuilder}
+     */
+    mintPolicyTokens(policy, tokens, redeemer = undefined) {
+        const mph = MintingPolicyHash.new(policy)
+
+        tokens.forEach(([tokenName, qty]) => {
+            this.minted.addComponent(mph, tokenName, qty)
+        })
+
+        if (redeemer) {
+            if (this.mintingRedeemers.some(([prev]) => prev.isEqual(mph))) {
+                throw new Error(
+                    `redeemer for minting policy ${mph.toHex()} already added`
+                )
+            }
+
+            this.mintingRedeemers.push([mph, redeemer])
+        }
+
+        return this
+    }
+
+    /**
+     * Shorthand for `addOutput(new TxOutput(address, value, datum))`
+     * @param {Address | ShelleyAddressLike} address
+     * @param {ValueLike} value
+     * @param {TxOutputDatum | undefined} datum
+     * @returns {TxBuilder}
+     */
+    pay(address, value, datum = undefined) {
+        return this.addOutput(new TxOutput(address, value, datum))
+    }
+
+    /**
+     * Adds reference inputs. Reference scripts contained in these UTxOs are used instead of attached UplcPrograms.
+     * @param {TxInput[]} utxos
+     * @returns {TxBuilder}
+     */
+    refer(...utxos) {
+        utxos.forEach((utxo) => TxInput.append(this.refInputs, utxo))
+
+        return this
+    }
+
+    /**
+     * @param {number} key
+     * @param {TxMetadataAttr} value
+     * @returns {TxBuilder}
+     */
+    setMetadataAttribute(key, value) {
+        this.metadata[key] = value
+
+        return this
+    }
+
+    /**
+     * A redeemer must be specified when spending UTxOs locked at a validator address (unless the validator is a native script).
+     * The datums of UTxOs with a hashed datum are added to the witness set.
+     * @param {TxInput | TxInput[]} utxos
+     * @param {UplcData | undefined} redeemer - used for each of the UTxOs
+     * @returns {TxBuilder}
+     */
+    spend(utxos, redeemer = undefined) {
+        const list = Array.isArray(utxos) ? utxos : [utxos]
+
+        list.forEach((utxo) => {
+            TxInput.append(this.inputs, utxo)
+
+            if (redeemer) {
+                const address = utxo.address
+
+                if (address.era == "Byron" || !address.validatorHash) {
+                    throw new Error(
+                        `a redeemer can't be attached to UTxO ${utxo.id.toString()}, which isn't locked by a validator`
+                    )
+                }
+
+                this.spendingRedeemers.push([utxo, redeemer])
+            }
+        })
+
+        return this
+    }
+
+    /**
+     * @param {number} slot
+     * @returns {TxBuilder}
+     */
+    validFromSlot(slot) {
+        this.validFrom = { slot }
+
+        return this
+    }
+
+    /**
+     * Converted to a slot in `build()`
+     * @param {number} time - milliseconds since 1970
+     * @returns {TxBuilder}
+     */
+    validFromTime(time) {
+        this.validFrom = { time }
+
+        return this
+    }
+
+    /**
+     * @param {number} slot
+     * @returns {TxBuilder}
+     */
+    validToSlot(slot) {
+        this.validTo = { slot }
+
+        return this
+    }
+
+    /**
+     * Converted to a slot in `build()`
+     * @param {number} time - milliseconds since 1970
+     * @returns {TxBuilder}
+     */
+    validToTime(time) {
+        this.validTo = { time }
+
+        return this
+    }
+
+    /**
+     * A redeemer must be specified if the staking address is a staking validator address (unless the staking validator is a native script)
+     * @param {StakingAddressLike} addr
+     * @param {IntLike} lovelace
+     * @param {UplcData | undefined} redeemer
+     * @returns {TxBuilder}
+     */
+    withdraw(addr, lovelace, redeemer = undefined) {
+        const stakingAddress = StakingAddress.new(this.config.isMainnet, addr)
+
+        if (this.withdrawals.some(([prev]) => prev.isEqual(stakingAddress))) {
+            throw new Error(
+                `withdrawal from ${stakingAddress.toBech32()} already added`
+            )
+        }
+
+        this.withdrawals.push([stakingAddress, BigInt(lovelace)])
+
+        if (redeemer) {
+            if (!stakingAddress.stakingHash.stakingValidatorHash) {
+                throw new Error(
+                    `a redeemer can't be attached to a withdrawal from ${stakingAddress.toBech32()}, which isn't a staking validator address`
+                )
+            }
+
+            this.rewardingRedeemers.push([stakingAddress, redeemer])
+        }
+
+        return this
+    }
+
+    /**
+     * Creates a tx with the given inputs and with zero fee. The redeemers don't have execution costs yet.
+     * @private
+     * @param {TxInput[]} inputs - sorted
+     * @param {NetworkParams} params
+     * @returns {Tx}
+     */
+    buildUnbalanced(inputs, params) {
+        const helper = new NetworkParamsHelper(params)
+
+        const minted = this.minted.copy()
+        minted.sort()
+
+        const withdrawals = this.withdrawals
+            .slice()
+            .sort(([a], [b]) => StakingAddress.compare(a, b))
+
+        const metadata =
+            Object.keys(this.metadata).length > 0
+                ? new TxMetadata({ ...this.metadata })
+                : undefined
+
+        const body = new TxBody({
+            inputs: inputs.slice(),
+            outputs: this.outputs.slice(),
+            fee: 0n,
+            firstValidSlot: this.validFrom
+                ? "slot" in this.validFrom
+                    ? this.validFrom.slot
+                    : helper.timeToSlot(this.validFrom.time)
+                : undefined,
+            lastValidSlot: this.validTo
+                ? "slot" in this.validTo
+                    ? this.validTo.slot
+                    : helper.timeToSlot(this.validTo.time)
+                : undefined,
+            dcerts: this.dcerts.slice(),
+            withdrawals,
+            minted,
+            scriptDataHash: undefined,
+            collateral: this.collateral.slice(),
+            signers: this.signers.slice(),
+            collateralReturn: undefined,
+            totalCollateral: undefined,
+            refInputs: this.refInputs.slice(),
+            metadataHash: metadata?.hash()
+        })
+
+        const witnesses = this.buildWitnesses(body)
+
+        return new Tx(body, witnesses, false, metadata)
+    }
+
+    /**
+     * Creates the redeemers with indices pointing into the (sorted) body fields, and collects the scripts and datums needed to witness the body
+     * @private
+     * @param {TxBody} body
+     * @returns {TxWitnesses}
+     */
+    buildWitnesses(body) {
+        /**
+         * @type {TxRedeemer[]}
+         */
+        const redeemers = []
+
+        /**
+         * @type {UplcData[]}
+         */
+        const datums = []
+
+        body.inputs.forEach((input, i) => {
+            const address = input.address
+
+            if (address.era == "Byron" || !address.validatorHash) {
+                return
+            }
+
+            const entry = this.spendingRedeemers.find(([utxo]) =>
+                utxo.isEqual(input)
+            )
+
+            if (entry) {
+                redeemers.push(TxRedeemer.Spending(i, entry[1]))
+
+                const datum = input.datum
+
+                if (datum && datum.isHash()) {
+                    datums.push(datum.data)
+                }
+            } else if (!this.hasNativeScript(address.validatorHash.bytes)) {
+                throw new Error(
+                    `missing redeemer for input ${input.id.toString()}`
+                )
+            }
+        })
+
+        body.minted.getPolicies().forEach((mph, i) => {
+            const entry = this.mintingRedeemers.find(([prev]) =>
+                prev.isEqual(mph)
+            )
+
+            if (entry) {
+                redeemers.push(TxRedeemer.Minting(i, entry[1]))
+            } else if (!this.hasNativeScript(mph.bytes)) {
+                throw new Error(
+                    `missing redeemer for minting policy ${mph.toHex()}`
+                )
+            }
+        })
+
+        body.withdrawals.forEach(([stakingAddress], i) => {
+            const svh = stakingAddress.stakingHash.stakingValidatorHash
+
+            if (!svh) {
+                return
+            }
+
+            const entry = this.rewardingRedeemers.find(([prev]) =>
+                prev.isEqual(stakingAddress)
+            )
+
+            if (entry) {
+                redeemers.push(TxRedeemer.Rewarding(i, entry[1]))
+            } else if (!this.hasNativeScript(svh.bytes)) {
+                throw new Error(
+                    `missing redeemer for withdrawal from ${stakingAddress.toBech32()}`
+                )
+            }
+        })
+
+        body.dcerts.forEach((dcert, i) => {
+            if (!dcert.isWitnessed()) {
+                return
+            }
+
+            const svh = dcert.credential.hash.stakingValidatorHash
+
+            if (!svh) {
+                return
+            }
+
+            const entry = this.certifyingRedeemers.find(
+                ([prev]) => prev == dcert
+            )
+
+            if (entry) {
+                redeemers.push(TxRedeemer.Certifying(i, entry[1]))
+            } else if (!this.hasNativeScript(svh.bytes)) {
+                throw new Error(`missing redeemer for DCert ${i}`)
+            }
+        })
+
+        redeemers.sort(TxRedeemer.compare)
+
+        // only include the scripts that are actually needed
+        const requiredHashes = new Set(
+            body.allScriptHashes.map((h) => h.toHex())
+        )
+
+        /**
+         * @type {Map<string, UplcProgramV1I | UplcProgramV2I | UplcProgramV3I>}
+         */
+        const refScripts = new Map()
+
+        body.refInputs.concat(body.inputs).forEach((input) => {
+            const refScript = input.output.refScript
+
+            if (refScript) {
+                refScripts.set(bytesToHex(refScript.hash()), refScript)
+            }
+        })
+
+        /**
+         * @type {UplcProgramV2I[]}
+         */
+        const v2RefScripts = []
+
+        /**
+         * @type {UplcProgramV3I[]}
+         */
+        const v3RefScripts = []
+
+        refScripts.forEach((refScript, key) => {
+            if (requiredHashes.has(key)) {
+                if (refScript.plutusVersion == "PlutusScriptV1") {
+                    throw new Error("UplcProgramV1 ref script not supported")
+                } else if (refScript.plutusVersion == "PlutusScriptV3") {
+                    v3RefScripts.push(refScript)
+                } else {
+                    v2RefScripts.push(refScript)
+                }
+            }
+        })
+
+        const isRequired = (/** @type {{hash(): number[]}} */ script) => {
+            const key = bytesToHex(script.hash())
+
+            return requiredHashes.has(key) && !refScripts.has(key)
+        }
+
+        /**
+         * @type {UplcProgramV1I[]}
+         */
+        const v1Scripts = []
+
+        /**
+         * @type {UplcProgramV2I[]}
+         */
+        const v2Scripts = []
+
+        /**
+         * @type {UplcProgramV3I[]}
+         */
+        const v3Scripts = []
+
+        this.uplcPrograms.filter(isRequired).forEach((program) => {
+            if (program.plutusVersion == "PlutusScriptV1") {
+                v1Scripts.push(program)
+            } else if (program.plutusVersion == "PlutusScriptV3") {
+                v3Scripts.push(program)
+            } else {
+                v2Scripts.push(program)
+            }
+        })
+
+        return new TxWitnesses({
+            signatures: [],
+            datums,
+            redeemers,
+            nativeScripts: this.nativeScripts.filter(isRequired),
+            v1Scripts,
+            v2Scripts,
+            v2RefScripts,
+            v3Scripts,
+            v3RefScripts
+        })
+    }
+
+    /**
+     * @private
+     * @param {number[]} hash
+     * @returns {boolean}
+     */
+    hasNativeScript(hash) {
+        return this.nativeScripts.some((script) =>
+            equalsBytes(script.hash(), hash)
+        )
+    }
+
+    /**
+     * Adds inputs from `config.spareUtxos` until the inputs cover the outputs, the deposits and the fee (including the fee of the change output).
+     *
+     * The tx is rebuilt each time inputs are added, because the redeemer indices and the fee depend on the inputs.
+     * The fee doesn't yet take into account the execution costs of the redeemers, so script txs might need more spare UTxOs than are selected here.
+     * @private
+     * @param {Tx} tx
+     * @param {TxBuilderFinalConfig} config
+     * @returns {Tx}
+     */
+    selectSpareUtxos(tx, config) {
+        const { params, changeAddress } = config
+        const select = config.coinSelection ?? CoinSelection.selectLargestFirst
+        const feePerByte = new NetworkParamsHelper(params).txFeeParams[1]
+
+        let spare = (config.spareUtxos ?? []).filter(
+            (utxo) => !tx.body.inputs.some((input) => input.isEqual(utxo))
+        )
+
+        while (spare.length > 0) {
+            const body = tx.body
+
+            body.outputs.forEach((output) => output.correctLovelace(params))
+
+            const consumed = body
+                .sumInputValue()
+                .add(new Value(0n, body.minted))
+                .add(new Value(body.sumWithdrawals() + body.sumRefunds(params)))
+
+            const changeOutput = new TxOutput(changeAddress, consumed)
+
+            const fee =
+                tx.calcMinFee(params) +
+                BigInt(changeOutput.toCbor().length * feePerByte)
+
+            const deficit = body
+                .sumOutputValue()
+                .add(
+                    new Value(
+                        body.sumDeposits(params, config.isPoolRegistered) +
+                            body.donation +
+                            fee
+                    )
+                )
+                .subtract(consumed)
+
+            // only the missing part of the deficit must be selected
+            const amount = new Value(
+                deficit.lovelace > 0n ? deficit.lovelace : 0n
+            )
+
+            deficit.assets.assetClasses.forEach((assetClass) => {
+                const qty = deficit.assets.getQuantity(assetClass)
+
+                if (qty > 0n) {
+                    amount.assets.addComponent(assetClass, qty)
+                }
+            })
+
+            if (amount.lovelace == 0n && amount.assets.isZero()) {
+                break
+            }
+
+            const [selected, notSelected] = select(spare, amount, {
+                params,
+                changeAddress
+            })
+
+            if (selected.length == 0) {
+                break
+            }
+
+            const inputs = body.inputs.slice()
+            selected.forEach((utxo) => TxInput.append(inputs, utxo))
+
+            spare = notSelected
+            tx = this.buildUnbalanced(inputs, params)
+        }
+
+        return tx
+    }
+}
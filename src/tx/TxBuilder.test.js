@@ -0,0 +1,279 @@
+import { deepEqual, strictEqual, throws } from "node:assert"
+import { describe, it } from "node:test"
+import { bytesToHex } from "@helios-lang/codec-utils"
+import { Ed25519 } from "@helios-lang/crypto"
+import {
+    IntData,
+    UplcConst,
+    UplcLambda,
+    UplcProgramV2,
+    UplcUnit
+} from "@helios-lang/uplc"
+import {
+    MintingPolicyHash,
+    PubKeyHash,
+    ValidatorHash
+} from "../hashes/index.js"
+import { Value } from "../money/index.js"
+import { DEFAULT_NETWORK_PARAMS } from "../params/index.js"
+import { PubKey } from "./PubKey.js"
+import { makeAddress, makeAddressFromHashes } from "./ShelleyAddress.js"
+import { Signature } from "./Signature.js"
+import { calcScriptDataHash } from "./Tx.js"
+import { TxBuilder } from "./TxBuilder.js"
+import { TxInput } from "./TxInput.js"
+import { TxOutput } from "./TxOutput.js"
+import { TxOutputDatum } from "./TxOutputDatum.js"
+import { TxOutputId } from "./TxOutputId.js"
+
+describe(TxBuilder.name, () => {
+    const params = DEFAULT_NETWORK_PARAMS()
+
+    const wallet1 = makeAddress(
+        "addr_test1vzzcg26lxj3twnnx889lrn60pqn0z3km2yahhsz0fvpyxdcj5qp8w"
+    )
+    const wallet2 = makeAddress(
+        "addr_test1vqzhgmkqsyyzxthk7vzxet4283wx8wwygu9nq0v94mdldxs0d56ku"
+    )
+
+    const utxo = new TxInput(
+        TxOutputId.dummy(0, 0),
+        new TxOutput(wallet1, new Value(10_000_000_000n))
+    )
+
+    it("builds a balanced tx that sends lovelace", () => {
+        const tx = new TxBuilder({ isMainnet: false })
+            .spend(utxo)
+            .pay(wallet2, new Value(10_000_000n))
+            .build({ changeAddress: wallet1, params })
+
+        strictEqual(tx.body.inputs.length, 1)
+        strictEqual(tx.body.outputs.length, 2)
+        strictEqual(tx.body.fee >= tx.calcMinFee(params), true)
+        strictEqual(
+            tx.body.outputs[1].value.lovelace,
+            10_000_000_000n - 10_000_000n - tx.body.fee
+        )
+    })
+
+    it("sorts the inputs", () => {
+        const otherUtxo = new TxInput(
+            TxOutputId.dummy(-1, 0),
+            new TxOutput(wallet1, new Value(10_000_000n))
+        )
+
+        const tx = new TxBuilder({ isMainnet: false })
+            .spend([otherUtxo, utxo])
+            .build({ changeAddress: wallet1, params })
+
+        strictEqual(tx.body.inputs[0].isEqual(utxo), true)
+        strictEqual(tx.body.inputs[1].isEqual(otherUtxo), true)
+    })
+
+    it("sets the metadata hash", () => {
+        const tx = new TxBuilder({ isMainnet: false })
+            .spend(utxo)
+            .setMetadataAttribute(674, { map: [["msg", { list: ["hello"] }]] })
+            .build({ changeAddress: wallet1, params })
+
+        deepEqual(tx.body.metadataHash, tx.metadata?.hash())
+    })
+
+    it("includes required signers and validity slots", () => {
+        const tx = new TxBuilder({ isMainnet: false })
+            .spend(utxo)
+            .addSigners(PubKeyHash.dummy(1), PubKeyHash.dummy(1))
+            .validFromSlot(100)
+            .validToSlot(200)
+            .build({ changeAddress: wallet1, params })
+
+        strictEqual(tx.body.signers.length, 1)
+        strictEqual(tx.body.firstValidSlot, 100)
+        strictEqual(tx.body.lastValidSlot, 200)
+    })
+
+    it("returns a tx that can be signed", () => {
+        const privateKey = Array.from({ length: 32 }, (_, i) => i)
+        const pubKey = new PubKey(Ed25519.derivePublicKey(privateKey))
+        const owner = makeAddressFromHashes(false, pubKey.toHash())
+
+        const tx = new TxBuilder({ isMainnet: false })
+            .spend(
+                new TxInput(
+                    TxOutputId.dummy(0, 1),
+                    new TxOutput(owner, new Value(10_000_000n))
+                )
+            )
+            .build({ changeAddress: owner, params })
+
+        strictEqual(tx.isValid(), false)
+
+        tx.addSignature(
+            new Signature(pubKey, Ed25519.sign(tx.id().bytes, privateKey))
+        )
+        tx.validateSignatures()
+
+        strictEqual(tx.isValid(), true)
+    })
+
+    it("fails if the inputs don't contain enough lovelace", () => {
+        throws(() =>
+            new TxBuilder({ isMainnet: false })
+                .spend(utxo)
+                .pay(wallet2, new Value(20_000_000_000n))
+                .build({ changeAddress: wallet1, params })
+        )
+    })
+
+    it("selects spare utxos if the inputs don't cover the outputs", () => {
+        const smallUtxo = new TxInput(
+            TxOutputId.dummy(0, 1),
+            new TxOutput(wallet1, new Value(2_000_000n))
+        )
+
+        const tx = new TxBuilder({ isMainnet: false })
+            .spend(smallUtxo)
+            .pay(wallet2, new Value(10_000_000n))
+            .build({ changeAddress: wallet1, params, spareUtxos: [utxo] })
+
+        strictEqual(tx.body.inputs.length, 2)
+        strictEqual(tx.body.inputs[0].isEqual(utxo), true)
+    })
+
+    it("doesn't select spare utxos if the inputs cover the outputs", () => {
+        const spareUtxo = new TxInput(
+            TxOutputId.dummy(0, 1),
+            new TxOutput(wallet1, new Value(2_000_000n))
+        )
+
+        const tx = new TxBuilder({ isMainnet: false })
+            .spend(utxo)
+            .pay(wallet2, new Value(10_000_000n))
+            .build({ changeAddress: wallet1, params, spareUtxos: [spareUtxo] })
+
+        strictEqual(tx.body.inputs.length, 1)
+    })
+
+    describe("scripts", () => {
+        const unit = new UplcConst(new UplcUnit())
+
+        // always succeed
+        const validator = new UplcProgramV2(
+            new UplcLambda(new UplcLambda(new UplcLambda(unit)))
+        )
+        const policy = new UplcProgramV2(new UplcLambda(new UplcLambda(unit)))
+        const mph = new MintingPolicyHash(policy.hash())
+
+        const datum = new IntData(42)
+
+        // sorted after `utxo`
+        const scriptUtxo = new TxInput(
+            TxOutputId.dummy(1, 0),
+            new TxOutput(
+                makeAddressFromHashes(
+                    false,
+                    new ValidatorHash(validator.hash())
+                ),
+                new Value(5_000_000n),
+                TxOutputDatum.Hash(datum)
+            )
+        )
+
+        const collateralUtxo = new TxInput(
+            TxOutputId.dummy(2, 0),
+            new TxOutput(wallet1, new Value(5_000_000n))
+        )
+
+        const build = () =>
+            new TxBuilder({ isMainnet: false })
+                .spend(scriptUtxo, new IntData(1))
+                .spend(utxo)
+                .mintPolicyTokens(mph, [["abcd", 1n]], new IntData(2))
+                .attachUplcProgram(validator, policy)
+                .build({
+                    changeAddress: wallet1,
+                    params,
+                    collateralUtxos: [collateralUtxo]
+                })
+
+        it("points the redeemers at the sorted inputs and minting policies", () => {
+            const tx = build()
+
+            strictEqual(tx.body.inputs[1].isEqual(scriptUtxo), true)
+            deepEqual(
+                tx.witnesses.redeemers.map((r) => [
+                    r.kind,
+                    r.index,
+                    r.data.toString()
+                ]),
+                [
+                    ["Minting", 0, "2"],
+                    ["Spending", 1, "1"]
+                ]
+            )
+            strictEqual(
+                tx.witnesses.redeemers.every((r) => r.cost.cpu > 0n),
+                true
+            )
+        })
+
+        it("evaluates the scripts against the final tx", () => {
+            /**
+             * @type {string[]}
+             */
+            const scriptContexts = []
+            const evalValidator = validator.eval
+
+            validator.eval = (/** @type {any} */ args, options) => {
+                scriptContexts.push(
+                    bytesToHex(args[args.length - 1].value.toCbor())
+                )
+
+                return evalValidator.call(validator, args, options)
+            }
+
+            try {
+                const id = build().id().toHex()
+
+                // by the last evaluation of the redeemers, and by the final validation
+                strictEqual(
+                    scriptContexts.filter((ctx) => ctx.includes(id)).length,
+                    2
+                )
+            } finally {
+                validator.eval = evalValidator
+            }
+        })
+
+        it("adds the datum and sets the script data hash of the evaluated redeemers", () => {
+            const tx = build()
+
+            deepEqual(tx.witnesses.datums, [datum])
+            strictEqual(
+                bytesToHex(tx.body.scriptDataHash ?? []),
+                bytesToHex(
+                    calcScriptDataHash(
+                        params,
+                        tx.witnesses.datums,
+                        tx.witnesses.redeemers
+                    )
+                )
+            )
+        })
+
+        it("selects the collateral", () => {
+            const tx = build()
+
+            strictEqual(tx.body.collateral.length, 1)
+            strictEqual(tx.body.collateral[0].isEqual(collateralUtxo), true)
+            strictEqual(
+                tx.body.totalCollateral,
+                5_000_000n - (tx.body.collateralReturn?.value.lovelace ?? 0n)
+            )
+        })
+    })
+
+    it("fails if the same utxo is spent twice", () => {
+        throws(() => new TxBuilder({ isMainnet: false }).spend([utxo, utxo]))
+    })
+})
@@ -66,6 +66,14 @@ export class TxId {
         return new TxId(decodeBytes(bytes))
     }
 
+    /**
+     * @param {string} json - hex
+     * @returns {TxId}
+     */
+    static fromJson(json) {
+        return new TxId(json)
+    }
+
     /**
      * @param {BytesLike} bytes
      * @returns {TxId}
@@ -105,6 +113,13 @@ export class TxId {
         return ByteArrayData.compare(this.bytes, other.bytes) == 0
     }
 
+    /**
+     * @returns {string}
+     */
+    toJson() {
+        return this.toHex()
+    }
+
     toHex() {
         return bytesToHex(this.bytes)
     }
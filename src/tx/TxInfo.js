@@ -1,3 +1,4 @@
+import { ProposalProcedure, VotingProcedures } from "../gov/index.js"
 import { PubKeyHash } from "../hashes/index.js"
 import { Assets } from "../money/index.js"
 import { TimeRange } from "../time/index.js"
@@ -15,6 +16,8 @@ import { StakingAddress } from "./StakingAddress.js"
 
 /**
  * Most fields are optional to make it easier to create dummy ScriptContexts for unit testing
+ *
+ * The governance fields are only used by the PlutusV3 ScriptContext
  * @typedef {{
  *   inputs: TxInput[]
  *   refInputs?: TxInput[]
@@ -28,5 +31,9 @@ import { StakingAddress } from "./StakingAddress.js"
  *   redeemers?: TxRedeemer[]
  *   datums?: UplcData[]
  *   id?: TxId
+ *   votingProcedures?: VotingProcedures
+ *   proposalProcedures?: ProposalProcedure[]
+ *   currentTreasuryValue?: IntLike
+ *   donation?: IntLike
  * }} TxInfo
  */
@@ -15,12 +15,21 @@ import { TxOutputId } from "./TxOutputId.js"
 
 /**
  * @import { BytesLike } from "@helios-lang/codec-utils"
- * @import { UplcData, UplcProgramV1I, UplcProgramV2I } from "@helios-lang/uplc"
+ * @import { UplcData, UplcProgramV1I, UplcProgramV2I, UplcProgramV3I } from "@helios-lang/uplc"
  * @import { Address } from "./ShelleyAddress.js"
+ * @typedef {import("./TxOutput.js").TxOutputJson} TxOutputJson
  * @typedef {import("./TxOutputDatum.js").TxOutputDatumKind} TxOutputDatumKind
  * @typedef {import("./TxOutputId.js").TxOutputIdLike} TxOutputIdLike
  */
 
+/**
+ * The output is only included if it is known (e.g. after `recover()`)
+ * @typedef {{
+ *   id: string
+ *   output?: TxOutputJson
+ * }} TxInputJson
+ */
+
 /**
  * @template TStrict
  * @template TPermissive
@@ -31,7 +40,7 @@ import { TxOutputId } from "./TxOutputId.js"
  * @template TDatum
  * @template TRedeemer
  * @typedef {{
- *   program: UplcProgramV1I | UplcProgramV2I
+ *   program: UplcProgramV1I | UplcProgramV2I | UplcProgramV3I
  *   datum: Cast<TDatum, any>
  *   redeemer: Cast<any, TRedeemer>
  * }} TxInputContext
@@ -91,6 +100,17 @@ export class TxInput {
         }
     }
 
+    /**
+     * @param {TxInputJson} json
+     * @returns {TxInput}
+     */
+    static fromJson(json) {
+        return new TxInput(
+            TxOutputId.fromJson(json.id),
+            json.output ? TxOutput.fromJson(json.output) : undefined
+        )
+    }
+
     /**
      * Full representation (as used in ScriptContext)
      * @param {boolean} isMainnet
@@ -289,6 +309,15 @@ export class TxInput {
         return other.id.isEqual(this.id)
     }
 
+    /**
+     * @returns {TxInputJson}
+     */
+    toJson() {
+        return this._output
+            ? { id: this.id.toJson(), output: this._output.toJson() }
+            : { id: this.id.toJson() }
+    }
+
     /**
      * Ledger format is without original output (so full = false)
      * full = true is however useful for complete deserialization of the TxInput (and then eg. using it in off-chain applications)
@@ -317,4 +346,15 @@ export class TxInput {
             throw new Error("TxInput original output not synced")
         }
     }
+
+    /**
+     * Full representation as used in the PlutusV3 ScriptContext
+     * @returns {ConstrData}
+     */
+    toUplcDataV3() {
+        return new ConstrData(0, [
+            this.id.toUplcDataV3(),
+            this.output.toUplcData()
+        ])
+    }
 }
@@ -1,5 +1,16 @@
-import { decodeInt, decodeMap, encodeInt, encodeMap } from "@helios-lang/cbor"
+import {
+    decodeInt,
+    decodeMap,
+    decodeTag,
+    decodeTuple,
+    encodeInt,
+    encodeMap,
+    isList,
+    isMap
+} from "@helios-lang/cbor"
+import { makeByteStream } from "@helios-lang/codec-utils"
 import { blake2b } from "@helios-lang/crypto"
+import { decodeRawItem, OriginalCbor } from "./raw.js"
 import { decodeMetadataAttr, encodeMetadataAttr } from "./TxMetadataAttr.js"
 
 /**
@@ -7,6 +18,11 @@ import { decodeMetadataAttr, encodeMetadataAttr } from "./TxMetadataAttr.js"
  * @typedef {import("./TxMetadataAttr.js").TxMetadataAttr} TxMetadataAttr
  */
 
+/**
+ * Tag of the auxiliary data format introduced in the Alonzo era
+ */
+const AUXILIARY_DATA_TAG = 259n
+
 export class TxMetadata {
     /**
      * @readonly
@@ -14,6 +30,13 @@ export class TxMetadata {
      */
     attributes
 
+    /**
+     * Set when decoding, so the original encoding (and thus the metadata hash) is preserved as long as the attributes aren't modified
+     * @private
+     * @type {OriginalCbor | undefined}
+     */
+    originalCbor
+
     /**
      * @param {{[key: number]: TxMetadataAttr}} attributes
      */
@@ -22,15 +45,28 @@ export class TxMetadata {
     }
 
     /**
-     * Decodes a TxMetadata instance from Cbor
+     * Decodes a TxMetadata instance from Cbor.
+     *
+     * All the formats of the auxiliary data are supported, the scripts they contain are ignored:
+     *   - Shelley: the metadata map
+     *   - Allegra and Mary: `[metadata, native scripts]`
+     *   - Alonzo and later: a map tagged with 259, in which the metadata is the entry with key 0
      * @param {BytesLike} bytes
      * @returns {TxMetadata}
      */
     static fromCbor(bytes) {
-        const attributes = Object.fromEntries(
-            decodeMap(bytes, (s) => Number(decodeInt(s)), decodeMetadataAttr)
+        const original = decodeRawItem(bytes)
+
+        const attributes = Object.fromEntries(decodeAuxiliaryData(original))
+
+        const metadata = new TxMetadata(attributes)
+
+        metadata.originalCbor = new OriginalCbor(
+            original,
+            metadata.encodeCbor()
         )
-        return new TxMetadata(attributes)
+
+        return metadata
     }
 
     /**
@@ -63,10 +99,22 @@ export class TxMetadata {
     }
 
     /**
-     * Sorts the keys before serializing
+     * Decoded metadata keeps its original encoding as long as it isn't modified.
+     * Once modified, it is encoded as a plain metadata map, so the scripts of the auxiliary data are lost.
      * @returns {number[]}
      */
     toCbor() {
+        const bytes = this.encodeCbor()
+
+        return this.originalCbor ? this.originalCbor.select(bytes) : bytes
+    }
+
+    /**
+     * Sorts the keys before serializing
+     * @private
+     * @returns {number[]}
+     */
+    encodeCbor() {
         return encodeMap(
             this.keys.map((key) => [
                 encodeInt(BigInt(key)),
@@ -75,3 +123,37 @@ export class TxMetadata {
         )
     }
 }
+
+/**
+ * @param {BytesLike} bytes
+ * @returns {[number, TxMetadataAttr][]}
+ */
+function decodeAuxiliaryData(bytes) {
+    const stream = makeByteStream({ bytes })
+
+    if (isMap(stream)) {
+        return decodeLabels(stream)
+    } else if (isList(stream)) {
+        const [labels] = decodeTuple(stream, [decodeLabels, decodeRawItem])
+
+        return labels
+    } else if (decodeTag(stream) == AUXILIARY_DATA_TAG) {
+        const entry = decodeMap(
+            stream,
+            (s) => Number(decodeInt(s)),
+            decodeRawItem
+        ).find(([key]) => key == 0)
+
+        return entry ? decodeLabels(entry[1]) : []
+    } else {
+        throw new Error("unrecognized auxiliary data format")
+    }
+}
+
+/**
+ * @param {BytesLike} bytes
+ * @returns {[number, TxMetadataAttr][]}
+ */
+function decodeLabels(bytes) {
+    return decodeMap(bytes, (s) => Number(decodeInt(s)), decodeMetadataAttr)
+}
@@ -0,0 +1,73 @@
+import { deepEqual, strictEqual, throws } from "node:assert"
+import { describe, it } from "node:test"
+import { bytesToHex, hexToBytes } from "@helios-lang/codec-utils"
+import { blake2b } from "@helios-lang/crypto"
+import { TxMetadata } from "./TxMetadata.js"
+
+describe(TxMetadata.name, () => {
+    // unsorted labels, an indefinite length list, a byte string, a negative int and an int above 2^53
+    const cborHex = "a20a9f012043010203ff011b0020000000000001"
+
+    it("decodes bytes, negative ints and bigints", () => {
+        const metadata = TxMetadata.fromCbor(cborHex)
+
+        deepEqual(metadata.attributes, {
+            1: 9007199254740993n,
+            10: { list: [1, -1, { bytes: [1, 2, 3] }] }
+        })
+    })
+
+    it("keeps the original encoding", () => {
+        const metadata = TxMetadata.fromCbor(cborHex)
+
+        strictEqual(bytesToHex(metadata.toCbor()), cborHex)
+        strictEqual(
+            bytesToHex(metadata.hash()),
+            bytesToHex(blake2b(hexToBytes(cborHex)))
+        )
+    })
+
+    it("decodes the auxiliary data formats with scripts and keeps their encoding", () => {
+        ;[
+            // Allegra and Mary: [metadata, native scripts]
+            "82a1010280",
+            // Alonzo and later: tag 259, with the metadata at key 0 and an empty list of native scripts at key 1
+            "d90103a200a101020180"
+        ].forEach((hex) => {
+            const metadata = TxMetadata.fromCbor(hex)
+
+            deepEqual(metadata.attributes, { 1: 2 })
+            strictEqual(bytesToHex(metadata.toCbor()), hex)
+            strictEqual(
+                bytesToHex(metadata.hash()),
+                bytesToHex(blake2b(hexToBytes(hex)))
+            )
+        })
+    })
+
+    it("re-encodes modified metadata", () => {
+        const metadata = TxMetadata.fromCbor(cborHex)
+
+        metadata.attributes[1] = -9007199254740993n
+
+        strictEqual(
+            bytesToHex(metadata.toCbor()),
+            "a2013b00200000000000000a83012043010203"
+        )
+    })
+
+    it("fails for integers that don't fit in 64 bits", () => {
+        strictEqual(
+            bytesToHex(new TxMetadata({ 1: 2n ** 64n - 1n }).toCbor()),
+            "a1011bffffffffffffffff"
+        )
+        strictEqual(
+            bytesToHex(new TxMetadata({ 1: -(2n ** 64n) }).toCbor()),
+            "a1013bffffffffffffffff"
+        )
+
+        throws(() => new TxMetadata({ 1: 2n ** 64n }).toCbor())
+        throws(() => new TxMetadata({ 1: -(2n ** 64n) - 1n }).toCbor())
+        throws(() => new TxMetadata({ 1: { list: [2n ** 70n] } }).toCbor())
+    })
+})
@@ -1,12 +1,15 @@
 import {
+    decodeBytes,
     decodeInt,
     decodeList,
     decodeMap,
     decodeString,
+    encodeBytes,
     encodeDefList,
     encodeInt,
     encodeMap,
     encodeString,
+    isBytes,
     isList,
     isMap,
     isString
@@ -18,14 +21,23 @@ import { makeByteStream } from "@helios-lang/codec-utils"
  */
 
 /**
- * TxMetadataAttr is a simple JSON schema object
- * @typedef {string | number | {
+ * TxMetadataAttr is a simple JSON schema object, byte strings are wrapped in an object with a single `bytes` field.
+ * Integers outside the safe range of `number` are decoded as bigints.
+ * @typedef {string | number | bigint | {
+ *   bytes: number[]
+ * } | {
  *   list: TxMetadataAttr[]
  * } | {
  *   map: [TxMetadataAttr, TxMetadataAttr][]
  * }} TxMetadataAttr
  */
 
+/**
+ * Metadata integers must fit in the CBOR int encoding (i.e. not require a bignum)
+ */
+const MIN_INT = -(2n ** 64n)
+const MAX_INT = 2n ** 64n - 1n
+
 /**
  * @param {BytesLike} bytes
  * @returns {TxMetadataAttr}
@@ -35,6 +47,8 @@ export function decodeMetadataAttr(bytes) {
 
     if (isString(stream)) {
         return decodeString(stream)
+    } else if (isBytes(stream)) {
+        return { bytes: decodeBytes(stream) }
     } else if (isList(stream)) {
         return { list: decodeList(stream, decodeMetadataAttr) }
     } else if (isMap(stream)) {
@@ -42,7 +56,12 @@ export function decodeMetadataAttr(bytes) {
             map: decodeMap(stream, decodeMetadataAttr, decodeMetadataAttr)
         }
     } else {
-        return Number(decodeInt(stream))
+        const i = decodeInt(stream)
+
+        return i >= BigInt(Number.MIN_SAFE_INTEGER) &&
+            i <= BigInt(Number.MAX_SAFE_INTEGER)
+            ? Number(i)
+            : i
     }
 }
 
@@ -58,7 +77,11 @@ export function encodeMetadataAttr(attr) {
             throw new Error("not a whole number")
         }
 
-        return encodeInt(attr)
+        return encodeMetadataInt(BigInt(attr))
+    } else if (typeof attr === "bigint") {
+        return encodeMetadataInt(attr)
+    } else if ("bytes" in attr) {
+        return encodeBytes(attr.bytes)
     } else if ("list" in attr) {
         return encodeDefList(attr.list.map((item) => encodeMetadataAttr(item)))
     } else if (
@@ -88,3 +111,17 @@ export function encodeMetadataAttr(attr) {
         throw new Error("invalid metadata schema")
     }
 }
+
+/**
+ * @param {bigint} i
+ * @returns {number[]}
+ */
+function encodeMetadataInt(i) {
+    if (i < MIN_INT || i > MAX_INT) {
+        throw new Error(
+            `metadata integer ${i} out of range (must be between -2^64 and 2^64-1)`
+        )
+    }
+
+    return encodeInt(i)
+}
@@ -18,24 +18,31 @@ import {
     ConstrData,
     encodeOptionData,
     UplcProgramV1,
-    UplcProgramV2
+    UplcProgramV2,
+    UplcProgramV3
 } from "@helios-lang/uplc"
 import { DatumHash } from "../hashes/index.js"
 import { Value } from "../money/index.js"
 import { NetworkParamsHelper } from "../params/index.js"
 import {
     convertUplcDataToAddress,
-    decodeShelleyAddress,
+    decodeAddress,
+    encodeAddress,
     makeAddress
 } from "./ShelleyAddress.js"
+import { plutusScriptFromJson, plutusScriptToJson } from "./json.js"
+import { decodeRawItem, OriginalCbor } from "./raw.js"
 import { TxOutputDatum } from "./TxOutputDatum.js"
 
 /**
  * @import { BytesLike } from "@helios-lang/codec-utils"
- * @import { UplcData, UplcProgramV1I, UplcProgramV2I } from "@helios-lang/uplc"
+ * @import { UplcData, UplcProgramV1I, UplcProgramV2I, UplcProgramV3I } from "@helios-lang/uplc"
  * @import { Address, ShelleyAddressLike } from "./ShelleyAddress.js"
  * @typedef {import("../money/index.js").ValueLike} ValueLike
  * @typedef {import("../params/index.js").NetworkParams} NetworkParams
+ * @typedef {import("../money/index.js").ValueJson} ValueJson
+ * @typedef {import("./json.js").PlutusScriptJson} PlutusScriptJson
+ * @typedef {import("./TxOutputDatum.js").TxOutputDatumJson} TxOutputDatumJson
  * @typedef {import("./TxOutputDatum.js").TxOutputDatumKind} TxOutputDatumKind
 
 /**
@@ -46,6 +53,17 @@ import { TxOutputDatum } from "./TxOutputDatum.js"
  * }} TxOutputEncodingConfig
  */
 
+/**
+ * `strictBabbage` is only included if false, so the encoding (and thus the tx id) is preserved
+ * @typedef {{
+ *   address: string
+ *   value: ValueJson
+ *   datum?: TxOutputDatumJson
+ *   refScript?: PlutusScriptJson
+ *   strictBabbage?: boolean
+ * }} TxOutputJson
+ */
+
 /**
  * @type {TxOutputEncodingConfig}
  */
@@ -78,7 +96,7 @@ export class TxOutput {
     datum
 
     /**
-     * @type {UplcProgramV1I | UplcProgramV2I | undefined}
+     * @type {UplcProgramV1I | UplcProgramV2I | UplcProgramV3I | undefined}
      */
     refScript
 
@@ -87,12 +105,19 @@ export class TxOutput {
      */
     encodingConfig
 
+    /**
+     * Set when decoding, so the original encoding can be reused as long as the output isn't modified
+     * @private
+     * @type {OriginalCbor | undefined}
+     */
+    originalCbor
+
     /**
      * Constructs a `TxOutput` instance using an `Address`, a `Value`, an optional `Datum`, and optional `UplcProgram` reference script.
      * @param {Address<CSpending, CStaking> | ShelleyAddressLike} address
      * @param {ValueLike} value
      * @param {TxOutputDatum | undefined} datum
-     * @param {UplcProgramV1I | UplcProgramV2I | undefined} refScript - plutus v2 script for now
+     * @param {UplcProgramV1I | UplcProgramV2I | UplcProgramV3I | undefined} refScript
      */
     constructor(
         address,
@@ -119,6 +144,20 @@ export class TxOutput {
      * @returns {TxOutput}
      */
     static fromCbor(bytes) {
+        const original = decodeRawItem(bytes)
+        const output = TxOutput.decodeCbor(original)
+
+        output.originalCbor = new OriginalCbor(original, output.encodeCbor())
+
+        return output
+    }
+
+    /**
+     * @private
+     * @param {number[]} bytes
+     * @returns {TxOutput}
+     */
+    static decodeCbor(bytes) {
         const stream = makeByteStream({ bytes })
 
         if (isObject(bytes)) {
@@ -128,7 +167,7 @@ export class TxOutput {
                 2: datum,
                 3: refScriptBytes
             } = decodeObjectIKey(stream, {
-                0: decodeShelleyAddress,
+                0: decodeAddress,
                 1: Value,
                 2: TxOutputDatum,
                 3: (stream) => {
@@ -145,7 +184,7 @@ export class TxOutput {
             }
 
             /**
-             * @type {UplcProgramV1I | UplcProgramV2I | undefined}
+             * @type {UplcProgramV1I | UplcProgramV2I | UplcProgramV3I | undefined}
              */
             const refScript = (() => {
                 if (refScriptBytes) {
@@ -159,6 +198,8 @@ export class TxOutput {
                             return decodeScript(UplcProgramV1)
                         case 2:
                             return decodeScript(UplcProgramV2)
+                        case 3:
+                            return decodeScript(UplcProgramV3)
                         default:
                             throw new Error(
                                 `unhandled scriptType ${scriptType}`
@@ -175,7 +216,7 @@ export class TxOutput {
         } else if (isTuple(bytes)) {
             const [address, value, datumHash] = decodeTuple(
                 bytes,
-                [decodeShelleyAddress, Value],
+                [decodeAddress, Value],
                 [DatumHash]
             )
 
@@ -189,6 +230,20 @@ export class TxOutput {
         }
     }
 
+    /**
+     * @param {TxOutputJson} json
+     * @returns {TxOutput}
+     */
+    static fromJson(json) {
+        return new TxOutput(
+            decodeAddress(json.address),
+            Value.fromJson(json.value),
+            json.datum ? TxOutputDatum.fromJson(json.datum) : undefined,
+            json.refScript ? plutusScriptFromJson(json.refScript) : undefined,
+            { strictBabbage: json.strictBabbage ?? true }
+        )
+    }
+
     /**
      * @param {boolean} isMainnet
      * @param {UplcData} data
@@ -280,9 +335,50 @@ export class TxOutput {
     }
 
     /**
+     * @returns {TxOutputJson}
+     */
+    toJson() {
+        /**
+         * @type {TxOutputJson}
+         */
+        const json = {
+            address:
+                this.address.era == "Byron"
+                    ? this.address.toBase58()
+                    : this.address.toJson(),
+            value: this.value.toJson()
+        }
+
+        if (this.datum) {
+            json.datum = this.datum.toJson()
+        }
+
+        if (this.refScript) {
+            json.refScript = plutusScriptToJson(this.refScript)
+        }
+
+        if (this.encodingConfig.strictBabbage === false) {
+            json.strictBabbage = false
+        }
+
+        return json
+    }
+
+    /**
+     * Decoded outputs keep their original encoding as long as they aren't modified
      * @returns {number[]}
      */
     toCbor() {
+        const bytes = this.encodeCbor()
+
+        return this.originalCbor ? this.originalCbor.select(bytes) : bytes
+    }
+
+    /**
+     * @private
+     * @returns {number[]}
+     */
+    encodeCbor() {
         if (
             (!this.datum || this.datum.isHash()) &&
             !this.refScript &&
@@ -291,7 +387,7 @@ export class TxOutput {
             // this is needed to match eternl wallet (de)serialization (annoyingly eternl deserializes the tx and then signs its own serialization)
             // hopefully cardano-cli signs whatever serialization we choose (so we use the eternl variant in order to be compatible with both)
 
-            const fields = [this.address.toCbor(), this.value.toCbor()]
+            const fields = [encodeAddress(this.address), this.value.toCbor()]
 
             if (this.datum && this.datum.isHash()) {
                 fields.push(this.datum.hash.toCbor())
@@ -304,7 +400,7 @@ export class TxOutput {
              */
             const object = new Map()
 
-            object.set(0, this.address.toCbor())
+            object.set(0, encodeAddress(this.address))
             object.set(1, this.value.toCbor())
 
             if (this.datum) {
@@ -338,7 +434,9 @@ export class TxOutput {
         const address = this.address
 
         if (address.era == "Byron") {
-            throw new Error("not yet implemented")
+            throw new Error(
+                "Byron addresses can't be used in the ScriptContext of a Plutus script"
+            )
         }
 
         return new ConstrData(0, [
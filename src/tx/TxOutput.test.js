@@ -0,0 +1,31 @@
+import { notStrictEqual, strictEqual } from "node:assert"
+import { describe, it } from "node:test"
+import { bytesToHex } from "@helios-lang/codec-utils"
+import { Value } from "../money/index.js"
+import { makeDummyAddress } from "./ShelleyAddress.js"
+import { TxOutput } from "./TxOutput.js"
+
+describe(TxOutput.name, () => {
+    const address = makeDummyAddress(false)
+
+    // non-canonical key order
+    const original = `a2011a001e848000${bytesToHex(address.toCbor())}`
+
+    it("keeps the original encoding when decoded", () => {
+        strictEqual(bytesToHex(TxOutput.fromCbor(original).toCbor()), original)
+    })
+
+    it("is re-encoded when modified", () => {
+        const output = TxOutput.fromCbor(original)
+
+        output.value = new Value(3_000_000n)
+
+        const encoded = bytesToHex(output.toCbor())
+
+        notStrictEqual(encoded, original)
+        strictEqual(
+            encoded,
+            bytesToHex(new TxOutput(address, new Value(3_000_000n)).toCbor())
+        )
+    })
+})
@@ -11,10 +11,12 @@ import { bytesToHex } from "@helios-lang/codec-utils"
 import { blake2b } from "@helios-lang/crypto"
 import { ConstrData, decodeUplcData } from "@helios-lang/uplc"
 import { DatumHash } from "../hashes/index.js"
+import { uplcDataFromJson, uplcDataToJson } from "./json.js"
 
 /**
  * @typedef {import("@helios-lang/codec-utils").BytesLike} BytesLike
  * @typedef {import("@helios-lang/uplc").UplcData} UplcData
+ * @typedef {import("./json.js").UplcDataJson} UplcDataJson
  */
 
 /**
@@ -36,6 +38,11 @@ import { DatumHash } from "../hashes/index.js"
  * @typedef {"Hash" | "Inline"} TxOutputDatumKind
  */
 
+/**
+ * The data of a hashed datum is only included if it is known
+ * @typedef {{hash: string, data?: UplcDataJson} | {inline: UplcDataJson}} TxOutputDatumJson
+ */
+
 /**
  * @template {TxOutputDatumKind} T
  * @typedef {T extends "Inline" ? {
@@ -174,6 +181,28 @@ export class TxOutputDatum {
         }
     }
 
+    /**
+     * @param {TxOutputDatumJson} json
+     * @returns {TxOutputDatum}
+     */
+    static fromJson(json) {
+        if ("inline" in json) {
+            return TxOutputDatum.Inline(uplcDataFromJson(json.inline))
+        } else if (json.data) {
+            const datum = TxOutputDatum.Hash(uplcDataFromJson(json.data))
+
+            if (datum.hash.toHex() != json.hash) {
+                throw new Error(
+                    `datum hash ${json.hash} doesn't match the hash of the datum data`
+                )
+            }
+
+            return datum
+        } else {
+            return TxOutputDatum.Hash(DatumHash.fromJson(json.hash))
+        }
+    }
+
     /**
      * @param {UplcData} data
      * @returns {TxOutputDatum | undefined}
@@ -310,6 +339,23 @@ export class TxOutputDatum {
         }
     }
 
+    /**
+     * @returns {TxOutputDatumJson}
+     */
+    toJson() {
+        if (this.isHash()) {
+            const data = this.props.data
+
+            return data
+                ? { hash: this.props.hash.toJson(), data: uplcDataToJson(data) }
+                : { hash: this.props.hash.toJson() }
+        } else if (this.isInline()) {
+            return { inline: uplcDataToJson(this.props.data) }
+        } else {
+            throw new Error(`unhandled TxOutputDatum kind ${this.kind}`)
+        }
+    }
+
     /**
      * Used by script context emulation
      * @returns {ConstrData}
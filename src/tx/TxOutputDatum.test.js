@@ -67,4 +67,35 @@ describe(TxOutputDatum.name, () => {
             })
         })
     })
+
+    describe("JSON", () => {
+        it("round-trips an inline datum with a large int", () => {
+            const data = new ConstrData(1, [
+                new IntData(-(2n ** 80n)),
+                new ByteArrayData(dummyBytes(4))
+            ])
+
+            const json = TxOutputDatum.Inline(data).toJson()
+
+            deepEqual(json, {
+                inline: {
+                    constructor: 1,
+                    fields: [
+                        { int: (-(2n ** 80n)).toString() },
+                        { bytes: "00000000" }
+                    ]
+                }
+            })
+            strictEqual(TxOutputDatum.fromJson(json).data.isEqual(data), true)
+        })
+
+        it("fails if the hash doesn't match the data", () => {
+            throws(() =>
+                TxOutputDatum.fromJson({
+                    hash: "00".repeat(32),
+                    data: { int: 0 }
+                })
+            )
+        })
+    })
 })
@@ -99,6 +99,14 @@ export class TxOutputId {
         return new TxOutputId(txId, utxoIdx)
     }
 
+    /**
+     * @param {string} json - `<txId>#<utxoIdx>`
+     * @returns {TxOutputId}
+     */
+    static fromJson(json) {
+        return TxOutputId.fromString(json)
+    }
+
     /**
      * @param {string} s
      * @returns {TxOutputId}
@@ -183,6 +191,13 @@ export class TxOutputId {
         return encodeTuple([this.txId.toCbor(), encodeInt(this.utxoIdx)])
     }
 
+    /**
+     * @returns {string}
+     */
+    toJson() {
+        return this.toString()
+    }
+
     /**
      * @returns {string}
      */
@@ -199,4 +214,15 @@ export class TxOutputId {
             new IntData(this.utxoIdx)
         ])
     }
+
+    /**
+     * In the PlutusV3 ScriptContext the tx id isn't wrapped in a ConstrData
+     * @returns {ConstrData}
+     */
+    toUplcDataV3() {
+        return new ConstrData(0, [
+            new ByteArrayData(this.txId.bytes),
+            new IntData(this.utxoIdx)
+        ])
+    }
 }
@@ -1,8 +1,14 @@
 import {
     decodeInt,
+    decodeList,
+    decodeMap,
     decodeTagged,
+    decodeTuple,
+    encodeDefList,
     encodeInt,
-    encodeTuple
+    encodeMap,
+    encodeTuple,
+    isMap
 } from "@helios-lang/cbor"
 import { bytesToHex, toInt } from "@helios-lang/codec-utils"
 import { expectDefined } from "@helios-lang/type-utils"
@@ -13,7 +19,10 @@ import {
     encodeCost
 } from "@helios-lang/uplc"
 import { NetworkParamsHelper } from "../params/NetworkParamsHelper.js"
+import { uplcDataFromJson, uplcDataToJson } from "./json.js"
+import { decodeRawItem } from "./raw.js"
 import { ScriptContextV2 } from "./ScriptContextV2.js"
+import { ScriptContextV3 } from "./ScriptContextV3.js"
 import { ScriptPurpose } from "./ScriptPurpose.js"
 import { Tx } from "./Tx.js"
 
@@ -24,14 +33,44 @@ import { Tx } from "./Tx.js"
  * @typedef {import("@helios-lang/uplc").Cost} Cost
  * @typedef {import("@helios-lang/uplc").UplcProgramV1I} UplcProgramV1I
  * @typedef {import("@helios-lang/uplc").UplcProgramV2I} UplcProgramV2I
+ * @typedef {import("@helios-lang/uplc").UplcProgramV3I} UplcProgramV3I
  * @typedef {import("../params/index.js").NetworkParams} NetworkParams
+ * @typedef {import("./json.js").UplcDataJson} UplcDataJson
  * @typedef {import("./TxInfo.js").TxInfo} TxInfo
  */
 
 /**
- * @typedef {"Minting" | "Spending" | "Rewarding" | "Certifying"} TxRedeemerKind
+ * `Voting` and `Proposing` redeemers are only supported by PlutusV3 scripts
+ * @typedef {"Minting" | "Spending" | "Rewarding" | "Certifying" | "Voting" | "Proposing"} TxRedeemerKind
  */
 
+/**
+ * The redeemers witness field is either a list of `[tag, index, data, exUnits]` tuples (the legacy encoding), or a map of `[tag, index]` to `[data, exUnits]` (supported since the Conway era)
+ * @typedef {"list" | "map"} TxRedeemersEncoding
+ */
+
+/**
+ * @typedef {{
+ *   kind: TxRedeemerKind
+ *   index: number
+ *   data: UplcDataJson
+ *   cost: {mem: string, cpu: string}
+ * }} TxRedeemerJson
+ */
+
+/**
+ * Tags used in the ledger encoding of redeemers (these differ from the on-chain ConstrData tags)
+ * @type {{[K in TxRedeemerKind]: number}}
+ */
+const LEDGER_TAGS = {
+    Spending: 0,
+    Minting: 1,
+    Certifying: 2,
+    Rewarding: 3,
+    Voting: 4,
+    Proposing: 5
+}
+
 /**
  * @template {TxRedeemerKind} T
  * @typedef {T extends "Spending" ? {
@@ -50,6 +89,14 @@ import { Tx } from "./Tx.js"
  *   dcertIndex: number
  *   data: UplcData
  *   cost: Cost
+ * } : T extends "Voting" ? {
+ *   voterIndex: number
+ *   data: UplcData
+ *   cost: Cost
+ * } : T extends "Proposing" ? {
+ *   proposalIndex: number
+ *   data: UplcData
+ *   cost: Cost
  * } : never} TxRedeemerProps
  */
 
@@ -162,45 +209,75 @@ export class TxRedeemer {
         })
     }
 
+    /**
+     * @param {IntLike} voterIndex - index in the voters of the voting procedures
+     * @param {UplcData} data
+     * @param {Cost} cost
+     * @returns {TxRedeemer<"Voting">}
+     */
+    static Voting(voterIndex, data, cost = { mem: 0n, cpu: 0n }) {
+        const index = toInt(voterIndex)
+
+        if (index < 0) {
+            throw new Error("negative TxRedeemer voter index not allowed")
+        }
+
+        return new TxRedeemer("Voting", {
+            voterIndex: index,
+            data,
+            cost
+        })
+    }
+
+    /**
+     * @param {IntLike} proposalIndex
+     * @param {UplcData} data
+     * @param {Cost} cost
+     * @returns {TxRedeemer<"Proposing">}
+     */
+    static Proposing(proposalIndex, data, cost = { mem: 0n, cpu: 0n }) {
+        const index = toInt(proposalIndex)
+
+        if (index < 0) {
+            throw new Error("negative TxRedeemer proposal index not allowed")
+        }
+
+        return new TxRedeemer("Proposing", {
+            proposalIndex: index,
+            data,
+            cost
+        })
+    }
+
     /**
      * @param {BytesLike} bytes
      * @returns {TxRedeemer}
      */
     static fromCbor(bytes) {
-        console.log("decoding redeemer")
         const [tag, decodeItem] = decodeTagged(bytes)
 
-        switch (tag) {
-            case 0: {
-                const inputIndex = decodeItem(decodeInt)
-                const data = decodeItem(decodeUplcData)
-                const cost = decodeItem(decodeCost)
+        const index = decodeItem(decodeInt)
+        const data = decodeItem(decodeData)
+        const cost = decodeItem(decodeCost)
 
-                return TxRedeemer.Spending(inputIndex, data, cost)
-            }
-            case 1: {
-                const policyIndex = decodeItem(decodeInt)
-                const data = decodeItem(decodeUplcData)
-                const cost = decodeItem(decodeCost)
+        return makeTxRedeemer(tag, index, data, cost)
+    }
 
-                return TxRedeemer.Minting(policyIndex, data, cost)
-            }
-            case 2:
-                const dcertIndex = decodeItem(decodeInt)
-                const data = decodeItem(decodeUplcData)
-                const cost = decodeItem(decodeCost)
-
-                return TxRedeemer.Certifying(dcertIndex, data, cost)
-            case 3: {
-                const withdrawalIndex = decodeItem(decodeInt)
-                const data = decodeItem(decodeUplcData)
-                const cost = decodeItem(decodeCost)
-
-                return TxRedeemer.Rewarding(withdrawalIndex, data, cost)
-            }
-            default:
-                throw new Error(`unhandled TxRedeemer tag ${tag}`)
+    /**
+     * @param {TxRedeemerJson} json
+     * @returns {TxRedeemer}
+     */
+    static fromJson(json) {
+        if (!(json.kind in LEDGER_TAGS)) {
+            throw new Error(`unhandled TxRedeemer kind ${json.kind}`)
         }
+
+        return makeTxRedeemer(
+            LEDGER_TAGS[json.kind],
+            json.index,
+            uplcDataFromJson(json.data),
+            { mem: BigInt(json.cost.mem), cpu: BigInt(json.cost.cpu) }
+        )
     }
 
     /**
@@ -218,6 +295,10 @@ export class TxRedeemer {
             return a.props.withdrawalIndex - b.props.withdrawalIndex
         } else if (a.isCertifying() && b.isCertifying()) {
             return a.props.dcertIndex - b.props.dcertIndex
+        } else if (a.isVoting() && b.isVoting()) {
+            return a.props.voterIndex - b.props.voterIndex
+        } else if (a.isProposing() && b.isProposing()) {
+            return a.props.proposalIndex - b.props.proposalIndex
         } else if (a.kind == b.kind) {
             throw new Error(`unhandled TxRedeemer kind ${a.kind}`)
         } else {
@@ -251,6 +332,10 @@ export class TxRedeemer {
             return this.props.withdrawalIndex
         } else if (this.isCertifying()) {
             return this.props.dcertIndex
+        } else if (this.isVoting()) {
+            return this.props.voterIndex
+        } else if (this.isProposing()) {
+            return this.props.proposalIndex
         } else {
             throw new Error(`unhandled TxRedeemer kind ${this.kind}`)
         }
@@ -269,6 +354,10 @@ export class TxRedeemer {
             return 2
         } else if (this.isCertifying()) {
             return 3
+        } else if (this.isVoting()) {
+            return 4
+        } else if (this.isProposing()) {
+            return 5
         } else {
             throw new Error(`unhandled TxRedeemer kind ${this.kind}`)
         }
@@ -335,6 +424,28 @@ export class TxRedeemer {
                     cpu: this.cost.cpu.toString()
                 }
             }
+        } else if (this.isVoting()) {
+            return {
+                redeemerType: "Voting",
+                voterIndex: this.props.voterIndex,
+                json: this.data.toSchemaJson(),
+                cbor: bytesToHex(this.data.toCbor()),
+                exUnits: {
+                    mem: this.cost.mem.toString(),
+                    cpu: this.cost.cpu.toString()
+                }
+            }
+        } else if (this.isProposing()) {
+            return {
+                redeemerType: "Proposing",
+                proposalIndex: this.props.proposalIndex,
+                json: this.data.toSchemaJson(),
+                cbor: bytesToHex(this.data.toCbor()),
+                exUnits: {
+                    mem: this.cost.mem.toString(),
+                    cpu: this.cost.cpu.toString()
+                }
+            }
         } else {
             throw new Error("unhandled TxRedeemer kind")
         }
@@ -344,13 +455,13 @@ export class TxRedeemer {
      * @typedef {Object} RedeemerDetailsWithoutArgs
      * @property {string} summary - a short label indicating the part of the txn unlocked by the redeemer
      * @property {string} description - a more complete specifier of the redeemer
-     * @property {UplcProgramV1I | UplcProgramV2I} script - the UplcProgram validating the redeemer
+     * @property {UplcProgramV1I | UplcProgramV2I | UplcProgramV3I} script - the UplcProgram validating the redeemer
      */
     /**
      * @typedef {Object} RedeemerDetailsWithArgs
      * @property {string} summary - a short label indicating the part of the txn unlocked by the redeemer
      * @property {string} description - a more complete specifier of the redeemer
-     * @property {UplcProgramV2I} script - the UplcProgram{V2, V3} validating the redeemer
+     * @property {UplcProgramV2I | UplcProgramV3I} script - the UplcProgram{V2, V3} validating the redeemer
      * @property {UplcDataValue[]} args - the arguments to the script, included if `txInfo` is provided
      */
     /**
@@ -358,6 +469,8 @@ export class TxRedeemer {
      * @remarks
      * With the optional `txInfo` argument, the
      * `args` for evaluating the redeemer are also included in the result.
+     *
+     * PlutusV3 scripts take a single `ScriptContextV3` argument, which contains the redeemer and the (optional) datum.
      * @overload
      * @param {Tx} tx
      * @returns {RedeemerDetailsWithoutArgs}
@@ -375,7 +488,7 @@ export class TxRedeemer {
      * @returns {{
      *   summary: string
      *   description: string
-     *   script: UplcProgramV1I | UplcProgramV2I
+     *   script: UplcProgramV1I | UplcProgramV2I | UplcProgramV3I
      *   args: UplcDataValue[] | undefined
      * }}
      */
@@ -383,49 +496,58 @@ export class TxRedeemer {
         if (this.isSpending()) {
             const utxo = expectDefined(tx.body.inputs[this.index])
 
-            const datumData = expectDefined(utxo.datum?.data)
+            const datumData = utxo.datum?.data
             const summary = `input @${this.index}`
             const address = utxo.address
 
             if (address.era == "Byron") {
-                throw new Error("Byron address not supported")
+                throw new Error(
+                    "Byron addresses can't be locked by a validator"
+                )
             }
 
+            const script = expectDefined(
+                tx.witnesses.findUplcProgram(
+                    expectDefined(address.validatorHash)
+                )
+            )
+
             return {
                 summary,
                 description: `spending tx.inputs[${this.index}] (from UTxO ${utxo.id.toString()})`,
-                script: expectDefined(
-                    tx.witnesses.findUplcProgram(
-                        expectDefined(address.validatorHash)
-                    )
-                ),
+                script,
                 args: !txInfo
                     ? undefined
-                    : [
-                          datumData,
-                          this.data,
-                          new ScriptContextV2(
-                              txInfo,
-                              ScriptPurpose.Spending(this, utxo.id)
-                          ).toUplcData()
-                      ].map((a) => new UplcDataValue(a))
+                    : script.plutusVersion == "PlutusScriptV3"
+                      ? this.makeArgsV3(
+                            txInfo,
+                            ScriptPurpose.Spending(this, utxo.id, datumData)
+                        )
+                      : [
+                            expectDefined(datumData),
+                            this.data,
+                            new ScriptContextV2(
+                                txInfo,
+                                ScriptPurpose.Spending(this, utxo.id)
+                            ).toUplcData()
+                        ].map((a) => new UplcDataValue(a))
             }
         } else if (this.isMinting()) {
             const mph = expectDefined(tx.body.minted.getPolicies()[this.index])
             const summary = `mint @${this.index}`
+            const script = expectDefined(tx.witnesses.findUplcProgram(mph))
+
             return {
                 summary,
                 description: `minting policy ${this.index} (${mph.toHex()})`,
-                script: expectDefined(tx.witnesses.findUplcProgram(mph)),
+                script,
                 args: !txInfo
                     ? undefined
-                    : [
-                          this.data,
-                          new ScriptContextV2(
-                              txInfo,
-                              ScriptPurpose.Minting(this, mph)
-                          ).toUplcData()
-                      ].map((a) => new UplcDataValue(a))
+                    : this.makeArgs(
+                          script,
+                          txInfo,
+                          ScriptPurpose.Minting(this, mph)
+                      )
             }
         } else if (this.isRewarding()) {
             const credential = expectDefined(
@@ -434,19 +556,19 @@ export class TxRedeemer {
             const stakingHash = credential.hash
             const svh = expectDefined(stakingHash.stakingValidatorHash)
             const summary = `rewards @${this.index}`
+            const script = expectDefined(tx.witnesses.findUplcProgram(svh))
+
             return {
                 summary,
                 description: `withdrawing ${summary} (${svh.toHex()})`,
-                script: expectDefined(tx.witnesses.findUplcProgram(svh)),
+                script,
                 args: !txInfo
                     ? undefined
-                    : [
-                          this.data,
-                          new ScriptContextV2(
-                              txInfo,
-                              ScriptPurpose.Rewarding(this, credential)
-                          ).toUplcData()
-                      ].map((a) => new UplcDataValue(a))
+                    : this.makeArgs(
+                          script,
+                          txInfo,
+                          ScriptPurpose.Rewarding(this, credential)
+                      )
             }
         } else if (this.isCertifying()) {
             const dcert = expectDefined(tx.body.dcerts[this.index])
@@ -454,26 +576,104 @@ export class TxRedeemer {
             const summary = `${dcert.kind} @${this.index}`
             const stakingHash = expectDefined(dcert.credential).hash
             const svh = expectDefined(stakingHash.stakingValidatorHash)
+            const script = expectDefined(tx.witnesses.findUplcProgram(svh))
 
             return {
                 summary,
                 description: `certifying ${summary}`,
-                script: expectDefined(tx.witnesses.findUplcProgram(svh)),
+                script,
                 args: !txInfo
                     ? undefined
-                    : [
-                          this.data,
-                          new ScriptContextV2(
-                              txInfo,
-                              ScriptPurpose.Certifying(this, dcert)
-                          ).toUplcData()
-                      ].map((a) => new UplcDataValue(a))
+                    : this.makeArgs(
+                          script,
+                          txInfo,
+                          ScriptPurpose.Certifying(this, dcert)
+                      )
+            }
+        } else if (this.isVoting()) {
+            const voter = expectDefined(
+                tx.body.votingProcedures.voters[this.index]
+            )
+
+            if (!(voter.isCommitteeHotScript() || voter.isDRepScript())) {
+                throw new Error(`voter ${this.index} isn't a script`)
+            }
+
+            const summary = `${voter.kind} @${this.index}`
+            const vh = voter.hash
+            const script = expectDefined(tx.witnesses.findUplcProgram(vh))
+
+            return {
+                summary,
+                description: `voting ${summary} (${vh.toHex()})`,
+                script,
+                args: !txInfo
+                    ? undefined
+                    : this.makeArgs(
+                          script,
+                          txInfo,
+                          ScriptPurpose.Voting(this, voter)
+                      )
+            }
+        } else if (this.isProposing()) {
+            const proposal = expectDefined(
+                tx.body.proposalProcedures[this.index]
+            )
+            const summary = `${proposal.action.kind} @${this.index}`
+            const ph = expectDefined(
+                proposal.action.policyHash,
+                `proposal ${this.index} doesn't have a guardrail script`
+            )
+            const script = expectDefined(tx.witnesses.findUplcProgram(ph))
+
+            return {
+                summary,
+                description: `proposing ${summary} (${ph.toHex()})`,
+                script,
+                args: !txInfo
+                    ? undefined
+                    : this.makeArgs(
+                          script,
+                          txInfo,
+                          ScriptPurpose.Proposing(this, proposal)
+                      )
             }
         } else {
             throw new Error("unhandled TxRedeemer kind")
         }
     }
 
+    /**
+     * Arguments of the non-spending validators
+     * @private
+     * @param {UplcProgramV1I | UplcProgramV2I | UplcProgramV3I} script
+     * @param {TxInfo} txInfo
+     * @param {ScriptPurpose} purpose
+     * @returns {UplcDataValue[]}
+     */
+    makeArgs(script, txInfo, purpose) {
+        if (script.plutusVersion == "PlutusScriptV3") {
+            return this.makeArgsV3(txInfo, purpose)
+        } else {
+            return [
+                this.data,
+                new ScriptContextV2(txInfo, purpose).toUplcData()
+            ].map((a) => new UplcDataValue(a))
+        }
+    }
+
+    /**
+     * @private
+     * @param {TxInfo} txInfo
+     * @param {ScriptPurpose} purpose
+     * @returns {UplcDataValue[]}
+     */
+    makeArgsV3(txInfo, purpose) {
+        return [
+            new UplcDataValue(new ScriptContextV3(txInfo, purpose).toUplcData())
+        ]
+    }
+
     /**
      * @returns {this is TxRedeemer<"Spending">}
      */
@@ -503,54 +703,134 @@ export class TxRedeemer {
     }
 
     /**
+     * @returns {this is TxRedeemer<"Voting">}
+     */
+    isVoting() {
+        return this.kind == "Voting"
+    }
+
+    /**
+     * @returns {this is TxRedeemer<"Proposing">}
+     */
+    isProposing() {
+        return this.kind == "Proposing"
+    }
+
+    /**
+     * Legacy encoding, as an item of the list of redeemers
      * @returns {number[]}
      */
     toCbor() {
-        /**
-         * tags:
-         *   0 -> spending
-         *   1 -> minting
-         *   2 -> certifying
-         *   3 -> rewarding
-         */
-        if (this.isSpending()) {
-            const props = this.props
+        return encodeTuple([
+            encodeInt(LEDGER_TAGS[this.kind]),
+            encodeInt(this.index),
+            this.data.toCbor(),
+            encodeCost(this.cost)
+        ])
+    }
 
-            return encodeTuple([
-                encodeInt(0),
-                encodeInt(props.inputIndex),
-                props.data.toCbor(),
-                encodeCost(props.cost)
-            ])
-        } else if (this.isMinting()) {
-            const props = this.props
+    /**
+     * @returns {TxRedeemerJson}
+     */
+    toJson() {
+        return {
+            kind: this.kind,
+            index: this.index,
+            data: uplcDataToJson(this.data),
+            cost: {
+                mem: this.cost.mem.toString(),
+                cpu: this.cost.cpu.toString()
+            }
+        }
+    }
 
-            return encodeTuple([
-                encodeInt(1),
-                encodeInt(props.policyIndex),
-                props.data.toCbor(),
-                encodeCost(props.cost)
-            ])
-        } else if (this.isRewarding()) {
-            const props = this.props
+    /**
+     * Returns a copy of the redeemer with a different execution budget.
+     * Used after evaluating the script, because the cost can only be calculated once the redeemer indices are known.
+     * @param {Cost} cost
+     * @returns {TxRedeemer<T>}
+     */
+    withCost(cost) {
+        return new TxRedeemer(this.kind, { ...this.props, cost })
+    }
+}
 
-            return encodeTuple([
-                encodeInt(3),
-                encodeInt(props.withdrawalIndex),
-                props.data.toCbor(),
-                encodeCost(props.cost)
-            ])
-        } else if (this.isCertifying()) {
-            const props = this.props
+/**
+ * Decodes the redeemers witness field, which can use either encoding
+ * @param {BytesLike} bytes
+ * @returns {[TxRedeemer[], TxRedeemersEncoding]}
+ */
+export function decodeTxRedeemers(bytes) {
+    if (isMap(bytes)) {
+        const entries = decodeMap(
+            bytes,
+            (s) => decodeTuple(s, [decodeInt, decodeInt]),
+            (s) => decodeTuple(s, [decodeData, decodeCost])
+        )
+
+        return [
+            entries.map(([[tag, index], [data, cost]]) =>
+                makeTxRedeemer(tag, index, data, cost)
+            ),
+            "map"
+        ]
+    } else {
+        return [decodeList(bytes, TxRedeemer), "list"]
+    }
+}
 
-            return encodeTuple([
-                encodeInt(2),
-                encodeInt(props.dcertIndex),
-                props.data.toCbor(),
-                encodeCost(props.cost)
+/**
+ * `decodeUplcData()` doesn't advance a stream created by a different version of `@helios-lang/codec-utils`, so the data is decoded from its raw bytes instead
+ * @param {BytesLike} bytes
+ * @returns {UplcData}
+ */
+function decodeData(bytes) {
+    return decodeUplcData(decodeRawItem(bytes))
+}
+
+/**
+ * @param {TxRedeemer[]} redeemers
+ * @param {TxRedeemersEncoding} encoding
+ * @returns {number[]}
+ */
+export function encodeTxRedeemers(redeemers, encoding) {
+    if (encoding == "map") {
+        return encodeMap(
+            redeemers.map((redeemer) => [
+                encodeTuple([
+                    encodeInt(LEDGER_TAGS[redeemer.kind]),
+                    encodeInt(redeemer.index)
+                ]),
+                encodeTuple([redeemer.data.toCbor(), encodeCost(redeemer.cost)])
             ])
-        } else {
-            throw new Error("unhandled TxRedeemer kind")
-        }
+        )
+    } else {
+        return encodeDefList(redeemers)
+    }
+}
+
+/**
+ * @param {IntLike} tag - ledger tag
+ * @param {IntLike} index
+ * @param {UplcData} data
+ * @param {Cost} cost
+ * @returns {TxRedeemer}
+ */
+function makeTxRedeemer(tag, index, data, cost) {
+    switch (toInt(tag)) {
+        case LEDGER_TAGS.Spending:
+            return TxRedeemer.Spending(index, data, cost)
+        case LEDGER_TAGS.Minting:
+            return TxRedeemer.Minting(index, data, cost)
+        case LEDGER_TAGS.Certifying:
+            return TxRedeemer.Certifying(index, data, cost)
+        case LEDGER_TAGS.Rewarding:
+            return TxRedeemer.Rewarding(index, data, cost)
+        case LEDGER_TAGS.Voting:
+            return TxRedeemer.Voting(index, data, cost)
+        case LEDGER_TAGS.Proposing:
+            return TxRedeemer.Proposing(index, data, cost)
+        default:
+            throw new Error(`unhandled TxRedeemer tag ${tag}`)
     }
 }
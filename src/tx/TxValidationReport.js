@@ -0,0 +1,160 @@
+/**
+ * @typedef {"error" | "warning"} TxValidationSeverity
+ */
+
+/**
+ * Identifies the check that produced an issue
+ * @typedef {"certifyingRedeemers"
+ *   | "collateral"
+ *   | "conservation"
+ *   | "dcerts"
+ *   | "fee"
+ *   | "inputsOrder"
+ *   | "metadata"
+ *   | "mintedOrder"
+ *   | "nativeScripts"
+ *   | "outputs"
+ *   | "redeemerExBudget"
+ *   | "refInputsOrder"
+ *   | "refScriptsSize"
+ *   | "scriptDataHash"
+ *   | "scripts"
+ *   | "scriptsPresent"
+ *   | "signatures"
+ *   | "size"
+ *   | "totalExBudget"
+ *   | "withdrawalsOrder"
+ * } TxValidationRule
+ */
+
+/**
+ * `index` points into the tx body field the rule is about (e.g. the outputs for the "outputs" rule)
+ * @typedef {{
+ *   rule: TxValidationRule
+ *   severity: TxValidationSeverity
+ *   message: string
+ *   index?: number
+ *   object?: any
+ * }} TxValidationIssue
+ */
+
+/**
+ * @typedef {{
+ *   index?: number
+ *   object?: any
+ * }} TxValidationIssueDetails
+ */
+
+/**
+ * Collects the issues found by the validation checks of a `Tx`.
+ *
+ * `Tx.validate()` uses a report that throws on the first error, `Tx.validateAll()` uses a report that collects every issue.
+ */
+export class TxValidationReport {
+    /**
+     * @readonly
+     * @type {TxValidationIssue[]}
+     */
+    issues
+
+    /**
+     * If true: errors are thrown immediately instead of being collected, and warnings are printed to the console
+     * @readonly
+     * @type {boolean}
+     */
+    throwOnError
+
+    /**
+     * @param {boolean} throwOnError
+     */
+    constructor(throwOnError = false) {
+        this.issues = []
+        this.throwOnError = throwOnError
+    }
+
+    /**
+     * @type {TxValidationIssue[]}
+     */
+    get errors() {
+        return this.issues.filter((issue) => issue.severity == "error")
+    }
+
+    /**
+     * True if no errors were found (warnings are ignored)
+     * @type {boolean}
+     */
+    get isValid() {
+        return this.errors.length == 0
+    }
+
+    /**
+     * @type {TxValidationIssue[]}
+     */
+    get warnings() {
+        return this.issues.filter((issue) => issue.severity == "warning")
+    }
+
+    /**
+     * Runs a check, and treats any error thrown by it as an error for the given rule.
+     * Allows the other checks to continue when a check fails unexpectedly (e.g. due to a missing script)
+     * @param {TxValidationRule} rule
+     * @param {() => void} callback
+     */
+    check(rule, callback) {
+        try {
+            callback()
+        } catch (e) {
+            this.error(rule, e instanceof Error ? e : String(e))
+        }
+    }
+
+    /**
+     * @returns {Object}
+     */
+    dump() {
+        return this.issues.map(({ rule, severity, message, index }) => ({
+            rule,
+            severity,
+            message,
+            index: index ?? null
+        }))
+    }
+
+    /**
+     * Throws `err` (or a new `Error` with the given message) if `throwOnError` is true, otherwise adds an error to the report
+     * @param {TxValidationRule} rule
+     * @param {string | Error} err
+     * @param {TxValidationIssueDetails} details
+     */
+    error(rule, err, details = {}) {
+        if (this.throwOnError) {
+            throw typeof err == "string" ? new Error(err) : err
+        }
+
+        this.issues.push({
+            rule,
+            severity: "error",
+            message: typeof err == "string" ? err : err.message,
+            ...details
+        })
+    }
+
+    /**
+     * Prints the message if `throwOnError` is true, otherwise adds a warning to the report
+     * @param {TxValidationRule} rule
+     * @param {string} message
+     * @param {TxValidationIssueDetails} details
+     */
+    warning(rule, message, details = {}) {
+        if (this.throwOnError) {
+            console.error(message)
+        } else {
+            this.issues.push({
+                rule,
+                severity: "warning",
+                message,
+                ...details
+            })
+        }
+    }
+}
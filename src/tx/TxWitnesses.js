@@ -1,5 +1,6 @@
 import {
-    decodeList,
+    decodeInt,
+    decodeMap,
     decodeObjectIKey,
     encodeDefList,
     encodeIndefList,
@@ -7,36 +8,79 @@ import {
 } from "@helios-lang/cbor"
 import { bytesToHex, equalsBytes } from "@helios-lang/codec-utils"
 import { blake2b } from "@helios-lang/crypto"
-import { decodeUplcData, UplcProgramV1, UplcProgramV2 } from "@helios-lang/uplc"
+import {
+    decodeUplcData,
+    UplcProgramV1,
+    UplcProgramV2,
+    UplcProgramV3
+} from "@helios-lang/uplc"
 import {
     MintingPolicyHash,
     StakingValidatorHash,
     ValidatorHash
 } from "../hashes/index.js"
 import { NativeScript } from "../native/index.js"
+import { BootstrapWitness } from "./BootstrapWitness.js"
+import {
+    plutusScriptFromJson,
+    plutusScriptToJson,
+    uplcDataFromJson,
+    uplcDataToJson
+} from "./json.js"
+import { decodeRawItem, OriginalCbor } from "./raw.js"
+import { decodeSet } from "./sets.js"
 import { Signature } from "./Signature.js"
-import { TxRedeemer } from "./TxRedeemer.js"
+import {
+    decodeTxRedeemers,
+    encodeTxRedeemers,
+    TxRedeemer
+} from "./TxRedeemer.js"
 
 /**
  * @typedef {import("@helios-lang/codec-utils").BytesLike} BytesLike
  * @typedef {import("@helios-lang/uplc").UplcData} UplcData
  * @typedef {import("@helios-lang/uplc").UplcProgramV1I} UplcProgramV1I
  * @typedef {import("@helios-lang/uplc").UplcProgramV2I} UplcProgramV2I
+ * @typedef {import("@helios-lang/uplc").UplcProgramV3I} UplcProgramV3I
  * @typedef {import("../params/index.js").NetworkParams} NetworkParams
+ * @typedef {import("./json.js").PlutusScriptJson} PlutusScriptJson
+ * @typedef {import("./json.js").UplcDataJson} UplcDataJson
+ * @typedef {import("./TxRedeemer.js").TxRedeemerJson} TxRedeemerJson
+ * @typedef {import("./TxRedeemer.js").TxRedeemersEncoding} TxRedeemersEncoding
  */
 
 /**
  * @typedef {{
  *   signatures: Signature[]
+ *   bootstrapWitnesses?: BootstrapWitness[]
  *   datums: UplcData[]
  *   redeemers: TxRedeemer[]
+ *   redeemersEncoding?: TxRedeemersEncoding
  *   nativeScripts: NativeScript[]
  *   v1Scripts: UplcProgramV1I[]
  *   v2Scripts: UplcProgramV2I[]
  *   v2RefScripts: UplcProgramV2I[]
+ *   v3Scripts?: UplcProgramV3I[]
+ *   v3RefScripts?: UplcProgramV3I[]
  * }} TxWitnessesProps
  */
 
+/**
+ * The native scripts use the JSON format of cardano-cli, the bootstrap witnesses are hex encoded CBOR.
+ * The reference scripts aren't included, they are recovered from the inputs and reference inputs (like when decoding from CBOR).
+ * Decoded witnesses also include their original CBOR encoding (`cbor`), so the unmodified fields keep their encoding after a round-trip (see `toCbor()`).
+ * @typedef {{
+ *   signatures: {pubKey: string, signature: string}[]
+ *   bootstrapWitnesses: string[]
+ *   datums: UplcDataJson[]
+ *   redeemers: TxRedeemerJson[]
+ *   redeemersEncoding: TxRedeemersEncoding
+ *   nativeScripts: object[]
+ *   scripts: PlutusScriptJson[]
+ *   cbor?: string
+ * }} TxWitnessesJson
+ */
+
 /**
  * Represents the pubkey signatures, and datums/redeemers/scripts that are witnessing a transaction.
  */
@@ -46,6 +90,13 @@ export class TxWitnesses {
      */
     signatures
 
+    /**
+     * Signatures for inputs at Byron addresses
+     * @readonly
+     * @type {BootstrapWitness[]}
+     */
+    bootstrapWitnesses
+
     /**
      * @readonly
      * @type {UplcData[]}
@@ -58,6 +109,13 @@ export class TxWitnesses {
      */
     redeemers
 
+    /**
+     * Defaults to "list", decoded witnesses keep the encoding they were decoded from.
+     * The script data hash must be calculated using the same encoding.
+     * @type {TxRedeemersEncoding}
+     */
+    redeemersEncoding
+
     /**
      * @readonly
      * @type {NativeScript[]}
@@ -82,26 +140,60 @@ export class TxWitnesses {
      */
     v2RefScripts
 
+    /**
+     * @readonly
+     * @type {UplcProgramV3I[]}
+     */
+    v3Scripts
+
+    /**
+     * @readonly
+     * @type {UplcProgramV3I[]}
+     */
+    v3RefScripts
+
+    /**
+     * Set when decoding
+     * @private
+     * @type {Map<number, OriginalCbor> | undefined}
+     */
+    originalFields
+
+    /**
+     * Set when decoding
+     * @private
+     * @type {OriginalCbor | undefined}
+     */
+    originalCbor
+
     /**
      *
      * @param {TxWitnessesProps} props
      */
     constructor({
         signatures,
+        bootstrapWitnesses,
         datums,
         redeemers,
+        redeemersEncoding,
         nativeScripts,
         v1Scripts,
         v2Scripts,
-        v2RefScripts
+        v2RefScripts,
+        v3Scripts,
+        v3RefScripts
     }) {
         this.signatures = signatures
+        this.bootstrapWitnesses = bootstrapWitnesses ?? []
         this.datums = datums
         this.redeemers = redeemers
+        this.redeemersEncoding = redeemersEncoding ?? "list"
         this.nativeScripts = nativeScripts
         this.v1Scripts = v1Scripts
         this.v2Scripts = v2Scripts
         this.v2RefScripts = v2RefScripts
+        this.v3Scripts = v3Scripts ?? []
+        this.v3RefScripts = v3RefScripts ?? []
     }
 
     /**
@@ -109,68 +201,126 @@ export class TxWitnesses {
      * @returns {TxWitnesses}
      */
     static fromCbor(bytes) {
+        const original = decodeRawItem(bytes)
+
         const {
             0: signatures,
             1: nativeScripts,
+            2: bootstrapWitnesses,
             3: v1Scripts,
             4: datums,
             5: redeemers,
-            6: v2Scripts
-        } = decodeObjectIKey(bytes, {
-            0: (s) => decodeList(s, (bytes) => {
-                const res = Signature.fromCbor(bytes)
-
-                console.log("done decoding Signature")
-                return res
-            }),
-            1: (s) => decodeList(s, (bytes) => {
-                console.log("decoding native script")
-                return NativeScript.fromCbor(bytes)
-            }),
-            3: (s) => decodeList(s, (bytes) => {
-                console.log("decoding uplcprogramv1")
-                return UplcProgramV1.fromCbor(bytes)
-            }),
-            4: (s) => decodeList(s, (bytes) => {
-                console.log("decoding UplcData (Datum)")
-                return decodeUplcData(bytes)
-            }),
-            5: (s) => decodeList(s, (bytes) => {
-                console.log("decoding TxRedeemer")
-                return TxRedeemer.fromCbor(bytes)
-            }),
-            6: (s) => decodeList(s, (bytes) => {
-                console.log("decoding UplcPRogramV2")
-                const res = UplcProgramV2.fromCbor(bytes)
-                console.log("done decoding UplcProgramV2")
-                console.log("After decoding UplcProgramV2: ", bytesToHex(bytes.peekRemaining()))
-                return res
-            })
+            6: v2Scripts,
+            7: v3Scripts
+        } = decodeObjectIKey(original, {
+            0: (s) => decodeSet(s, Signature),
+            1: (s) => decodeSet(s, NativeScript),
+            2: (s) => decodeSet(s, BootstrapWitness),
+            // @helios-lang/uplc doesn't advance a stream created by a different version of @helios-lang/codec-utils, so the scripts and the datums are decoded from their raw bytes
+            3: (s) =>
+                decodeSet(s, (bytes) =>
+                    UplcProgramV1.fromCbor(decodeRawItem(bytes))
+                ),
+            4: (s) =>
+                decodeSet(s, (bytes) => decodeUplcData(decodeRawItem(bytes))),
+            5: decodeTxRedeemers,
+            6: (s) =>
+                decodeSet(s, (bytes) =>
+                    UplcProgramV2.fromCbor(decodeRawItem(bytes))
+                ),
+            7: (s) =>
+                decodeSet(s, (bytes) =>
+                    UplcProgramV3.fromCbor(decodeRawItem(bytes))
+                )
         })
 
-        return new TxWitnesses({
+        const witnesses = new TxWitnesses({
             signatures: signatures ?? [],
+            bootstrapWitnesses: bootstrapWitnesses ?? [],
             nativeScripts: nativeScripts ?? [],
             v1Scripts: v1Scripts ?? [],
             datums: datums ?? [],
-            redeemers: redeemers ?? [],
+            redeemers: redeemers ? redeemers[0] : [],
+            redeemersEncoding: redeemers ? redeemers[1] : undefined,
             v2Scripts: v2Scripts ?? [],
-            v2RefScripts: []
+            v2RefScripts: [],
+            v3Scripts: v3Scripts ?? [],
+            v3RefScripts: []
         })
+
+        witnesses.keepOriginalCbor(original)
+
+        return witnesses
+    }
+
+    /**
+     * @param {TxWitnessesJson} json
+     * @returns {TxWitnesses}
+     */
+    static fromJson(json) {
+        const scripts = json.scripts.map(plutusScriptFromJson)
+
+        const witnesses = new TxWitnesses({
+            signatures: json.signatures.map(
+                ({ pubKey, signature }) => new Signature(pubKey, signature)
+            ),
+            bootstrapWitnesses: json.bootstrapWitnesses.map((w) =>
+                BootstrapWitness.fromCbor(w)
+            ),
+            datums: json.datums.map(uplcDataFromJson),
+            redeemers: json.redeemers.map(TxRedeemer.fromJson),
+            redeemersEncoding: json.redeemersEncoding,
+            nativeScripts: json.nativeScripts.map((script) =>
+                NativeScript.fromJson(script)
+            ),
+            v1Scripts: /** @type {UplcProgramV1I[]} */ (
+                scripts.filter((s) => s.plutusVersion == "PlutusScriptV1")
+            ),
+            v2Scripts: /** @type {UplcProgramV2I[]} */ (
+                scripts.filter((s) => s.plutusVersion == "PlutusScriptV2")
+            ),
+            v2RefScripts: [],
+            v3Scripts: /** @type {UplcProgramV3I[]} */ (
+                scripts.filter((s) => s.plutusVersion == "PlutusScriptV3")
+            ),
+            v3RefScripts: []
+        })
+
+        if (json.cbor) {
+            witnesses.keepOriginalCbor(decodeRawItem(json.cbor))
+        }
+
+        return witnesses
     }
 
     /**
      * Returns all the scripts, including the reference scripts
-     * @type {(NativeScript | UplcProgramV1I | UplcProgramV2I)[]}
+     * @type {(NativeScript | UplcProgramV1I | UplcProgramV2I | UplcProgramV3I)[]}
      */
     get allScripts() {
-        return /** @type {(NativeScript | UplcProgramV1I | UplcProgramV2I)[]} */ ([])
+        return /** @type {(NativeScript | UplcProgramV1I | UplcProgramV2I | UplcProgramV3I)[]} */ ([])
             .concat(this.v1Scripts)
             .concat(this.v2Scripts)
             .concat(this.v2RefScripts)
+            .concat(this.v3Scripts)
+            .concat(this.v3RefScripts)
             .concat(this.nativeScripts)
     }
 
+    /**
+     * Only adds the bootstrap witness if there isn't already one for the same pubkey
+     * @param {BootstrapWitness} witness
+     */
+    addBootstrapWitness(witness) {
+        if (
+            this.bootstrapWitnesses.every(
+                (w) => w.pubKey.toHex() != witness.pubKey.toHex()
+            )
+        ) {
+            this.bootstrapWitnesses.push(witness)
+        }
+    }
+
     /**
      * Used to calculate the correct min fee
      * @param {number} n - number of dummy signatures to add
@@ -215,7 +365,10 @@ export class TxWitnesses {
      * @returns {number}
      */
     countNonDummySignatures() {
-        return this.signatures.reduce((n, s) => (s.isDummy() ? n : n + 1), 0)
+        return this.signatures.reduce(
+            (n, s) => (s.isDummy() ? n : n + 1),
+            this.bootstrapWitnesses.length
+        )
     }
 
     /**
@@ -224,6 +377,7 @@ export class TxWitnesses {
     dump() {
         return {
             signatures: this.signatures.map((pkw) => pkw.dump()),
+            bootstrapWitnesses: this.bootstrapWitnesses.map((w) => w.dump()),
             datums: this.datums.map((datum) => datum.toString()),
             redeemers: this.redeemers.map((r) => r.dump()),
             nativeScripts: this.nativeScripts.map((script) => script.toJson()),
@@ -232,17 +386,31 @@ export class TxWitnesses {
             ),
             refScripts: this.v2RefScripts.map((script) =>
                 bytesToHex(script.toCbor())
+            ),
+            v3Scripts: this.v3Scripts.map((script) =>
+                bytesToHex(script.toCbor())
+            ),
+            v3RefScripts: this.v3RefScripts.map((script) =>
+                bytesToHex(script.toCbor())
             )
         }
     }
 
     /**
      * @param {number[] | MintingPolicyHash | ValidatorHash | StakingValidatorHash} hash
-     * @returns {UplcProgramV1I | UplcProgramV2I}
+     * @returns {UplcProgramV1I | UplcProgramV2I | UplcProgramV3I}
      */
     findUplcProgram(hash) {
         const bytes = Array.isArray(hash) ? hash : hash.bytes
 
+        const v3Script = this.v3Scripts
+            .concat(this.v3RefScripts)
+            .find((s) => equalsBytes(s.hash(), bytes))
+
+        if (v3Script) {
+            return v3Script
+        }
+
         const v2Script = this.v2Scripts
             .concat(this.v2RefScripts)
             .find((s) => equalsBytes(s.hash(), bytes))
@@ -282,16 +450,21 @@ export class TxWitnesses {
     }
 
     /**
-     * @param {(UplcProgramV1I | UplcProgramV2I)[]} refScriptsInRefInputs
+     * @param {(UplcProgramV1I | UplcProgramV2I | UplcProgramV3I)[]} refScriptsInRefInputs
      */
     recover(refScriptsInRefInputs) {
         refScriptsInRefInputs.forEach((refScript) => {
             const h = refScript.hash()
             if (
-                !this.v2RefScripts.some((prev) => equalsBytes(prev.hash(), h))
+                !this.v2RefScripts.some((prev) =>
+                    equalsBytes(prev.hash(), h)
+                ) &&
+                !this.v3RefScripts.some((prev) => equalsBytes(prev.hash(), h))
             ) {
                 if (refScript.plutusVersion == "PlutusScriptV1") {
                     throw new Error("UplcProgramV1 ref script not supported")
+                } else if (refScript.plutusVersion == "PlutusScriptV3") {
+                    this.v3RefScripts.push(refScript)
                 } else {
                     // TODO: do these scripts need to ordered?
                     this.v2RefScripts.push(refScript)
@@ -335,9 +508,102 @@ export class TxWitnesses {
     }
 
     /**
+     * @returns {TxWitnessesJson}
+     */
+    toJson() {
+        /**
+         * @type {TxWitnessesJson}
+         */
+        const json = {
+            signatures: this.signatures.map((signature) => ({
+                pubKey: signature.pubKey.toHex(),
+                signature: bytesToHex(signature.bytes)
+            })),
+            bootstrapWitnesses: this.bootstrapWitnesses.map((w) =>
+                bytesToHex(w.toCbor())
+            ),
+            datums: this.datums.map(uplcDataToJson),
+            redeemers: this.redeemers.map((redeemer) => redeemer.toJson()),
+            redeemersEncoding: this.redeemersEncoding,
+            nativeScripts: this.nativeScripts.map((script) => script.toJson()),
+            scripts:
+                /** @type {(UplcProgramV1I | UplcProgramV2I | UplcProgramV3I)[]} */ ([])
+                    .concat(this.v1Scripts)
+                    .concat(this.v2Scripts)
+                    .concat(this.v3Scripts)
+                    .map(plutusScriptToJson)
+        }
+
+        if (this.originalCbor) {
+            json.cbor = bytesToHex(this.originalCbor.bytes)
+        }
+
+        return json
+    }
+
+    /**
+     * Decoded witnesses keep the original encoding of unmodified fields, so the script data hash doesn't change
      * @returns {number[]}
      */
     toCbor() {
+        const bytes = this.encodeCbor()
+
+        return this.originalCbor ? this.originalCbor.select(bytes) : bytes
+    }
+
+    /**
+     * Encoding of the datums field as used in the script data hash, undefined if there are no datums
+     * @returns {number[] | undefined}
+     */
+    encodeDatums() {
+        return this.encodeFields().get(4)
+    }
+
+    /**
+     * Encoding of the redeemers field as used in the script data hash (an empty list or map if there are no redeemers)
+     * @returns {number[]}
+     */
+    encodeRedeemers() {
+        return (
+            this.encodeFields().get(5) ??
+            encodeTxRedeemers([], this.redeemersEncoding)
+        )
+    }
+
+    /**
+     * @private
+     * @returns {number[]}
+     */
+    encodeCbor() {
+        return encodeObjectIKey(this.encodeFields())
+    }
+
+    /**
+     * The original encoding of the whole witness set, and of each field, is reused as long as the fields encode to the same bytes as now
+     * @private
+     * @param {number[]} original - encoding of the same witnesses
+     */
+    keepOriginalCbor(original) {
+        const fields = this.encodeFields()
+
+        this.originalFields = new Map(
+            decodeMap(original, (s) => Number(decodeInt(s)), decodeRawItem).map(
+                ([key, fieldBytes]) => [
+                    key,
+                    new OriginalCbor(fieldBytes, fields.get(key) ?? [])
+                ]
+            )
+        )
+
+        this.originalCbor = new OriginalCbor(original, this.encodeCbor())
+    }
+
+    /**
+     * Reuses the original bytes of unmodified fields
+     * @private
+     * @returns {Map<number, number[]>}
+     */
+    encodeFields() {
         /**
          * @type {Map<number, number[]>}
          */
@@ -351,6 +617,10 @@ export class TxWitnesses {
             m.set(1, encodeDefList(this.nativeScripts))
         }
 
+        if (this.bootstrapWitnesses.length > 0) {
+            m.set(2, encodeDefList(this.bootstrapWitnesses))
+        }
+
         if (this.v1Scripts.length > 0) {
             m.set(3, encodeDefList(this.v1Scripts))
         }
@@ -360,7 +630,7 @@ export class TxWitnesses {
         }
 
         if (this.redeemers.length > 0) {
-            m.set(5, encodeDefList(this.redeemers))
+            m.set(5, encodeTxRedeemers(this.redeemers, this.redeemersEncoding))
         }
 
         if (this.v2Scripts.length > 0) {
@@ -372,7 +642,23 @@ export class TxWitnesses {
             m.set(6, encodeDefList(scriptBytes))
         }
 
-        return encodeObjectIKey(m)
+        if (this.v3Scripts.length > 0) {
+            m.set(7, encodeDefList(this.v3Scripts.map((s) => s.toCbor())))
+        }
+
+        const originalFields = this.originalFields
+
+        if (originalFields) {
+            m.forEach((bytes, key) => {
+                const original = originalFields.get(key)
+
+                if (original) {
+                    m.set(key, original.select(bytes))
+                }
+            })
+        }
+
+        return m
     }
 
     /**
@@ -383,5 +669,9 @@ export class TxWitnesses {
         for (let signature of this.signatures) {
             signature.verify(blake2b(bodyBytes))
         }
+
+        for (let witness of this.bootstrapWitnesses) {
+            witness.verify(blake2b(bodyBytes))
+        }
     }
 }
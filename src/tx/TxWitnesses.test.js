@@ -1,8 +1,58 @@
-import { describe, it } from "node:test";
-import { TxWitnesses } from "./TxWitnesses.js";
+import { strictEqual } from "node:assert"
+import { describe, it } from "node:test"
+import { bytesToHex } from "@helios-lang/codec-utils"
+import { TxWitnesses } from "./TxWitnesses.js"
 
 describe("TxWitnessed", () => {
     it("correctly deserializes CBOR", () => {
-        TxWitnesses.fromCbor("a30081825820a0e006bbd52e9db2dcd904e90c335212d2968fcae92ee9dd01204543c314359b58409b4267e7691d160414f774f82942f08bbc3c64a19259a09b92350fe11ced5f73b64d99aa05f70cb68c730dc0d6ae718f739e5c2932eb843f2a9dcd69ff3c160c068147460100002249810581840100182a821903201a0002754c")
+        TxWitnesses.fromCbor(
+            "a30081825820a0e006bbd52e9db2dcd904e90c335212d2968fcae92ee9dd01204543c314359b58409b4267e7691d160414f774f82942f08bbc3c64a19259a09b92350fe11ced5f73b64d99aa05f70cb68c730dc0d6ae718f739e5c2932eb843f2a9dcd69ff3c160c068147460100002249810581840100182a821903201a0002754c"
+        )
     })
-})
\ No newline at end of file
+
+    it("keeps the original encoding of the datums", () => {
+        // datums in a tagged set, instead of an indefinite list
+        const witnesses = TxWitnesses.fromCbor("a104d901028101")
+
+        strictEqual(bytesToHex(witnesses.toCbor()), "a104d901028101")
+        strictEqual(bytesToHex(witnesses.encodeDatums() ?? []), "d901028101")
+    })
+
+    describe("redeemers encoding", () => {
+        const listRedeemers = "81840100182a821903201a0002754c"
+        const mapRedeemers = "a182010082182a821903201a0002754c"
+
+        it("decodes redeemers encoded as a map", () => {
+            const witnesses = TxWitnesses.fromCbor(`a105${mapRedeemers}`)
+
+            strictEqual(witnesses.redeemersEncoding, "map")
+            strictEqual(witnesses.redeemers[0].isMinting(), true)
+            strictEqual(witnesses.redeemers[0].index, 0)
+            strictEqual(bytesToHex(witnesses.toCbor()), `a105${mapRedeemers}`)
+        })
+
+        it("decodes redeemers encoded as a list", () => {
+            const witnesses = TxWitnesses.fromCbor(`a105${listRedeemers}`)
+
+            strictEqual(witnesses.redeemersEncoding, "list")
+            strictEqual(bytesToHex(witnesses.encodeRedeemers()), listRedeemers)
+        })
+
+        it("re-encodes the redeemers using the chosen encoding", () => {
+            const witnesses = TxWitnesses.fromCbor(`a105${listRedeemers}`)
+
+            witnesses.redeemersEncoding = "map"
+
+            strictEqual(bytesToHex(witnesses.encodeRedeemers()), mapRedeemers)
+            strictEqual(bytesToHex(witnesses.toCbor()), `a105${mapRedeemers}`)
+        })
+
+        it("encodes missing redeemers as an empty map", () => {
+            const witnesses = TxWitnesses.fromCbor("a104d901028101")
+
+            witnesses.redeemersEncoding = "map"
+
+            strictEqual(bytesToHex(witnesses.encodeRedeemers()), "a0")
+        })
+    })
+})
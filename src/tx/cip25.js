@@ -0,0 +1,428 @@
+import {
+    bytesToHex,
+    decodeUtf8,
+    encodeUtf8,
+    isValidUtf8,
+    toBytes
+} from "@helios-lang/codec-utils"
+import { MintingPolicyHash } from "../hashes/index.js"
+import { TxMetadata } from "./TxMetadata.js"
+
+/**
+ * @typedef {import("@helios-lang/codec-utils").BytesLike} BytesLike
+ * @typedef {import("../hashes/index.js").MintingPolicyHashLike} MintingPolicyHashLike
+ * @typedef {import("../money/index.js").Assets} Assets
+ * @typedef {import("./TxMetadataAttr.js").TxMetadataAttr} TxMetadataAttr
+ */
+
+/**
+ * @typedef {{
+ *   name?: string
+ *   mediaType: string
+ *   src: string
+ *   [key: string]: unknown
+ * }} Cip25File
+ */
+
+/**
+ * `name` and `image` are required. The other properties can be any JSON-like value (strings, integers or bigints, arrays and objects).
+ * @typedef {{
+ *   name: string
+ *   image: string
+ *   mediaType?: string
+ *   description?: string
+ *   files?: Cip25File[]
+ *   [key: string]: unknown
+ * }} Cip25AssetMetadata
+ */
+
+/**
+ * @typedef {{
+ *   policy: MintingPolicyHashLike
+ *   tokenName: BytesLike
+ *   metadata: Cip25AssetMetadata
+ * }} Cip25AssetLike
+ */
+
+/**
+ * @typedef {{
+ *   policy: MintingPolicyHash
+ *   tokenName: number[]
+ *   metadata: Cip25AssetMetadata
+ * }} Cip25Asset
+ */
+
+/**
+ * @typedef {1 | 2} Cip25Version
+ */
+
+/**
+ * Metadata label of CIP-25 NFT metadata
+ */
+export const CIP25_LABEL = 721
+
+/**
+ * Max number of bytes of a metadata string
+ */
+const MAX_STRING_LENGTH = 64
+
+/**
+ * Creates the label 721 metadata of the given assets.
+ *
+ * Strings longer than 64 bytes are split into lists of strings.
+ *
+ * In version 1 the policy ids are hex strings and the token names are UTF-8 strings.
+ * In version 2 both are bytes, so token names that aren't valid UTF-8 are only supported by version 2.
+ *
+ * Use `TxBuilder.setMetadataAttribute(CIP25_LABEL, metadata.attributes[CIP25_LABEL])` to add the result to a tx.
+ * @param {Cip25AssetLike[]} assets
+ * @param {Cip25Version} version
+ * @returns {TxMetadata}
+ */
+export function makeCip25Metadata(assets, version = 1) {
+    /**
+     * @type {Map<string, [TxMetadataAttr, TxMetadataAttr][]>}
+     */
+    const policies = new Map()
+
+    assets.forEach(({ policy, tokenName, metadata }) => {
+        const mph = MintingPolicyHash.new(policy)
+        const tokenNameBytes = toBytes(tokenName)
+        const id = `${mph.toHex()}.${bytesToHex(tokenNameBytes)}`
+
+        assertRequiredFields(metadata, id)
+
+        const tokens = policies.get(mph.toHex()) ?? []
+
+        if (
+            tokens.some(([key]) =>
+                version == 1
+                    ? key == decodeUtf8(tokenNameBytes)
+                    : typeof key == "object" &&
+                      "bytes" in key &&
+                      bytesToHex(key.bytes) == bytesToHex(tokenNameBytes)
+            )
+        ) {
+            throw new Error(`duplicate CIP-25 metadata for ${id}`)
+        }
+
+        tokens.push([
+            version == 1
+                ? encodeTokenNameV1(tokenNameBytes, id)
+                : { bytes: tokenNameBytes },
+            encodeValue(metadata, id)
+        ])
+
+        policies.set(mph.toHex(), tokens)
+    })
+
+    /**
+     * @type {[TxMetadataAttr, TxMetadataAttr][]}
+     */
+    const pairs = Array.from(policies.entries()).map(([policy, tokens]) => [
+        version == 1 ? policy : { bytes: toBytes(policy) },
+        { map: tokens }
+    ])
+
+    if (version == 2) {
+        pairs.push(["version", 2])
+    }
+
+    return new TxMetadata({ [CIP25_LABEL]: { map: pairs } })
+}
+
+/**
+ * Parses the label 721 metadata.
+ *
+ * The lists of strings of the `name`, `image`, `description` and file `src` fields are joined.
+ *
+ * Throws an error if the metadata doesn't follow CIP-25 (e.g. if `name` or `image` is missing), or if an asset isn't minted by the tx (if `minted` is given, e.g. `tx.body.minted`).
+ * @param {TxMetadata} metadata
+ * @param {Assets | undefined} minted
+ * @returns {{version: Cip25Version, assets: Cip25Asset[]}}
+ */
+export function parseCip25Metadata(metadata, minted = undefined) {
+    const attr = metadata.attributes[CIP25_LABEL]
+
+    if (attr === undefined) {
+        throw new Error(`metadata label ${CIP25_LABEL} not found`)
+    }
+
+    const pairs = expectMap(attr, `metadata label ${CIP25_LABEL}`)
+
+    const versionPair = pairs.find(([key]) => key == "version")
+    const version = versionPair ? decodeVersion(versionPair[1]) : 1
+
+    /**
+     * @type {Cip25Asset[]}
+     */
+    const assets = []
+
+    pairs.forEach(([policyKey, tokens]) => {
+        if (policyKey == "version") {
+            return
+        }
+
+        const mph = new MintingPolicyHash(
+            decodeKey(policyKey, version, "policy id")
+        )
+
+        expectMap(tokens, `CIP-25 policy ${mph.toHex()}`).forEach(
+            ([tokenKey, value]) => {
+                const tokenName = decodeKey(tokenKey, version, "token name")
+                const id = `${mph.toHex()}.${bytesToHex(tokenName)}`
+
+                const assetMetadata = joinStrings(decodeValue(value), id)
+
+                assertRequiredFields(assetMetadata, id)
+
+                if (minted && minted.getQuantity(mph, tokenName) <= 0n) {
+                    throw new Error(
+                        `${id} has CIP-25 metadata but isn't minted`
+                    )
+                }
+
+                assets.push({ policy: mph, tokenName, metadata: assetMetadata })
+            }
+        )
+    })
+
+    return { version, assets }
+}
+
+/**
+ * @param {any} metadata
+ * @param {string} id
+ * @returns {asserts metadata is Cip25AssetMetadata}
+ */
+function assertRequiredFields(metadata, id) {
+    if (typeof metadata != "object" || Array.isArray(metadata)) {
+        throw new Error(`expected an object for the CIP-25 metadata of ${id}`)
+    }
+
+    if (typeof metadata.name != "string") {
+        throw new Error(`CIP-25 metadata of ${id} is missing the name`)
+    }
+
+    if (typeof metadata.image != "string") {
+        throw new Error(`CIP-25 metadata of ${id} is missing the image`)
+    }
+
+    if (metadata.files !== undefined) {
+        if (!Array.isArray(metadata.files)) {
+            throw new Error(
+                `expected a list of files in the CIP-25 metadata of ${id}`
+            )
+        }
+
+        metadata.files.forEach((file) => {
+            if (
+                typeof file?.mediaType != "string" ||
+                typeof file?.src != "string"
+            ) {
+                throw new Error(
+                    `files in the CIP-25 metadata of ${id} must have a mediaType and a src`
+                )
+            }
+        })
+    }
+}
+
+/**
+ * @param {number[]} tokenName
+ * @param {string} id
+ * @returns {string}
+ */
+function encodeTokenNameV1(tokenName, id) {
+    if (!isValidUtf8(tokenName)) {
+        throw new Error(
+            `token name of ${id} isn't valid UTF-8, use CIP-25 version 2 instead`
+        )
+    }
+
+    return decodeUtf8(tokenName)
+}
+
+/**
+ * @param {unknown} value
+ * @param {string} path - for error messages
+ * @returns {TxMetadataAttr}
+ */
+function encodeValue(value, path) {
+    if (typeof value == "string") {
+        const parts = splitString(value)
+
+        return parts.length == 1 ? parts[0] : { list: parts }
+    } else if (typeof value == "number") {
+        if (!Number.isSafeInteger(value)) {
+            throw new Error(`expected an integer at ${path}, got ${value}`)
+        }
+
+        return value
+    } else if (typeof value == "bigint") {
+        return value
+    } else if (Array.isArray(value)) {
+        return {
+            list: value.map((item, i) => encodeValue(item, `${path}[${i}]`))
+        }
+    } else if (value !== null && typeof value == "object") {
+        return {
+            map: Object.entries(value).map(([key, item]) => {
+                if (encodeUtf8(key).length > MAX_STRING_LENGTH) {
+                    throw new Error(
+                        `key '${key}' at ${path} is longer than ${MAX_STRING_LENGTH} bytes`
+                    )
+                }
+
+                return [key, encodeValue(item, `${path}.${key}`)]
+            })
+        }
+    } else {
+        throw new Error(`unsupported CIP-25 metadata value at ${path}`)
+    }
+}
+
+/**
+ * Splits at character boundaries, so each part is valid UTF-8 on its own
+ * @param {string} str
+ * @returns {string[]}
+ */
+function splitString(str) {
+    /**
+     * @type {string[]}
+     */
+    const parts = [""]
+
+    for (let c of str) {
+        const last = parts[parts.length - 1]
+
+        if (encodeUtf8(last + c).length > MAX_STRING_LENGTH) {
+            parts.push(c)
+        } else {
+            parts[parts.length - 1] = last + c
+        }
+    }
+
+    return parts
+}
+
+/**
+ * Byte strings are converted to hexadecimal strings
+ * @param {TxMetadataAttr} attr
+ * @returns {unknown}
+ */
+function decodeValue(attr) {
+    if (
+        typeof attr == "string" ||
+        typeof attr == "number" ||
+        typeof attr == "bigint"
+    ) {
+        return attr
+    } else if ("bytes" in attr) {
+        return bytesToHex(attr.bytes)
+    } else if ("list" in attr) {
+        return attr.list.map(decodeValue)
+    } else {
+        return Object.fromEntries(
+            attr.map.map(([key, value]) => [
+                typeof key == "object" && "bytes" in key
+                    ? bytesToHex(key.bytes)
+                    : key.toString(),
+                decodeValue(value)
+            ])
+        )
+    }
+}
+
+/**
+ * Joins the fields that CIP-25 allows to be split into lists of strings
+ * @param {any} metadata
+ * @param {string} id
+ * @returns {any}
+ */
+function joinStrings(metadata, id) {
+    /**
+     * @param {any} value
+     * @param {string} path
+     * @returns {any}
+     */
+    const join = (value, path) => {
+        if (Array.isArray(value)) {
+            if (!value.every((part) => typeof part == "string")) {
+                throw new Error(`expected a list of strings at ${path}`)
+            }
+
+            return value.join("")
+        } else {
+            return value
+        }
+    }
+
+    if (typeof metadata != "object" || Array.isArray(metadata)) {
+        return metadata
+    }
+
+    const result = { ...metadata }
+
+    ;["name", "image", "description"].forEach((key) => {
+        if (key in result) {
+            result[key] = join(result[key], `${id}.${key}`)
+        }
+    })
+
+    if (Array.isArray(result.files)) {
+        result.files = result.files.map(
+            (/** @type {any} */ file, /** @type {number} */ i) =>
+                typeof file == "object" && file !== null && "src" in file
+                    ? { ...file, src: join(file.src, `${id}.files[${i}].src`) }
+                    : file
+        )
+    }
+
+    return result
+}
+
+/**
+ * @param {TxMetadataAttr} key
+ * @param {Cip25Version} version
+ * @param {string} what
+ * @returns {number[]}
+ */
+function decodeKey(key, version, what) {
+    if (version == 1 && typeof key == "string") {
+        return what == "policy id" ? toBytes(key) : encodeUtf8(key)
+    } else if (version == 2 && typeof key == "object" && "bytes" in key) {
+        return key.bytes
+    } else {
+        throw new Error(
+            `expected ${version == 1 ? "a string" : "bytes"} for CIP-25 version ${version} ${what}`
+        )
+    }
+}
+
+/**
+ * @param {TxMetadataAttr} attr
+ * @returns {Cip25Version}
+ */
+function decodeVersion(attr) {
+    if (attr == 1 || attr == "1.0") {
+        return 1
+    } else if (attr == 2 || attr == "2.0") {
+        return 2
+    } else {
+        throw new Error(`unsupported CIP-25 version ${JSON.stringify(attr)}`)
+    }
+}
+
+/**
+ * @param {TxMetadataAttr} attr
+ * @param {string} what
+ * @returns {[TxMetadataAttr, TxMetadataAttr][]}
+ */
+function expectMap(attr, what) {
+    if (typeof attr == "object" && "map" in attr) {
+        return attr.map
+    } else {
+        throw new Error(`expected a map for ${what}`)
+    }
+}
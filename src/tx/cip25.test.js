@@ -0,0 +1,151 @@
+import { deepEqual, strictEqual, throws } from "node:assert"
+import { describe, it } from "node:test"
+import { bytesToHex, encodeUtf8 } from "@helios-lang/codec-utils"
+import { MintingPolicyHash } from "../hashes/index.js"
+import { Assets } from "../money/index.js"
+import { CIP25_LABEL, makeCip25Metadata, parseCip25Metadata } from "./cip25.js"
+import { TxMetadata } from "./TxMetadata.js"
+
+describe("CIP 25 metadata", () => {
+    const policy = MintingPolicyHash.dummy(1)
+    const tokenName = encodeUtf8("NFT #1")
+
+    const metadata = {
+        name: "NFT #1",
+        image: "ipfs://" + "Qm".repeat(40),
+        mediaType: "image/png",
+        files: [{ mediaType: "image/png", src: "ipfs://abc" }],
+        traits: ["rare", "shiny"],
+        edition: 1
+    }
+
+    it("splits strings longer than 64 bytes", () => {
+        const attr = makeCip25Metadata([{ policy, tokenName, metadata }])
+            .attributes[CIP25_LABEL]
+
+        if (typeof attr != "object" || !("map" in attr)) {
+            throw new Error("expected a map")
+        }
+
+        const [[policyKey, tokens]] = attr.map
+        strictEqual(policyKey, policy.toHex())
+
+        if (typeof tokens != "object" || !("map" in tokens)) {
+            throw new Error("expected a map")
+        }
+
+        const [[tokenKey, value]] = tokens.map
+        strictEqual(tokenKey, "NFT #1")
+
+        if (typeof value != "object" || !("map" in value)) {
+            throw new Error("expected a map")
+        }
+
+        const image = value.map.find(([key]) => key == "image")?.[1]
+
+        deepEqual(image, {
+            list: ["ipfs://" + "Qm".repeat(28) + "Q", "m" + "Qm".repeat(11)]
+        })
+    })
+
+    it("doesn't split multi-byte characters", () => {
+        const attr = makeCip25Metadata([
+            {
+                policy,
+                tokenName,
+                metadata: { ...metadata, description: "é".repeat(40) }
+            }
+        ])
+
+        const { assets } = parseCip25Metadata(
+            TxMetadata.fromCbor(attr.toCbor())
+        )
+
+        strictEqual(assets[0].metadata.description, "é".repeat(40))
+    })
+
+    it("round-trips a name longer than 64 bytes", () => {
+        const longName = { ...metadata, name: "N".repeat(70) }
+
+        const { assets } = parseCip25Metadata(
+            TxMetadata.fromCbor(
+                makeCip25Metadata([
+                    { policy, tokenName, metadata: longName }
+                ]).toCbor()
+            )
+        )
+
+        deepEqual(assets[0].metadata, longName)
+    })
+
+    it("round-trips version 1", () => {
+        const { version, assets } = parseCip25Metadata(
+            TxMetadata.fromCbor(
+                makeCip25Metadata([{ policy, tokenName, metadata }]).toCbor()
+            )
+        )
+
+        strictEqual(version, 1)
+        strictEqual(assets.length, 1)
+        strictEqual(assets[0].policy.toHex(), policy.toHex())
+        strictEqual(bytesToHex(assets[0].tokenName), bytesToHex(tokenName))
+        deepEqual(assets[0].metadata, metadata)
+    })
+
+    it("round-trips version 2 with a token name that isn't valid UTF-8", () => {
+        const binaryName = [0x00, 0x0d, 0xe1, 0x40, 0xff]
+
+        const { version, assets } = parseCip25Metadata(
+            TxMetadata.fromCbor(
+                makeCip25Metadata(
+                    [{ policy, tokenName: binaryName, metadata }],
+                    2
+                ).toCbor()
+            )
+        )
+
+        strictEqual(version, 2)
+        strictEqual(bytesToHex(assets[0].tokenName), bytesToHex(binaryName))
+        deepEqual(assets[0].metadata, metadata)
+    })
+
+    it("fails for a token name that isn't valid UTF-8 in version 1", () => {
+        throws(() =>
+            makeCip25Metadata([{ policy, tokenName: [0xff], metadata }])
+        )
+    })
+
+    it("fails for duplicate assets", () => {
+        throws(() =>
+            makeCip25Metadata([
+                { policy, tokenName, metadata },
+                { policy, tokenName, metadata }
+            ])
+        )
+    })
+
+    it("fails if the image is missing", () => {
+        throws(() =>
+            makeCip25Metadata([
+                {
+                    policy,
+                    tokenName,
+                    metadata: /** @type {any} */ ({ name: "NFT #1" })
+                }
+            ])
+        )
+    })
+
+    it("checks the assets are minted", () => {
+        const cip25 = makeCip25Metadata([{ policy, tokenName, metadata }])
+
+        parseCip25Metadata(cip25, new Assets([[policy, [[tokenName, 1n]]]]))
+
+        throws(() =>
+            parseCip25Metadata(
+                cip25,
+                new Assets([[policy, [[encodeUtf8("NFT #2"), 1n]]]])
+            )
+        )
+    })
+})
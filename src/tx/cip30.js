@@ -0,0 +1,226 @@
+import {
+    decodeObjectIKey,
+    decodeTuple,
+    encodeBytes,
+    encodeDefList,
+    encodeObjectIKey,
+    encodeTuple
+} from "@helios-lang/cbor"
+import { bytesToHex, toBytes } from "@helios-lang/codec-utils"
+import { Value } from "../money/index.js"
+import { BootstrapWitness } from "./BootstrapWitness.js"
+import { decodeRawItem } from "./raw.js"
+import { decodeSet } from "./sets.js"
+import { decodeAddress } from "./ShelleyAddress.js"
+import { Signature } from "./Signature.js"
+import { StakingAddress } from "./StakingAddress.js"
+import { TxInput } from "./TxInput.js"
+import { TxWitnesses } from "./TxWitnesses.js"
+
+/**
+ * @import { BytesLike } from "@helios-lang/codec-utils"
+ * @import { Address } from "./ShelleyAddress.js"
+ */
+
+/**
+ * Helpers for the payloads exchanged with browser wallets through [CIP 30](https://cips.cardano.org/cip/CIP-0030).
+ *
+ * Wallets return hex strings, but the decoders also accept raw bytes.
+ * The encoders always return hex strings.
+ */
+
+/**
+ * Decodes a `TransactionUnspentOutput` as returned by `getUtxos()` and `getCollateral()`
+ * @param {BytesLike} bytes
+ * @returns {TxInput}
+ */
+export function decodeCip30Utxo(bytes) {
+    const input = TxInput.fromCbor(bytes)
+
+    // throws an error if the output isn't included
+    input.output
+
+    return input
+}
+
+/**
+ * Encodes a `TransactionUnspentOutput` (i.e. the full input and output)
+ * @param {TxInput} input
+ * @returns {string}
+ */
+export function encodeCip30Utxo(input) {
+    return bytesToHex(input.toCbor(true))
+}
+
+/**
+ * Decodes a `Value` as returned by `getBalance()`
+ * @param {BytesLike} bytes
+ * @returns {Value}
+ */
+export function decodeCip30Value(bytes) {
+    return Value.fromCbor(bytes)
+}
+
+/**
+ * Encodes a `Value`, as expected by the `amount` argument of `getUtxos()`
+ * @param {Value} value
+ * @returns {string}
+ */
+export function encodeCip30Value(value) {
+    return bytesToHex(value.toCbor())
+}
+
+/**
+ * Decodes an address as returned by `getUsedAddresses()`, `getChangeAddress()` and `getRewardAddresses()`.
+ *
+ * Unlike in transaction outputs, these addresses aren't wrapped in a CBOR bytestring.
+ * @param {BytesLike} bytes
+ * @returns {Address | StakingAddress}
+ */
+export function decodeCip30Address(bytes) {
+    const b = toBytes(bytes)
+
+    if (b.length == 0) {
+        throw new Error("empty address")
+    }
+
+    const type = b[0] >> 4
+
+    if (type == 14 || type == 15) {
+        return new StakingAddress(b)
+    } else {
+        return decodeAddress(encodeBytes(b))
+    }
+}
+
+/**
+ * Inverse of `decodeCip30Address()`
+ * @param {Address | StakingAddress} address
+ * @returns {string}
+ */
+export function encodeCip30Address(address) {
+    if (address instanceof StakingAddress) {
+        return address.toHex()
+    } else if (address.era == "Byron") {
+        return bytesToHex(address.toCbor())
+    } else {
+        return address.toHex()
+    }
+}
+
+/**
+ * Decodes a `TransactionWitnessSet` as returned by `signTx()`
+ * @param {BytesLike} bytes
+ * @returns {TxWitnesses}
+ */
+export function decodeCip30WitnessSet(bytes) {
+    return TxWitnesses.fromCbor(bytes)
+}
+
+/**
+ * @param {TxWitnesses} witnesses
+ * @returns {string}
+ */
+export function encodeCip30WitnessSet(witnesses) {
+    return bytesToHex(witnesses.toCbor())
+}
+
+/**
+ * Adds the signatures and bootstrap witnesses of a (partial) witness set returned by `signTx()` to a transaction.
+ *
+ * The body, the validity flag, the metadata and all other witness set fields are copied byte-for-byte, so the tx id and the script data hash remain unchanged.
+ * Signatures for public keys that already signed the transaction are ignored.
+ * @param {BytesLike} txBytes - CBOR encoded transaction
+ * @param {BytesLike} witnessSetBytes - CBOR encoded witness set returned by the wallet
+ * @returns {string} - CBOR encoded transaction
+ */
+export function mergeCip30WitnessSet(txBytes, witnessSetBytes) {
+    const [body, witnesses, valid, metadata] = decodeTuple(txBytes, [
+        decodeRawItem,
+        decodeRawItem,
+        decodeRawItem,
+        decodeRawItem
+    ])
+
+    const fields = decodeRawWitnessSet(witnesses)
+    const extra = decodeRawWitnessSet(witnessSetBytes)
+
+    /**
+     * @template {Signature | BootstrapWitness} T
+     * @param {number} key
+     * @param {(bytes: BytesLike) => T} itemDecoder
+     */
+    const mergeField = (key, itemDecoder) => {
+        const existing = fields.has(key)
+            ? decodeSet(fields.get(key) ?? [], itemDecoder)
+            : []
+        const added = extra.has(key)
+            ? decodeSet(extra.get(key) ?? [], itemDecoder)
+            : []
+
+        const pubKeys = new Set(existing.map((w) => w.pubKey.toHex()))
+
+        const merged = existing.concat(
+            added.filter((w) => {
+                const h = w.pubKey.toHex()
+
+                if (pubKeys.has(h)) {
+                    return false
+                } else {
+                    pubKeys.add(h)
+                    return true
+                }
+            })
+        )
+
+        // leave the field untouched if nothing was added
+        if (merged.length > existing.length) {
+            fields.set(key, encodeDefList(merged))
+        }
+    }
+
+    mergeField(0, Signature.fromCbor)
+    mergeField(2, BootstrapWitness.fromCbor)
+
+    /**
+     * @type {Map<number, number[]>}
+     */
+    const sorted = new Map(
+        Array.from(fields.entries()).sort(([a], [b]) => a - b)
+    )
+
+    return bytesToHex(
+        encodeTuple([body, encodeObjectIKey(sorted), valid, metadata])
+    )
+}
+
+/**
+ * Returns the raw bytes of each witness set field
+ * @param {BytesLike} bytes
+ * @returns {Map<number, number[]>}
+ */
+function decodeRawWitnessSet(bytes) {
+    const obj = decodeObjectIKey(bytes, {
+        0: decodeRawItem,
+        1: decodeRawItem,
+        2: decodeRawItem,
+        3: decodeRawItem,
+        4: decodeRawItem,
+        5: decodeRawItem,
+        6: decodeRawItem,
+        7: decodeRawItem
+    })
+
+    /**
+     * @type {Map<number, number[]>}
+     */
+    const m = new Map()
+
+    Object.entries(obj).forEach(([key, value]) => {
+        if (value) {
+            m.set(Number(key), value)
+        }
+    })
+
+    return m
+}
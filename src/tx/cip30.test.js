@@ -0,0 +1,85 @@
+import { strictEqual, throws } from "node:assert"
+import { describe, it } from "node:test"
+import { bytesToHex } from "@helios-lang/codec-utils"
+import { Value } from "../money/index.js"
+import {
+    decodeCip30Address,
+    decodeCip30Utxo,
+    decodeCip30Value,
+    encodeCip30Address,
+    encodeCip30Utxo,
+    encodeCip30Value,
+    mergeCip30WitnessSet
+} from "./cip30.js"
+import { makeDummyAddress } from "./ShelleyAddress.js"
+import { Signature } from "./Signature.js"
+import { StakingAddress } from "./StakingAddress.js"
+import { TxInput } from "./TxInput.js"
+import { TxOutput } from "./TxOutput.js"
+import { TxOutputId } from "./TxOutputId.js"
+
+describe("CIP 30 encoding", () => {
+    const address = makeDummyAddress(false)
+
+    it("round-trips a TransactionUnspentOutput", () => {
+        const input = new TxInput(
+            TxOutputId.dummy(0, 1),
+            new TxOutput(address, new Value(2_000_000n))
+        )
+
+        const hex = encodeCip30Utxo(input)
+
+        strictEqual(encodeCip30Utxo(decodeCip30Utxo(hex)), hex)
+    })
+
+    it("fails to decode a TransactionUnspentOutput without output", () => {
+        throws(() => decodeCip30Utxo(TxOutputId.dummy(0, 1).toCbor()))
+    })
+
+    it("round-trips a Value", () => {
+        const hex = encodeCip30Value(new Value(1_000_000n))
+
+        strictEqual(decodeCip30Value(hex).lovelace, 1_000_000n)
+    })
+
+    it("decodes a Shelley address that isn't wrapped in a bytestring", () => {
+        const decoded = decodeCip30Address(address.toHex())
+
+        strictEqual(decoded.toString(), address.toString())
+        strictEqual(encodeCip30Address(decoded), address.toHex())
+    })
+
+    it("decodes a reward address as a StakingAddress", () => {
+        const hex = "e0" + "00".repeat(28)
+        const decoded = decodeCip30Address(hex)
+
+        strictEqual(decoded instanceof StakingAddress, true)
+        strictEqual(encodeCip30Address(decoded), hex)
+    })
+})
+
+describe(mergeCip30WitnessSet.name, () => {
+    // non-canonical body (indefinite list of inputs), must be kept as is
+    const body = "a1009fff"
+    const datums = "049f01ff"
+    const signature = Signature.dummy(1)
+    const sigHex = bytesToHex(signature.toCbor())
+
+    it("adds the wallet signatures without re-encoding the rest", () => {
+        const tx = `84${body}a1${datums}f5f6`
+
+        // wallet witness sets can be tagged as sets
+        const witnessSet = `a100d9010281${sigHex}`
+
+        strictEqual(
+            mergeCip30WitnessSet(tx, witnessSet),
+            `84${body}a20081${sigHex}${datums}f5f6`
+        )
+    })
+
+    it("ignores signatures that are already present", () => {
+        const tx = `84${body}a10081${sigHex}f5f6`
+
+        strictEqual(mergeCip30WitnessSet(tx, `a10081${sigHex}`), tx)
+    })
+})
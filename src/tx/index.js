@@ -1,21 +1,47 @@
 export {
     decodeAddress,
     decodeShelleyAddress,
+    decodeShelleyAddressJson,
+    encodeAddress,
     makeAddress,
     makeAddressFromCredentials,
     makeAddressFromHashes,
     makeDummyAddress
 } from "./ShelleyAddress.js"
+export { BootstrapWitness } from "./BootstrapWitness.js"
+export { CIP25_LABEL, makeCip25Metadata, parseCip25Metadata } from "./cip25.js"
+export { Cip68Datum } from "./Cip68Datum.js"
+export {
+    decodeCip30Address,
+    decodeCip30Utxo,
+    decodeCip30Value,
+    decodeCip30WitnessSet,
+    encodeCip30Address,
+    encodeCip30Utxo,
+    encodeCip30Value,
+    encodeCip30WitnessSet,
+    mergeCip30WitnessSet
+} from "./cip30.js"
+export { CoinSelection } from "./CoinSelection.js"
 export { DCert } from "./DCert.js"
+export {
+    plutusScriptFromJson,
+    plutusScriptToJson,
+    uplcDataFromJson,
+    uplcDataToJson
+} from "./json.js"
 export { PubKey } from "./PubKey.js"
 export { ScriptContextV2 } from "./ScriptContextV2.js"
+export { ScriptContextV3 } from "./ScriptContextV3.js"
 export { ScriptPurpose } from "./ScriptPurpose.js"
 export { Signature } from "./Signature.js"
 export { SpendingCredential } from "./SpendingCredential.js"
 export { StakingCredential } from "./StakingCredential.js"
 export { StakingAddress, makeStakingAddress } from "./StakingAddress.js"
-export { Tx, calcScriptDataHash } from "./Tx.js"
+export { StakingPtr } from "./StakingPtr.js"
+export { Tx, calcRefScriptsFee, calcScriptDataHash } from "./Tx.js"
 export { TxBody } from "./TxBody.js"
+export { TxBuilder } from "./TxBuilder.js"
 export { TxId } from "./TxId.js"
 export { TxInput } from "./TxInput.js"
 export { TxOutput } from "./TxOutput.js"
@@ -23,16 +49,44 @@ export { TxOutputDatum } from "./TxOutputDatum.js"
 export { TxOutputId } from "./TxOutputId.js"
 export { TxMetadata } from "./TxMetadata.js"
 export { TxRedeemer } from "./TxRedeemer.js"
+export { TxValidationReport } from "./TxValidationReport.js"
 export { TxWitnesses } from "./TxWitnesses.js"
 
 /**
  * @typedef {import("./ShelleyAddress.js").ShelleyAddressLike} ShelleyAddressLike
+ * @typedef {import("./cip25.js").Cip25Asset} Cip25Asset
+ * @typedef {import("./cip25.js").Cip25AssetLike} Cip25AssetLike
+ * @typedef {import("./cip25.js").Cip25AssetMetadata} Cip25AssetMetadata
+ * @typedef {import("./cip25.js").Cip25File} Cip25File
+ * @typedef {import("./cip25.js").Cip25Version} Cip25Version
+ * @typedef {import("./Cip68Datum.js").Cip68Metadata} Cip68Metadata
+ * @typedef {import("./Cip68Datum.js").Cip68MetadataValue} Cip68MetadataValue
+ * @typedef {import("./CoinSelection.js").CoinSelectionAlgorithm} CoinSelectionAlgorithm
+ * @typedef {import("./CoinSelection.js").CoinSelectionOptions} CoinSelectionOptions
+ * @typedef {import("./DCert.js").DCertJson} DCertJson
  * @typedef {import("./DCert.js").DCertKind} DCertKind
+ * @typedef {import("./json.js").PlutusScriptJson} PlutusScriptJson
+ * @typedef {import("./json.js").UplcDataJson} UplcDataJson
+ * @typedef {import("./PubKey.js").PubKeyBech32Prefix} PubKeyBech32Prefix
  * @typedef {import("./SpendingCredential.js").SpendingCredentialLike} SpendingCredentialLike
  * @typedef {import("./StakingAddress.js").StakingAddressLike} StakingAddressLike
+ * @typedef {import("./TxBuilder.js").TxBuilderConfig} TxBuilderConfig
+ * @typedef {import("./TxBuilder.js").TxBuilderFinalConfig} TxBuilderFinalConfig
+ * @typedef {import("./Tx.js").TxJson} TxJson
+ * @typedef {import("./Tx.js").TxUtxoChanges} TxUtxoChanges
+ * @typedef {import("./TxBody.js").TxBodyJson} TxBodyJson
  * @typedef {import("./TxInfo.js").TxInfo} TxInfo
+ * @typedef {import("./TxInput.js").TxInputJson} TxInputJson
  * @typedef {import("./TxMetadataAttr.js").TxMetadataAttr} TxMetadataAttr
+ * @typedef {import("./TxOutput.js").TxOutputJson} TxOutputJson
+ * @typedef {import("./TxOutputDatum.js").TxOutputDatumJson} TxOutputDatumJson
  * @typedef {import("./TxOutputDatum.js").TxOutputDatumKind} TxOutputDatumKind
+ * @typedef {import("./TxRedeemer.js").TxRedeemerJson} TxRedeemerJson
+ * @typedef {import("./TxRedeemer.js").TxRedeemersEncoding} TxRedeemersEncoding
+ * @typedef {import("./TxWitnesses.js").TxWitnessesJson} TxWitnessesJson
+ * @typedef {import("./TxValidationReport.js").TxValidationIssue} TxValidationIssue
+ * @typedef {import("./TxValidationReport.js").TxValidationRule} TxValidationRule
+ * @typedef {import("./TxValidationReport.js").TxValidationSeverity} TxValidationSeverity
  */
 
 /**
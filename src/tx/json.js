@@ -0,0 +1,133 @@
+import { bytesToHex, hexToBytes } from "@helios-lang/codec-utils"
+import {
+    ByteArrayData,
+    ConstrData,
+    IntData,
+    ListData,
+    MapData,
+    UplcProgramV1,
+    UplcProgramV2,
+    UplcProgramV3
+} from "@helios-lang/uplc"
+
+/**
+ * @import { PlutusVersion, UplcData, UplcProgramV1I, UplcProgramV2I, UplcProgramV3I } from "@helios-lang/uplc"
+ */
+
+/**
+ * Helpers for the JSON representation of the ledger types (see the `toJson()` and `fromJson()` methods of `Tx`, `TxBody`, `TxOutput` etc.).
+ *
+ * The representation follows these conventions:
+ *   - bigints (lovelace, token quantities, deposits, execution units) are decimal strings, small numbers (slots, indices, epochs) are JSON numbers
+ *   - bytes and hashes are hex strings
+ *   - addresses are bech32 strings (base58 for Byron addresses)
+ *   - datums and redeemer data use the detailed schema of cardano-cli, with the ints as decimal strings as well
+ *   - Plutus scripts use the format of cardano-cli text envelopes: `{"type": "PlutusScriptV2", "cborHex": "..."}`
+ *   - pool parameters, governance procedures, metadata and bootstrap witnesses are hex strings of their CBOR encoding
+ *
+ * The body and the witnesses of a decoded tx also include their original CBOR encoding as a hex string (`cbor`), which is reused by `fromJson()` as long as they aren't modified, so the tx id and the signatures stay valid after a round-trip.
+ */
+
+/**
+ * Detailed schema of cardano-cli.
+ * Ints are encoded as decimal strings, but JSON numbers are accepted when decoding.
+ * @typedef {{constructor: number, fields: UplcDataJson[]}
+ *   | {map: {k: UplcDataJson, v: UplcDataJson}[]}
+ *   | {list: UplcDataJson[]}
+ *   | {int: string | number}
+ *   | {bytes: string}
+ * } UplcDataJson
+ */
+
+/**
+ * @typedef {{
+ *   type: PlutusVersion
+ *   cborHex: string
+ * }} PlutusScriptJson
+ */
+
+/**
+ * @param {UplcData} data
+ * @returns {UplcDataJson}
+ */
+export function uplcDataToJson(data) {
+    switch (data.kind) {
+        case "constr":
+            return {
+                constructor: data.tag,
+                fields: data.fields.map(uplcDataToJson)
+            }
+        case "map":
+            return {
+                map: data.items.map(([k, v]) => ({
+                    k: uplcDataToJson(k),
+                    v: uplcDataToJson(v)
+                }))
+            }
+        case "list":
+            return { list: data.items.map(uplcDataToJson) }
+        case "int":
+            return { int: data.value.toString() }
+        case "bytes":
+            return { bytes: bytesToHex(data.bytes) }
+        default:
+            throw new Error("unhandled UplcData kind")
+    }
+}
+
+/**
+ * @param {UplcDataJson} json
+ * @returns {UplcData}
+ */
+export function uplcDataFromJson(json) {
+    // every object has a constructor property, so the fields are checked instead
+    if ("fields" in json) {
+        return new ConstrData(
+            json.constructor,
+            json.fields.map(uplcDataFromJson)
+        )
+    } else if ("map" in json) {
+        return new MapData(
+            json.map.map(({ k, v }) => [
+                uplcDataFromJson(k),
+                uplcDataFromJson(v)
+            ])
+        )
+    } else if ("list" in json) {
+        return new ListData(json.list.map(uplcDataFromJson))
+    } else if ("int" in json) {
+        return new IntData(BigInt(json.int))
+    } else if ("bytes" in json) {
+        return new ByteArrayData(hexToBytes(json.bytes))
+    } else {
+        throw new Error(`invalid UplcData JSON ${JSON.stringify(json)}`)
+    }
+}
+
+/**
+ * @param {UplcProgramV1I | UplcProgramV2I | UplcProgramV3I} program
+ * @returns {PlutusScriptJson}
+ */
+export function plutusScriptToJson(program) {
+    return {
+        type: program.plutusVersion,
+        cborHex: bytesToHex(program.toCbor())
+    }
+}
+
+/**
+ * @param {PlutusScriptJson} json
+ * @returns {UplcProgramV1I | UplcProgramV2I | UplcProgramV3I}
+ */
+export function plutusScriptFromJson(json) {
+    switch (json.type) {
+        case "PlutusScriptV1":
+            return UplcProgramV1.fromCbor(json.cborHex)
+        case "PlutusScriptV2":
+            return UplcProgramV2.fromCbor(json.cborHex)
+        case "PlutusScriptV3":
+            return UplcProgramV3.fromCbor(json.cborHex)
+        default:
+            throw new Error(`unhandled Plutus script type ${json.type}`)
+    }
+}
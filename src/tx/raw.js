@@ -0,0 +1,118 @@
+import { equalsBytes, makeByteStream } from "@helios-lang/codec-utils"
+
+/**
+ * @typedef {import("@helios-lang/codec-utils").BytesLike} BytesLike
+ * @typedef {import("@helios-lang/codec-utils").ByteStream} ByteStream
+ */
+
+/**
+ * Returns the bytes of the next CBOR item in the stream, without interpreting them
+ * @param {BytesLike} bytes
+ * @returns {number[]}
+ */
+export function decodeRawItem(bytes) {
+    const stream = makeByteStream({ bytes })
+    const start = stream.pos
+
+    skipItem(stream)
+
+    return Array.from(stream.bytes.slice(start, stream.pos))
+}
+
+/**
+ * @param {ByteStream} stream
+ */
+function skipItem(stream) {
+    const head = stream.shiftOne()
+    const major = head >> 5
+    const info = head & 0b00011111
+
+    if (info == 31) {
+        // indefinite length item, terminated by a break byte
+        if (major < 2 || major > 5) {
+            throw new Error("unexpected indefinite length CBOR item")
+        }
+
+        while (stream.peekOne() != 0xff) {
+            skipItem(stream)
+
+            if (major == 5) {
+                skipItem(stream)
+            }
+        }
+
+        stream.shiftOne()
+        return
+    }
+
+    let n = 0n
+
+    if (info < 24) {
+        n = BigInt(info)
+    } else if (info <= 27) {
+        stream
+            .shiftMany(1 << (info - 24))
+            .forEach((b) => (n = n * 256n + BigInt(b)))
+    } else {
+        throw new Error(`invalid CBOR header ${head}`)
+    }
+
+    switch (major) {
+        case 2:
+        case 3:
+            stream.shiftMany(Number(n))
+            break
+        case 4:
+            for (let i = 0n; i < n; i++) {
+                skipItem(stream)
+            }
+            break
+        case 5:
+            for (let i = 0n; i < 2n * n; i++) {
+                skipItem(stream)
+            }
+            break
+        case 6:
+            skipItem(stream)
+            break
+    }
+}
+
+/**
+ * Original CBOR encoding of a decoded object.
+ *
+ * Re-encoding a decoded object doesn't always give the same bytes (e.g. indefinite length lists, non-canonical map ordering), which would change its hash.
+ * The original bytes are reused as long as the object encodes to the same bytes as right after decoding, i.e. as long as it hasn't been modified.
+ */
+export class OriginalCbor {
+    /**
+     * @readonly
+     * @type {number[]}
+     */
+    bytes
+
+    /**
+     * @private
+     * @readonly
+     * @type {number[]}
+     */
+    reencoded
+
+    /**
+     * @param {number[]} bytes
+     * @param {number[]} reencoded - encoding of the object right after decoding
+     */
+    constructor(bytes, reencoded) {
+        this.bytes = bytes
+        this.reencoded = reencoded
+    }
+
+    /**
+     * Returns the original bytes if `encoded` is the same as the encoding right after decoding, otherwise returns `encoded`
+     * @param {number[]} encoded
+     * @returns {number[]}
+     */
+    select(encoded) {
+        return equalsBytes(encoded, this.reencoded) ? this.bytes : encoded
+    }
+}
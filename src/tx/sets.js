@@ -0,0 +1,48 @@
+import { decodeList, decodeTag } from "@helios-lang/cbor"
+import { makeByteStream } from "@helios-lang/codec-utils"
+
+/**
+ * @typedef {import("@helios-lang/codec-utils").BytesLike} BytesLike
+ * @typedef {import("@helios-lang/codec-utils").ByteStream} ByteStream
+ */
+
+/**
+ * @template T
+ * @typedef {import("@helios-lang/cbor").Decoder<T>} Decoder
+ */
+
+/**
+ * Since the Conway era, sets can optionally be tagged with 258
+ */
+const SET_TAG = 258n
+
+/**
+ * Decodes a list that is optionally tagged as a set.
+ * Sets are always encoded as plain lists.
+ * @template T
+ * @param {BytesLike} bytes
+ * @param {Decoder<T>} itemDecoder
+ * @returns {T[]}
+ */
+export function decodeSet(bytes, itemDecoder) {
+    const stream = makeByteStream({ bytes })
+
+    if (isSetTag(stream)) {
+        decodeTag(stream)
+    }
+
+    return decodeList(stream, itemDecoder)
+}
+
+/**
+ * @param {ByteStream} stream
+ * @returns {boolean}
+ */
+function isSetTag(stream) {
+    // major type 6
+    if (stream.peekOne() >> 5 != 6) {
+        return false
+    }
+
+    return decodeTag(stream.copy()) == SET_TAG
+}